@@ -4,6 +4,21 @@
  */
 
 class App {
+  static AUTOSAVE_INTERVAL = 15000
+
+  // Store state kept by snapshots that can change outside the history
+  static AUTOSAVE_STATE = [
+    'modified',
+    'customValueColors',
+    'currentColorTag',
+    'colorScales',
+    'tagSchema',
+    'activeFilters',
+    'excludedFilters',
+    'rangeFilters',
+    'filterQuery',
+  ]
+
   constructor() {
     // Initialize store
     this.store = new Store()
@@ -11,6 +26,12 @@ class App {
     // Toast reference for components
     this.toast = Toast
 
+    // Last used export options
+    this.rasterExportSettings = {}
+    this.geoJSONExportSettings = {}
+    this.tableExportSettings = {}
+    this.htmlExportSettings = {}
+
     // Cache DOM elements
     this.cacheElements()
 
@@ -23,6 +44,12 @@ class App {
     // Set initial state
     this.updateUI()
 
+    // Shareable links
+    this.initUrlState()
+
+    // Autosave and session recovery
+    this.initAutosave()
+
     console.log('SVG Map Editor initialized')
   }
 
@@ -34,6 +61,13 @@ class App {
       // Header
       loadBtn: DOM.$('#loadBtn'),
       saveBtn: DOM.$('#saveBtn'),
+      saveProjectBtn: DOM.$('#saveProjectBtn'),
+      copyLinkBtn: DOM.$('#copyLinkBtn'),
+      toggleTableBtn: DOM.$('#toggleTableBtn'),
+      exportImageBtn: DOM.$('#exportImageBtn'),
+      exportGeoJSONBtn: DOM.$('#exportGeoJSONBtn'),
+      exportTableBtn: DOM.$('#exportTableBtn'),
+      exportHtmlBtn: DOM.$('#exportHtmlBtn'),
       fileInput: DOM.$('#fileInput'),
       placeholderLoadBtn: DOM.$('#placeholderLoadBtn'),
       tabBtns: DOM.$$('.tab-btn'),
@@ -41,6 +75,10 @@ class App {
       // Map
       mapContainer: DOM.$('#mapContainer'),
       mapSvgContainer: DOM.$('#mapSvgContainer'),
+      legend: DOM.$('#legend'),
+      legendTagSelect: DOM.$('#legendTagSelect'),
+      legendScaleControls: DOM.$('#legendScaleControls'),
+      legendContent: DOM.$('#legendContent'),
       mapPlaceholder: DOM.$('#mapPlaceholder'),
 
       // Sidebar sections
@@ -55,10 +93,19 @@ class App {
       deselectAllBtn: DOM.$('#deselectAllBtn'),
       invertSelectionBtn: DOM.$('#invertSelectionBtn'),
 
+      // History
+      historySection: DOM.$('#historySection'),
+      historyList: DOM.$('#historyList'),
+      undoBtn: DOM.$('#undoBtn'),
+      redoBtn: DOM.$('#redoBtn'),
+
       // Tag editor
       tagKeyInput: DOM.$('#tagKeyInput'),
       tagValueInput: DOM.$('#tagValueInput'),
       applyTagBtn: DOM.$('#applyTagBtn'),
+      joinDataBtn: DOM.$('#joinDataBtn'),
+      editSchemaBtn: DOM.$('#editSchemaBtn'),
+      validateSchemaBtn: DOM.$('#validateSchemaBtn'),
       applyTagCount: DOM.$('#applyTagCount'),
 
       // Name editor
@@ -68,8 +115,10 @@ class App {
       clearRegionBtn: DOM.$('#clearRegionBtn'),
 
       // Filter controls
-      filterSelectAllBtn: DOM.$('#filterSelectAllBtn'),
-      filterDeselectAllBtn: DOM.$('#filterDeselectAllBtn'),
+      clearFiltersBtn: DOM.$('#clearFiltersBtn'),
+      filterQueryInput: DOM.$('#filterQueryInput'),
+      filterQueryError: DOM.$('#filterQueryError'),
+      filterSummary: DOM.$('#filterSummary'),
       expandAllBtn: DOM.$('#expandAllBtn'),
       collapseAllBtn: DOM.$('#collapseAllBtn'),
       tagGroupsContainer: DOM.$('#tagGroupsContainer'),
@@ -87,9 +136,11 @@ class App {
 
       // Selected regions list
       selectedRegionsList: DOM.$('#selectedRegionsList'),
+      attributeTable: DOM.$('#attributeTable'),
 
       // Search
       searchInput: DOM.$('#searchInput'),
+      searchResults: DOM.$('#searchResults'),
 
       // Stats
       statTotalRegions: DOM.$('#statTotalRegions'),
@@ -111,6 +162,22 @@ class App {
       this.elements.mapPlaceholder
     )
 
+    // Box and lasso selection (for editor mode)
+    this.selectionTool = new SelectionTool(
+      this.store,
+      this.elements.mapContainer,
+      this.elements.mapSvgContainer
+    )
+
+    // Legend (for editor mode)
+    this.legend = new Legend(
+      this.store,
+      this.elements.legend,
+      this.elements.legendTagSelect,
+      this.elements.legendContent,
+      this.elements.legendScaleControls
+    )
+
     // Info panel
     this.infoPanel = new InfoPanel(
       this.store,
@@ -124,8 +191,34 @@ class App {
       this.elements.selectedRegionsList
     )
 
+    // Attribute table (for editor mode)
+    this.attributeTable = new AttributeTableView(
+      this.store,
+      this.elements.attributeTable,
+      this.elements.toggleTableBtn
+    )
+
+    // Schema suggestions for the tag editor inputs
+    this.tagInputs = new TagSchemaInputs(
+      this.store,
+      this.elements.tagKeyInput,
+      this.elements.tagValueInput
+    )
+
+    // Search results (both map modes)
+    this.searchResults = new SearchResults(
+      this.store,
+      this.elements.searchResults
+    )
+
     // Tag groups (for viewer mode)
     this.tagGroups = new TagGroups(this.store, this.elements.tagGroupsContainer)
+    this.filterControls = new FilterControls(
+      this.store,
+      this.elements.filterQueryInput,
+      this.elements.filterQueryError,
+      this.elements.filterSummary
+    )
 
     // Editor tag groups (for editor mode)
     this.editorTagGroups = new EditorTagGroups(
@@ -133,6 +226,14 @@ class App {
       this.elements.editorTagGroupsContainer
     )
 
+    // History panel (for editor mode)
+    this.historyPanel = new HistoryPanel(
+      this.store,
+      this.elements.historyList,
+      this.elements.undoBtn,
+      this.elements.redoBtn
+    )
+
     // Image converter UI
     this.imageConverterUI = new ImageConverterUI(this)
 
@@ -152,6 +253,24 @@ class App {
       this.handleLoadClick()
     )
     this.elements.saveBtn.addEventListener('click', () => this.handleSave())
+    this.elements.saveProjectBtn.addEventListener('click', () =>
+      this.handleSaveProject()
+    )
+    this.elements.copyLinkBtn.addEventListener('click', () =>
+      this.handleCopyLink()
+    )
+    this.elements.exportImageBtn.addEventListener('click', () =>
+      this.handleExportImage()
+    )
+    this.elements.exportGeoJSONBtn.addEventListener('click', () =>
+      this.handleExportGeoJSON()
+    )
+    this.elements.exportTableBtn.addEventListener('click', () =>
+      this.handleExportTable()
+    )
+    this.elements.exportHtmlBtn.addEventListener('click', () =>
+      this.handleExportHtml()
+    )
     this.elements.fileInput.addEventListener('change', (e) =>
       this.handleFileSelect(e)
     )
@@ -182,6 +301,15 @@ class App {
     this.elements.tagValueInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.handleApplyTag()
     })
+    this.elements.joinDataBtn.addEventListener('click', () =>
+      this.handleJoinData()
+    )
+    this.elements.editSchemaBtn.addEventListener('click', () =>
+      this.handleEditSchema()
+    )
+    this.elements.validateSchemaBtn.addEventListener('click', () =>
+      this.handleValidateSchema()
+    )
 
     // Name editor
     this.elements.saveRegionBtn.addEventListener('click', () =>
@@ -192,11 +320,8 @@ class App {
     )
 
     // Filter controls
-    this.elements.filterSelectAllBtn.addEventListener('click', () =>
-      this.store.selectAllFilters()
-    )
-    this.elements.filterDeselectAllBtn.addEventListener('click', () =>
-      this.store.deselectAllFilters()
+    this.elements.clearFiltersBtn.addEventListener('click', () =>
+      this.store.clearFilters()
     )
     this.elements.expandAllBtn.addEventListener('click', () =>
       this.tagGroups.expandAll()
@@ -223,12 +348,24 @@ class App {
       'input',
       Helpers.debounce((e) => this.handleSearch(e.target.value), 200)
     )
+    this.elements.searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && e.target.value) {
+        e.target.value = ''
+        this.handleSearch('')
+      }
+    })
+
+    // Undo/redo shortcuts
+    document.addEventListener('keydown', (e) => this.handleKeyDown(e))
 
     // Store events
     this.store.on('selection:changed', () => this.updateSelectionUI())
     this.store.on('regions:loaded', () => this.updateStats())
     this.store.on('tags:extracted', () => this.updateStats())
     this.store.on('region:active', (index) => this.handleRegionActive(index))
+    this.store.on('history:applied', () =>
+      this.handleRegionActive(this.store.getState('activeRegion'))
+    )
     this.store.on('change:modified', (modified) => {
       this.elements.saveBtn.disabled = !modified
     })
@@ -250,18 +387,24 @@ class App {
     if (!file) return
 
     try {
-      const content = await FileService.readAsText(file)
-
-      this.store.setState({
-        fileName: file.name,
-        svgContent: content,
-        modified: false,
-      })
+      if (FileService.getExtension(file.name) === ProjectService.EXTENSION) {
+        const project = await FileService.loadProject(file)
+        this.applyProject(project)
+        Toast.success(`Opened project ${file.name}`)
+        e.target.value = ''
+        return
+      }
 
-      // Render will be triggered by store events
-      this.mapRenderer.render()
+      const content = await FileService.readAsText(file)
 
-      Toast.success(`Loaded ${file.name}`)
+      if (
+        GeoJSONImporter.EXTENSIONS.includes(FileService.getExtension(file.name))
+      ) {
+        await this.importGeoJSON(content, file.name)
+      } else {
+        this.openSVG(content, file.name)
+        Toast.success(`Loaded ${file.name}`)
+      }
     } catch (error) {
       Toast.error(`Failed to load file: ${error.message}`)
     }
@@ -270,6 +413,49 @@ class App {
     e.target.value = ''
   }
 
+  /**
+   * Show SVG content as a freshly loaded map
+   * @param {string} content - SVG content
+   * @param {string} fileName - File name
+   */
+  openSVG(content, fileName) {
+    this.store.setState({
+      fileName,
+      svgContent: content,
+      sourceSvgContent: content,
+      customValueColors: new Map(),
+      colorScales: new Map(),
+      modified: false,
+    })
+    this.startSession()
+
+    // Render will be triggered by store events
+    this.mapRenderer.render()
+  }
+
+  /**
+   * Convert GeoJSON to SVG regions and open the result
+   * @param {string} content - GeoJSON text
+   * @param {string} fileName - GeoJSON file name
+   */
+  async importGeoJSON(content, fileName) {
+    const { features, skipped } = GeoJSONImporter.parse(content)
+
+    const options = await GeoJSONImportDialog.show({
+      fileName,
+      features,
+      skipped,
+    })
+    if (!options) return
+
+    const svg = GeoJSONImporter.toSVG(features, options)
+    this.openSVG(svg, `${FileService.getBasename(fileName)}.svg`)
+
+    Toast.success(
+      `Imported ${this.store.getState('regions').length} regions from ${fileName}`
+    )
+  }
+
   /**
    * Handle save
    */
@@ -290,10 +476,530 @@ class App {
 
     const outputName = FileService.getBasename(fileName) + '_modified.svg'
     FileService.downloadSVG(svgContent, outputName)
+    this.discardSnapshot()
 
     Toast.success('SVG saved!')
   }
 
+  /**
+   * Handle save project
+   */
+  handleSaveProject() {
+    const svg = this.mapRenderer.getSVGContent()
+    if (!svg) {
+      Toast.error('No map loaded to save')
+      return
+    }
+
+    const project = ProjectService.create({
+      store: this.store,
+      svg,
+      converterSettings: this.imageConverterUI.getSettings(),
+    })
+
+    const fileName = this.store.getState('fileName') || 'map'
+    FileService.saveProject(project, FileService.getBasename(fileName))
+    this.discardSnapshot()
+
+    Toast.success('Project saved!')
+  }
+
+  /**
+   * Handle raster image export
+   */
+  async handleExportImage() {
+    const svg = this.elements.mapSvgContainer.querySelector('svg')
+    const size = this.mapRenderer.viewport.getExportSize()
+    if (!svg || !size) {
+      Toast.error('No map loaded to export')
+      return
+    }
+
+    const legend = this.legend.getExportData()
+    const options = await RasterExportDialog.show({
+      size,
+      hasLegend: !!legend,
+      defaults: this.rasterExportSettings,
+    })
+    if (!options) return
+
+    // Remember the choices for the next export
+    this.rasterExportSettings = options
+
+    try {
+      const blob = await RasterExporter.export({
+        svg,
+        size,
+        format: options.format,
+        scale: options.scale,
+        dpi: options.dpi,
+        background: options.background,
+        quality: options.quality,
+        legend: options.legend ? legend : null,
+      })
+
+      const extension = RasterExporter.FORMATS[options.format].extension
+      const fileName = this.store.getState('fileName') || 'map'
+      FileService.downloadBlob(
+        blob,
+        `${FileService.getBasename(fileName)}.${extension}`
+      )
+
+      Toast.success('Image exported!')
+    } catch (error) {
+      console.error('Image export failed:', error)
+      Toast.error(error.message)
+    }
+  }
+
+  /**
+   * Handle GeoJSON export of the regions
+   */
+  async handleExportGeoJSON() {
+    const svg = this.elements.mapSvgContainer.querySelector('svg')
+    const regions = this.store.getState('regions')
+    if (!svg || regions.length === 0) {
+      Toast.error('No regions to export')
+      return
+    }
+
+    const selected = this.store.getState('selectedRegions')
+    const options = await GeoJSONExportDialog.show({
+      canInvert: GeoJSONExporter.canInvertProjection(svg),
+      regionCount: regions.length,
+      selectedCount: selected.size,
+      defaults: this.geoJSONExportSettings,
+    })
+    if (!options) return
+
+    // Remember the choices for the next export
+    this.geoJSONExportSettings = options
+
+    try {
+      const { collection, skipped } = GeoJSONExporter.export({
+        svg,
+        regions: options.selectedOnly
+          ? regions.filter((region) => selected.has(region.index))
+          : regions,
+        coordinates: options.coordinates,
+        affine: options.affine,
+      })
+
+      const fileName = this.store.getState('fileName') || 'map'
+      FileService.download(
+        GeoJSONExporter.stringify(collection),
+        `${FileService.getBasename(fileName)}.${GeoJSONExporter.EXTENSION}`,
+        GeoJSONExporter.MIME_TYPE
+      )
+
+      const count = collection.features.length
+      Toast.success(
+        `Exported ${count} feature${count === 1 ? '' : 's'}${
+          skipped > 0 ? ` (${skipped} empty region(s) skipped)` : ''
+        }`
+      )
+    } catch (error) {
+      console.error('GeoJSON export failed:', error)
+      Toast.error(error.message)
+    }
+  }
+
+  /**
+   * Handle export of a standalone interactive HTML page
+   */
+  async handleExportHtml() {
+    const svg = this.elements.mapSvgContainer.querySelector('svg')
+    const size = this.mapRenderer.viewport.getExportSize()
+    if (!svg || !size) {
+      Toast.error('No map loaded to export')
+      return
+    }
+
+    const state = this.store.getState()
+    const basename = FileService.getBasename(state.fileName || 'map')
+    const legend = this.legend.getExportData()
+    const filter = RegionFilter.compile(state)
+    const options = await HtmlExportDialog.show({
+      hasLegend: !!legend,
+      hasFilters: RegionFilter.isActive(filter),
+      hasOtherFilters:
+        filter.exclude.size > 0 ||
+        filter.ranges.size > 0 ||
+        filter.query !== null,
+      defaults: { title: basename, ...this.htmlExportSettings },
+    })
+    if (!options) return
+
+    // Remember the choices for the next export
+    this.htmlExportSettings = options
+
+    try {
+      const html = HtmlExporter.export({
+        svg,
+        state,
+        viewBox: size.viewBox,
+        legend: options.legend ? legend : null,
+        title: options.title,
+        description: options.description,
+        filters: options.filters,
+      })
+
+      FileService.download(
+        html,
+        `${basename}.${HtmlExporter.EXTENSION}`,
+        HtmlExporter.MIME_TYPE
+      )
+      Toast.success('Interactive page exported!')
+    } catch (error) {
+      console.error('HTML export failed:', error)
+      Toast.error(error.message)
+    }
+  }
+
+  /**
+   * Handle CSV/JSON export of the attribute table
+   */
+  async handleExportTable() {
+    const regions = this.store.getState('regions')
+    if (regions.length === 0) {
+      Toast.error('No regions to export')
+      return
+    }
+
+    const options = await AttributeExportDialog.show({
+      columns: AttributeTable.getColumns(this.store.getState('tags')),
+      regionCount: regions.length,
+      defaults: this.tableExportSettings,
+    })
+    if (!options) return
+
+    // Remember the choices for the next export
+    this.tableExportSettings = options
+
+    const columns = AttributeTable.orderColumns(
+      AttributeTable.getColumns(this.store.getState('tags')),
+      options.order
+    ).filter((column) => !options.hidden.includes(column.key))
+
+    const table = AttributeTable.build(regions, {
+      columns,
+      includeUntagged: options.includeUntagged,
+    })
+
+    const basename = FileService.getBasename(
+      this.store.getState('fileName') || 'map'
+    )
+    if (options.format === 'json') {
+      FileService.download(
+        AttributeTable.toJSON(table),
+        `${basename}.json`,
+        AttributeTable.FORMATS.json.mimeType
+      )
+    } else {
+      const isTab = options.delimiter === 'tab'
+      FileService.download(
+        AttributeTable.toCSV(
+          table,
+          AttributeTable.DELIMITERS[options.delimiter].value
+        ),
+        `${basename}.${isTab ? 'tsv' : 'csv'}`,
+        isTab
+          ? 'text/tab-separated-values'
+          : AttributeTable.FORMATS.csv.mimeType
+      )
+    }
+
+    Toast.success(`Exported ${table.rows.length} row(s)`)
+  }
+
+  /**
+   * Restore editor and viewer state from a project
+   * @param {Object} project - Migrated project object
+   */
+  applyProject(project) {
+    this.store.setState({
+      fileName: project.fileName || '',
+      svgContent: project.svg,
+      sourceSvgContent: project.sourceSvg || project.svg,
+      customValueColors: new Map(Object.entries(project.valueColors || {})),
+      currentColorTag: project.currentColorTag || '',
+      colorScales: new Map(Object.entries(project.colorScales || {})),
+      modified: false,
+    })
+    this.startSession()
+    this.mapRenderer.render()
+
+    // Region metadata from the project takes precedence over the SVG
+    const regionsMeta = project.regions || []
+    regionsMeta.forEach((meta) => {
+      const region = this.store.getRegion(meta.index)
+      if (!region || region.id !== meta.id) return
+
+      region.name = meta.name || ''
+      region.description = meta.description || ''
+      if (region.element) {
+        if (region.name) region.element.setAttribute('data-name', region.name)
+        SVGParser.setDescription(region.element, region.description)
+      }
+    })
+
+    this.store.setColorTag(this.store.getState('currentColorTag'))
+    this.store.setFilters(ProjectService.filtersFromJSON(project.filters))
+
+    if (project.converterSettings) {
+      this.imageConverterUI.applySettings(project.converterSettings)
+    }
+
+    if (project.mode === 'editor' || project.mode === 'viewer') {
+      this.handleTabSwitch(project.mode)
+    }
+
+    this.updateStats()
+  }
+
+  /**
+   * Keep the URL hash in sync with the view and restore views from links
+   */
+  initUrlState() {
+    const hash = window.location.hash
+    this.pendingUrlState = hash.length > 1 ? UrlState.parse(hash) : null
+
+    // Tags are known once they are extracted, so restore from there
+    this.store.on('tags:extracted', () => {
+      if (!this.pendingUrlState) return
+      const urlState = this.pendingUrlState
+      this.pendingUrlState = null
+      this.applyUrlState(urlState)
+    })
+
+    const writeHash = Helpers.debounce(() => this.updateUrlHash(), 300)
+    ;[
+      'change:mode',
+      'colorTag:changed',
+      'filters:changed',
+      'search:changed',
+      'region:active',
+      'viewBox:changed',
+    ].forEach((event) => this.store.on(event, writeHash))
+
+    window.addEventListener('hashchange', () => {
+      const urlState = UrlState.parse(window.location.hash)
+      if (this.store.getState('regions').length > 0) {
+        this.applyUrlState(urlState)
+      } else {
+        this.pendingUrlState = urlState
+      }
+    })
+
+    const source = UrlState.getSource(window.location.search)
+    if (source) this.openFromURL(source)
+  }
+
+  /**
+   * Open an SVG from a URL
+   * @param {string} url - SVG URL
+   */
+  async openFromURL(url) {
+    try {
+      const content = await FileService.loadFromURL(url)
+      this.openSVG(content, UrlState.getFileName(url))
+    } catch (error) {
+      console.error('Loading shared map failed:', error)
+      Toast.error(error.message)
+    }
+  }
+
+  /**
+   * Restore a view read from the URL hash
+   * @param {Object} urlState - From UrlState.parse
+   */
+  applyUrlState(urlState) {
+    if (urlState.mode && urlState.mode !== this.store.getState('mode')) {
+      this.handleTabSwitch(urlState.mode)
+    }
+
+    if (
+      urlState.colorTag &&
+      this.store.getState('tags').has(urlState.colorTag)
+    ) {
+      this.store.setColorTag(urlState.colorTag)
+    }
+
+    this.store.setFilters(urlState.filters)
+
+    this.elements.searchInput.value = urlState.search
+    this.handleSearch(urlState.search)
+
+    const region = urlState.regionId
+      ? this.store
+          .getState('regions')
+          .find((candidate) => candidate.id === urlState.regionId)
+      : null
+    this.store.setActiveRegion(region ? region.index : null)
+
+    if (urlState.viewBox) {
+      this.mapRenderer.viewport.setViewBox(urlState.viewBox)
+    }
+  }
+
+  /**
+   * Write the current view into the URL hash without adding history entries
+   */
+  updateUrlHash() {
+    if (this.store.getState('regions').length === 0) return
+
+    const hash = UrlState.serialize(this.store.getState())
+    if (window.location.hash.slice(1) !== hash) {
+      window.history.replaceState(null, '', `#${hash}`)
+    }
+  }
+
+  /**
+   * Copy a link to the current view
+   */
+  async handleCopyLink() {
+    if (this.store.getState('regions').length === 0) {
+      Toast.error('Load a map before sharing a link')
+      return
+    }
+
+    this.updateUrlHash()
+
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+    } catch (error) {
+      Toast.error('Could not copy the link')
+      return
+    }
+
+    if (UrlState.getSource(window.location.search)) {
+      Toast.success('Link copied')
+    } else {
+      Toast.info(
+        `Link copied. Add ?${UrlState.SOURCE_PARAM}=<SVG URL> so it opens the map too`
+      )
+    }
+  }
+
+  /**
+   * Start periodic autosave and offer to restore a previous session
+   */
+  initAutosave() {
+    if (!AutosaveService.isSupported()) return
+
+    this.startSession()
+
+    this.store.on('history:changed', () => (this.autosavePending = true))
+    this.store.on('change', (state, prevState) => {
+      if (App.AUTOSAVE_STATE.some((key) => state[key] !== prevState[key])) {
+        this.autosavePending = true
+      }
+    })
+
+    setInterval(() => this.autosave(), App.AUTOSAVE_INTERVAL)
+
+    // Flush when the tab is hidden or about to close
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.autosave()
+    })
+
+    // A shared link opens its own map instead of offering a recovery
+    if (!UrlState.getSource(window.location.search)) {
+      this.checkForRecoverableSession()
+    }
+  }
+
+  /**
+   * Autosave a newly opened map as its own session, so it doesn't
+   * overwrite the snapshot of the map opened before it
+   */
+  startSession() {
+    this.sessionId = Helpers.generateId('session')
+    this.autosavePending = false
+  }
+
+  /**
+   * Save a snapshot of the current session if anything changed
+   */
+  async autosave() {
+    if (!this.autosavePending || !this.store.getState('modified')) return
+
+    const svgContent = this.mapRenderer.getSVGContent()
+    if (!svgContent) return
+
+    this.autosavePending = false
+    const stats = this.store.getStats()
+
+    try {
+      // The snapshot keeps the same state as a project file
+      await AutosaveService.saveSnapshot({
+        id: this.sessionId,
+        timestamp: Date.now(),
+        fileName: this.store.getState('fileName'),
+        regionCount: stats.totalRegions,
+        tagCount: stats.totalTags,
+        project: ProjectService.create({
+          store: this.store,
+          svg: svgContent,
+          converterSettings: this.imageConverterUI.getSettings(),
+        }),
+      })
+    } catch (error) {
+      console.error('Autosave failed:', error)
+    }
+  }
+
+  /**
+   * Delete the snapshot of this session once its work has been saved, so
+   * the next start doesn't offer to recover it
+   */
+  async discardSnapshot() {
+    if (!AutosaveService.isSupported()) return
+
+    this.autosavePending = false
+
+    try {
+      await AutosaveService.deleteSnapshot(this.sessionId)
+    } catch (error) {
+      console.error('Failed to delete autosaved session:', error)
+    }
+  }
+
+  /**
+   * Offer to restore one of the stored snapshots
+   */
+  async checkForRecoverableSession() {
+    let snapshots = []
+
+    try {
+      snapshots = await AutosaveService.listSnapshots()
+    } catch (error) {
+      console.error('Failed to read autosaved sessions:', error)
+      return
+    }
+
+    if (snapshots.length === 0) return
+
+    const snapshot = await SessionRecoveryDialog.show(snapshots)
+    if (snapshot) {
+      this.restoreSnapshot(snapshot)
+    }
+  }
+
+  /**
+   * Restore an autosaved snapshot
+   * @param {Object} snapshot - Snapshot from AutosaveService
+   */
+  restoreSnapshot(snapshot) {
+    this.applyProject(ProjectService.migrate(snapshot.project))
+
+    // Keep saving into the restored snapshot instead of creating a new one
+    this.sessionId = snapshot.id
+    this.store.setState({ modified: true })
+
+    Toast.success(`Restored ${snapshot.fileName || 'previous session'}`)
+  }
+
   /**
    * Handle tab switching
    * @param {string} tab - Tab name ('editor', 'viewer', or 'converter')
@@ -345,6 +1051,7 @@ class App {
     this.elements.nameEditorSection.style.display = isEditor ? 'block' : 'none'
     this.elements.selectedListSection.style.display = isEditor ? 'flex' : 'none'
     this.elements.editorTagsSection.style.display = isEditor ? 'block' : 'none'
+    this.elements.historySection.style.display = isEditor ? 'block' : 'none'
 
     // Show/hide viewer-only sections
     this.elements.filterSection.style.display =
@@ -355,20 +1062,62 @@ class App {
     this.elements.loadBtn.style.pointerEvents = isMapMode ? 'auto' : 'none'
     this.elements.saveBtn.style.visibility = isEditor ? 'visible' : 'hidden'
     this.elements.saveBtn.style.pointerEvents = isEditor ? 'auto' : 'none'
+    this.elements.saveProjectBtn.style.visibility = isMapMode
+      ? 'visible'
+      : 'hidden'
+    this.elements.saveProjectBtn.style.pointerEvents = isMapMode
+      ? 'auto'
+      : 'none'
+    this.elements.copyLinkBtn.style.visibility = isMapMode
+      ? 'visible'
+      : 'hidden'
+    this.elements.copyLinkBtn.style.pointerEvents = isMapMode ? 'auto' : 'none'
+    this.elements.toggleTableBtn.style.visibility = isEditor
+      ? 'visible'
+      : 'hidden'
+    this.elements.toggleTableBtn.style.pointerEvents = isEditor
+      ? 'auto'
+      : 'none'
+    this.elements.exportImageBtn.style.visibility = isMapMode
+      ? 'visible'
+      : 'hidden'
+    this.elements.exportImageBtn.style.pointerEvents = isMapMode
+      ? 'auto'
+      : 'none'
+    this.elements.exportGeoJSONBtn.style.visibility = isMapMode
+      ? 'visible'
+      : 'hidden'
+    this.elements.exportGeoJSONBtn.style.pointerEvents = isMapMode
+      ? 'auto'
+      : 'none'
+    this.elements.exportTableBtn.style.visibility = isMapMode
+      ? 'visible'
+      : 'hidden'
+    this.elements.exportTableBtn.style.pointerEvents = isMapMode
+      ? 'auto'
+      : 'none'
+    this.elements.exportHtmlBtn.style.visibility = isMapMode
+      ? 'visible'
+      : 'hidden'
+    this.elements.exportHtmlBtn.style.pointerEvents = isMapMode
+      ? 'auto'
+      : 'none'
 
     // Clear paint mode and highlights when switching modes
     if (!isEditor) {
       this.store.setEditorPaintTag(null)
       this.store.clearHighlightedRegions()
     }
+
+    // Search matches stay highlighted in both map modes
+    this.searchResults.highlight()
   }
 
   /**
    * Handle apply tag button
    */
   handleApplyTag() {
-    const key = this.elements.tagKeyInput.value.trim()
-    const value = this.elements.tagValueInput.value.trim()
+    const { key, value, error } = this.tagInputs.read()
     const selectedRegions = this.store.getState('selectedRegions')
 
     if (selectedRegions.size === 0) {
@@ -388,14 +1137,126 @@ class App {
       return
     }
 
+    if (error) {
+      Toast.error(error)
+      this.elements.tagValueInput.focus()
+      return
+    }
+
     const indices = Array.from(selectedRegions)
     this.store.addTagToRegions(indices, key, value)
 
     Toast.success(`Added ${key}="${value}" to ${indices.length} region(s)`)
 
     // Clear inputs
-    this.elements.tagKeyInput.value = ''
-    this.elements.tagValueInput.value = ''
+    this.tagInputs.clear()
+  }
+
+  /**
+   * Handle editing the tag schema
+   */
+  async handleEditSchema() {
+    if (this.store.getState('regions').length === 0) {
+      Toast.error('Load a map before editing the tag schema')
+      return
+    }
+
+    const result = await TagSchemaDialog.show({
+      schema: this.store.getState('tagSchema'),
+      tags: this.store.getState('tags'),
+    })
+    if (!result) return
+
+    this.store.setTagSchema(result.schema)
+    Toast.success(
+      result.schema
+        ? `Saved schema with ${Object.keys(result.schema.keys).length} key(s)`
+        : 'Removed the tag schema'
+    )
+  }
+
+  /**
+   * Handle checking all regions against the tag schema
+   */
+  async handleValidateSchema() {
+    const schema = this.store.getState('tagSchema')
+    if (!schema) {
+      Toast.info('Define a tag schema first')
+      this.handleEditSchema()
+      return
+    }
+
+    const regions = this.store.getState('regions')
+    const issues = TagSchema.validate(regions, schema)
+    const defaults = TagSchema.getDefaultAssignments(issues, schema)
+
+    const result = await TagSchemaDialog.showReport({
+      issues,
+      regions,
+      defaultCount: defaults.length,
+    })
+    if (!result) return
+
+    if (result.action === 'defaults') {
+      this.store.setRegionTags(
+        defaults,
+        `Fill ${defaults.length} schema default(s)`
+      )
+      Toast.success(`Filled ${defaults.length} default value(s)`)
+    } else if (result.action === 'select') {
+      this.store.setSelection(issues.map((issue) => issue.index))
+      this.mapRenderer.viewport.zoomToSelection()
+    } else if (result.action === 'show') {
+      this.store.setSelection([result.index])
+      this.store.setActiveRegion(result.index)
+      this.mapRenderer.viewport.zoomToSelection()
+    }
+  }
+
+  /**
+   * Handle joining a CSV/TSV table onto regions as tags
+   */
+  async handleJoinData() {
+    const regions = this.store.getState('regions')
+    if (regions.length === 0) {
+      Toast.error('Load a map before joining data')
+      return
+    }
+
+    try {
+      const file = await FileService.selectFile(
+        '.csv,.tsv,.txt,text/csv,text/tab-separated-values'
+      )
+      const text = await FileService.readAsText(file)
+      const delimiter =
+        FileService.getExtension(file.name) === 'tsv' ? '\t' : undefined
+      const table = CSV.parse(text, delimiter)
+
+      if (table.rows.length === 0) {
+        Toast.error('The table has no data rows')
+        return
+      }
+
+      const result = await DataJoinDialog.show({
+        fileName: file.name,
+        table,
+        regions,
+        tags: this.store.getState('tags'),
+      })
+      if (!result) return
+
+      this.store.setRegionTags(
+        result.assignments,
+        `Join ${file.name} (${result.regionCount} regions)`
+      )
+
+      Toast.success(
+        `Applied ${result.assignments.length} tag value(s) to ${result.regionCount} region(s)`
+      )
+    } catch (error) {
+      console.error('Data join failed:', error)
+      Toast.error(error.message)
+    }
   }
 
   /**
@@ -454,19 +1315,40 @@ class App {
     }
   }
 
+  /**
+   * Handle global keyboard shortcuts
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeyDown(e) {
+    if (this.store.getState('mode') !== 'editor') return
+    if (!(e.ctrlKey || e.metaKey)) return
+
+    // Let text fields keep their native undo
+    const target = e.target
+    if (
+      target.isContentEditable ||
+      ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+    ) {
+      return
+    }
+
+    const key = e.key.toLowerCase()
+
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault()
+      this.store.undo()
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault()
+      this.store.redo()
+    }
+  }
+
   /**
    * Handle search input
    * @param {string} query - Search query
    */
   handleSearch(query) {
-    const mode = this.store.getState('mode')
-
-    if (mode === 'viewer') {
-      this.store.setSearchQuery(query)
-    } else {
-      // In editor mode, search through selected regions
-      // (Could implement highlighting matching regions)
-    }
+    this.store.setSearchQuery(query)
   }
 
   /**
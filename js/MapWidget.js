@@ -0,0 +1,424 @@
+/**
+ * MapWidget - Embeddable map viewer
+ * Mounts a map on any container element and exposes a small API for
+ * driving it from the host page. See EMBED_DOCS.md
+ */
+
+class MapWidget extends EventEmitter {
+  static DEFAULTS = {
+    svg: null, // SVG markup
+    url: null, // URL of an SVG file, used when svg is not given
+    colorTag: null, // Tag to color regions by; '' for no coloring
+    filters: null, // { tag: value or [values] } shown regions
+    query: '', // Filter query, e.g. 'pop>10k AND NOT coastal'
+    readOnly: true, // When false, setTags() may change region tags
+  }
+
+  /**
+   * Create a widget and load its map
+   * @param {HTMLElement|string} container - Element or selector to mount on
+   * @param {Object} options - See DEFAULTS
+   * @returns {Promise<MapWidget>} Widget once the map is shown
+   */
+  static async mount(container, options = {}) {
+    const widget = new MapWidget(container, options)
+    if (widget.options.svg || widget.options.url) {
+      await widget.load(widget.options)
+    }
+    return widget
+  }
+
+  /**
+   * Create a MapWidget
+   * @param {HTMLElement|string} container - Element or selector to mount on
+   * @param {Object} options - See DEFAULTS
+   */
+  constructor(container, options = {}) {
+    super()
+
+    this.container =
+      typeof container === 'string' ? DOM.$(container) : container
+    if (!this.container) {
+      throw new Error('Map widget container not found')
+    }
+
+    this.options = { ...MapWidget.DEFAULTS, ...options }
+    this.store = new Store()
+    this.store.setState({ mode: 'viewer' })
+
+    this.container.classList.add('map-widget')
+    this.placeholder = DOM.createElement(
+      'div',
+      { className: 'map-placeholder' },
+      'Loading map…'
+    )
+    this.svgContainer = DOM.createElement('div', { className: 'map-svg' })
+    this.mapContainer = DOM.createElement(
+      'div',
+      { className: 'map-container' },
+      [this.placeholder, this.svgContainer]
+    )
+    this.container.appendChild(this.mapContainer)
+
+    this.renderer = new MapRenderer(
+      this.store,
+      this.mapContainer,
+      this.svgContainer,
+      this.placeholder
+    )
+    this.hoveredIndex = null
+
+    this.bindEvents()
+  }
+
+  /**
+   * Forward store and DOM events as widget events
+   */
+  bindEvents() {
+    // The renderer only recolors by filters in viewer mode
+    this.store.on('colorTag:changed', () => this.renderer.applyFilterColors())
+    this.store.on('tags:extracted', () => this.renderer.applyFilterColors())
+
+    this.store.on('region:active', (index) => {
+      this.emit('region:select', index === null ? null : this.toInfo(index))
+    })
+    this.store.on('filters:changed', () => {
+      this.emit('filters:change', this.getFilterState())
+    })
+
+    // Capture, since region listeners stop propagation
+    this.svgContainer.addEventListener(
+      'click',
+      (e) => {
+        // Clicks that end a pan are cancelled by the viewport
+        if (e.defaultPrevented) return
+        const index = this.getRegionIndex(e.target)
+        if (index !== null) this.emit('region:click', this.toInfo(index), e)
+      },
+      true
+    )
+
+    this.svgContainer.addEventListener('mouseover', (e) => {
+      const index = this.getRegionIndex(e.target)
+      if (index === this.hoveredIndex) return
+      this.hoveredIndex = index
+      this.emit('region:hover', index === null ? null : this.toInfo(index), e)
+    })
+    this.svgContainer.addEventListener('mouseleave', (e) => {
+      if (this.hoveredIndex === null) return
+      this.hoveredIndex = null
+      this.emit('region:hover', null, e)
+    })
+  }
+
+  /**
+   * Load and show a map
+   * @param {Object} source - { svg } markup or { url } of an SVG file
+   * @returns {Promise<void>} Resolves once the map is shown
+   * @throws {Error} When the SVG can't be fetched or parsed
+   */
+  async load({ svg, url } = {}) {
+    const content = svg || (url ? await FileService.loadFromURL(url) : null)
+    if (!content) {
+      throw new Error('Pass svg markup or a url to load')
+    }
+
+    const parsed = SVGParser.parse(content)
+    if (parsed.error) {
+      throw new Error(parsed.error)
+    }
+
+    this.store.reset()
+    this.store.setState({
+      fileName: url || '',
+      svgContent: content,
+      sourceSvgContent: content,
+    })
+    this.renderer.render()
+
+    const { colorTag, filters, query } = this.options
+    if (colorTag !== null) this.setColorTag(colorTag)
+    if (filters || query) {
+      const include = new Map()
+      Object.entries(filters || {}).forEach(([tag, values]) => {
+        include.set(MapWidget.toTagKey(tag), MapWidget.toValues(values))
+      })
+      this.store.setFilters({
+        include,
+        exclude: new Map(),
+        ranges: new Map(),
+        query: MapWidget.checkQuery(query),
+      })
+    }
+
+    this.renderer.applyFilterColors()
+    this.emit('load', { regionCount: this.store.getState('regions').length })
+  }
+
+  /**
+   * Color regions by a tag
+   * @param {string} tag - Tag name, with or without data-; '' for no coloring
+   * @throws {Error} When no region has the tag
+   */
+  setColorTag(tag) {
+    const tagKey = tag ? MapWidget.toTagKey(tag) : ''
+    if (tagKey && !this.store.getState('tags').has(tagKey)) {
+      throw new Error(`No region has the tag "${tag}"`)
+    }
+    this.store.setColorTag(tagKey)
+  }
+
+  /**
+   * Show only regions with one of the given values of a tag
+   * @param {string} tag - Tag name, with or without data-
+   * @param {string|Array<string>|null} values - Values to show; null or [] clears the tag's filter
+   */
+  setFilter(tag, values) {
+    const state = this.store.getState()
+    const include = new Map(state.activeFilters)
+    const tagKey = MapWidget.toTagKey(tag)
+
+    const set = MapWidget.toValues(values)
+    if (set.size > 0) {
+      include.set(tagKey, set)
+    } else {
+      include.delete(tagKey)
+    }
+
+    this.store.setFilters({
+      include,
+      exclude: state.excludedFilters,
+      ranges: state.rangeFilters,
+      query: state.filterQuery,
+    })
+  }
+
+  /**
+   * Filter regions with a query, see FilterQuery for the syntax
+   * @param {string} query - Query text; '' clears it
+   * @throws {Error} When the query doesn't parse
+   */
+  setQuery(query) {
+    this.store.setFilterQuery(MapWidget.checkQuery(query))
+  }
+
+  /**
+   * Remove all filters
+   */
+  clearFilters() {
+    this.store.clearFilters()
+  }
+
+  /**
+   * Highlight regions
+   * @param {string|Array<string>} ids - Region id(s); [] clears the highlight
+   */
+  highlight(ids) {
+    const wanted = new Set([].concat(ids || []))
+    this.store.setHighlightedRegions(
+      this.store
+        .getState('regions')
+        .filter((region) => wanted.has(region.id))
+        .map((region) => region.index)
+    )
+  }
+
+  /**
+   * Select a region as if it was clicked
+   * @param {string|null} id - Region id, or null to clear the selection
+   * @returns {Object|null} Selected region info
+   * @throws {Error} When no region has the id
+   */
+  selectRegion(id) {
+    if (id === null) {
+      this.store.setActiveRegion(null)
+      return null
+    }
+
+    const region = this.findRegion(id)
+    this.store.setActiveRegion(region.index)
+    return this.toInfo(region.index)
+  }
+
+  /**
+   * Get a region
+   * @param {string} id - Region id
+   * @returns {Object|null} { id, name, description, tags } or null
+   */
+  getRegion(id) {
+    const region = this.store
+      .getState('regions')
+      .find((candidate) => candidate.id === id)
+    return region ? this.toInfo(region.index) : null
+  }
+
+  /**
+   * Get all regions
+   * @param {Object} options - { matching: true } for regions passing the filters only
+   * @returns {Array<Object>} Region info objects
+   */
+  getRegions({ matching = false } = {}) {
+    const filter = RegionFilter.compile(this.store.getState())
+    return this.store
+      .getState('regions')
+      .filter((region) => !matching || RegionFilter.matches(region, filter))
+      .map((region) => this.toInfo(region.index))
+  }
+
+  /**
+   * Set tags on a region
+   * @param {string} id - Region id
+   * @param {Object} tags - { tag: value }; a null or '' value removes the tag
+   * @throws {Error} When the widget is read-only or no region has the id
+   */
+  setTags(id, tags) {
+    if (this.options.readOnly) {
+      throw new Error('This map is read-only')
+    }
+
+    const region = this.findRegion(id)
+    const assignments = Object.entries(tags).map(([tag, value]) => ({
+      index: region.index,
+      key: MapWidget.toTagKey(tag),
+      value:
+        value === null || value === undefined || value === ''
+          ? null
+          : String(value),
+    }))
+    if (assignments.length === 0) return
+
+    this.store.setRegionTags(assignments, `Set tags on ${region.id}`)
+    this.renderer.applyFilterColors()
+  }
+
+  /**
+   * Get the SVG with its current tags
+   * @returns {string} SVG markup
+   */
+  getSVG() {
+    return this.renderer.getSVGContent()
+  }
+
+  /**
+   * Remove the widget from its container
+   */
+  destroy() {
+    this.emit('destroy')
+    this.removeAllListeners()
+    this.store.removeAllListeners()
+    this.mapContainer.remove()
+    this.container.classList.remove('map-widget')
+  }
+
+  /**
+   * Find a region by id
+   * @param {string} id - Region id
+   * @returns {Object} Region
+   * @throws {Error} When no region has the id
+   */
+  findRegion(id) {
+    const region = this.store
+      .getState('regions')
+      .find((candidate) => candidate.id === id)
+    if (!region) {
+      throw new Error(`No region with id "${id}"`)
+    }
+    return region
+  }
+
+  /**
+   * Get the index of the region an element belongs to
+   * @param {Element} target - Event target
+   * @returns {number|null} Region index
+   */
+  getRegionIndex(target) {
+    const path = target.closest && target.closest('path.region')
+    if (!path) return null
+
+    const index = Array.from(
+      this.svgContainer.querySelectorAll('path.region')
+    ).indexOf(path)
+    return index === -1 ? null : index
+  }
+
+  /**
+   * Describe a region for the host page
+   * @param {number} index - Region index
+   * @returns {Object} { id, name, description, tags }
+   */
+  toInfo(index) {
+    const region = this.store.getRegion(index)
+    const tags = {}
+    SVGParser.extractTags(region.element).forEach((tag) => {
+      tags[tag.key] = tag.value
+    })
+
+    return {
+      id: region.id,
+      name: region.name,
+      description: region.description,
+      tags,
+    }
+  }
+
+  /**
+   * Describe the current filters for the host page
+   * @returns {Object} { filters: { tag: [values] }, query, matching }
+   */
+  getFilterState() {
+    const state = this.store.getState()
+    const filters = {}
+    state.activeFilters.forEach((values, tagKey) => {
+      if (values.size > 0) {
+        filters[tagKey.replace(/^data-/, '')] = Array.from(values)
+      }
+    })
+
+    return {
+      filters,
+      query: state.filterQuery,
+      matching: this.getRegions({ matching: true }).length,
+    }
+  }
+
+  /**
+   * Get the full tag key for a tag name
+   * @param {string} tag - Tag name, with or without data-
+   * @returns {string} Tag key
+   */
+  static toTagKey(tag) {
+    return tag.startsWith('data-') ? tag : `data-${tag}`
+  }
+
+  /**
+   * Read filter values given as a value or a list
+   * @param {string|Array<string>|null} values - Values
+   * @returns {Set<string>} Values as strings
+   */
+  static toValues(values) {
+    return new Set(
+      []
+        .concat(values === null || values === undefined ? [] : values)
+        .map(String)
+    )
+  }
+
+  /**
+   * Validate a filter query
+   * @param {string} query - Query text
+   * @returns {string} Trimmed query
+   * @throws {Error} When the query doesn't parse
+   */
+  static checkQuery(query) {
+    const text = (query || '').trim()
+    FilterQuery.parse(text)
+    return text
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MapWidget
+} else {
+  window.MapWidget = MapWidget
+}
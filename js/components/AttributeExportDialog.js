@@ -0,0 +1,170 @@
+/**
+ * AttributeExportDialog Component
+ * Asks for format, delimiter, column order and rows before a table export
+ */
+
+class AttributeExportDialog {
+  /**
+   * Show the export dialog
+   * @param {Object} options - Dialog options
+   * @param {Array<Object>} options.columns - Columns from AttributeTable.getColumns
+   * @param {number} options.regionCount - Number of regions
+   * @param {Object} options.defaults - Initial values
+   * @returns {Promise<Object|null>} { format, delimiter, order, hidden, includeUntagged } or null if cancelled
+   */
+  static show({ columns, regionCount, defaults = {} }) {
+    const settings = {
+      format: 'csv',
+      delimiter: 'comma',
+      order: [],
+      hidden: [],
+      includeUntagged: true,
+      ...defaults,
+    }
+    const ordered = AttributeTable.orderColumns(columns, settings.order)
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const modal = Modal.open({
+        title: '📋 Export attribute table',
+        content: AttributeExportDialog.renderForm(settings, {
+          columns: ordered,
+          regionCount,
+        }),
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Export',
+            variant: 'primary',
+            onClick: () => {
+              const values = AttributeExportDialog.readForm(modal.body)
+              if (values.order.length === values.hidden.length) {
+                Toast.error('Choose at least one column')
+                return false
+              }
+              chosen = values
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      const form = modal.body
+      const list = DOM.$('.column-order', form)
+
+      // Move columns up and down
+      list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-move]')
+        if (!btn) return
+
+        const item = btn.closest('.column-order__item')
+        if (btn.dataset.move === 'up' && item.previousElementSibling) {
+          list.insertBefore(item, item.previousElementSibling)
+        } else if (btn.dataset.move === 'down' && item.nextElementSibling) {
+          list.insertBefore(item.nextElementSibling, item)
+        }
+      })
+
+      const update = () => {
+        DOM.$('[name="delimiter"]', form).disabled =
+          DOM.$('[name="format"]', form).value !== 'csv'
+      }
+      form.addEventListener('change', update)
+      update()
+    })
+  }
+
+  /**
+   * Render the export form
+   * @param {Object} settings - Initial values
+   * @param {Object} info - { columns, regionCount }
+   * @returns {string} HTML string
+   */
+  static renderForm(settings, { columns, regionCount }) {
+    const options = (entries, selected) =>
+      Object.entries(entries)
+        .map(
+          ([key, info]) =>
+            `<option value="${key}" ${key === selected ? 'selected' : ''}>${
+              info.label
+            }</option>`
+        )
+        .join('')
+
+    const columnItems = columns
+      .map(
+        (column) => `
+          <li class="column-order__item" data-key="${Helpers.escapeHtml(
+            column.key
+          )}">
+            <label class="checkbox-control">
+              <input type="checkbox" ${
+                settings.hidden.includes(column.key) ? '' : 'checked'
+              }>
+              <span class="checkbox-control__label">${Helpers.escapeHtml(
+                column.label
+              )}</span>
+            </label>
+            <button type="button" class="btn btn--xs btn--ghost" data-move="up" title="Move up">↑</button>
+            <button type="button" class="btn btn--xs btn--ghost" data-move="down" title="Move down">↓</button>
+          </li>`
+      )
+      .join('')
+
+    return `
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Format</label>
+          <select class="form-select" name="format">
+            ${options(AttributeTable.FORMATS, settings.format)}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Delimiter</label>
+          <select class="form-select" name="delimiter">
+            ${options(AttributeTable.DELIMITERS, settings.delimiter)}
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Columns</label>
+        <ul class="column-order">${columnItems}</ul>
+      </div>
+      <label class="checkbox-control">
+        <input type="checkbox" name="includeUntagged" ${
+          settings.includeUntagged ? 'checked' : ''
+        }>
+        <span class="checkbox-control__label">Include untagged regions (${regionCount} regions in total)</span>
+      </label>
+    `
+  }
+
+  /**
+   * Read the current form values
+   * @param {HTMLElement} form - Dialog body
+   * @returns {Object} { format, delimiter, order, hidden, includeUntagged }
+   */
+  static readForm(form) {
+    const field = (name) => DOM.$(`[name="${name}"]`, form)
+    const items = DOM.$$('.column-order__item', form)
+
+    return {
+      format: field('format').value,
+      delimiter: field('delimiter').value,
+      order: items.map((item) => item.dataset.key),
+      hidden: items
+        .filter((item) => !DOM.$('input[type="checkbox"]', item).checked)
+        .map((item) => item.dataset.key),
+      includeUntagged: field('includeUntagged').checked,
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AttributeExportDialog
+} else {
+  window.AttributeExportDialog = AttributeExportDialog
+}
@@ -0,0 +1,592 @@
+/**
+ * AttributeTableView Component
+ * Spreadsheet view of all regions with sortable, filterable and editable tag columns
+ * Only the rows in view are rendered so large maps stay responsive
+ */
+
+class AttributeTableView {
+  static ROW_HEIGHT = 28
+  static OVERSCAN = 8
+  static INDEX_WIDTH = 64
+  static COLUMN_WIDTH = 150
+
+  // Columns that can't be edited inline
+  static READ_ONLY = ['index', 'id']
+
+  /**
+   * Create an AttributeTableView component
+   * @param {Store} store - Application store
+   * @param {HTMLElement} container - Panel element
+   * @param {HTMLElement} toggleButton - Button that opens and closes the table
+   */
+  constructor(store, container, toggleButton) {
+    this.store = store
+    this.container = container
+    this.toggleButton = toggleButton
+
+    this.visible = false
+    this.columns = []
+    this.rows = [] // { index, values } per region
+    this.view = [] // rows after filtering and sorting
+    this.sort = { key: null, direction: 1 }
+    this.filters = new Map() // column key -> filter text
+    this.anchor = null // row index for shift-click ranges
+    this.editor = null // { input, index, column }
+    this.frame = null
+    this.refreshPending = false
+
+    this.collator = new Intl.Collator(undefined, {
+      numeric: true,
+      sensitivity: 'base',
+    })
+
+    this.build()
+    this.bindEvents()
+  }
+
+  /**
+   * Create the panel structure
+   */
+  build() {
+    this.container.innerHTML = `
+      <div class="attr-table__toolbar">
+        <span class="attr-table__title">📑 Attribute Table</span>
+        <span class="attr-table__count"></span>
+        <button class="btn btn--xs btn--outline" data-action="clear-filters">Clear filters</button>
+        <button class="btn btn--xs btn--outline" data-action="select-visible"
+                title="Select the rows matching the filters">Select rows</button>
+        <button class="btn btn--icon btn--danger" data-action="close" title="Close">×</button>
+      </div>
+      <div class="attr-table__scroll">
+        <div class="attr-table__header"></div>
+        <div class="attr-table__body"></div>
+      </div>
+    `
+
+    this.countElement = DOM.$('.attr-table__count', this.container)
+    this.scrollElement = DOM.$('.attr-table__scroll', this.container)
+    this.headerElement = DOM.$('.attr-table__header', this.container)
+    this.bodyElement = DOM.$('.attr-table__body', this.container)
+  }
+
+  /**
+   * Bind store and DOM events
+   */
+  bindEvents() {
+    const refresh = () => this.scheduleRefresh()
+    this.store.on('regions:loaded', refresh)
+    this.store.on('tags:extracted', refresh)
+    this.store.on('region:updated', refresh)
+    this.store.on('history:applied', refresh)
+    this.store.on('selection:changed', () => this.scheduleRender())
+    this.store.on('region:active', (index) => {
+      this.scheduleRender()
+      if (index !== null) this.scrollToRegion(index)
+    })
+    this.store.on('change:mode', (mode) => {
+      if (mode !== 'editor') this.hide()
+    })
+    this.store.on('reset', () => {
+      this.filters.clear()
+      this.sort = { key: null, direction: 1 }
+      this.hide()
+    })
+
+    this.scrollElement.addEventListener('scroll', () => this.scheduleRender())
+
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => this.toggle())
+    }
+
+    DOM.delegate(this.container, 'click', '[data-action]', (e, btn) => {
+      if (btn.dataset.action === 'close') this.hide()
+      if (btn.dataset.action === 'clear-filters') this.clearFilters()
+      if (btn.dataset.action === 'select-visible') {
+        this.store.setSelection(this.view.map((row) => row.index))
+      }
+    })
+
+    DOM.delegate(this.headerElement, 'click', '[data-sort]', (e, btn) =>
+      this.toggleSort(btn.dataset.sort)
+    )
+
+    this.headerElement.addEventListener(
+      'input',
+      Helpers.debounce((e) => {
+        const key = e.target.dataset.filter
+        if (key === undefined) return
+
+        const text = e.target.value.trim()
+        if (text) {
+          this.filters.set(key, text)
+        } else {
+          this.filters.delete(key)
+        }
+        this.applyView()
+      }, 150)
+    )
+
+    this.bodyElement.addEventListener('click', (e) => this.handleRowClick(e))
+    this.bodyElement.addEventListener('dblclick', (e) => {
+      const cell = e.target.closest('.attr-table__cell')
+      if (cell) this.startEdit(cell)
+    })
+  }
+
+  // ============================================
+  // Visibility
+  // ============================================
+
+  /**
+   * Show the table
+   */
+  show() {
+    this.visible = true
+    this.container.style.display = 'flex'
+    this.refresh()
+    if (this.toggleButton) this.toggleButton.classList.add('active')
+  }
+
+  /**
+   * Hide the table
+   */
+  hide() {
+    if (!this.visible) return
+
+    this.cancelEdit()
+    this.visible = false
+    this.container.style.display = 'none'
+    if (this.toggleButton) this.toggleButton.classList.remove('active')
+  }
+
+  /**
+   * Toggle the table
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide()
+    } else {
+      this.show()
+    }
+  }
+
+  // ============================================
+  // Data
+  // ============================================
+
+  /**
+   * Refresh on the next frame, once for a burst of store events
+   */
+  scheduleRefresh() {
+    if (!this.visible || this.refreshPending) return
+    this.refreshPending = true
+    requestAnimationFrame(() => {
+      this.refreshPending = false
+      this.refresh()
+    })
+  }
+
+  /**
+   * Rebuild columns and row values from the regions
+   */
+  refresh() {
+    if (!this.visible) return
+
+    this.columns = AttributeTable.getColumns(this.store.getState('tags'))
+    const regions = this.store.getState('regions')
+    this.rows = regions.map((region) => ({
+      index: region.index,
+      values: this.columns.map((column) =>
+        AttributeTable.getValue(region, column)
+      ),
+    }))
+
+    // Forget filters and sorting on columns that no longer exist
+    const keys = new Set(this.columns.map((column) => column.key))
+    this.filters.forEach((_, key) => {
+      if (!keys.has(key)) this.filters.delete(key)
+    })
+    if (this.sort.key && !keys.has(this.sort.key)) {
+      this.sort = { key: null, direction: 1 }
+    }
+
+    this.renderHeader()
+    this.applyView()
+  }
+
+  /**
+   * Filter and sort the rows, then render
+   */
+  applyView() {
+    const filters = Array.from(this.filters.entries()).map(([key, text]) => ({
+      column: this.columns.findIndex((c) => c.key === key),
+      text: text.toLowerCase(),
+    }))
+
+    this.view = this.rows.filter((row) =>
+      filters.every(({ column, text }) => {
+        const value = row.values[column]
+        return value !== null && String(value).toLowerCase().includes(text)
+      })
+    )
+
+    const sortColumn = this.columns.findIndex((c) => c.key === this.sort.key)
+    if (sortColumn !== -1) {
+      const direction = this.sort.direction
+      this.view.sort((a, b) => {
+        const va = a.values[sortColumn]
+        const vb = b.values[sortColumn]
+
+        // Empty cells always go last
+        if (va === null || va === '') return vb === null || vb === '' ? 0 : 1
+        if (vb === null || vb === '') return -1
+        return this.collator.compare(String(va), String(vb)) * direction
+      })
+    }
+
+    this.countElement.textContent =
+      this.view.length === this.rows.length
+        ? `${this.rows.length} rows`
+        : `${this.view.length} of ${this.rows.length} rows`
+
+    this.bodyElement.style.height = `${
+      this.view.length * AttributeTableView.ROW_HEIGHT
+    }px`
+    this.renderRows()
+  }
+
+  /**
+   * Cycle a column through ascending, descending and unsorted
+   * @param {string} key - Column key
+   */
+  toggleSort(key) {
+    if (this.sort.key !== key) {
+      this.sort = { key, direction: 1 }
+    } else if (this.sort.direction === 1) {
+      this.sort = { key, direction: -1 }
+    } else {
+      this.sort = { key: null, direction: 1 }
+    }
+
+    this.renderHeader()
+    this.applyView()
+  }
+
+  /**
+   * Remove all column filters
+   */
+  clearFilters() {
+    this.filters.clear()
+    DOM.$$('[data-filter]', this.headerElement).forEach((input) => {
+      input.value = ''
+    })
+    this.applyView()
+  }
+
+  // ============================================
+  // Rendering
+  // ============================================
+
+  /**
+   * Get the grid column widths
+   * @returns {Array<number>} Widths in pixels
+   */
+  getColumnWidths() {
+    return this.columns.map((column) =>
+      column.key === 'index'
+        ? AttributeTableView.INDEX_WIDTH
+        : AttributeTableView.COLUMN_WIDTH
+    )
+  }
+
+  /**
+   * Render sortable column headers with filter inputs
+   */
+  renderHeader() {
+    const widths = this.getColumnWidths()
+    this.container.style.setProperty(
+      '--attr-table-columns',
+      widths.map((w) => `${w}px`).join(' ')
+    )
+    this.container.style.setProperty(
+      '--attr-table-width',
+      `${widths.reduce((sum, w) => sum + w, 0)}px`
+    )
+
+    this.headerElement.innerHTML = ''
+    this.columns.forEach((column) => {
+      let arrow = ''
+      if (this.sort.key === column.key) {
+        arrow = this.sort.direction === 1 ? ' ▲' : ' ▼'
+      }
+
+      const sortBtn = DOM.createElement(
+        'button',
+        {
+          className: 'attr-table__sort',
+          title: `Sort by ${column.label}`,
+        },
+        `${column.label}${arrow}`
+      )
+      sortBtn.dataset.sort = column.key
+
+      const filter = DOM.createElement('input', {
+        type: 'text',
+        className: 'attr-table__filter',
+        placeholder: 'Filter…',
+      })
+      filter.dataset.filter = column.key
+      filter.value = this.filters.get(column.key) || ''
+
+      const cell = DOM.createElement(
+        'div',
+        { className: 'attr-table__heading' },
+        [sortBtn, filter]
+      )
+      if (column.tagKey) cell.classList.add('is-tag')
+      this.headerElement.appendChild(cell)
+    })
+  }
+
+  /**
+   * Render on the next frame
+   */
+  scheduleRender() {
+    if (!this.visible || this.frame) return
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null
+      this.renderRows()
+    })
+  }
+
+  /**
+   * Render the rows currently in view
+   */
+  renderRows() {
+    if (!this.visible) return
+
+    const rowHeight = AttributeTableView.ROW_HEIGHT
+    const overscan = AttributeTableView.OVERSCAN
+    const top = this.scrollElement.scrollTop - this.bodyElement.offsetTop
+    const height = this.scrollElement.clientHeight
+
+    const first = Math.max(0, Math.floor(top / rowHeight) - overscan)
+    const last = Math.min(
+      this.view.length,
+      Math.ceil((top + height) / rowHeight) + overscan
+    )
+
+    const selected = this.store.getState('selectedRegions')
+    const activeRegion = this.store.getState('activeRegion')
+
+    let html = ''
+    for (let position = first; position < last; position++) {
+      const row = this.view[position]
+      const classes = ['attr-table__row']
+      if (selected.has(row.index)) classes.push('is-selected')
+      if (row.index === activeRegion) classes.push('is-active')
+
+      const cells = row.values
+        .map((value, i) => {
+          const text = value === null ? '' : Helpers.escapeHtml(String(value))
+          return `<div class="attr-table__cell" data-column="${i}">${text}</div>`
+        })
+        .join('')
+
+      html += `<div class="${classes.join(' ')}" data-index="${
+        row.index
+      }" style="top: ${position * rowHeight}px">${cells}</div>`
+    }
+
+    // Keep an open editor: it lives in the body, not in a row
+    DOM.$$('.attr-table__row', this.bodyElement).forEach((el) => el.remove())
+    this.bodyElement.insertAdjacentHTML('afterbegin', html)
+  }
+
+  /**
+   * Scroll a region's row into view
+   * @param {number} index - Region index
+   */
+  scrollToRegion(index) {
+    if (!this.visible) return
+
+    const position = this.view.findIndex((row) => row.index === index)
+    if (position === -1) return
+
+    const rowHeight = AttributeTableView.ROW_HEIGHT
+    const rowTop = this.bodyElement.offsetTop + position * rowHeight
+    const { scrollTop, clientHeight } = this.scrollElement
+    const headerHeight = this.headerElement.offsetHeight
+
+    if (
+      rowTop < scrollTop + headerHeight ||
+      rowTop + rowHeight > scrollTop + clientHeight
+    ) {
+      this.scrollElement.scrollTop = rowTop - clientHeight / 2
+    }
+  }
+
+  // ============================================
+  // Selection
+  // ============================================
+
+  /**
+   * Select rows like a file list: click, Ctrl/Cmd+click and Shift+click
+   * @param {MouseEvent} e - Click event
+   */
+  handleRowClick(e) {
+    const rowElement = e.target.closest('.attr-table__row')
+    if (!rowElement) return
+
+    const index = parseInt(rowElement.dataset.index, 10)
+    const toggle = e.ctrlKey || e.metaKey
+
+    if (e.shiftKey && this.anchor !== null) {
+      const from = this.view.findIndex((row) => row.index === this.anchor)
+      const to = this.view.findIndex((row) => row.index === index)
+      if (from !== -1 && to !== -1) {
+        const range = this.view
+          .slice(Math.min(from, to), Math.max(from, to) + 1)
+          .map((row) => row.index)
+        this.store.setSelection(range, toggle ? 'add' : 'replace')
+        return
+      }
+    }
+
+    this.anchor = index
+    if (toggle) {
+      this.store.toggleRegionSelection(index)
+    } else {
+      this.store.setSelection([index])
+      this.store.setActiveRegion(index)
+    }
+  }
+
+  // ============================================
+  // Inline Editing
+  // ============================================
+
+  /**
+   * Open an editor over a cell
+   * @param {HTMLElement} cell - Cell element
+   */
+  startEdit(cell) {
+    const column = this.columns[parseInt(cell.dataset.column, 10)]
+    if (!column || AttributeTableView.READ_ONLY.includes(column.key)) return
+
+    this.cancelEdit()
+
+    const rowElement = cell.closest('.attr-table__row')
+    const index = parseInt(rowElement.dataset.index, 10)
+    const row = this.rows[index]
+    const value = row.values[this.columns.indexOf(column)]
+
+    const input = DOM.createElement('input', {
+      type: 'text',
+      className: 'attr-table__editor',
+    })
+    input.value = value === null ? '' : String(value)
+    input.style.top = rowElement.style.top
+    input.style.left = `${cell.offsetLeft}px`
+    input.style.width = `${cell.offsetWidth}px`
+    input.style.height = `${AttributeTableView.ROW_HEIGHT}px`
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        this.commitEdit()
+      } else if (e.key === 'Escape') {
+        e.preventDefault()
+        e.stopPropagation()
+        this.cancelEdit()
+      } else if (e.key === 'Tab') {
+        e.preventDefault()
+        this.commitEdit()
+        this.editNext(index, column, e.shiftKey ? -1 : 1)
+      }
+    })
+    input.addEventListener('blur', () => this.commitEdit())
+
+    this.editor = { input, index, column }
+    this.bodyElement.appendChild(input)
+    input.focus()
+    input.select()
+  }
+
+  /**
+   * Move the editor to the next editable cell of a row
+   * @param {number} index - Region index
+   * @param {Object} column - Current column
+   * @param {number} step - 1 for next, -1 for previous
+   */
+  editNext(index, column, step) {
+    const editable = this.columns.filter(
+      (c) => !AttributeTableView.READ_ONLY.includes(c.key)
+    )
+    const next = editable[editable.indexOf(column) + step]
+    if (!next) return
+
+    // The row may have been re-rendered by the commit
+    requestAnimationFrame(() => {
+      const cell = DOM.$(
+        `.attr-table__row[data-index="${index}"] [data-column="${this.columns.indexOf(
+          next
+        )}"]`,
+        this.bodyElement
+      )
+      if (cell) this.startEdit(cell)
+    })
+  }
+
+  /**
+   * Write the editor value through the store
+   */
+  commitEdit() {
+    if (!this.editor) return
+
+    const { input, index, column } = this.editor
+    this.editor = null
+    input.remove()
+
+    const region = this.store.getRegion(index)
+    const value = input.value.trim()
+    const current = this.rows[index].values[this.columns.indexOf(column)]
+    if (!region || value === (current === null ? '' : String(current))) return
+
+    if (column.key === 'description') {
+      this.store.updateRegionDescription(index, value)
+      return
+    }
+
+    const key = column.key === 'name' ? 'data-name' : column.tagKey
+    const error =
+      value && TagSchema.checkTag(this.store.getState('tagSchema'), key, value)
+    if (error) {
+      Toast.error(error)
+      return
+    }
+
+    this.store.setRegionTags(
+      [{ index, key, value: value || null }],
+      `Edit ${column.label} of ${region.name || region.id}`
+    )
+  }
+
+  /**
+   * Close the editor without saving
+   */
+  cancelEdit() {
+    if (!this.editor) return
+
+    const { input } = this.editor
+    this.editor = null
+    input.remove()
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AttributeTableView
+} else {
+  window.AttributeTableView = AttributeTableView
+}
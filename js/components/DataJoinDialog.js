@@ -0,0 +1,301 @@
+/**
+ * DataJoinDialog Component
+ * Matches CSV/TSV rows to regions and picks the columns to write as tags
+ */
+
+class DataJoinDialog {
+  static PREVIEW_ROWS = 8
+  static MAX_UNMATCHED_SHOWN = 20
+
+  /**
+   * Show the join dialog
+   * @param {Object} options - Dialog options
+   * @param {string} options.fileName - Table file name
+   * @param {Object} options.table - { headers, rows, delimiter } from CSV.parse
+   * @param {Array<Object>} options.regions - Regions
+   * @param {Map} options.tags - Tags from the store
+   * @returns {Promise<Object|null>} { assignments, rowCount, regionCount } or null if cancelled
+   */
+  static show({ fileName, table, regions, tags }) {
+    const regionKeys = DataJoin.getRegionKeys(tags)
+    const guess = DataJoin.guessJoin(
+      table.headers,
+      table.rows,
+      regions,
+      regionKeys
+    )
+
+    return new Promise((resolve) => {
+      let chosen = null
+      let result = null
+
+      const modal = Modal.open({
+        title: '📥 Join table data',
+        content: DataJoinDialog.renderForm({
+          fileName,
+          table,
+          regionKeys,
+          guess,
+        }),
+        size: 'lg',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Apply tags',
+            variant: 'primary',
+            onClick: () => {
+              const columns = DataJoinDialog.readColumns(
+                form,
+                settings().column
+              )
+              if (columns.length === 0) {
+                Toast.error('Choose at least one column to write')
+                return false
+              }
+
+              const assignments = DataJoin.buildAssignments(
+                result,
+                table.rows,
+                columns
+              )
+              if (assignments.length === 0) {
+                Toast.error('No matching rows with values to apply')
+                return false
+              }
+
+              chosen = {
+                assignments,
+                rowCount: result.matches.length,
+                regionCount: new Set(assignments.map((a) => a.index)).size,
+              }
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      const form = modal.body
+      const settings = () => ({
+        column: parseInt(DOM.$('[name="joinColumn"]', form).value, 10),
+        regionKey: DOM.$('[name="regionKey"]', form).value,
+        caseSensitive: DOM.$('[name="caseSensitive"]', form).checked,
+      })
+
+      const update = () => {
+        const { column, regionKey, caseSensitive } = settings()
+        result = DataJoin.match({
+          regions,
+          rows: table.rows,
+          column,
+          regionKey,
+          caseSensitive,
+        })
+
+        // The join column itself is not written as a tag
+        DOM.$$('.data-join__column', form).forEach((item) => {
+          const isJoin = parseInt(item.dataset.column, 10) === column
+          item.classList.toggle('is-join', isJoin)
+          DOM.$('input[type="checkbox"]', item).disabled = isJoin
+        })
+
+        DataJoinDialog.renderResult(form, table, result, column)
+      }
+
+      DOM.$('[name="joinColumn"]', form).addEventListener('change', update)
+      DOM.$('[name="regionKey"]', form).addEventListener('change', update)
+      DOM.$('[name="caseSensitive"]', form).addEventListener('change', update)
+      update()
+    })
+  }
+
+  /**
+   * Render the join form
+   * @param {Object} data - { fileName, table, regionKeys, guess }
+   * @returns {string} HTML string
+   */
+  static renderForm({ fileName, table, regionKeys, guess }) {
+    const { headers, rows, delimiter } = table
+    const delimiterName = delimiter === '\t' ? 'tab' : `"${delimiter}"`
+
+    const columnOptions = headers
+      .map(
+        (header, i) =>
+          `<option value="${i}" ${
+            i === guess.column ? 'selected' : ''
+          }>${Helpers.escapeHtml(header)}</option>`
+      )
+      .join('')
+
+    const keyOptions = regionKeys
+      .map(
+        ({ value, label }) =>
+          `<option value="${Helpers.escapeHtml(value)}" ${
+            value === guess.regionKey ? 'selected' : ''
+          }>${Helpers.escapeHtml(label)}</option>`
+      )
+      .join('')
+
+    const usedKeys = new Set()
+    const columnItems = headers
+      .map((header, i) => {
+        const tagName = DataJoinDialog.uniqueTagKey(
+          Helpers.toTagKey(header) || `data-column${i + 1}`,
+          usedKeys
+        )
+        return `
+          <div class="data-join__column" data-column="${i}">
+            <label class="checkbox-control">
+              <input type="checkbox" checked>
+              <span class="checkbox-control__label">${Helpers.escapeHtml(
+                header
+              )}</span>
+            </label>
+            <span class="data-join__arrow">→ data-</span>
+            <input type="text" class="form-input" value="${tagName.slice(5)}">
+          </div>`
+      })
+      .join('')
+
+    return `
+      <p class="modal__text">
+        <strong>${Helpers.escapeHtml(fileName)}</strong>:
+        ${rows.length} row${rows.length === 1 ? '' : 's'},
+        ${headers.length} column${headers.length === 1 ? '' : 's'},
+        ${delimiterName}-separated.
+      </p>
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Join column</label>
+          <select class="form-select" name="joinColumn">${columnOptions}</select>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Match against</label>
+          <select class="form-select" name="regionKey">${keyOptions}</select>
+        </div>
+      </div>
+      <label class="checkbox-control">
+        <input type="checkbox" name="caseSensitive">
+        <span class="checkbox-control__label">Case-sensitive match</span>
+      </label>
+      <p class="data-join__summary"></p>
+      <div class="form-group">
+        <label class="form-label">Columns to write as tags</label>
+        <div class="data-join__columns">${columnItems}</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Preview</label>
+        <div class="data-join__preview"></div>
+      </div>
+      <p class="data-join__unmatched"></p>
+    `
+  }
+
+  /**
+   * Render match counts, the preview table and unmatched keys
+   * @param {HTMLElement} form - Dialog body
+   * @param {Object} table - Parsed table
+   * @param {Object} result - From DataJoin.match()
+   * @param {number} column - Join column index
+   */
+  static renderResult(form, table, result, column) {
+    const { rows, headers } = table
+    const matchedRows = new Set(result.matches.map((m) => m.rowIndex))
+    const regionCount = result.matches.reduce(
+      (sum, m) => sum + m.regions.length,
+      0
+    )
+
+    const parts = [
+      `<strong>${matchedRows.size}</strong> of ${rows.length} rows match ${regionCount} region(s)`,
+      `${result.unmatchedRows.length} row(s) unmatched`,
+      `${result.unmatchedRegions.length} region(s) without data`,
+    ]
+    if (result.duplicateRows > 0) {
+      parts.push(`${result.duplicateRows} duplicate key(s), last row wins`)
+    }
+    DOM.$('.data-join__summary', form).innerHTML = parts.join(' · ')
+
+    const headerCells = headers
+      .map((header) => `<th>${Helpers.escapeHtml(header)}</th>`)
+      .join('')
+    const bodyRows = rows
+      .slice(0, DataJoinDialog.PREVIEW_ROWS)
+      .map((row, rowIndex) => {
+        const matched = matchedRows.has(rowIndex)
+        return `<tr class="${matched ? 'is-matched' : 'is-unmatched'}">
+          <td>${matched ? '✓' : '✗'}</td>
+          ${row
+            .map(
+              (cell, i) =>
+                `<td class="${
+                  i === column ? 'is-join' : ''
+                }">${Helpers.escapeHtml(cell)}</td>`
+            )
+            .join('')}
+        </tr>`
+      })
+      .join('')
+
+    DOM.$('.data-join__preview', form).innerHTML = `
+      <table class="data-table">
+        <thead><tr><th></th>${headerCells}</tr></thead>
+        <tbody>${bodyRows}</tbody>
+      </table>`
+
+    const unmatchedKeys = result.unmatchedRows
+      .slice(0, DataJoinDialog.MAX_UNMATCHED_SHOWN)
+      .map((rowIndex) => rows[rowIndex][column] || '(empty)')
+    const more = result.unmatchedRows.length - unmatchedKeys.length
+    DOM.$('.data-join__unmatched', form).textContent =
+      unmatchedKeys.length > 0
+        ? `Unmatched: ${unmatchedKeys.join(', ')}${
+            more > 0 ? ` and ${more} more` : ''
+          }`
+        : ''
+  }
+
+  /**
+   * Read the columns chosen for writing
+   * @param {HTMLElement} form - Dialog body
+   * @param {number} joinColumn - Join column index, never written
+   * @returns {Array<Object>} Array of { index, tagKey }
+   */
+  static readColumns(form, joinColumn) {
+    const usedKeys = new Set()
+    return DOM.$$('.data-join__column', form)
+      .map((item) => ({
+        index: parseInt(item.dataset.column, 10),
+        checked: DOM.$('input[type="checkbox"]', item).checked,
+        tagKey: Helpers.toTagKey(DOM.$('input[type="text"]', item).value),
+      }))
+      .filter((c) => c.checked && c.tagKey && c.index !== joinColumn)
+      .map(({ index, tagKey }) => ({
+        index,
+        tagKey: DataJoinDialog.uniqueTagKey(tagKey, usedKeys),
+      }))
+  }
+
+  /**
+   * Suffix a tag key already taken by another column, so that columns whose
+   * names only differ in punctuation don't overwrite each other
+   * @param {string} tagKey - Tag key
+   * @param {Set<string>} usedKeys - Tag keys already taken
+   * @returns {string} Unique tag key
+   */
+  static uniqueTagKey(tagKey, usedKeys) {
+    let key = tagKey
+    let suffix = 2
+    while (usedKeys.has(key)) {
+      key = `${tagKey}-${suffix++}`
+    }
+    usedKeys.add(key)
+    return key
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataJoinDialog
+} else {
+  window.DataJoinDialog = DataJoinDialog
+}
@@ -3,6 +3,7 @@
  * Displays collapsible tag groups in editor mode with ability to:
  * - Highlight all regions with a specific tag value
  * - Paint mode: click regions to add the selected tag
+ * - Rename, merge and delete tag keys and values across the map
  */
 
 class EditorTagGroups {
@@ -17,6 +18,7 @@ class EditorTagGroups {
     this.activePaintTag = null // { key: string, value: string }
 
     this.bindEvents()
+    this.attachListeners()
   }
 
   /**
@@ -26,6 +28,7 @@ class EditorTagGroups {
     this.store.on('tags:extracted', () => this.render())
     this.store.on('tags:added', () => this.render())
     this.store.on('tag:removed', () => this.render())
+    this.store.on('colorScale:changed', () => this.render())
     this.store.on('editorPaintTag:changed', (tag) => this.updatePaintTagUI(tag))
   }
 
@@ -65,6 +68,12 @@ class EditorTagGroups {
             <span class="editor-tag-group__count">${
               tagData.values.size
             } values · ${totalRegions} regions</span>
+            <div class="editor-tag-group__actions">
+              <button class="editor-tag-value__btn" data-action="rename-key"
+                      title="Rename this tag or merge it into another">✏️</button>
+              <button class="editor-tag-value__btn" data-action="delete-key"
+                      title="Delete this tag from every region">🗑️</button>
+            </div>
           </div>
           <div class="editor-tag-group__values">
             ${this.renderTagValues(tagKey, tagData, valueColors)}
@@ -74,7 +83,6 @@ class EditorTagGroups {
     })
 
     this.container.innerHTML = html
-    this.attachListeners()
 
     // Re-apply paint tag UI if one was active
     if (this.activePaintTag) {
@@ -100,14 +108,14 @@ class EditorTagGroups {
       return a[0].localeCompare(b[0])
     })
 
+    const customValueColors = this.store.getState('customValueColors')
     let html = ''
 
     sortedValues.forEach(([value, valueData]) => {
       const colorKey = `${tagKey}:${value}`
       const color = valueColors.get(colorKey) || '#999'
 
-      // Check if regions with this tag have a custom color
-      const regionColor = this.getRegionColorForTag(tagKey, value)
+      const customColor = customValueColors.get(colorKey)
 
       html += `
         <div class="editor-tag-value" 
@@ -119,6 +127,10 @@ class EditorTagGroups {
           )}</span>
           <span class="editor-tag-value__count">${valueData.count}</span>
           <div class="editor-tag-value__actions">
+            <button class="editor-tag-value__btn" data-action="rename-value"
+                    title="Rename this value or merge it with others">
+              ✏️
+            </button>
             <button class="editor-tag-value__btn editor-tag-value__btn--highlight" 
                     title="Highlight regions with this tag">
               👁️
@@ -129,7 +141,7 @@ class EditorTagGroups {
             </button>
             <input type="color" 
                    class="editor-tag-value__color-picker" 
-                   value="${regionColor || '#ffffff'}" 
+                   value="${customColor || '#ffffff'}" 
                    title="Assign color to all regions with this tag">
           </div>
         </div>
@@ -140,40 +152,29 @@ class EditorTagGroups {
   }
 
   /**
-   * Get the custom region color for a specific tag value
-   * @param {string} tagKey - Tag key
-   * @param {string} value - Tag value
-   * @returns {string|null} Color hex or null
+   * Attach delegated event listeners once; they survive re-renders
    */
-  getRegionColorForTag(tagKey, value) {
-    const tags = this.store.getState('tags')
-    const tagData = tags.get(tagKey)
-    if (!tagData) return null
-
-    const valueData = tagData.values.get(value)
-    if (!valueData || valueData.regions.length === 0) return null
-
-    // Get color from first region with this tag
-    const regions = this.store.getState('regions')
-    const firstRegionIndex = valueData.regions[0]
-    const region = regions[firstRegionIndex]
+  attachListeners() {
+    // Tag management actions
+    DOM.delegate(this.container, 'click', '[data-action]', (e, btn) => {
+      e.stopPropagation()
+      const item = btn.closest('[data-tag]')
+      const tagKey = item.dataset.tag
 
-    if (region && region.element) {
-      return region.element.getAttribute('data-region-color') || null
-    }
-    return null
-  }
+      if (btn.dataset.action === 'rename-key') this.renameKey(tagKey)
+      if (btn.dataset.action === 'delete-key') this.deleteKey(tagKey)
+      if (btn.dataset.action === 'rename-value') {
+        this.renameValue(tagKey, item.dataset.value)
+      }
+    })
 
-  /**
-   * Attach event listeners
-   */
-  attachListeners() {
     // Toggle collapse on header click
     DOM.delegate(
       this.container,
       'click',
       '.editor-tag-group__header',
       (e, header) => {
+        if (e.target.closest('[data-action]')) return
         const group = header.closest('.editor-tag-group')
         group.classList.toggle('collapsed')
       }
@@ -251,6 +252,71 @@ class EditorTagGroups {
     })
   }
 
+  /**
+   * Rename a tag key on every region, or merge it into another key
+   * @param {string} tagKey - Full tag key
+   */
+  async renameKey(tagKey) {
+    const result = await TagManageDialog.showKey({
+      tagKey,
+      tags: this.store.getState('tags'),
+      regions: this.store.getState('regions'),
+    })
+    if (!result) return
+
+    const count = this.store.renameTagKey(
+      tagKey,
+      result.toKey,
+      result.overwrite
+    )
+    Toast.success(
+      `Moved ${tagKey.replace('data-', '')} to ${result.toKey.replace(
+        'data-',
+        ''
+      )} on ${count} region(s)`
+    )
+  }
+
+  /**
+   * Delete a tag key from every region after confirmation
+   * @param {string} tagKey - Full tag key
+   */
+  async deleteKey(tagKey) {
+    const tagData = this.store.getState('tags').get(tagKey)
+    if (!tagData) return
+
+    const count = Array.from(tagData.values.values()).reduce(
+      (sum, v) => sum + v.count,
+      0
+    )
+    if (!(await TagManageDialog.confirmDelete(tagData.name, count))) return
+
+    this.store.deleteTagKey(tagKey)
+    Toast.success(`Deleted ${tagData.name} from ${count} region(s)`)
+  }
+
+  /**
+   * Rename a tag value or merge several values into one
+   * @param {string} tagKey - Full tag key
+   * @param {string} value - Value the action was started from
+   */
+  async renameValue(tagKey, value) {
+    const tagData = this.store.getState('tags').get(tagKey)
+    if (!tagData) return
+
+    const result = await TagManageDialog.showValues({ tagKey, tagData, value })
+    if (!result) return
+
+    const count = this.store.renameTagValues(
+      tagKey,
+      result.fromValues,
+      result.toValue
+    )
+    Toast.success(
+      `Set ${tagData.name}="${result.toValue}" on ${count} region(s)`
+    )
+  }
+
   /**
    * Assign a color to all regions with a specific tag value
    * @param {string} tagKey - Tag key
@@ -266,8 +332,7 @@ class EditorTagGroups {
     const valueData = tagData.values.get(value)
     if (!valueData) return
 
-    // Set color on all regions with this tag value
-    this.store.setRegionColorForTag(valueData.regions, color)
+    this.store.setValueColor(tagKey, value, color)
 
     Toast.success(
       `Assigned color ${color} to ${
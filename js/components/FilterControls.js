@@ -0,0 +1,108 @@
+/**
+ * FilterControls Component
+ * Text query input and match summary for the viewer filters
+ */
+
+class FilterControls {
+  /**
+   * Create a FilterControls component
+   * @param {Store} store - Application store
+   * @param {HTMLInputElement} queryInput - Query input element
+   * @param {HTMLElement} errorElement - Element showing query errors
+   * @param {HTMLElement} summaryElement - Element showing the match count
+   */
+  constructor(store, queryInput, errorElement, summaryElement) {
+    this.store = store
+    this.queryInput = queryInput
+    this.errorElement = errorElement
+    this.summaryElement = summaryElement
+
+    this.bindEvents()
+  }
+
+  /**
+   * Bind store and input events
+   */
+  bindEvents() {
+    this.store.on('filters:changed', () => {
+      this.syncInput()
+      this.updateSummary()
+    })
+    this.store.on('tags:extracted', () => this.updateSummary())
+
+    this.queryInput.addEventListener(
+      'input',
+      Helpers.debounce(() => this.applyQuery(), 300)
+    )
+    this.queryInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.applyQuery()
+    })
+  }
+
+  /**
+   * Apply the query when it parses, otherwise show the error
+   */
+  applyQuery() {
+    const text = this.queryInput.value.trim()
+
+    try {
+      FilterQuery.parse(text)
+    } catch (error) {
+      this.showError(error.message)
+      return
+    }
+
+    this.showError(null)
+    if (text !== this.store.getState('filterQuery')) {
+      this.store.setFilterQuery(text)
+    }
+  }
+
+  /**
+   * Show the stored query unless the user is typing one
+   */
+  syncInput() {
+    if (this.queryInput === document.activeElement) return
+
+    const query = this.store.getState('filterQuery')
+    if (this.queryInput.value.trim() !== query) {
+      this.queryInput.value = query
+      this.showError(RegionFilter.compile(this.store.getState()).error)
+    }
+  }
+
+  /**
+   * Show or clear a query error
+   * @param {string|null} message - Error message
+   */
+  showError(message) {
+    this.errorElement.textContent = message || ''
+    this.errorElement.style.display = message ? 'block' : 'none'
+    this.queryInput.classList.toggle('is-invalid', !!message)
+  }
+
+  /**
+   * Show how many regions pass the filters
+   */
+  updateSummary() {
+    const filter = RegionFilter.compile(this.store.getState())
+    const regions = this.store.getState('regions')
+
+    if (!RegionFilter.isActive(filter) || regions.length === 0) {
+      this.summaryElement.textContent = ''
+      return
+    }
+
+    const count = regions.filter((region) =>
+      RegionFilter.matches(region, filter)
+    ).length
+    this.summaryElement.textContent = `${count} of ${regions.length} regions match`
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilterControls
+} else {
+  window.FilterControls = FilterControls
+}
@@ -0,0 +1,145 @@
+/**
+ * GeoJSONExportDialog Component
+ * Asks for the coordinate output and which regions to include in a GeoJSON export
+ */
+
+class GeoJSONExportDialog {
+  static AFFINE_FIELDS = ['a', 'b', 'c', 'd', 'e', 'f']
+
+  /**
+   * Show the export dialog
+   * @param {Object} options - Dialog options
+   * @param {boolean} options.canInvert - Whether the map has projection info
+   * @param {number} options.regionCount - Number of regions on the map
+   * @param {number} options.selectedCount - Number of selected regions
+   * @param {Object} options.defaults - Initial values
+   * @returns {Promise<Object|null>} { coordinates, affine, selectedOnly } or null if cancelled
+   */
+  static show({ canInvert, regionCount, selectedCount, defaults = {} }) {
+    const settings = {
+      coordinates: canInvert ? 'projection' : 'svg',
+      affine: GeoJSONExporter.IDENTITY,
+      selectedOnly: false,
+      ...defaults,
+    }
+    if (settings.coordinates === 'projection' && !canInvert) {
+      settings.coordinates = 'svg'
+    }
+    settings.selectedOnly = settings.selectedOnly && selectedCount > 0
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const modal = Modal.open({
+        title: '🌍 Export GeoJSON',
+        content: GeoJSONExportDialog.renderForm(settings, {
+          canInvert,
+          regionCount,
+          selectedCount,
+        }),
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Export',
+            variant: 'primary',
+            onClick: () => {
+              const values = GeoJSONExportDialog.readForm(modal.body)
+              if (
+                values.coordinates === 'affine' &&
+                !values.affine.every(Number.isFinite)
+              ) {
+                Toast.error('Enter a number for each affine coefficient')
+                return false
+              }
+              chosen = values
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      const form = modal.body
+      const update = () => {
+        const { coordinates } = GeoJSONExportDialog.readForm(form)
+        DOM.$('.geojson-affine', form).style.display =
+          coordinates === 'affine' ? 'block' : 'none'
+      }
+
+      form.addEventListener('change', update)
+      update()
+    })
+  }
+
+  /**
+   * Render the export form
+   * @param {Object} settings - Initial values
+   * @param {Object} info - { canInvert, regionCount, selectedCount }
+   * @returns {string} HTML string
+   */
+  static renderForm(settings, { canInvert, regionCount, selectedCount }) {
+    const coordinateOptions = Object.entries(GeoJSONExporter.COORDINATES)
+      .map(([key, info]) => {
+        const disabled = key === 'projection' && !canInvert
+        return `<option value="${key}" ${
+          key === settings.coordinates ? 'selected' : ''
+        } ${disabled ? 'disabled' : ''}>${info.label}${
+          disabled ? ' (map was not imported from GeoJSON)' : ''
+        }</option>`
+      })
+      .join('')
+
+    const affineInputs = GeoJSONExportDialog.AFFINE_FIELDS.map(
+      (name, i) => `
+        <div class="form-group">
+          <label class="form-label">${name}</label>
+          <input type="number" class="form-input" name="affine-${name}"
+                 step="any" value="${settings.affine[i]}">
+        </div>`
+    )
+
+    return `
+      <div class="form-group">
+        <label class="form-label">Coordinates</label>
+        <select class="form-select" name="coordinates">${coordinateOptions}</select>
+      </div>
+      <div class="geojson-affine">
+        <p class="modal__text">
+          x′ = a·x + c·y + e, y′ = b·x + d·y + f, where x and y are SVG user units.
+        </p>
+        <div class="form-row">${affineInputs.slice(0, 3).join('')}</div>
+        <div class="form-row">${affineInputs.slice(3).join('')}</div>
+      </div>
+      <label class="checkbox-control">
+        <input type="checkbox" name="selectedOnly" ${
+          settings.selectedOnly ? 'checked' : ''
+        } ${selectedCount > 0 ? '' : 'disabled'}>
+        <span class="checkbox-control__label">Selected regions only (${selectedCount} of ${regionCount})</span>
+      </label>
+    `
+  }
+
+  /**
+   * Read the current form values
+   * @param {HTMLElement} form - Dialog body
+   * @returns {Object} { coordinates, affine, selectedOnly }
+   */
+  static readForm(form) {
+    const field = (name) => DOM.$(`[name="${name}"]`, form)
+
+    return {
+      coordinates: field('coordinates').value,
+      affine: GeoJSONExportDialog.AFFINE_FIELDS.map((name) =>
+        parseFloat(field(`affine-${name}`).value)
+      ),
+      selectedOnly: field('selectedOnly').checked,
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeoJSONExportDialog
+} else {
+  window.GeoJSONExportDialog = GeoJSONExportDialog
+}
@@ -0,0 +1,117 @@
+/**
+ * GeoJSONImportDialog Component
+ * Asks for projection and name/id properties before converting GeoJSON to SVG
+ */
+
+class GeoJSONImportDialog {
+  /**
+   * Show the import dialog
+   * @param {Object} options - Dialog options
+   * @param {string} options.fileName - Imported file name
+   * @param {Array<Object>} options.features - Features from GeoJSONImporter.parse
+   * @param {number} options.skipped - Number of non-polygon features ignored
+   * @returns {Promise<Object|null>} { projection, nameProperty, idProperty } or null if cancelled
+   */
+  static show({ fileName, features, skipped = 0 }) {
+    const keys = GeoJSONImporter.getPropertyKeys(features)
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const modal = Modal.open({
+        title: '🌍 Import GeoJSON',
+        content: GeoJSONImportDialog.renderForm({
+          fileName,
+          keys,
+          featureCount: features.length,
+          skipped,
+        }),
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Import',
+            variant: 'primary',
+            onClick: (handle) => {
+              const field = (name) => DOM.$(`[name="${name}"]`, handle.body)
+              chosen = {
+                projection: field('projection').value,
+                nameProperty: field('nameProperty').value,
+                idProperty: field('idProperty').value,
+              }
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+    })
+  }
+
+  /**
+   * Render the import form
+   * @param {Object} data - { fileName, keys, featureCount, skipped }
+   * @returns {string} HTML string
+   */
+  static renderForm({ fileName, keys, featureCount, skipped }) {
+    const projectionOptions = Object.entries(Projections.TYPES)
+      .map(
+        ([key, info]) =>
+          `<option value="${key}" ${key === 'mercator' ? 'selected' : ''}>${
+            info.label
+          }</option>`
+      )
+      .join('')
+
+    const propertyOptions = (selected, emptyLabel) =>
+      `<option value="">${emptyLabel}</option>` +
+      keys
+        .map(
+          (key) =>
+            `<option value="${Helpers.escapeHtml(key)}" ${
+              key === selected ? 'selected' : ''
+            }>${Helpers.escapeHtml(key)}</option>`
+        )
+        .join('')
+
+    const nameGuess = GeoJSONImporter.guessProperty(
+      keys,
+      GeoJSONImporter.NAME_PROPERTIES
+    )
+    const idGuess = GeoJSONImporter.guessProperty(
+      keys,
+      GeoJSONImporter.ID_PROPERTIES
+    )
+
+    return `
+      <p class="modal__text">
+        <strong>${Helpers.escapeHtml(fileName)}</strong>:
+        ${featureCount} polygon feature${featureCount === 1 ? '' : 's'}${
+          skipped > 0 ? `, ${skipped} other feature(s) will be skipped` : ''
+        }. Each feature's properties become data-* tags.
+      </p>
+      <div class="form-group">
+        <label class="form-label">Projection</label>
+        <select class="form-select" name="projection">${projectionOptions}</select>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Region name from</label>
+        <select class="form-select" name="nameProperty">
+          ${propertyOptions(nameGuess, '-- None --')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Region ID from</label>
+        <select class="form-select" name="idProperty">
+          ${propertyOptions(idGuess, '-- Feature id --')}
+        </select>
+      </div>
+    `
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeoJSONImportDialog
+} else {
+  window.GeoJSONImportDialog = GeoJSONImportDialog
+}
@@ -0,0 +1,93 @@
+/**
+ * HistoryPanel Component
+ * Shows the undo/redo history and allows jumping between steps
+ */
+
+class HistoryPanel {
+  /**
+   * Create a HistoryPanel component
+   * @param {Store} store - Application store
+   * @param {HTMLElement} container - History list container element
+   * @param {HTMLElement} undoBtn - Undo button element
+   * @param {HTMLElement} redoBtn - Redo button element
+   */
+  constructor(store, container, undoBtn, redoBtn) {
+    this.store = store
+    this.container = container
+    this.undoBtn = undoBtn
+    this.redoBtn = redoBtn
+
+    this.bindEvents()
+    this.render()
+  }
+
+  /**
+   * Bind store and DOM events
+   */
+  bindEvents() {
+    this.store.on('history:changed', () => this.render())
+
+    this.undoBtn.addEventListener('click', () => this.store.undo())
+    this.redoBtn.addEventListener('click', () => this.store.redo())
+
+    // Jump to a history entry
+    DOM.delegate(this.container, 'click', '.history-item', (e, item) => {
+      const position = parseInt(item.dataset.position)
+      this.store.goToHistory(position)
+    })
+  }
+
+  /**
+   * Render the history list (newest first)
+   */
+  render() {
+    const history = this.store.history
+    const entries = history.getEntries()
+    const position = history.getPosition()
+
+    this.undoBtn.disabled = !history.canUndo()
+    this.redoBtn.disabled = !history.canRedo()
+
+    if (entries.length === 0) {
+      this.container.innerHTML = `
+        <p class="empty-message">No changes yet</p>
+      `
+      return
+    }
+
+    let html = ''
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i]
+      const isCurrent = i + 1 === position
+
+      html += `
+        <div class="history-item ${entry.applied ? '' : 'undone'} ${
+          isCurrent ? 'current' : ''
+        }" data-position="${i + 1}" title="Jump to this step">
+          <span class="history-item__index">${i + 1}</span>
+          <span class="history-item__label">${Helpers.escapeHtml(
+            entry.label
+          )}</span>
+        </div>
+      `
+    }
+
+    html += `
+      <div class="history-item ${position === 0 ? 'current' : ''}"
+           data-position="0" title="Jump to the loaded file">
+        <span class="history-item__index">0</span>
+        <span class="history-item__label">Loaded file</span>
+      </div>
+    `
+
+    this.container.innerHTML = html
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryPanel
+} else {
+  window.HistoryPanel = HistoryPanel
+}
@@ -0,0 +1,143 @@
+/**
+ * HtmlExportDialog Component
+ * Asks for the page title, description, legend and filter behavior of an HTML export
+ */
+
+class HtmlExportDialog {
+  /**
+   * Show the export dialog
+   * @param {Object} options - Dialog options
+   * @param {boolean} options.hasLegend - Whether a color tag is chosen
+   * @param {boolean} options.hasFilters - Whether any viewer filter is set
+   * @param {boolean} options.hasOtherFilters - Whether exclusions, ranges or a query are set
+   * @param {Object} options.defaults - Initial values
+   * @returns {Promise<Object|null>} { title, description, legend, filters } or null if cancelled
+   */
+  static show({ hasLegend, hasFilters, hasOtherFilters, defaults = {} }) {
+    const settings = {
+      title: '',
+      description: '',
+      legend: true,
+      filters: 'interactive',
+      ...defaults,
+    }
+    if (settings.filters === 'locked' && !hasFilters) {
+      settings.filters = 'interactive'
+    }
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const modal = Modal.open({
+        title: '🌐 Export Interactive HTML',
+        content: HtmlExportDialog.renderForm(settings, {
+          hasLegend,
+          hasFilters,
+          hasOtherFilters,
+        }),
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Export',
+            variant: 'primary',
+            onClick: () => {
+              chosen = HtmlExportDialog.readForm(modal.body)
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      // Set as values so quotes and markup in them need no escaping
+      DOM.$('[name="title"]', modal.body).value = settings.title
+      DOM.$('[name="description"]', modal.body).value = settings.description
+
+      // Interactive pages only take over the chosen tag values
+      const filtersSelect = DOM.$('[name="filters"]', modal.body)
+      const warning = DOM.$('.html-export__filter-warning', modal.body)
+      const updateWarning = () => {
+        warning.hidden =
+          !hasOtherFilters || filtersSelect.value !== 'interactive'
+      }
+      filtersSelect.addEventListener('change', updateWarning)
+      updateWarning()
+    })
+  }
+
+  /**
+   * Render the export form
+   * @param {Object} settings - Initial values
+   * @param {Object} info - { hasLegend, hasFilters, hasOtherFilters }
+   * @returns {string} HTML string
+   */
+  static renderForm(settings, { hasLegend, hasFilters, hasOtherFilters }) {
+    const filterOptions = Object.entries(HtmlExporter.FILTER_MODES)
+      .map(([key, info]) => {
+        const disabled = key === 'locked' && !hasFilters
+        return `<option value="${key}" ${
+          key === settings.filters ? 'selected' : ''
+        } ${disabled ? 'disabled' : ''}>${info.label}${
+          disabled ? ' (no filters set)' : ''
+        }</option>`
+      })
+      .join('')
+
+    return `
+      <p class="modal__text">
+        Saves one HTML file with the map, its tags and colors that opens in any browser.
+      </p>
+      <div class="form-group">
+        <label class="form-label">Title</label>
+        <input type="text" class="form-input" name="title" placeholder="Optional">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Description</label>
+        <textarea class="form-textarea" name="description" rows="3" placeholder="Optional"></textarea>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Filters</label>
+        <select class="form-select" name="filters">${filterOptions}</select>
+        <p class="modal__text">
+          Interactive pages start from the tag values chosen in the viewer.
+          Locking keeps exclusions, ranges and the text query too.
+        </p>
+        <p class="modal__text text-danger html-export__filter-warning" hidden>
+          The exclusions, ranges or text query set in the viewer are left out
+          of an interactive page, so it will show other regions.
+        </p>
+      </div>
+      <label class="checkbox-control">
+        <input type="checkbox" name="legend" ${
+          settings.legend && hasLegend ? 'checked' : ''
+        } ${hasLegend ? '' : 'disabled'}>
+        <span class="checkbox-control__label">Include the legend${
+          hasLegend ? '' : ' (no color tag chosen)'
+        }</span>
+      </label>
+    `
+  }
+
+  /**
+   * Read the current form values
+   * @param {HTMLElement} form - Dialog body
+   * @returns {Object} { title, description, legend, filters }
+   */
+  static readForm(form) {
+    const field = (name) => DOM.$(`[name="${name}"]`, form)
+
+    return {
+      title: field('title').value.trim(),
+      description: field('description').value.trim(),
+      legend: field('legend').checked,
+      filters: field('filters').value,
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlExportDialog
+} else {
+  window.HtmlExportDialog = HtmlExportDialog
+}
@@ -6,9 +6,10 @@
 class ImageConverterUI {
   constructor(app) {
     this.app = app
-    this.converter = new ImageConverter()
+    this.converter = new ImageConverterWorker()
     this.currentImage = null
     this.currentResult = null
+    this.runId = 0
     this.previewCanvases = {}
 
     this.init()
@@ -17,6 +18,7 @@ class ImageConverterUI {
   init() {
     this.cacheElements()
     this.bindEvents()
+    this.updateModeSections()
   }
 
   cacheElements() {
@@ -33,11 +35,17 @@ class ImageConverterUI {
       processedPreview: DOM.$('#processedPreview'),
       svgPreview: DOM.$('#svgPreview'),
       processingOverlay: DOM.$('#processingOverlay'),
+      processingText: DOM.$('#processingOverlay .processing-text'),
+      processingBar: DOM.$('#processingOverlay .processing-progress__bar'),
+      cancelProcessingBtn: DOM.$('#cancelProcessingBtn'),
 
       // Pipeline preview
       pipelinePreview: DOM.$('#pipelinePreview'),
 
       // Settings
+      modeSelect: DOM.$('#converterMode'),
+      modeSections: DOM.$$('[data-converter-mode]'),
+
       edgeThresholdSlider: DOM.$('#edgeThreshold'),
       edgeThresholdValue: DOM.$('#edgeThresholdValue'),
       edgeRadiusSlider: DOM.$('#edgeRadius'),
@@ -51,6 +59,13 @@ class ImageConverterUI {
       grayscaleCheck: DOM.$('#grayscaleCheck'),
       invertCheck: DOM.$('#invertCheck'),
 
+      colorCountSlider: DOM.$('#colorCount'),
+      colorCountValue: DOM.$('#colorCountValue'),
+      skipBorderRegionsCheck: DOM.$('#skipBorderRegionsCheck'),
+      sourceColorTagCheck: DOM.$('#sourceColorTagCheck'),
+
+      sharedBordersCheck: DOM.$('#sharedBordersCheck'),
+      curveFittingCheck: DOM.$('#curveFittingCheck'),
       minAreaSlider: DOM.$('#minRegionArea'),
       minAreaValue: DOM.$('#minAreaValue'),
       simplifySlider: DOM.$('#simplifyTolerance'),
@@ -73,6 +88,7 @@ class ImageConverterUI {
 
       // Step indicator
       steps: DOM.$$('.converter-step'),
+      processStepDetail: DOM.$('.converter-step[data-step="2"] .step__detail'),
     }
   }
 
@@ -112,6 +128,14 @@ class ImageConverterUI {
       })
     }
 
+    // Mode
+    if (this.elements.modeSelect) {
+      this.elements.modeSelect.addEventListener('change', () => {
+        this.updateModeSections()
+        this.onSettingsChange()
+      })
+    }
+
     // Sliders - Edge Detection
     this.bindSlider('edgeThreshold', 'edgeThresholdValue', '%')
     this.bindSlider('edgeRadius', 'edgeRadiusValue', 'px')
@@ -120,6 +144,9 @@ class ImageConverterUI {
     this.bindSlider('blur', 'blurValue', 'px')
     this.bindSlider('posterize', 'posterizeValue', ' levels')
 
+    // Sliders - Color Segmentation
+    this.bindSlider('colorCount', 'colorCountValue', '')
+
     // Sliders - Contour
     this.bindSlider('minArea', 'minAreaValue', 'px²')
     this.bindSlider('simplify', 'simplifyValue', '')
@@ -136,6 +163,26 @@ class ImageConverterUI {
         this.onSettingsChange()
       )
     }
+    if (this.elements.skipBorderRegionsCheck) {
+      this.elements.skipBorderRegionsCheck.addEventListener('change', () =>
+        this.onSettingsChange()
+      )
+    }
+    if (this.elements.sourceColorTagCheck) {
+      this.elements.sourceColorTagCheck.addEventListener('change', () =>
+        this.onSettingsChange()
+      )
+    }
+    if (this.elements.sharedBordersCheck) {
+      this.elements.sharedBordersCheck.addEventListener('change', () =>
+        this.onSettingsChange()
+      )
+    }
+    if (this.elements.curveFittingCheck) {
+      this.elements.curveFittingCheck.addEventListener('change', () =>
+        this.onSettingsChange()
+      )
+    }
 
     // Action buttons
     if (this.elements.processBtn) {
@@ -148,6 +195,12 @@ class ImageConverterUI {
       this.elements.resetBtn.addEventListener('click', () => this.reset())
     }
 
+    if (this.elements.cancelProcessingBtn) {
+      this.elements.cancelProcessingBtn.addEventListener('click', () =>
+        this.cancelProcessing()
+      )
+    }
+
     if (this.elements.exportSvgBtn) {
       this.elements.exportSvgBtn.addEventListener('click', () =>
         this.exportSVG()
@@ -209,33 +262,117 @@ class ImageConverterUI {
 
   getSettings() {
     return {
+      mode: this.elements.modeSelect?.value || 'edges',
       edgeThreshold: parseInt(this.elements.edgeThresholdSlider?.value || 50),
       edgeRadius: parseInt(this.elements.edgeRadiusSlider?.value || 2),
       blur: parseInt(DOM.$('#blurAmount')?.value || 1),
       posterize: parseInt(DOM.$('#posterizeLevels')?.value || 0),
       grayscale: this.elements.grayscaleCheck?.checked ?? true,
       invert: this.elements.invertCheck?.checked ?? true,
+      colorCount: parseInt(this.elements.colorCountSlider?.value || 8),
+      skipBorderRegions: this.elements.skipBorderRegionsCheck?.checked ?? true,
+      sourceColorTag: this.elements.sourceColorTagCheck?.checked ?? true,
+      sharedBorders: this.elements.sharedBordersCheck?.checked ?? true,
+      curveFitting: this.elements.curveFittingCheck?.checked ?? false,
       minRegionArea: parseInt(DOM.$('#minRegionArea')?.value || 100),
       simplifyTolerance: parseFloat(DOM.$('#simplifyTolerance')?.value || 2),
       smoothing: parseFloat(DOM.$('#smoothingAmount')?.value || 0.5),
     }
   }
 
+  /**
+   * Update the controls from a settings object (e.g. from a project file)
+   * @param {Object} settings - Settings as returned by getSettings()
+   */
+  applySettings(settings = {}) {
+    const sliders = {
+      edgeThreshold: ['edgeThresholdSlider', 'edgeThresholdValue', '%'],
+      edgeRadius: ['edgeRadiusSlider', 'edgeRadiusValue', 'px'],
+      blur: ['blurSlider', 'blurValue', 'px'],
+      posterize: ['posterizeSlider', 'posterizeValue', ' levels'],
+      colorCount: ['colorCountSlider', 'colorCountValue', ''],
+      minRegionArea: ['minAreaSlider', 'minAreaValue', 'px²'],
+      simplifyTolerance: ['simplifySlider', 'simplifyValue', ''],
+      smoothing: ['smoothingSlider', 'smoothingValue', ''],
+    }
+
+    Object.entries(sliders).forEach(([key, [sliderKey, valueKey, suffix]]) => {
+      const slider = this.elements[sliderKey]
+      if (settings[key] === undefined || !slider) return
+
+      slider.value = settings[key]
+      if (this.elements[valueKey]) {
+        this.elements[valueKey].textContent = slider.value + suffix
+      }
+    })
+
+    if (settings.grayscale !== undefined && this.elements.grayscaleCheck) {
+      this.elements.grayscaleCheck.checked = settings.grayscale
+    }
+    if (settings.invert !== undefined && this.elements.invertCheck) {
+      this.elements.invertCheck.checked = settings.invert
+    }
+    if (
+      settings.skipBorderRegions !== undefined &&
+      this.elements.skipBorderRegionsCheck
+    ) {
+      this.elements.skipBorderRegionsCheck.checked = settings.skipBorderRegions
+    }
+    if (
+      settings.sourceColorTag !== undefined &&
+      this.elements.sourceColorTagCheck
+    ) {
+      this.elements.sourceColorTagCheck.checked = settings.sourceColorTag
+    }
+    if (
+      settings.sharedBorders !== undefined &&
+      this.elements.sharedBordersCheck
+    ) {
+      this.elements.sharedBordersCheck.checked = settings.sharedBorders
+    }
+    if (
+      settings.curveFitting !== undefined &&
+      this.elements.curveFittingCheck
+    ) {
+      this.elements.curveFittingCheck.checked = settings.curveFitting
+    }
+    if (settings.mode && this.elements.modeSelect) {
+      this.elements.modeSelect.value = settings.mode
+      this.updateModeSections()
+    }
+  }
+
+  /**
+   * Show only the controls that apply to the chosen mode
+   */
+  updateModeSections() {
+    const mode = this.elements.modeSelect?.value || 'edges'
+    this.elements.modeSections?.forEach((section) => {
+      section.style.display =
+        section.dataset.converterMode === mode ? '' : 'none'
+    })
+  }
+
   async processImage() {
     if (!this.currentImage) return
 
+    // Starting a run cancels the previous one
+    const runId = ++this.runId
+
     // Show processing overlay
     this.showProcessing(true)
+    this.showProgress(null)
     this.updateStepIndicator(2)
 
     try {
       // Get settings
       const settings = this.getSettings()
 
-      // Process image
-      const result = await this.converter.processImage(
+      // Process image in the worker
+      const result = await this.converter.process(
         this.currentImage,
-        settings
+        settings,
+        (progress) => this.showProgress(progress)
       )
       this.currentResult = result
 
@@ -259,10 +396,53 @@ class ImageConverterUI {
         this.elements.loadInEditorBtn.disabled = false
       }
     } catch (error) {
+      // Replaced by a newer run or cancelled by the user
+      if (error.name === 'AbortError') return
+
       console.error('Processing error:', error)
       this.app.toast?.show('Error processing image: ' + error.message, 'error')
     } finally {
-      this.showProcessing(false)
+      if (runId === this.runId) {
+        this.showProcessing(false)
+        this.showProgress(null)
+      }
+    }
+  }
+
+  /**
+   * Stop the running conversion and keep the last result
+   */
+  cancelProcessing() {
+    clearTimeout(this.settingsTimeout)
+    if (!this.converter.cancel()) return
+
+    this.runId++
+    this.showProcessing(false)
+    this.showProgress(null)
+    this.updateStepIndicator(this.currentResult ? 3 : 1)
+  }
+
+  /**
+   * Show which pipeline step is running
+   * @param {Object|null} progress - { step, index, total } or null to clear
+   */
+  showProgress(progress) {
+    const percent = progress
+      ? Math.round(((progress.index - 1) / progress.total) * 100)
+      : 0
+
+    if (this.elements.processingText) {
+      this.elements.processingText.textContent = progress
+        ? `${progress.step}… (${progress.index}/${progress.total})`
+        : 'Processing...'
+    }
+    if (this.elements.processingBar) {
+      this.elements.processingBar.style.width = `${percent}%`
+    }
+    if (this.elements.processStepDetail) {
+      this.elements.processStepDetail.textContent = progress
+        ? `${progress.step} · ${percent}%`
+        : ''
     }
   }
 
@@ -360,7 +540,7 @@ class ImageConverterUI {
         path.style.fill = 'rgba(102, 126, 234, 0.4)'
       })
       path.addEventListener('mouseleave', () => {
-        path.style.fill = `rgba(200, 200, 200, ${this.converter.settings.fillOpacity})`
+        path.style.fill = `rgba(200, 200, 200, ${this.currentResult.settings.fillOpacity})`
       })
     })
   }
@@ -397,12 +577,17 @@ class ImageConverterUI {
         Math.round(result.regions[0].area).toLocaleString() + ' px²'
     }
 
+    // Traced outline points against the points left in the SVG, control points not counted
     if (this.elements.totalPoints) {
-      const totalPoints = result.regions.reduce(
-        (sum, r) => sum + r.points.length,
+      const traced = result.regions.reduce(
+        (sum, r) => sum + r.originalLength,
+        0
+      )
+      const output = result.regions.reduce(
+        (sum, r) => sum + r.simplifiedLength,
         0
       )
-      this.elements.totalPoints.textContent = totalPoints.toLocaleString()
+      this.elements.totalPoints.textContent = `${traced.toLocaleString()} → ${output.toLocaleString()}`
     }
   }
 
@@ -424,7 +609,8 @@ class ImageConverterUI {
   }
 
   onSettingsChange() {
-    // Debounce and re-process
+    // Drop the stale run right away, then debounce and re-process
+    if (this.converter.cancel()) this.runId++
     clearTimeout(this.settingsTimeout)
     this.settingsTimeout = setTimeout(() => {
       if (this.currentImage) {
@@ -471,9 +657,11 @@ class ImageConverterUI {
       // Update store with new regions
       this.app.store.setState({
         svgContent: this.currentResult.svg,
+        sourceSvgContent: null,
         fileName: 'converted-map.svg',
         modified: false,
       })
+      this.app.startSession()
 
       // Render the map using the MapRenderer (now in visible container)
       this.app.mapRenderer.render()
@@ -488,6 +676,7 @@ class ImageConverterUI {
   }
 
   reset() {
+    this.cancelProcessing()
     this.currentImage = null
     this.currentResult = null
 
@@ -33,6 +33,7 @@ class InfoPanel {
     this.store.on('tags:added', () => this.refresh())
     this.store.on('tag:removed', () => this.refresh())
     this.store.on('region:updated', () => this.refresh())
+    this.store.on('history:applied', () => this.refresh())
   }
 
   /**
@@ -86,7 +87,20 @@ class InfoPanel {
                   region.name || '(Unnamed)'
                 )}</p>
             </div>
-            
+        `
+
+    if (region.description) {
+      html += `
+            <div class="info-section">
+                <h4 class="info-section__title">Description</h4>
+                <p class="info-section__value info-section__value--multiline">${Helpers.escapeHtml(
+                  region.description
+                )}</p>
+            </div>
+        `
+    }
+
+    html += `
             <div class="info-section">
                 <h4 class="info-section__title">ID</h4>
                 <p class="info-section__value">${Helpers.escapeHtml(
@@ -225,6 +239,8 @@ class InfoPanel {
     const valueInput = this.contentContainer.querySelector('#quickTagValue')
 
     if (keyInput && valueInput) {
+      this.tagInputs = new TagSchemaInputs(this.store, keyInput, valueInput)
+
       const handleEnter = (e) => {
         if (e.key === 'Enter') {
           this.handleQuickAddTag()
@@ -245,8 +261,7 @@ class InfoPanel {
 
     if (!keyInput || !valueInput) return
 
-    const key = keyInput.value.trim()
-    const value = valueInput.value.trim()
+    const { key, value, error } = this.tagInputs.read()
 
     if (!key) {
       Toast.error('Please enter a tag key')
@@ -260,13 +275,18 @@ class InfoPanel {
       return
     }
 
+    if (error) {
+      Toast.error(error)
+      valueInput.focus()
+      return
+    }
+
     if (this.currentRegionIndex !== null) {
       this.store.addTagToRegions([this.currentRegionIndex], key, value)
       Toast.success(`Added ${key}="${value}"`)
 
       // Clear inputs
-      keyInput.value = ''
-      valueInput.value = ''
+      this.tagInputs.clear()
       keyInput.focus()
     }
   }
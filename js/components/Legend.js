@@ -10,12 +10,14 @@ class Legend {
    * @param {HTMLElement} container - Legend container element
    * @param {HTMLElement} selectElement - Color tag select element
    * @param {HTMLElement} contentElement - Legend content element
+   * @param {HTMLElement} scaleElement - Numeric scale controls element
    */
-  constructor(store, container, selectElement, contentElement) {
+  constructor(store, container, selectElement, contentElement, scaleElement) {
     this.store = store
     this.container = container
     this.selectElement = selectElement
     this.contentElement = contentElement
+    this.scaleElement = scaleElement
 
     this.bindEvents()
   }
@@ -30,7 +32,13 @@ class Legend {
       this.show()
     })
 
-    this.store.on('colorTag:changed', () => this.render())
+    this.store.on('colorTag:changed', () => {
+      this.updateSelect()
+      this.render()
+    })
+    this.store.on('colorScale:changed', () => this.render())
+    this.store.on('change:mode', () => this.show())
+    this.store.on('reset', () => this.hide())
 
     // Handle select change
     if (this.selectElement) {
@@ -38,6 +46,20 @@ class Legend {
         this.store.setColorTag(e.target.value)
       })
     }
+
+    // Handle scale control changes
+    if (this.scaleElement) {
+      this.scaleElement.addEventListener('change', (e) => {
+        const option = e.target.dataset.scaleOption
+        if (!option) return
+
+        const value =
+          option === 'classes' ? parseInt(e.target.value, 10) : e.target.value
+        this.store.setColorScale(this.store.getState('currentColorTag'), {
+          [option]: value,
+        })
+      })
+    }
   }
 
   /**
@@ -61,8 +83,8 @@ class Legend {
       html += `
                 <option value="${Helpers.escapeHtml(tagKey)}" ${selected}>
                     ${Helpers.escapeHtml(displayName)} (${
-        tagData.values.size
-      } values)
+                      tagData.values.size
+                    } values)
                 </option>
             `
     })
@@ -78,17 +100,103 @@ class Legend {
 
     const currentColorTag = this.store.getState('currentColorTag')
     const tags = this.store.getState('tags')
-    const valueColors = this.store.getState('valueColors')
-    const regions = this.store.getState('regions')
 
     if (!currentColorTag || !tags.has(currentColorTag)) {
       this.contentElement.innerHTML = `
                 <p class="legend--empty">Select a tag to see colors</p>
             `
+      if (this.scaleElement) this.scaleElement.innerHTML = ''
       return
     }
 
     const tagData = tags.get(currentColorTag)
+    this.renderScaleControls(currentColorTag, tagData)
+
+    const scale = this.store.getState('tagScales').get(currentColorTag)
+    let html = ''
+
+    if (scale && scale.warning) {
+      html += `<p class="legend__warning">${Helpers.escapeHtml(
+        scale.warning
+      )}</p>`
+    }
+
+    if (scale && scale.kind === 'continuous') {
+      const ticks = Scales.ticks(scale, 3)
+        .map((tick) => `<span>${Scales.formatValue(tick.value)}</span>`)
+        .join('')
+
+      html += `
+        <div class="legend-gradient" style="background: ${Scales.toCSSGradient(
+          scale.stops
+        )}"></div>
+        <div class="legend-gradient__ticks">${ticks}</div>
+      `
+    } else {
+      html += '<div class="legend-group">'
+
+      this.getItems(currentColorTag, tagData, scale).forEach((item) => {
+        html += `
+                <div class="legend-item">
+                    <div class="legend-item__color" style="background-color: ${
+                      item.color
+                    }"></div>
+                    <span class="legend-item__label">${Helpers.escapeHtml(
+                      item.label
+                    )}</span>
+                    <span class="legend-item__count">(${item.count})</span>
+                </div>
+            `
+      })
+
+      html += '</div>'
+    }
+
+    // Show regions without this tag
+    const withoutTag = this.countRegionsWithoutTag(currentColorTag)
+    if (withoutTag > 0) {
+      const tagName = currentColorTag.replace('data-', '')
+      html += `
+                <div class="legend-item" style="color: var(--text-muted); font-style: italic;">
+                    <span>No ${Helpers.escapeHtml(
+                      tagName
+                    )}: ${withoutTag}</span>
+                </div>
+            `
+    }
+
+    this.contentElement.innerHTML = html
+  }
+
+  /**
+   * Get legend items for a categorical or classed color tag
+   * @param {string} tagKey - Color tag key
+   * @param {Object} tagData - Tag data
+   * @param {Object|undefined} scale - Classed scale, if any
+   * @returns {Array<Object>} Array of { color, label, count }
+   */
+  getItems(tagKey, tagData, scale) {
+    const regions = this.store.getState('regions')
+
+    if (scale) {
+      // Count regions per class
+      const counts = scale.colors.map(() => 0)
+      regions.forEach((region) => {
+        if (!region.element || !region.element.hasAttribute(tagKey)) return
+        const value = Number(region.element.getAttribute(tagKey))
+        if (isFinite(value)) counts[Scales.classIndex(scale, value)]++
+      })
+
+      return scale.colors.map((color, i) => ({
+        color,
+        label: `${Scales.formatValue(scale.breaks[i])} – ${Scales.formatValue(
+          scale.breaks[i + 1]
+        )}`,
+        count: counts[i],
+      }))
+    }
+
+    const valueColors = this.store.getState('valueColors')
     const values = Array.from(tagData.values.keys()).sort((a, b) => {
       const numA = parseFloat(a)
       const numB = parseFloat(b)
@@ -103,52 +211,138 @@ class Legend {
     values.forEach((v) => (valueCounts[v] = 0))
 
     regions.forEach((region) => {
-      if (region.element && region.element.hasAttribute(currentColorTag)) {
-        const val = region.element.getAttribute(currentColorTag)
+      if (region.element && region.element.hasAttribute(tagKey)) {
+        const val = region.element.getAttribute(tagKey)
         if (valueCounts[val] !== undefined) {
           valueCounts[val]++
         }
       }
     })
 
-    let html = '<div class="legend-group">'
+    return values.map((value) => ({
+      color: valueColors.get(`${tagKey}:${value}`) || '#999',
+      label: value,
+      count: valueCounts[value],
+    }))
+  }
 
-    values.forEach((value) => {
-      const colorKey = `${currentColorTag}:${value}`
-      const color = valueColors.get(colorKey) || '#999'
+  /**
+   * Count regions without the color tag
+   * @param {string} tagKey - Color tag key
+   * @returns {number} Region count
+   */
+  countRegionsWithoutTag(tagKey) {
+    return this.store
+      .getState('regions')
+      .filter((r) => r.element && !r.element.hasAttribute(tagKey)).length
+  }
 
-      html += `
-                <div class="legend-item">
-                    <div class="legend-item__color" style="background-color: ${color}"></div>
-                    <span class="legend-item__label">${Helpers.escapeHtml(
-                      value
-                    )}</span>
-                    <span class="legend-item__count">(${
-                      valueCounts[value]
-                    })</span>
-                </div>
-            `
-    })
+  /**
+   * Render scale type, palette and class controls for numeric tags
+   * @param {string} tagKey - Color tag key
+   * @param {Object} tagData - Tag data
+   */
+  renderScaleControls(tagKey, tagData) {
+    if (!this.scaleElement) return
 
-    html += '</div>'
+    if (!Scales.isNumericTag(tagData)) {
+      this.scaleElement.innerHTML = ''
+      return
+    }
 
-    // Show regions without this tag
-    const withoutTag = regions.filter(
-      (r) => r.element && !r.element.hasAttribute(currentColorTag)
-    ).length
+    const options = {
+      ...Scales.DEFAULT_OPTIONS,
+      ...this.store.getState('colorScales').get(tagKey),
+    }
+
+    const typeOptions = Object.entries(Scales.TYPES)
+      .map(
+        ([type, info]) =>
+          `<option value="${type}" ${type === options.type ? 'selected' : ''}>${
+            info.label
+          }</option>`
+      )
+      .join('')
+
+    const paletteGroup = (kind, label) => {
+      const items = Object.entries(Scales.PALETTES)
+        .filter(([, palette]) => palette.kind === kind)
+        .map(
+          ([key, palette]) =>
+            `<option value="${key}" ${key === options.palette ? 'selected' : ''}>${
+              palette.label
+            }</option>`
+        )
+        .join('')
+      return `<optgroup label="${label}">${items}</optgroup>`
+    }
+
+    let classOptions = ''
+    for (let i = Scales.MIN_CLASSES; i <= Scales.MAX_CLASSES; i++) {
+      classOptions += `<option value="${i}" ${
+        i === options.classes ? 'selected' : ''
+      }>${i} classes</option>`
+    }
+
+    const kind = (Scales.TYPES[options.type] || Scales.TYPES.linear).kind
 
+    this.scaleElement.innerHTML = `
+      <select class="form-select form-select--sm" data-scale-option="type" title="Scale">
+        ${typeOptions}
+      </select>
+      ${
+        kind === 'categorical'
+          ? ''
+          : `<select class="form-select form-select--sm" data-scale-option="palette" title="Palette">
+        ${paletteGroup('sequential', 'Sequential')}
+        ${paletteGroup('diverging', 'Diverging')}
+      </select>`
+      }
+      ${
+        kind === 'classed'
+          ? `<select class="form-select form-select--sm" data-scale-option="classes" title="Classes">
+        ${classOptions}
+      </select>`
+          : ''
+      }
+    `
+  }
+
+  /**
+   * Get the current legend as plain data for image export
+   * @returns {Object|null} { title, gradient, items, note } or null without a color tag
+   */
+  getExportData() {
+    const currentColorTag = this.store.getState('currentColorTag')
+    const tags = this.store.getState('tags')
+    if (!currentColorTag || !tags.has(currentColorTag)) return null
+
+    const tagData = tags.get(currentColorTag)
+    const scale = this.store.getState('tagScales').get(currentColorTag)
+    const data = { title: tagData.name, gradient: null, items: [], note: '' }
+
+    if (scale && scale.kind === 'continuous') {
+      data.gradient = {
+        stops: scale.stops,
+        ticks: Scales.ticks(scale, 3).map((tick) =>
+          Scales.formatValue(tick.value)
+        ),
+      }
+    } else {
+      data.items = this.getItems(currentColorTag, tagData, scale).map(
+        (item) => ({
+          color: item.color,
+          label: `${item.label} (${item.count})`,
+        })
+      )
+    }
+
+    const withoutTag = this.countRegionsWithoutTag(currentColorTag)
     if (withoutTag > 0) {
-      const tagName = currentColorTag.replace('data-', '')
-      html += `
-                <div class="legend-item" style="color: var(--text-muted); font-style: italic;">
-                    <span>No ${Helpers.escapeHtml(
-                      tagName
-                    )}: ${withoutTag}</span>
-                </div>
-            `
+      data.note = `No ${tagData.name}: ${withoutTag}`
     }
 
-    this.contentElement.innerHTML = html
+    return data
   }
 
   /**
@@ -156,8 +350,12 @@ class Legend {
    */
   show() {
     const tags = this.store.getState('tags')
-    if (tags.size > 0) {
+
+    // Viewer mode colors regions by active filters instead
+    if (tags.size > 0 && this.store.getState('mode') === 'editor') {
       this.container.style.display = 'block'
+    } else {
+      this.hide()
     }
   }
 
@@ -17,6 +17,9 @@ class MapRenderer {
     this.svgContainer = svgContainer
     this.placeholder = placeholder
 
+    // Pan and zoom
+    this.viewport = new MapViewport(store, container, svgContainer)
+
     this.bindEvents()
   }
 
@@ -34,12 +37,24 @@ class MapRenderer {
     this.store.on('region:active', (index) => this.highlightRegion(index))
     this.store.on('colorTag:changed', () => this.applyColors())
     this.store.on('tags:extracted', () => this.applyColors())
+    this.store.on('colorScale:changed', () => {
+      this.applyColors()
+      this.applyFilterColors()
+    })
     this.store.on('filters:changed', () => this.applyFilterColors())
     this.store.on('editorPaintTag:changed', (tag) => this.updatePaintMode(tag))
     this.store.on('highlightedRegions:changed', (regions) =>
       this.updateTagHighlights(regions)
     )
-    this.store.on('regionColors:changed', () => this.applyRegionColors())
+    this.store.on('history:applied', () => {
+      this.applyRegionColors()
+      this.addLabels()
+    })
+    // Keep the schema in the SVG so saved files and projects carry it
+    this.store.on('tagSchema:changed', (schema) => {
+      const svg = this.svgContainer.querySelector('svg')
+      if (svg) TagSchema.writeMetadata(svg, schema)
+    })
   }
 
   /**
@@ -68,6 +83,18 @@ class MapRenderer {
     // Display SVG
     this.svgContainer.innerHTML = parseResult.svgElement.outerHTML
 
+    // Point regions at the displayed elements so edits end up in saved output
+    const paths = this.svgContainer.querySelectorAll('path.region')
+    parseResult.regions.forEach((region, index) => {
+      if (paths[index]) {
+        region.element = paths[index]
+      }
+    })
+
+    this.store.setState({
+      tagSchema: TagSchema.readMetadata(this.svgContainer.querySelector('svg')),
+    })
+
     // Store regions
     this.store.setRegions(parseResult.regions)
 
@@ -208,13 +235,15 @@ class MapRenderer {
 
   /**
    * Apply colors based on active filters (viewer mode)
+   * Matching regions keep their colors and the rest are dimmed
    */
   applyFilterColors() {
     const mode = this.store.getState('mode')
 
     if (mode !== 'viewer') return
 
-    const activeFilters = this.store.getState('activeFilters')
+    const filter = RegionFilter.compile(this.store.getState())
+    const currentColorTag = this.store.getState('currentColorTag')
     const valueColors = this.store.getState('valueColors')
     const regions = this.store.getState('regions')
     const paths = this.svgContainer.querySelectorAll('path.region')
@@ -223,30 +252,26 @@ class MapRenderer {
       const path = paths[index]
       if (!path || !region || !region.element) return
 
-      // Check if region matches any active filter
-      let matchedColor = null
-
-      const tags = SVGParser.extractTags(region.element)
-
-      for (const tag of tags) {
-        const fullKey = `data-${tag.key}`
-        if (activeFilters.has(fullKey)) {
-          const activeValues = activeFilters.get(fullKey)
-          if (activeValues.has(tag.value)) {
-            const colorKey = `${fullKey}:${tag.value}`
-            matchedColor = valueColors.get(colorKey)
-            break
-          }
-        }
-      }
-
-      if (matchedColor) {
-        path.style.fill = matchedColor
-        path.style.fillOpacity = '0.7'
-      } else {
+      if (!RegionFilter.matches(region, filter)) {
         path.style.fill = 'rgba(200, 200, 200, 0.1)'
         path.style.fillOpacity = '0.1'
+        return
+      }
+
+      // Prefer the color of the value the region was picked by
+      let color = null
+      for (const tagKey of filter.include.keys()) {
+        const value = region.element.getAttribute(tagKey).trim()
+        color = valueColors.get(`${tagKey}:${value}`)
+        if (color) break
       }
+      if (!color && currentColorTag) {
+        const value = region.element.getAttribute(currentColorTag)
+        if (value) color = valueColors.get(`${currentColorTag}:${value.trim()}`)
+      }
+
+      path.style.fill = color || ''
+      path.style.fillOpacity = color ? '0.7' : ''
     })
   }
 
@@ -300,7 +325,12 @@ class MapRenderer {
    */
   getSVGContent() {
     const svg = this.svgContainer.querySelector('svg')
-    return svg ? SVGParser.serialize(svg) : ''
+    if (!svg) return ''
+
+    // Export with the original viewBox, not the current zoom
+    const clone = svg.cloneNode(true)
+    this.viewport.restoreExportAttributes(clone)
+    return SVGParser.serialize(clone)
   }
 
   /**
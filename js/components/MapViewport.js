@@ -0,0 +1,529 @@
+/**
+ * MapViewport Component
+ * Pan and zoom for the map by manipulating the SVG viewBox
+ */
+
+class MapViewport {
+  static MIN_ZOOM = 0.5
+  static MAX_ZOOM = 200
+  static WHEEL_SENSITIVITY = 0.0015
+  static DRAG_THRESHOLD = 4
+  static BUTTON_ZOOM_FACTOR = 1.5
+
+  // CSS pixels per unit for absolute SVG width/height values
+  static CSS_UNITS = {
+    px: 1,
+    pt: 96 / 72,
+    pc: 16,
+    in: 96,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+  }
+
+  /**
+   * Create a MapViewport component
+   * @param {Store} store - Application store
+   * @param {HTMLElement} container - Map container element
+   * @param {HTMLElement} svgContainer - SVG container element
+   */
+  constructor(store, container, svgContainer) {
+    this.store = store
+    this.container = container
+    this.svgContainer = svgContainer
+
+    this.svg = null
+    this.baseViewBox = null // viewBox showing the whole map
+    this.originalAttributes = null // SVG attributes to restore on export
+
+    this.pointers = new Map() // pointerId -> { x, y }
+    this.dragStart = null
+    this.isPanning = false
+    this.pinchDistance = null
+    this.suppressClick = false
+
+    this.createControls()
+    this.bindEvents()
+  }
+
+  /**
+   * Create the zoom control overlay
+   */
+  createControls() {
+    const buttons = [
+      { action: 'zoom-in', label: '+', title: 'Zoom in' },
+      { action: 'zoom-out', label: '−', title: 'Zoom out' },
+      { action: 'zoom-fit', label: '⤢', title: 'Zoom to fit' },
+      { action: 'zoom-selection', label: '◎', title: 'Zoom to selection' },
+    ]
+
+    this.controls = DOM.createElement(
+      'div',
+      { className: 'zoom-controls', style: { display: 'none' } },
+      buttons.map((btn) =>
+        DOM.createElement(
+          'button',
+          {
+            className: 'zoom-btn',
+            title: btn.title,
+            dataAction: btn.action,
+          },
+          btn.label
+        )
+      )
+    )
+
+    this.container.appendChild(this.controls)
+  }
+
+  /**
+   * Bind store and DOM events
+   */
+  bindEvents() {
+    this.store.on('regions:loaded', () => this.attach())
+    this.store.on('viewBox:changed', (viewBox) => this.applyViewBox(viewBox))
+
+    DOM.delegate(this.controls, 'click', '.zoom-btn', (e, btn) => {
+      e.stopPropagation()
+
+      switch (btn.dataset.action) {
+        case 'zoom-in':
+          this.zoomBy(1 / MapViewport.BUTTON_ZOOM_FACTOR)
+          break
+        case 'zoom-out':
+          this.zoomBy(MapViewport.BUTTON_ZOOM_FACTOR)
+          break
+        case 'zoom-fit':
+          this.zoomToFit()
+          break
+        case 'zoom-selection':
+          this.zoomToSelection()
+          break
+      }
+    })
+
+    this.svgContainer.addEventListener('wheel', (e) => this.handleWheel(e), {
+      passive: false,
+    })
+    this.svgContainer.addEventListener('pointerdown', (e) =>
+      this.handlePointerDown(e)
+    )
+    window.addEventListener('pointermove', (e) => this.handlePointerMove(e))
+    window.addEventListener('pointerup', (e) => this.handlePointerUp(e))
+    window.addEventListener('pointercancel', (e) => this.handlePointerUp(e))
+
+    // Swallow the click that ends a pan so it doesn't select a region
+    this.svgContainer.addEventListener(
+      'click',
+      (e) => {
+        if (this.suppressClick) {
+          e.stopPropagation()
+          e.preventDefault()
+          this.suppressClick = false
+        }
+      },
+      true
+    )
+  }
+
+  /**
+   * Attach to the currently rendered SVG
+   */
+  attach() {
+    this.svg = this.svgContainer.querySelector('svg')
+    if (!this.svg) return
+
+    this.originalAttributes = {
+      viewBox: this.svg.getAttribute('viewBox'),
+      width: this.svg.getAttribute('width'),
+      height: this.svg.getAttribute('height'),
+    }
+
+    this.baseViewBox = this.computeBaseViewBox()
+
+    // Fill the container; the viewBox decides what is visible
+    this.svg.setAttribute('width', '100%')
+    this.svg.setAttribute('height', '100%')
+
+    this.controls.style.display = 'flex'
+    this.zoomToFit()
+  }
+
+  /**
+   * Determine the viewBox that shows the whole map
+   * @returns {Object} { x, y, width, height }
+   */
+  computeBaseViewBox() {
+    const viewBox = this.svg.viewBox && this.svg.viewBox.baseVal
+    if (viewBox && viewBox.width > 0 && viewBox.height > 0) {
+      return {
+        x: viewBox.x,
+        y: viewBox.y,
+        width: viewBox.width,
+        height: viewBox.height,
+      }
+    }
+
+    const width = parseFloat(this.originalAttributes.width)
+    const height = parseFloat(this.originalAttributes.height)
+    if (width > 0 && height > 0) {
+      return { x: 0, y: 0, width, height }
+    }
+
+    const bbox = this.svg.getBBox()
+    return { x: bbox.x, y: bbox.y, width: bbox.width, height: bbox.height }
+  }
+
+  /**
+   * Get the current viewBox
+   * @returns {Object|null} { x, y, width, height }
+   */
+  getViewBox() {
+    return this.store.getState('viewBox')
+  }
+
+  /**
+   * Set the viewBox, clamped to the allowed zoom range
+   * @param {Object} viewBox - { x, y, width, height }
+   */
+  setViewBox(viewBox) {
+    if (!this.baseViewBox) return
+
+    const base = this.baseViewBox
+    const minWidth = base.width / MapViewport.MAX_ZOOM
+    const maxWidth = base.width / MapViewport.MIN_ZOOM
+    const width = Math.max(minWidth, Math.min(maxWidth, viewBox.width))
+    const scale = width / viewBox.width
+
+    // Keep the center when clamping
+    const centerX = viewBox.x + viewBox.width / 2
+    const centerY = viewBox.y + viewBox.height / 2
+    const height = viewBox.height * scale
+
+    this.store.setViewBox({
+      x: centerX - width / 2,
+      y: centerY - height / 2,
+      width,
+      height,
+    })
+  }
+
+  /**
+   * Write a viewBox to the SVG element
+   * @param {Object|null} viewBox - { x, y, width, height }
+   */
+  applyViewBox(viewBox) {
+    if (!this.svg || !viewBox) return
+
+    this.svg.setAttribute(
+      'viewBox',
+      [viewBox.x, viewBox.y, viewBox.width, viewBox.height]
+        .map((n) => +n.toFixed(3))
+        .join(' ')
+    )
+  }
+
+  /**
+   * Zoom around a point in SVG coordinates
+   * @param {number} factor - Scale factor for the viewBox (< 1 zooms in)
+   * @param {Object} point - Fixed point { x, y } (defaults to the center)
+   */
+  zoomBy(factor, point = null) {
+    const viewBox = this.getViewBox()
+    if (!viewBox) return
+
+    const fixed = point || {
+      x: viewBox.x + viewBox.width / 2,
+      y: viewBox.y + viewBox.height / 2,
+    }
+
+    // Clamp the factor first so the fixed point stays put at the limits
+    const base = this.baseViewBox
+    const targetWidth = Math.max(
+      base.width / MapViewport.MAX_ZOOM,
+      Math.min(base.width / MapViewport.MIN_ZOOM, viewBox.width * factor)
+    )
+    const clamped = targetWidth / viewBox.width
+
+    this.setViewBox({
+      x: fixed.x - (fixed.x - viewBox.x) * clamped,
+      y: fixed.y - (fixed.y - viewBox.y) * clamped,
+      width: viewBox.width * clamped,
+      height: viewBox.height * clamped,
+    })
+  }
+
+  /**
+   * Show the whole map
+   */
+  zoomToFit() {
+    if (this.baseViewBox) {
+      this.setViewBox({ ...this.baseViewBox })
+    }
+  }
+
+  /**
+   * Zoom to the selected regions (falls back to highlighted or active region)
+   */
+  zoomToSelection() {
+    const regions = this.store.getState('regions')
+    let indices = Array.from(this.store.getState('selectedRegions'))
+
+    if (indices.length === 0) {
+      indices = Array.from(this.store.getState('highlightedRegions'))
+    }
+    if (indices.length === 0 && this.store.getState('activeRegion') !== null) {
+      indices = [this.store.getState('activeRegion')]
+    }
+
+    const elements = indices
+      .map((index) => regions[index] && regions[index].element)
+      .filter(Boolean)
+
+    if (elements.length === 0) {
+      Toast.info('Select regions to zoom to')
+      return
+    }
+
+    this.zoomToBBox(SVGParser.getCombinedBBox(elements))
+  }
+
+  /**
+   * Zoom to a bounding box with some padding
+   * @param {Object} bbox - { x, y, width, height } in SVG coordinates
+   * @param {number} padding - Padding as a fraction of the box size
+   */
+  zoomToBBox(bbox, padding = 0.1) {
+    if (!bbox) return
+
+    const width = Math.max(bbox.width, 1e-6) * (1 + padding * 2)
+    const height = Math.max(bbox.height, 1e-6) * (1 + padding * 2)
+
+    // Match the container aspect ratio so the box is centered
+    const rect = this.svgContainer.getBoundingClientRect()
+    const aspect =
+      rect.width > 0 && rect.height > 0 ? rect.width / rect.height : 1
+    const fitted =
+      width / height > aspect
+        ? { width, height: width / aspect }
+        : { width: height * aspect, height }
+
+    this.setViewBox({
+      x: bbox.x + bbox.width / 2 - fitted.width / 2,
+      y: bbox.y + bbox.height / 2 - fitted.height / 2,
+      width: fitted.width,
+      height: fitted.height,
+    })
+  }
+
+  /**
+   * Convert client (screen) coordinates to SVG coordinates
+   * @param {number} clientX - Client X
+   * @param {number} clientY - Client Y
+   * @returns {Object|null} { x, y }
+   */
+  clientToSVG(clientX, clientY) {
+    if (!this.svg) return null
+
+    const ctm = this.svg.getScreenCTM()
+    if (!ctm) return null
+
+    const point = this.svg.createSVGPoint()
+    point.x = clientX
+    point.y = clientY
+    const result = point.matrixTransform(ctm.inverse())
+    return { x: result.x, y: result.y }
+  }
+
+  /**
+   * Get SVG units per screen pixel
+   * @returns {number} Scale
+   */
+  getUnitsPerPixel() {
+    const ctm = this.svg && this.svg.getScreenCTM()
+    return ctm && ctm.a ? 1 / ctm.a : 1
+  }
+
+  /**
+   * Handle mouse wheel zoom around the cursor
+   * @param {WheelEvent} e - Wheel event
+   */
+  handleWheel(e) {
+    if (!this.svg) return
+    e.preventDefault()
+
+    const factor = Math.exp(e.deltaY * MapViewport.WHEEL_SENSITIVITY)
+    this.zoomBy(factor, this.clientToSVG(e.clientX, e.clientY))
+  }
+
+  /**
+   * Check whether a pointer gesture should pan the map
+   * Other tools can claim plain drags by returning false here
+   * @param {PointerEvent} e - Pointer event
+   * @returns {boolean} Should pan
+   */
+  shouldPan(e) {
+    if (
+      this.store.getState('mode') === 'editor' &&
+      this.store.getState('mapTool') !== 'pan'
+    ) {
+      return e.button === 1
+    }
+    return e.button === 0 || e.button === 1 || e.pointerType === 'touch'
+  }
+
+  /**
+   * Handle pointer down (start of pan or pinch)
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    if (!this.svg) return
+
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY })
+
+    if (this.pointers.size === 2) {
+      this.pinchDistance = this.getPinchDistance()
+      this.dragStart = null
+      return
+    }
+
+    if (this.pointers.size === 1 && this.shouldPan(e)) {
+      this.dragStart = {
+        x: e.clientX,
+        y: e.clientY,
+        viewBox: { ...this.getViewBox() },
+      }
+      this.isPanning = false
+    }
+  }
+
+  /**
+   * Handle pointer move (pan or pinch)
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId)) return
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY })
+
+    if (this.pointers.size === 2 && this.pinchDistance) {
+      const distance = this.getPinchDistance()
+      const center = this.getPinchCenter()
+      if (distance > 0) {
+        this.zoomBy(
+          this.pinchDistance / distance,
+          this.clientToSVG(center.x, center.y)
+        )
+        this.pinchDistance = distance
+      }
+      this.suppressClick = true
+      return
+    }
+
+    if (!this.dragStart) return
+
+    const dx = e.clientX - this.dragStart.x
+    const dy = e.clientY - this.dragStart.y
+
+    if (!this.isPanning) {
+      if (Math.hypot(dx, dy) < MapViewport.DRAG_THRESHOLD) return
+      this.isPanning = true
+      this.container.classList.add('is-panning')
+    }
+
+    const scale = this.getUnitsPerPixel()
+    const start = this.dragStart.viewBox
+
+    this.store.setViewBox({
+      ...start,
+      x: start.x - dx * scale,
+      y: start.y - dy * scale,
+    })
+  }
+
+  /**
+   * Handle pointer up (end of pan or pinch)
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return
+    this.pointers.delete(e.pointerId)
+
+    if (this.pointers.size < 2) {
+      this.pinchDistance = null
+    }
+
+    if (this.pointers.size === 0) {
+      if (this.isPanning) {
+        this.suppressClick = true
+      }
+      this.dragStart = null
+      this.isPanning = false
+      this.container.classList.remove('is-panning')
+    }
+  }
+
+  /**
+   * Distance between the two active pointers
+   * @returns {number} Distance in pixels
+   */
+  getPinchDistance() {
+    const [a, b] = Array.from(this.pointers.values())
+    return Math.hypot(a.x - b.x, a.y - b.y)
+  }
+
+  /**
+   * Midpoint between the two active pointers
+   * @returns {Object} { x, y } in client coordinates
+   */
+  getPinchCenter() {
+    const [a, b] = Array.from(this.pointers.values())
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+  }
+
+  /**
+   * Restore the original viewBox and size on an exported SVG copy
+   * @param {SVGElement} svgClone - Cloned SVG element
+   */
+  restoreExportAttributes(svgClone) {
+    if (!this.originalAttributes) return
+
+    Object.entries(this.originalAttributes).forEach(([name, value]) => {
+      if (value === null) {
+        svgClone.removeAttribute(name)
+      } else {
+        svgClone.setAttribute(name, value)
+      }
+    })
+  }
+
+  /**
+   * Get the full map extent and its natural size in CSS pixels
+   * Falls back to the viewBox size for relative or missing dimensions
+   * @returns {Object|null} { viewBox, width, height }
+   */
+  getExportSize() {
+    if (!this.baseViewBox) return null
+
+    const toPixels = (value) => {
+      const match = /^\s*([\d.]+)\s*(px|pt|pc|in|cm|mm)?\s*$/.exec(value || '')
+      if (!match) return NaN
+      return parseFloat(match[1]) * MapViewport.CSS_UNITS[match[2] || 'px']
+    }
+
+    let width = toPixels(this.originalAttributes.width)
+    let height = toPixels(this.originalAttributes.height)
+
+    if (!(width > 0 && height > 0)) {
+      width = this.baseViewBox.width
+      height = this.baseViewBox.height
+    }
+
+    return { viewBox: { ...this.baseViewBox }, width, height }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MapViewport
+} else {
+  window.MapViewport = MapViewport
+}
@@ -0,0 +1,138 @@
+/**
+ * Modal Component
+ * Shows dialogs on top of the application
+ */
+
+class Modal {
+  /**
+   * Open a modal dialog
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string|HTMLElement} options.content - HTML string or element for the body
+   * @param {Array<Object>} options.actions - Footer buttons { label, variant, onClick }
+   * @param {string} options.size - 'sm', 'md' or 'lg'
+   * @param {Function} options.onClose - Called after the dialog is closed
+   * @returns {Object} Modal handle { element, body, close }
+   */
+  static open({
+    title = '',
+    content = '',
+    actions = [],
+    size = 'md',
+    onClose = null,
+  } = {}) {
+    const overlay = DOM.createElement('div', { className: 'modal-overlay' })
+    const dialog = DOM.createElement('div', {
+      className: `modal modal--${size}`,
+      role: 'dialog',
+      'aria-modal': 'true',
+    })
+
+    const header = DOM.createElement('div', { className: 'modal__header' }, [
+      DOM.createElement('h3', { className: 'modal__title' }, title),
+    ])
+    const closeBtn = DOM.createElement(
+      'button',
+      { className: 'btn btn--icon btn--danger', title: 'Close' },
+      '×'
+    )
+    header.appendChild(closeBtn)
+
+    const body = DOM.createElement('div', { className: 'modal__body' })
+    if (typeof content === 'string') {
+      body.innerHTML = content
+    } else if (content instanceof Element) {
+      body.appendChild(content)
+    }
+
+    dialog.appendChild(header)
+    dialog.appendChild(body)
+
+    let closed = false
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') handle.close()
+    }
+
+    const handle = {
+      element: dialog,
+      body,
+      close() {
+        if (closed) return
+        closed = true
+        document.removeEventListener('keydown', handleKeyDown)
+        overlay.remove()
+        if (onClose) onClose()
+      },
+    }
+
+    if (actions.length > 0) {
+      const footer = DOM.createElement('div', { className: 'modal__footer' })
+
+      actions.forEach((action) => {
+        const btn = DOM.createElement(
+          'button',
+          { className: `btn btn--sm btn--${action.variant || 'outline'}` },
+          action.label
+        )
+        btn.addEventListener('click', () => {
+          if (action.onClick) {
+            // Returning false keeps the dialog open
+            if (action.onClick(handle) === false) return
+          }
+          handle.close()
+        })
+        footer.appendChild(btn)
+      })
+
+      dialog.appendChild(footer)
+    }
+
+    closeBtn.addEventListener('click', () => handle.close())
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) handle.close()
+    })
+    document.addEventListener('keydown', handleKeyDown)
+
+    overlay.appendChild(dialog)
+    document.body.appendChild(overlay)
+
+    return handle
+  }
+
+  /**
+   * Ask the user to confirm an action
+   * @param {string} title - Dialog title
+   * @param {string} message - HTML message
+   * @param {string} confirmLabel - Confirm button label
+   * @returns {Promise<boolean>} True if confirmed
+   */
+  static confirm(title, message, confirmLabel = 'Confirm') {
+    return new Promise((resolve) => {
+      let confirmed = false
+
+      Modal.open({
+        title,
+        content: message,
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: confirmLabel,
+            variant: 'primary',
+            onClick: () => {
+              confirmed = true
+            },
+          },
+        ],
+        onClose: () => resolve(confirmed),
+      })
+    })
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Modal
+} else {
+  window.Modal = Modal
+}
@@ -0,0 +1,210 @@
+/**
+ * RasterExportDialog Component
+ * Asks for image format, resolution, background and legend before a raster export
+ */
+
+class RasterExportDialog {
+  static MIN_SCALE = 0.25
+  static MAX_SCALE = 8
+
+  /**
+   * Show the export dialog
+   * @param {Object} options - Dialog options
+   * @param {Object} options.size - { width, height } of the map in CSS pixels
+   * @param {boolean} options.hasLegend - Whether a legend can be included
+   * @param {Object} options.defaults - Initial values
+   * @returns {Promise<Object|null>} Chosen options or null if cancelled
+   */
+  static show({ size, hasLegend, defaults = {} }) {
+    const settings = {
+      format: 'png',
+      scale: 2,
+      background: '#ffffff',
+      transparent: false,
+      quality: 0.92,
+      legend: hasLegend,
+      ...defaults,
+    }
+    settings.legend = settings.legend && hasLegend
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const modal = Modal.open({
+        title: '🖼️ Export image',
+        content: RasterExportDialog.renderForm(settings, hasLegend),
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Export',
+            variant: 'primary',
+            onClick: () => {
+              chosen = RasterExportDialog.readForm(modal.body)
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      const form = modal.body
+      const scaleInput = DOM.$('[name="scale"]', form)
+      const dpiInput = DOM.$('[name="dpi"]', form)
+
+      const update = () => {
+        const values = RasterExportDialog.readForm(form)
+        const width = Math.round(size.width * values.scale)
+        const height = Math.round(size.height * values.scale)
+
+        DOM.$('.export-size', form).textContent = `${width} × ${height} px`
+        const lossy = RasterExporter.FORMATS[values.format].lossy
+        DOM.$('.export-quality', form).style.display = lossy ? 'block' : 'none'
+        DOM.$('.export-quality__value', form).textContent = `${Math.round(
+          values.quality * 100
+        )}%`
+
+        // JPEG has no alpha channel
+        const transparent = DOM.$('[name="transparent"]', form)
+        transparent.disabled = values.format === 'jpeg'
+        if (transparent.disabled) transparent.checked = false
+        DOM.$('[name="background"]', form).disabled = transparent.checked
+      }
+
+      // Scale and DPI describe the same thing: 96 DPI is 1×
+      scaleInput.addEventListener('input', () => {
+        dpiInput.value = Math.round(
+          RasterExportDialog.clampScale(scaleInput.value) *
+            RasterExporter.CSS_DPI
+        )
+        update()
+      })
+      dpiInput.addEventListener('input', () => {
+        scaleInput.value = RasterExportDialog.clampScale(
+          dpiInput.value / RasterExporter.CSS_DPI
+        )
+        update()
+      })
+      form.addEventListener('change', update)
+      DOM.$('[name="quality"]', form).addEventListener('input', update)
+      update()
+    })
+  }
+
+  /**
+   * Clamp a scale value to the allowed range
+   * @param {number|string} value - Scale
+   * @returns {number} Clamped scale
+   */
+  static clampScale(value) {
+    const scale = parseFloat(value) || 1
+    return Math.min(
+      RasterExportDialog.MAX_SCALE,
+      Math.max(RasterExportDialog.MIN_SCALE, scale)
+    )
+  }
+
+  /**
+   * Render the export form
+   * @param {Object} settings - Initial values
+   * @param {boolean} hasLegend - Whether a legend can be included
+   * @returns {string} HTML string
+   */
+  static renderForm(settings, hasLegend) {
+    const formatOptions = Object.entries(RasterExporter.FORMATS)
+      .map(([key, info]) => {
+        const supported = RasterExporter.isFormatSupported(key)
+        return `<option value="${key}" ${
+          key === settings.format ? 'selected' : ''
+        } ${supported ? '' : 'disabled'}>${info.label}${
+          supported ? '' : ' (not supported)'
+        }</option>`
+      })
+      .join('')
+
+    return `
+      <div class="form-group">
+        <label class="form-label">Format</label>
+        <select class="form-select" name="format">${formatOptions}</select>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Scale</label>
+          <input type="number" class="form-input" name="scale"
+                 min="${RasterExportDialog.MIN_SCALE}"
+                 max="${RasterExportDialog.MAX_SCALE}"
+                 step="0.25" value="${settings.scale}">
+        </div>
+        <div class="form-group">
+          <label class="form-label">DPI</label>
+          <input type="number" class="form-input" name="dpi"
+                 min="${RasterExportDialog.MIN_SCALE * RasterExporter.CSS_DPI}"
+                 max="${RasterExportDialog.MAX_SCALE * RasterExporter.CSS_DPI}"
+                 step="1" value="${Math.round(
+                   settings.scale * RasterExporter.CSS_DPI
+                 )}">
+        </div>
+      </div>
+      <p class="modal__text">Output size: <strong class="export-size"></strong></p>
+      <div class="slider-control export-quality">
+        <div class="slider-control__header">
+          <span class="slider-control__label">Quality</span>
+          <span class="slider-control__value export-quality__value"></span>
+        </div>
+        <input type="range" name="quality"
+               min="0.5" max="1" step="0.01" value="${settings.quality}">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Background</label>
+        <div class="form-row">
+          <input type="color" name="background" value="${Helpers.escapeHtml(
+            settings.background
+          )}">
+          <label class="checkbox-control">
+            <input type="checkbox" name="transparent" ${
+              settings.transparent ? 'checked' : ''
+            }>
+            <span class="checkbox-control__label">Transparent</span>
+          </label>
+        </div>
+      </div>
+      <label class="checkbox-control">
+        <input type="checkbox" name="legend" ${settings.legend ? 'checked' : ''} ${
+          hasLegend ? '' : 'disabled'
+        }>
+        <span class="checkbox-control__label">Include legend${
+          hasLegend ? '' : ' (no color tag selected)'
+        }</span>
+      </label>
+    `
+  }
+
+  /**
+   * Read the current form values
+   * @param {HTMLElement} form - Dialog body
+   * @returns {Object} Export settings
+   */
+  static readForm(form) {
+    const field = (name) => DOM.$(`[name="${name}"]`, form)
+    const scale = RasterExportDialog.clampScale(field('scale').value)
+    const transparent = field('transparent').checked
+
+    return {
+      format: field('format').value,
+      scale,
+      dpi: Math.round(
+        parseFloat(field('dpi').value) || scale * RasterExporter.CSS_DPI
+      ),
+      background: transparent ? null : field('background').value,
+      transparent,
+      quality: parseFloat(field('quality').value),
+      legend: field('legend').checked,
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RasterExportDialog
+} else {
+  window.RasterExportDialog = RasterExportDialog
+}
@@ -23,6 +23,7 @@ class RegionList {
     this.store.on('selection:changed', () => this.render())
     this.store.on('regions:loaded', () => this.render())
     this.store.on('region:updated', () => this.render())
+    this.store.on('history:applied', () => this.render())
   }
 
   /**
@@ -0,0 +1,195 @@
+/**
+ * SearchResults Component
+ * Lists regions matching the search box and highlights them on the map
+ */
+
+class SearchResults {
+  // Most results rendered in the list; all of them are highlighted
+  static MAX_ITEMS = 200
+
+  /**
+   * Create a SearchResults component
+   * @param {Store} store - Application store
+   * @param {HTMLElement} container - Results container element
+   */
+  constructor(store, container) {
+    this.store = store
+    this.container = container
+    this.countElement = DOM.$('.search-results__count', container)
+    this.selectButton = DOM.$('[data-action="select-results"]', container)
+    this.listElement = DOM.$('.search-results__list', container)
+
+    this.query = ''
+    this.results = []
+    this.highlighting = false
+
+    this.bindEvents()
+    this.attachListeners()
+  }
+
+  /**
+   * Bind store events
+   */
+  bindEvents() {
+    this.store.on('search:changed', (query) => {
+      this.query = query.trim()
+      this.update()
+    })
+
+    // Tags and names change what matches
+    const refresh = () => {
+      if (this.query) this.update()
+    }
+    this.store.on('tags:extracted', refresh)
+    this.store.on('region:updated', refresh)
+    this.store.on('history:applied', refresh)
+
+    this.store.on('region:active', () => this.render())
+    this.store.on('change:mode', () => this.render())
+    this.store.on('reset', () => {
+      this.query = ''
+      this.results = []
+      this.render()
+    })
+  }
+
+  /**
+   * Attach listeners to the results list
+   */
+  attachListeners() {
+    DOM.delegate(this.listElement, 'click', '.search-result', (e, item) => {
+      const index = parseInt(item.dataset.index, 10)
+
+      // Ctrl/Cmd-click adds to the selection while editing
+      if (
+        (e.ctrlKey || e.metaKey) &&
+        this.store.getState('mode') === 'editor'
+      ) {
+        this.store.toggleRegionSelection(index)
+        return
+      }
+      this.store.setActiveRegion(index)
+    })
+
+    this.selectButton.addEventListener('click', () => {
+      this.store.setSelection(this.results.map((result) => result.index))
+    })
+  }
+
+  /**
+   * Search again and refresh the list and map highlights
+   */
+  update() {
+    this.results = RegionSearch.search(
+      this.store.getState('regions'),
+      this.query
+    )
+    this.highlight()
+    this.render()
+  }
+
+  /**
+   * Highlight the current results on the map
+   */
+  highlight() {
+    if (this.query) {
+      this.store.setHighlightedRegions(
+        this.results.map((result) => result.index)
+      )
+      this.highlighting = true
+    } else if (this.highlighting) {
+      // Leave highlights from the tag list alone
+      this.store.clearHighlightedRegions()
+      this.highlighting = false
+    }
+  }
+
+  /**
+   * Render the results list
+   */
+  render() {
+    if (!this.query) {
+      this.container.style.display = 'none'
+      return
+    }
+
+    const count = this.results.length
+    const activeRegion = this.store.getState('activeRegion')
+
+    this.container.style.display = 'block'
+    this.countElement.textContent =
+      count === 1 ? '1 region found' : `${count} regions found`
+    this.selectButton.style.display =
+      count > 0 && this.store.getState('mode') === 'editor' ? '' : 'none'
+
+    if (count === 0) {
+      this.listElement.innerHTML =
+        '<p class="empty-message">No regions match</p>'
+      return
+    }
+
+    let html = this.results
+      .slice(0, SearchResults.MAX_ITEMS)
+      .map((result) => {
+        const region = this.store.getRegion(result.index)
+        const match =
+          result.field === 'name'
+            ? ''
+            : `<span class="search-result__match">${Helpers.escapeHtml(
+                result.field
+              )}: ${this.markMatch(result.value)}</span>`
+
+        return `
+          <div class="search-result ${
+            result.index === activeRegion ? 'active' : ''
+          }" data-index="${result.index}">
+            <span class="search-result__name">${
+              region.name ? this.markMatch(region.name) : '(Unnamed)'
+            }</span>
+            <span class="search-result__id">#${Helpers.escapeHtml(
+              region.id
+            )}</span>
+            ${match}
+          </div>`
+      })
+      .join('')
+
+    if (count > SearchResults.MAX_ITEMS) {
+      html += `<p class="empty-message">${
+        count - SearchResults.MAX_ITEMS
+      } more not shown</p>`
+    }
+
+    this.listElement.innerHTML = html
+  }
+
+  /**
+   * Escape a value and wrap the query words it contains in <mark>
+   * @param {string} value - Field value
+   * @returns {string} HTML string
+   */
+  markMatch(value) {
+    const terms = this.query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    if (terms.length === 0) return Helpers.escapeHtml(value)
+
+    return value
+      .split(new RegExp(`(${terms.join('|')})`, 'i'))
+      .map((part, i) =>
+        i % 2 === 1
+          ? `<mark>${Helpers.escapeHtml(part)}</mark>`
+          : Helpers.escapeHtml(part)
+      )
+      .join('')
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchResults
+} else {
+  window.SearchResults = SearchResults
+}
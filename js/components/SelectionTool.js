@@ -0,0 +1,290 @@
+/**
+ * SelectionTool Component
+ * Box and lasso selection of regions in editor mode
+ * - Drag: replace selection
+ * - Shift+drag: add, Alt+drag: subtract, Shift+Alt+drag: intersect
+ */
+
+class SelectionTool {
+  static MIN_DRAG = 4
+  static LASSO_SPACING = 3
+
+  /**
+   * Create a SelectionTool component
+   * @param {Store} store - Application store
+   * @param {HTMLElement} container - Map container element
+   * @param {HTMLElement} svgContainer - SVG container element
+   */
+  constructor(store, container, svgContainer) {
+    this.store = store
+    this.container = container
+    this.svgContainer = svgContainer
+
+    this.gesture = null // { tool, points, pointerId }
+    this.suppressClick = false
+
+    this.createToolbar()
+    this.createOverlay()
+    this.bindEvents()
+  }
+
+  /**
+   * Create the tool switcher overlay
+   */
+  createToolbar() {
+    const tools = [
+      { tool: 'pan', label: '✋', title: 'Pan (drag to move the map)' },
+      {
+        tool: 'box',
+        label: '▭',
+        title: 'Box select (Shift: add, Alt: subtract, Shift+Alt: intersect)',
+      },
+      {
+        tool: 'lasso',
+        label: '➰',
+        title: 'Lasso select (Shift: add, Alt: subtract, Shift+Alt: intersect)',
+      },
+    ]
+
+    this.toolbar = DOM.createElement(
+      'div',
+      { className: 'map-tools', style: { display: 'none' } },
+      tools.map((t) =>
+        DOM.createElement(
+          'button',
+          { className: 'map-tool-btn', title: t.title, dataTool: t.tool },
+          t.label
+        )
+      )
+    )
+
+    this.container.appendChild(this.toolbar)
+    this.updateToolbar()
+  }
+
+  /**
+   * Create the SVG overlay used to draw the selection shape
+   */
+  createOverlay() {
+    this.overlay = DOM.createSVGElement('svg', { class: 'selection-overlay' })
+    this.shape = DOM.createSVGElement('path', { class: 'selection-shape' })
+    this.overlay.appendChild(this.shape)
+    this.container.appendChild(this.overlay)
+  }
+
+  /**
+   * Bind store and DOM events
+   */
+  bindEvents() {
+    this.store.on('mapTool:changed', () => this.updateToolbar())
+    this.store.on('regions:loaded', () => this.updateToolbar())
+    this.store.on('change:mode', () => this.updateToolbar())
+
+    DOM.delegate(this.toolbar, 'click', '.map-tool-btn', (e, btn) => {
+      e.stopPropagation()
+      this.store.setMapTool(btn.dataset.tool)
+    })
+
+    this.svgContainer.addEventListener('pointerdown', (e) =>
+      this.handlePointerDown(e)
+    )
+    window.addEventListener('pointermove', (e) => this.handlePointerMove(e))
+    window.addEventListener('pointerup', (e) => this.handlePointerUp(e))
+    window.addEventListener('pointercancel', () => this.cancel())
+
+    // Swallow the click that ends a selection drag
+    this.svgContainer.addEventListener(
+      'click',
+      (e) => {
+        if (this.suppressClick) {
+          e.stopPropagation()
+          e.preventDefault()
+          this.suppressClick = false
+        }
+      },
+      true
+    )
+  }
+
+  /**
+   * Check if a selection tool is active
+   * @returns {boolean} Is active
+   */
+  isActive() {
+    return (
+      this.store.getState('mode') === 'editor' &&
+      this.store.getState('mapTool') !== 'pan'
+    )
+  }
+
+  /**
+   * Update toolbar visibility and active button
+   */
+  updateToolbar() {
+    const hasMap = this.store.getState('regions').length > 0
+    const isEditor = this.store.getState('mode') === 'editor'
+    const tool = this.store.getState('mapTool')
+
+    this.toolbar.style.display = hasMap && isEditor ? 'flex' : 'none'
+    this.toolbar.querySelectorAll('.map-tool-btn').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.tool === tool)
+    })
+    this.container.classList.toggle('select-mode', this.isActive())
+  }
+
+  /**
+   * Start a selection gesture
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    if (!this.isActive() || e.button !== 0 || this.gesture) return
+    if (!this.svgContainer.querySelector('svg')) return
+
+    this.gesture = {
+      tool: this.store.getState('mapTool'),
+      pointerId: e.pointerId,
+      points: [{ x: e.clientX, y: e.clientY }],
+      started: false,
+    }
+  }
+
+  /**
+   * Extend the selection shape
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    const gesture = this.gesture
+    if (!gesture || e.pointerId !== gesture.pointerId) return
+
+    const start = gesture.points[0]
+    const point = { x: e.clientX, y: e.clientY }
+
+    if (!gesture.started) {
+      if (
+        Math.hypot(point.x - start.x, point.y - start.y) <
+        SelectionTool.MIN_DRAG
+      ) {
+        return
+      }
+      gesture.started = true
+      this.overlay.classList.add('active')
+    }
+
+    if (gesture.tool === 'box') {
+      gesture.points = [start, point]
+    } else {
+      const last = gesture.points[gesture.points.length - 1]
+      if (
+        Math.hypot(point.x - last.x, point.y - last.y) >=
+        SelectionTool.LASSO_SPACING
+      ) {
+        gesture.points.push(point)
+      }
+    }
+
+    this.drawShape()
+  }
+
+  /**
+   * Finish the gesture and update the selection
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    const gesture = this.gesture
+    if (!gesture || e.pointerId !== gesture.pointerId) return
+
+    this.gesture = null
+    this.overlay.classList.remove('active')
+
+    // A plain click falls through to the normal region click handling
+    if (!gesture.started) return
+
+    this.suppressClick = true
+
+    const polygon = this.getPolygon(gesture)
+    if (polygon.length < 3) return
+
+    const indices = this.findRegionsInPolygon(polygon)
+    this.store.setSelection(indices, this.getSelectionMode(e))
+  }
+
+  /**
+   * Abort the current gesture
+   */
+  cancel() {
+    this.gesture = null
+    this.overlay.classList.remove('active')
+  }
+
+  /**
+   * Get the selection combine mode from modifier keys
+   * @param {PointerEvent} e - Pointer event
+   * @returns {string} 'replace', 'add', 'subtract' or 'intersect'
+   */
+  getSelectionMode(e) {
+    if (e.shiftKey && e.altKey) return 'intersect'
+    if (e.shiftKey) return 'add'
+    if (e.altKey) return 'subtract'
+    return 'replace'
+  }
+
+  /**
+   * Get the gesture shape as a polygon in client coordinates
+   * @param {Object} gesture - Gesture state
+   * @returns {Array<Object>} Array of { x, y }
+   */
+  getPolygon(gesture) {
+    if (gesture.tool === 'box') {
+      const [a, b] = gesture.points
+      return b ? Geometry.rectToPolygon(a, b) : []
+    }
+    return gesture.points
+  }
+
+  /**
+   * Draw the gesture shape on the overlay
+   */
+  drawShape() {
+    const polygon = this.getPolygon(this.gesture)
+    if (polygon.length < 2) return
+
+    const rect = this.container.getBoundingClientRect()
+    const d =
+      polygon
+        .map(
+          (p, i) =>
+            `${i === 0 ? 'M' : 'L'} ${p.x - rect.left + this.container.scrollLeft},${
+              p.y - rect.top + this.container.scrollTop
+            }`
+        )
+        .join(' ') + ' Z'
+
+    this.shape.setAttribute('d', d)
+  }
+
+  /**
+   * Find regions whose geometry overlaps a polygon
+   * @param {Array<Object>} polygon - Array of { x, y } in client coordinates
+   * @returns {Array<number>} Region indices
+   */
+  findRegionsInPolygon(polygon) {
+    const bbox = Geometry.getBBox(polygon)
+    const paths = this.svgContainer.querySelectorAll('path.region')
+    const indices = []
+
+    paths.forEach((path, index) => {
+      if (Geometry.elementIntersectsPolygon(path, polygon, bbox)) {
+        indices.push(index)
+      }
+    })
+
+    return indices
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectionTool
+} else {
+  window.SelectionTool = SelectionTool
+}
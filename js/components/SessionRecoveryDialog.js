@@ -0,0 +1,102 @@
+/**
+ * SessionRecoveryDialog Component
+ * Offers to restore an autosaved session on startup
+ */
+
+class SessionRecoveryDialog {
+  /**
+   * Show the recovery dialog
+   * @param {Array<Object>} snapshots - Snapshots from AutosaveService, newest first
+   * @returns {Promise<Object|null>} Chosen snapshot or null if dismissed
+   */
+  static show(snapshots) {
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const modal = Modal.open({
+        title: '♻️ Restore previous session',
+        content: SessionRecoveryDialog.renderList(snapshots),
+        actions: [
+          {
+            label: 'Discard all',
+            variant: 'danger',
+            onClick: () => {
+              AutosaveService.clear().catch((error) =>
+                console.error('Failed to clear snapshots:', error)
+              )
+            },
+          },
+          { label: 'Start fresh', variant: 'outline' },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      DOM.delegate(modal.body, 'click', '[data-action="restore"]', (e, btn) => {
+        chosen = snapshots.find((s) => s.id === btn.dataset.id) || null
+        modal.close()
+      })
+
+      DOM.delegate(modal.body, 'click', '[data-action="delete"]', (e, btn) => {
+        const id = btn.dataset.id
+        AutosaveService.deleteSnapshot(id).catch((error) =>
+          console.error('Failed to delete snapshot:', error)
+        )
+
+        snapshots = snapshots.filter((s) => s.id !== id)
+        if (snapshots.length === 0) {
+          modal.close()
+          return
+        }
+        modal.body.innerHTML = SessionRecoveryDialog.renderList(snapshots)
+      })
+    })
+  }
+
+  /**
+   * Render the snapshot list
+   * @param {Array<Object>} snapshots - Snapshots
+   * @returns {string} HTML string
+   */
+  static renderList(snapshots) {
+    let html = `
+      <p class="modal__text">
+        Unsaved work from a previous session was found. Pick a snapshot to restore it.
+      </p>
+      <div class="snapshot-list">
+    `
+
+    snapshots.forEach((snapshot) => {
+      const date = new Date(snapshot.timestamp).toLocaleString()
+
+      html += `
+        <div class="snapshot-item">
+          <div class="snapshot-item__info">
+            <span class="snapshot-item__name">${Helpers.escapeHtml(
+              snapshot.fileName || 'Untitled map'
+            )}</span>
+            <span class="snapshot-item__meta">${Helpers.escapeHtml(date)} · ${
+              snapshot.regionCount
+            } regions · ${snapshot.tagCount} tags</span>
+          </div>
+          <button class="btn btn--xs btn--primary"
+                  data-action="restore"
+                  data-id="${Helpers.escapeHtml(snapshot.id)}">Restore</button>
+          <button class="btn btn--xs btn--outline"
+                  data-action="delete"
+                  data-id="${Helpers.escapeHtml(snapshot.id)}"
+                  title="Delete snapshot">×</button>
+        </div>
+      `
+    })
+
+    html += '</div>'
+    return html
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionRecoveryDialog
+} else {
+  window.SessionRecoveryDialog = SessionRecoveryDialog
+}
@@ -14,6 +14,7 @@ class TagGroups {
     this.container = container
 
     this.bindEvents()
+    this.attachListeners()
   }
 
   /**
@@ -63,6 +64,7 @@ class TagGroups {
                         } values · ${totalRegions} regions</span>
                     </div>
                     <div class="tag-group__values">
+                        ${this.renderRange(tagKey, tagData)}
                         ${this.renderTagValues(tagKey, tagData, valueColors)}
                     </div>
                 </div>
@@ -70,7 +72,7 @@ class TagGroups {
     })
 
     this.container.innerHTML = html
-    this.attachListeners()
+    this.updateActiveStates()
   }
 
   /**
@@ -106,6 +108,9 @@ class TagGroups {
                       value
                     )}</span>
                     <span class="tag-value__count">${valueData.count}</span>
+                    <button class="tag-value__exclude"
+                            data-action="exclude"
+                            title="Hide regions with this value">⊘</button>
                 </div>
             `
     })
@@ -113,6 +118,32 @@ class TagGroups {
     return html
   }
 
+  /**
+   * Render min/max inputs for a numeric tag
+   * @param {string} tagKey - Tag key
+   * @param {Object} tagData - Tag data
+   * @returns {string} HTML string, empty for non-numeric tags
+   */
+  renderRange(tagKey, tagData) {
+    if (!Scales.isNumericTag(tagData)) return ''
+
+    const numbers = Array.from(tagData.values.keys()).map(Number)
+    const min = Math.min(...numbers)
+    const max = Math.max(...numbers)
+
+    return `
+            <div class="tag-range" data-tag="${Helpers.escapeHtml(tagKey)}">
+                <input type="text" class="form-input tag-range__input"
+                       data-bound="min" placeholder="min ${min}"
+                       title="Lowest value to show, e.g. 10k">
+                <span class="tag-range__separator">–</span>
+                <input type="text" class="form-input tag-range__input"
+                       data-bound="max" placeholder="max ${max}"
+                       title="Highest value to show, e.g. 50k">
+            </div>
+        `
+  }
+
   /**
    * Attach event listeners
    */
@@ -123,12 +154,53 @@ class TagGroups {
       group.classList.toggle('collapsed')
     })
 
-    // Toggle filter on value click
+    // Toggle filter on value click, exclusion on the ⊘ button
     DOM.delegate(this.container, 'click', '.tag-value', (e, item) => {
       e.stopPropagation()
       const tagKey = item.dataset.tag
       const value = item.dataset.value
-      this.store.toggleFilter(tagKey, value)
+
+      if (e.target.closest('[data-action="exclude"]')) {
+        this.store.toggleExclusion(tagKey, value)
+      } else {
+        this.store.toggleFilter(tagKey, value)
+      }
+    })
+
+    // Apply a numeric range when an input is left or Enter is pressed
+    DOM.delegate(this.container, 'change', '.tag-range__input', (e, input) =>
+      this.applyRange(input.closest('.tag-range'))
+    )
+    DOM.delegate(this.container, 'keydown', '.tag-range__input', (e, input) => {
+      if (e.key === 'Enter') this.applyRange(input.closest('.tag-range'))
+    })
+  }
+
+  /**
+   * Read a range row and update the store
+   * @param {HTMLElement} row - .tag-range element
+   */
+  applyRange(row) {
+    const read = (bound) => {
+      const input = DOM.$(`[data-bound="${bound}"]`, row)
+      const text = input.value.trim()
+      const number = text ? FilterQuery.parseNumber(text) : null
+      input.classList.toggle('is-invalid', !!text && number === null)
+      return { text, number }
+    }
+
+    const min = read('min')
+    const max = read('max')
+    if (
+      (min.text && min.number === null) ||
+      (max.text && max.number === null)
+    ) {
+      return
+    }
+
+    this.store.setRangeFilter(row.dataset.tag, {
+      min: min.number,
+      max: max.number,
     })
   }
 
@@ -137,16 +209,29 @@ class TagGroups {
    */
   updateActiveStates() {
     const activeFilters = this.store.getState('activeFilters')
+    const excludedFilters = this.store.getState('excludedFilters')
+    const rangeFilters = this.store.getState('rangeFilters')
+    const has = (filters, tagKey, value) =>
+      filters.has(tagKey) && filters.get(tagKey).has(value)
 
     // Update value items
     this.container.querySelectorAll('.tag-value').forEach((item) => {
       const tagKey = item.dataset.tag
       const value = item.dataset.value
 
-      const isActive =
-        activeFilters.has(tagKey) && activeFilters.get(tagKey).has(value)
+      item.classList.toggle('active', has(activeFilters, tagKey, value))
+      item.classList.toggle('excluded', has(excludedFilters, tagKey, value))
+    })
 
-      item.classList.toggle('active', isActive)
+    // Update range inputs unless they are being edited
+    this.container.querySelectorAll('.tag-range').forEach((row) => {
+      const range = rangeFilters.get(row.dataset.tag)
+      row.querySelectorAll('.tag-range__input').forEach((input) => {
+        if (input === document.activeElement) return
+        const bound = range ? range[input.dataset.bound] : null
+        input.value = bound === null ? '' : String(bound)
+        input.classList.remove('is-invalid')
+      })
     })
 
     // Update header states
@@ -155,7 +240,9 @@ class TagGroups {
       const header = group.querySelector('.tag-group__header')
 
       const hasActive =
-        activeFilters.has(tagKey) && activeFilters.get(tagKey).size > 0
+        (activeFilters.has(tagKey) && activeFilters.get(tagKey).size > 0) ||
+        (excludedFilters.has(tagKey) && excludedFilters.get(tagKey).size > 0) ||
+        rangeFilters.has(tagKey)
 
       header.classList.toggle('has-active', hasActive)
     })
@@ -0,0 +1,249 @@
+/**
+ * TagManageDialog Component
+ * Dialogs for renaming, merging and deleting tag keys and values across the map
+ */
+
+class TagManageDialog {
+  /**
+   * Ask for a new name for a tag key; an existing name merges the keys
+   * @param {Object} options - Dialog options
+   * @param {string} options.tagKey - Full tag key being renamed
+   * @param {Map} options.tags - Tags from the store
+   * @param {Array<Object>} options.regions - Regions
+   * @returns {Promise<Object|null>} { toKey, overwrite } or null if cancelled
+   */
+  static showKey({ tagKey, tags, regions }) {
+    const name = tags.get(tagKey).name
+    const withKey = regions.filter(
+      (region) => region.element && region.element.hasAttribute(tagKey)
+    )
+
+    const otherKeys = Array.from(tags.values())
+      .map((tagData) => tagData.name)
+      .filter((other) => other !== name)
+      .sort()
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const modal = Modal.open({
+        title: `✏️ Rename or merge "${name}"`,
+        content: `
+          <div class="form-group">
+            <label class="form-label">New key (an existing key merges both)</label>
+            <input type="text" class="form-input" name="toKey" list="tagManageKeys">
+            <datalist id="tagManageKeys">
+              ${otherKeys
+                .map((key) => `<option value="${Helpers.escapeHtml(key)}">`)
+                .join('')}
+            </datalist>
+          </div>
+          <label class="checkbox-control tag-manage__overwrite">
+            <input type="checkbox" name="overwrite">
+            <span class="checkbox-control__label">Overwrite values already set on the target key</span>
+          </label>
+          <p class="tag-manage__preview"></p>
+        `,
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Apply',
+            variant: 'primary',
+            onClick: () => {
+              const toKey = TagManageDialog.readKey(modal.body)
+              if (!toKey || toKey === tagKey) {
+                Toast.error('Enter a different key name')
+                return false
+              }
+              chosen = {
+                toKey,
+                overwrite: DOM.$('[name="overwrite"]', modal.body).checked,
+              }
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      const form = modal.body
+      const input = DOM.$('[name="toKey"]', form)
+      input.value = name
+
+      const update = () => {
+        const toKey = TagManageDialog.readKey(form)
+        const merging = !!toKey && toKey !== tagKey && tags.has(toKey)
+        const conflicts = merging
+          ? withKey.filter(
+              (region) =>
+                region.element.hasAttribute(toKey) &&
+                region.element.getAttribute(toKey) !==
+                  region.element.getAttribute(tagKey)
+            ).length
+          : 0
+
+        DOM.$('.tag-manage__overwrite', form).style.display =
+          conflicts > 0 ? 'flex' : 'none'
+
+        let text = `${withKey.length} region(s) will change.`
+        if (!toKey || toKey === tagKey) {
+          text = 'Enter a new key name.'
+        } else if (merging) {
+          text = `Merges into existing tag "${toKey.replace(
+            'data-',
+            ''
+          )}": ${withKey.length} region(s) affected, ${conflicts} with a different value already set.`
+        }
+        DOM.$('.tag-manage__preview', form).textContent = text
+      }
+
+      input.addEventListener('input', update)
+      input.focus()
+      input.select()
+      update()
+    })
+  }
+
+  /**
+   * Ask which values of a tag to replace and with what
+   * @param {Object} options - Dialog options
+   * @param {string} options.tagKey - Full tag key
+   * @param {Object} options.tagData - Tag data from the store
+   * @param {string} options.value - Value the dialog was opened from
+   * @returns {Promise<Object|null>} { fromValues, toValue } or null if cancelled
+   */
+  static showValues({ tagKey, tagData, value }) {
+    const values = Array.from(tagData.values.entries()).sort((a, b) =>
+      a[0].localeCompare(b[0], undefined, { numeric: true })
+    )
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const items = values
+        .map(
+          ([v, valueData], i) => `
+            <label class="checkbox-control">
+              <input type="checkbox" data-value-index="${i}" ${
+                v === value ? 'checked' : ''
+              }>
+              <span class="checkbox-control__label">${Helpers.escapeHtml(
+                v
+              )} <span class="tag-manage__count">(${
+                valueData.count
+              })</span></span>
+            </label>`
+        )
+        .join('')
+
+      const modal = Modal.open({
+        title: `✏️ Rename or merge ${tagData.name} values`,
+        content: `
+          <div class="form-group">
+            <label class="form-label">Values to replace</label>
+            <div class="tag-manage__values">${items}</div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">New value</label>
+            <input type="text" class="form-input" name="toValue">
+          </div>
+          <p class="tag-manage__preview"></p>
+        `,
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Apply',
+            variant: 'primary',
+            onClick: () => {
+              const { fromValues, toValue } = read()
+              if (fromValues.length === 0 || !toValue) {
+                Toast.error('Choose values and enter the new value')
+                return false
+              }
+              chosen = { fromValues, toValue }
+            },
+          },
+        ],
+        onClose: () => resolve(chosen),
+      })
+
+      const form = modal.body
+      const input = DOM.$('[name="toValue"]', form)
+      input.value = value
+
+      const read = () => ({
+        fromValues: DOM.$$('[data-value-index]', form)
+          .filter((checkbox) => checkbox.checked)
+          .map((checkbox) => values[checkbox.dataset.valueIndex][0]),
+        toValue: input.value.trim(),
+      })
+
+      const update = () => {
+        const { fromValues, toValue } = read()
+        const count = fromValues
+          .filter((v) => v !== toValue)
+          .reduce((sum, v) => sum + tagData.values.get(v).count, 0)
+
+        DOM.$('.tag-manage__preview', form).textContent =
+          `${count} region(s) will change` +
+          (tagData.values.has(toValue) && !fromValues.includes(toValue)
+            ? ` and join the ${tagData.values.get(toValue).count} already set to "${toValue}".`
+            : '.')
+      }
+
+      form.addEventListener('input', update)
+      form.addEventListener('change', update)
+      input.focus()
+      input.select()
+      update()
+    })
+  }
+
+  /**
+   * Confirm deleting a tag key everywhere
+   * @param {string} name - Tag name without the data- prefix
+   * @param {number} count - Number of regions with the tag
+   * @returns {Promise<boolean>} Confirmed
+   */
+  static confirmDelete(name, count) {
+    return new Promise((resolve) => {
+      let confirmed = false
+
+      Modal.open({
+        title: '🗑️ Delete tag',
+        content: `<p class="modal__text">Remove <strong>${Helpers.escapeHtml(
+          name
+        )}</strong> from ${count} region(s)? You can undo this from the history.</p>`,
+        size: 'sm',
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Delete',
+            variant: 'danger',
+            onClick: () => {
+              confirmed = true
+            },
+          },
+        ],
+        onClose: () => resolve(confirmed),
+      })
+    })
+  }
+
+  /**
+   * Read the target key from the rename form
+   * @param {HTMLElement} form - Dialog body
+   * @returns {string|null} Full tag key or null if unusable
+   */
+  static readKey(form) {
+    return Helpers.toTagKey(DOM.$('[name="toKey"]', form).value)
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TagManageDialog
+} else {
+  window.TagManageDialog = TagManageDialog
+}
@@ -0,0 +1,292 @@
+/**
+ * TagSchemaDialog Component
+ * Dialogs for editing the tag schema and reviewing regions that violate it
+ */
+
+class TagSchemaDialog {
+  // Longest issue list rendered in the report
+  static REPORT_LIMIT = 500
+
+  /**
+   * Edit the tag schema
+   * @param {Object} options - Dialog options
+   * @param {Object|null} options.schema - Current normalized schema
+   * @param {Map} options.tags - Tags from the store
+   * @returns {Promise<Object|null>} { schema } where schema is null to remove it, or null if cancelled
+   */
+  static show({ schema, tags }) {
+    const current = schema || { strict: false, keys: {} }
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const actions = [{ label: 'Cancel' }]
+      if (schema) {
+        actions.push({
+          label: 'Remove schema',
+          variant: 'danger',
+          onClick: () => {
+            chosen = { schema: null }
+          },
+        })
+      }
+      actions.push({
+        label: 'Save',
+        variant: 'primary',
+        onClick: () => {
+          try {
+            chosen = { schema: TagSchemaDialog.readForm(modal.body) }
+          } catch (error) {
+            Toast.error(error.message)
+            return false
+          }
+        },
+      })
+
+      const modal = Modal.open({
+        title: '📐 Tag schema',
+        content: `
+          <p class="modal__text">Declare tag keys with a type so the tag inputs can suggest values and the validation report can find mistakes.</p>
+          <label class="checkbox-control tag-schema__strict">
+            <input type="checkbox" name="strict" ${current.strict ? 'checked' : ''}>
+            <span class="checkbox-control__label">Report tag keys that are not declared</span>
+          </label>
+          <div class="tag-schema__keys">
+            <table class="data-table tag-schema__table">
+              <thead>
+                <tr>
+                  <th>Key</th>
+                  <th>Type</th>
+                  <th>Allowed values (comma separated)</th>
+                  <th>Default</th>
+                  <th>Required</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody></tbody>
+            </table>
+          </div>
+          <div class="btn-group btn-group--compact tag-schema__tools">
+            <button type="button" class="btn btn--xs btn--outline" data-action="add-key">+ Add key</button>
+            <button type="button" class="btn btn--xs btn--outline" data-action="infer-keys">Add keys from existing tags</button>
+          </div>
+        `,
+        size: 'lg',
+        actions,
+        onClose: () => resolve(chosen),
+      })
+
+      const form = modal.body
+      const tbody = DOM.$('tbody', form)
+
+      Object.entries(current.keys).forEach(([name, definition]) => {
+        tbody.appendChild(TagSchemaDialog.createRow(name, definition))
+      })
+
+      DOM.delegate(form, 'click', '[data-action="add-key"]', () => {
+        const row = TagSchemaDialog.createRow('', {})
+        tbody.appendChild(row)
+        DOM.$('[name="key"]', row).focus()
+      })
+
+      DOM.delegate(form, 'click', '[data-action="infer-keys"]', () => {
+        const listed = DOM.$$('[name="key"]', tbody).map((input) =>
+          input.value.trim()
+        )
+        let added = 0
+        tags.forEach((tagData) => {
+          if (listed.includes(tagData.name)) return
+          if (TagSchema.BUILT_IN_KEYS.includes(tagData.name)) return
+          tbody.appendChild(
+            TagSchemaDialog.createRow(tagData.name, TagSchema.infer(tagData))
+          )
+          added++
+        })
+        Toast.info(
+          added ? `Added ${added} key(s)` : 'All tags are already listed'
+        )
+      })
+
+      DOM.delegate(form, 'click', '[data-action="remove-key"]', (e, btn) => {
+        btn.closest('tr').remove()
+      })
+    })
+  }
+
+  /**
+   * Create an editable row for one key
+   * Built with DOM calls so values never need attribute escaping
+   * @param {string} name - Tag key without the data- prefix
+   * @param {Object} definition - Key definition (may be partial)
+   * @returns {HTMLTableRowElement} Row
+   */
+  static createRow(name, definition) {
+    const cell = (child) => DOM.createElement('td', {}, [child])
+
+    const type = DOM.createElement('select', {
+      className: 'form-select',
+      name: 'type',
+    })
+    Object.entries(TagSchema.TYPES).forEach(([key, info]) => {
+      type.appendChild(DOM.createElement('option', { value: key }, info.label))
+    })
+    type.value = definition.type || 'string'
+
+    const input = (field, value, placeholder = '') => {
+      const element = DOM.createElement('input', {
+        type: 'text',
+        className: 'form-input',
+        name: field,
+        placeholder,
+      })
+      element.value = value || ''
+      return element
+    }
+
+    const required = DOM.createElement('input', {
+      type: 'checkbox',
+      name: 'required',
+    })
+    required.checked = !!definition.required
+
+    return DOM.createElement('tr', { className: 'tag-schema__row' }, [
+      cell(input('key', name, 'key')),
+      cell(type),
+      cell(input('values', (definition.values || []).join(', '), 'any')),
+      cell(input('default', definition.default)),
+      cell(required),
+      cell(
+        DOM.createElement(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--xs btn--outline',
+            dataAction: 'remove-key',
+            title: 'Remove key',
+          },
+          '×'
+        )
+      ),
+    ])
+  }
+
+  /**
+   * Read and validate the schema form
+   * @param {HTMLElement} form - Dialog body
+   * @returns {Object|null} Normalized schema, or null when no keys are declared
+   * @throws {Error} When a row is invalid
+   */
+  static readForm(form) {
+    const keys = {}
+
+    DOM.$$('.tag-schema__row', form).forEach((row) => {
+      const field = (name) => DOM.$(`[name="${name}"]`, row)
+      const name = field('key').value.trim()
+      if (!name) return
+
+      if (keys[name]) throw new Error(`Tag key "${name}" is declared twice`)
+
+      keys[name] = {
+        type: field('type').value,
+        values: field('values').value.split(','),
+        default: field('default').value,
+        required: field('required').checked,
+      }
+    })
+
+    const schema = TagSchema.normalize({
+      strict: DOM.$('[name="strict"]', form).checked,
+      keys,
+    })
+    return Object.keys(schema.keys).length > 0 ? schema : null
+  }
+
+  /**
+   * Show regions that violate the schema
+   * @param {Object} options - Dialog options
+   * @param {Array<Object>} options.issues - From TagSchema.validate
+   * @param {Array<Object>} options.regions - Regions
+   * @param {number} options.defaultCount - Missing tags that have a default
+   * @returns {Promise<Object|null>} { action: 'select' | 'defaults' | 'show', index? } or null when closed
+   */
+  static showReport({ issues, regions, defaultCount }) {
+    const regionCount = new Set(issues.map((issue) => issue.index)).size
+
+    return new Promise((resolve) => {
+      let chosen = null
+
+      const actions = [{ label: 'Close' }]
+      if (defaultCount > 0) {
+        actions.push({
+          label: `Fill ${defaultCount} default(s)`,
+          onClick: () => {
+            chosen = { action: 'defaults' }
+          },
+        })
+      }
+      if (issues.length > 0) {
+        actions.push({
+          label: 'Select regions',
+          variant: 'primary',
+          onClick: () => {
+            chosen = { action: 'select' }
+          },
+        })
+      }
+
+      const rows = issues
+        .slice(0, TagSchemaDialog.REPORT_LIMIT)
+        .map((issue) => {
+          const region = regions[issue.index]
+          return `
+            <tr class="tag-schema__issue" data-index="${issue.index}">
+              <td>${Helpers.escapeHtml(region.name || region.id)}</td>
+              <td>${Helpers.escapeHtml(issue.key.replace('data-', ''))}</td>
+              <td>${issue.value === null ? '—' : Helpers.escapeHtml(issue.value)}</td>
+              <td>${Helpers.escapeHtml(issue.message)}</td>
+            </tr>`
+        })
+        .join('')
+
+      const more =
+        issues.length > TagSchemaDialog.REPORT_LIMIT
+          ? `<p class="data-join__unmatched">Showing the first ${TagSchemaDialog.REPORT_LIMIT} of ${issues.length} problems.</p>`
+          : ''
+
+      const content =
+        issues.length === 0
+          ? `<p class="modal__text">All ${regions.length} regions match the schema.</p>`
+          : `
+            <p class="data-join__summary">${issues.length} problem(s) in ${regionCount} of ${regions.length} region(s). Click a row to show the region.</p>
+            <div class="data-join__preview tag-schema__report">
+              <table class="data-table">
+                <thead>
+                  <tr><th>Region</th><th>Tag</th><th>Value</th><th>Problem</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+            ${more}`
+
+      const modal = Modal.open({
+        title: '✅ Schema validation',
+        content,
+        size: issues.length === 0 ? 'sm' : 'lg',
+        actions,
+        onClose: () => resolve(chosen),
+      })
+
+      DOM.delegate(modal.body, 'click', '.tag-schema__issue', (e, row) => {
+        chosen = { action: 'show', index: parseInt(row.dataset.index, 10) }
+        modal.close()
+      })
+    })
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TagSchemaDialog
+} else {
+  window.TagSchemaDialog = TagSchemaDialog
+}
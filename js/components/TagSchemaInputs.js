@@ -0,0 +1,124 @@
+/**
+ * TagSchemaInputs Component
+ * Adds schema-aware suggestions and defaults to a pair of tag key/value inputs
+ */
+
+class TagSchemaInputs {
+  /**
+   * Create a TagSchemaInputs helper
+   * @param {Store} store - Application store
+   * @param {HTMLInputElement} keyInput - Tag key input
+   * @param {HTMLInputElement} valueInput - Tag value input
+   */
+  constructor(store, keyInput, valueInput) {
+    this.store = store
+    this.keyInput = keyInput
+    this.valueInput = valueInput
+    this.valuePlaceholder = valueInput.placeholder
+
+    this.keyList = this.createList(keyInput)
+    this.valueList = this.createList(valueInput)
+
+    // Options are built on demand, so no store listeners outlive the inputs
+    keyInput.addEventListener('focus', () => this.updateKeys())
+    keyInput.addEventListener('input', () => this.updateValues())
+    valueInput.addEventListener('focus', () => this.updateValues())
+  }
+
+  /**
+   * Create a datalist for an input
+   * @param {HTMLInputElement} input - Input element
+   * @returns {HTMLDataListElement} Datalist
+   */
+  createList(input) {
+    const list = DOM.createElement('datalist', {
+      id: Helpers.generateId('tag-options'),
+    })
+    input.after(list)
+    input.setAttribute('list', list.id)
+    return list
+  }
+
+  /**
+   * Replace the options of a datalist
+   * @param {HTMLDataListElement} list - Datalist
+   * @param {Array<string>} values - Option values
+   */
+  fillList(list, values) {
+    list.innerHTML = ''
+    values.forEach((value) => {
+      list.appendChild(DOM.createElement('option', { value }))
+    })
+  }
+
+  /**
+   * Suggest declared keys first, then keys already in use
+   */
+  updateKeys() {
+    const schema = this.store.getState('tagSchema')
+    const declared = schema ? Object.keys(schema.keys).sort() : []
+    const used =
+      schema && schema.strict
+        ? []
+        : Array.from(this.store.getState('tags').values())
+            .map((tagData) => tagData.name)
+            .filter((name) => !declared.includes(name))
+            .sort()
+
+    this.fillList(this.keyList, [...declared, ...used])
+  }
+
+  /**
+   * Suggest values for the current key and show its type
+   */
+  updateValues() {
+    const schema = this.store.getState('tagSchema')
+    const key = this.keyInput.value.trim()
+    const definition = TagSchema.getDefinition(schema, key)
+
+    this.fillList(
+      this.valueList,
+      key
+        ? TagSchema.getSuggestions(schema, key, this.store.getState('tags'))
+        : []
+    )
+    this.valueInput.placeholder = definition
+      ? TagSchema.describe(definition)
+      : this.valuePlaceholder
+  }
+
+  /**
+   * Read the inputs, using the declared default for an empty value
+   * @returns {Object} { key, value, error } where error is a schema violation or null
+   */
+  read() {
+    const schema = this.store.getState('tagSchema')
+    const key = this.keyInput.value.trim()
+    let value = this.valueInput.value.trim()
+
+    const definition = TagSchema.getDefinition(schema, key)
+    if (!value && definition) value = definition.default
+
+    return {
+      key,
+      value,
+      error: key && value ? TagSchema.checkTag(schema, key, value) : null,
+    }
+  }
+
+  /**
+   * Clear both inputs
+   */
+  clear() {
+    this.keyInput.value = ''
+    this.valueInput.value = ''
+    this.valueInput.placeholder = this.valuePlaceholder
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TagSchemaInputs
+} else {
+  window.TagSchemaInputs = TagSchemaInputs
+}
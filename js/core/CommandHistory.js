@@ -0,0 +1,193 @@
+/**
+ * CommandHistory
+ * Command-based undo/redo stack with grouped transactions
+ */
+
+class CommandHistory extends EventEmitter {
+  /**
+   * Create a CommandHistory instance
+   * @param {number} limit - Maximum number of commands to keep
+   */
+  constructor(limit = 100) {
+    super()
+
+    this.limit = limit
+    this._commands = [] // Executed commands, oldest first
+    this._position = 0 // Number of commands currently applied
+    this._transaction = null // { label, commands } while grouping
+  }
+
+  /**
+   * Execute a command and record it
+   * A command is { label, execute(), undo() }
+   * @param {Object} command - Command object
+   */
+  execute(command) {
+    command.execute()
+
+    if (this._transaction) {
+      this._transaction.commands.push(command)
+      return
+    }
+
+    this._record(command)
+  }
+
+  /**
+   * Start grouping executed commands into a single history entry
+   * Nested calls are merged into the outermost transaction
+   * @param {string} label - Label for the grouped entry
+   */
+  beginTransaction(label) {
+    if (this._transaction) {
+      this._transaction.depth++
+      return
+    }
+
+    this._transaction = { label, commands: [], depth: 1 }
+  }
+
+  /**
+   * Finish the current transaction and record it as one entry
+   */
+  commitTransaction() {
+    const transaction = this._transaction
+    if (!transaction) return
+
+    transaction.depth--
+    if (transaction.depth > 0) return
+
+    this._transaction = null
+
+    if (transaction.commands.length === 0) return
+
+    const commands = transaction.commands
+    this._record({
+      label: transaction.label,
+      execute: () => commands.forEach((command) => command.execute()),
+      undo: () =>
+        commands
+          .slice()
+          .reverse()
+          .forEach((command) => command.undo()),
+    })
+  }
+
+  /**
+   * Undo the last applied command
+   * @returns {Object|null} Undone command
+   */
+  undo() {
+    if (!this.canUndo()) return null
+
+    this._position--
+    const command = this._commands[this._position]
+    command.undo()
+
+    this.emit('change', this.getEntries(), this._position)
+    return command
+  }
+
+  /**
+   * Redo the next undone command
+   * @returns {Object|null} Redone command
+   */
+  redo() {
+    if (!this.canRedo()) return null
+
+    const command = this._commands[this._position]
+    command.execute()
+    this._position++
+
+    this.emit('change', this.getEntries(), this._position)
+    return command
+  }
+
+  /**
+   * Move to a specific point in history by undoing or redoing
+   * @param {number} position - Number of commands that should be applied
+   */
+  goTo(position) {
+    const target = Math.max(0, Math.min(position, this._commands.length))
+
+    while (this._position > target) {
+      this._position--
+      this._commands[this._position].undo()
+    }
+
+    while (this._position < target) {
+      this._commands[this._position].execute()
+      this._position++
+    }
+
+    this.emit('change', this.getEntries(), this._position)
+  }
+
+  /**
+   * Check if there is a command to undo
+   * @returns {boolean} Can undo
+   */
+  canUndo() {
+    return this._position > 0
+  }
+
+  /**
+   * Check if there is a command to redo
+   * @returns {boolean} Can redo
+   */
+  canRedo() {
+    return this._position < this._commands.length
+  }
+
+  /**
+   * Get the current position (number of applied commands)
+   * @returns {number} Position
+   */
+  getPosition() {
+    return this._position
+  }
+
+  /**
+   * Get history entries for display
+   * @returns {Array} Array of { label, applied } objects, oldest first
+   */
+  getEntries() {
+    return this._commands.map((command, index) => ({
+      label: command.label,
+      applied: index < this._position,
+    }))
+  }
+
+  /**
+   * Clear all history
+   */
+  clear() {
+    this._commands = []
+    this._position = 0
+    this._transaction = null
+    this.emit('change', [], 0)
+  }
+
+  /**
+   * Record an already executed command, dropping the redo branch
+   * @param {Object} command - Command object
+   */
+  _record(command) {
+    this._commands.length = this._position
+    this._commands.push(command)
+
+    if (this._commands.length > this.limit) {
+      this._commands.shift()
+    }
+
+    this._position = this._commands.length
+    this.emit('change', this.getEntries(), this._position)
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandHistory
+} else {
+  window.CommandHistory = CommandHistory
+}
@@ -15,6 +15,7 @@ class Store extends EventEmitter {
       fileName: '',
       modified: false,
       svgContent: null,
+      sourceSvgContent: null, // SVG as originally loaded, before any edits
 
       // Regions data
       regions: [],
@@ -26,18 +27,35 @@ class Store extends EventEmitter {
       tagColors: new Map(), // tagKey -> color
       valueColors: new Map(), // "tagKey:value" -> color
       currentColorTag: '', // Currently selected tag for coloring
-
-      // Filter state (viewer mode)
-      activeFilters: new Map(), // tagKey -> Set of active values
+      customValueColors: new Map(), // "tagKey:value" -> color, overrides generated colors
+      colorScales: new Map(), // tagKey -> { type, palette, classes } for numeric tags
+      tagScales: new Map(), // tagKey -> scale from Scales.create, numeric tags only
+      tagSchema: null, // Declared tag keys from TagSchema.normalize, or null
+
+      // Filter state (viewer mode), combined by RegionFilter
+      activeFilters: new Map(), // tagKey -> Set of values to show (OR within a key)
+      excludedFilters: new Map(), // tagKey -> Set of values to hide
+      rangeFilters: new Map(), // tagKey -> { min, max } for numeric tags, either may be null
+      filterQuery: '', // Text query parsed by FilterQuery
       searchQuery: '',
 
       // Editor paint mode state
       editorPaintTag: null, // { key: string, value: string } or null
       highlightedRegions: new Set(), // Region indices highlighted by tag selection
+      mapTool: 'pan', // 'pan', 'box' or 'lasso'
+
+      // Map viewport
+      viewBox: null, // { x, y, width, height } currently shown
 
       // Override with initial state
       ...initialState,
     }
+
+    // Undo/redo history for region mutations
+    this.history = new CommandHistory()
+    this.history.on('change', (entries, position) => {
+      this.emit('history:changed', entries, position)
+    })
   }
 
   /**
@@ -86,6 +104,7 @@ class Store extends EventEmitter {
       fileName: '',
       modified: false,
       svgContent: null,
+      sourceSvgContent: null,
       regions: [],
       selectedRegions: new Set(),
       activeRegion: null,
@@ -93,11 +112,20 @@ class Store extends EventEmitter {
       tagColors: new Map(),
       valueColors: new Map(),
       currentColorTag: '',
+      customValueColors: new Map(),
+      colorScales: new Map(),
+      tagScales: new Map(),
+      tagSchema: null,
       activeFilters: new Map(),
+      excludedFilters: new Map(),
+      rangeFilters: new Map(),
+      filterQuery: '',
       searchQuery: '',
       editorPaintTag: null,
       highlightedRegions: new Set(),
+      viewBox: null,
     })
+    this.history.clear()
     this.emit('reset')
   }
 
@@ -110,6 +138,7 @@ class Store extends EventEmitter {
    * @param {Array} regions - Array of region objects
    */
   setRegions(regions) {
+    this.history.clear()
     this.setState({ regions })
     this.emit('regions:loaded', regions)
   }
@@ -171,6 +200,39 @@ class Store extends EventEmitter {
     this.emit('selection:changed', selected)
   }
 
+  /**
+   * Combine a set of regions with the current selection
+   * @param {Array<number>|Set<number>} indices - Region indices
+   * @param {string} mode - 'replace', 'add', 'subtract' or 'intersect'
+   */
+  setSelection(indices, mode = 'replace') {
+    const current = this._state.selectedRegions
+    const incoming = new Set(indices)
+    let selected
+
+    if (mode === 'add') {
+      selected = new Set([...current, ...incoming])
+    } else if (mode === 'subtract') {
+      selected = new Set([...current].filter((i) => !incoming.has(i)))
+    } else if (mode === 'intersect') {
+      selected = new Set([...current].filter((i) => incoming.has(i)))
+    } else {
+      selected = incoming
+    }
+
+    this.setState({ selectedRegions: selected })
+    this.emit('selection:changed', selected)
+  }
+
+  /**
+   * Set the active map tool
+   * @param {string} tool - 'pan', 'box' or 'lasso'
+   */
+  setMapTool(tool) {
+    this.setState({ mapTool: tool })
+    this.emit('mapTool:changed', tool)
+  }
+
   /**
    * Set active region (for info panel)
    * @param {number|null} index - Region index or null
@@ -226,38 +288,112 @@ class Store extends EventEmitter {
     })
 
     // Generate colors
+    const tagScales = new Map()
     let hueStep = 360 / Math.max(tags.size, 1)
     let hue = 0
 
     tags.forEach((tagData, tagKey) => {
       tagColors.set(tagKey, `hsl(${hue}, 70%, 55%)`)
-
-      let valueIndex = 0
-      const valueCount = tagData.values.size
-
-      tagData.values.forEach((_, value) => {
-        const lightness = 40 + (valueIndex / Math.max(valueCount, 1)) * 30
-        const colorKey = `${tagKey}:${value}`
-        valueColors.set(colorKey, `hsl(${hue}, 70%, ${lightness}%)`)
-        valueIndex++
-      })
-
+      this._generateValueColors(tagKey, tagData, hue, valueColors, tagScales)
       hue += hueStep
     })
 
-    // Auto-select first tag for coloring
-    const firstTag = tags.size > 0 ? Array.from(tags.keys())[0] : ''
+    // Apply custom colors on top of the generated ones
+    // Numeric scales own their value colors, so overrides skip them
+    this._state.customValueColors.forEach((color, colorKey) => {
+      const tagKey = colorKey.slice(0, colorKey.indexOf(':'))
+      if (valueColors.has(colorKey) && !tagScales.has(tagKey)) {
+        valueColors.set(colorKey, color)
+      }
+    })
+
+    // Keep the current color tag if it still exists, else pick the first tag
+    let currentColorTag = this._state.currentColorTag
+    if (!tags.has(currentColorTag)) {
+      currentColorTag = tags.size > 0 ? Array.from(tags.keys())[0] : ''
+    }
 
     this.setState({
       tags,
       tagColors,
       valueColors,
-      currentColorTag: firstTag,
+      tagScales,
+      currentColorTag,
     })
 
     this.emit('tags:extracted', tags)
   }
 
+  /**
+   * Generate value colors for a tag
+   * Numeric tags get a color scale, others a lightness ramp of the tag hue
+   * @param {string} tagKey - Tag key
+   * @param {Object} tagData - Tag data
+   * @param {number} hue - Tag hue
+   * @param {Map} valueColors - Value colors map to fill
+   * @param {Map} tagScales - Tag scales map to fill
+   */
+  _generateValueColors(tagKey, tagData, hue, valueColors, tagScales) {
+    tagScales.delete(tagKey)
+
+    if (Scales.isNumericTag(tagData)) {
+      const values = []
+      tagData.values.forEach((valueData, value) => {
+        for (let i = 0; i < valueData.count; i++) values.push(Number(value))
+      })
+
+      const scale = Scales.create(values, this._state.colorScales.get(tagKey))
+      if (scale) {
+        tagScales.set(tagKey, scale)
+        tagData.values.forEach((_, value) => {
+          valueColors.set(
+            `${tagKey}:${value}`,
+            Scales.colorFor(scale, Number(value))
+          )
+        })
+        return
+      }
+    }
+
+    let valueIndex = 0
+    const valueCount = tagData.values.size
+
+    tagData.values.forEach((_, value) => {
+      const lightness = 40 + (valueIndex / Math.max(valueCount, 1)) * 30
+      const colorKey = `${tagKey}:${value}`
+      valueColors.set(colorKey, `hsl(${hue}, 70%, ${lightness}%)`)
+      valueIndex++
+    })
+  }
+
+  /**
+   * Set the color scale options for a numeric tag
+   * @param {string} tagKey - Tag key
+   * @param {Object} options - { type, palette, classes } (merged with current)
+   */
+  setColorScale(tagKey, options) {
+    const tagData = this._state.tags.get(tagKey)
+    if (!tagData) return
+
+    const colorScales = new Map(this._state.colorScales)
+    colorScales.set(tagKey, {
+      ...Scales.DEFAULT_OPTIONS,
+      ...colorScales.get(tagKey),
+      ...options,
+    })
+    this.setState({ colorScales })
+
+    const valueColors = new Map(this._state.valueColors)
+    const tagScales = new Map(this._state.tagScales)
+    const hue =
+      Array.from(this._state.tags.keys()).indexOf(tagKey) *
+      (360 / this._state.tags.size)
+    this._generateValueColors(tagKey, tagData, hue, valueColors, tagScales)
+
+    this.setState({ valueColors, tagScales })
+    this.emit('colorScale:changed', tagKey)
+  }
+
   /**
    * Set current color tag
    * @param {string} tagKey - Tag key
@@ -267,6 +403,15 @@ class Store extends EventEmitter {
     this.emit('colorTag:changed', tagKey)
   }
 
+  /**
+   * Set or remove the tag schema
+   * @param {Object|null} schema - Normalized schema from TagSchema.normalize
+   */
+  setTagSchema(schema) {
+    this.setState({ tagSchema: schema, modified: true })
+    this.emit('tagSchema:changed', schema)
+  }
+
   /**
    * Add a tag to regions
    * @param {Array<number>} regionIndices - Region indices
@@ -276,18 +421,149 @@ class Store extends EventEmitter {
   addTagToRegions(regionIndices, key, value) {
     const fullKey = key.startsWith('data-') ? key : `data-${key}`
 
-    regionIndices.forEach((index) => {
-      const region = this._state.regions[index]
-      if (region && region.element) {
-        region.element.setAttribute(fullKey, value)
-      }
-    })
+    const changes = regionIndices.map((index) =>
+      this._createAttributeChange(index, fullKey, value)
+    )
+    this._commitChanges(
+      `Tag ${fullKey.replace('data-', '')}="${value}" on ${
+        regionIndices.length
+      } region(s)`,
+      changes
+    )
 
     this.setState({ modified: true })
     this.extractTags()
     this.emit('tags:added', { indices: regionIndices, key: fullKey, value })
   }
 
+  /**
+   * Set many tags at once as a single undoable change
+   * @param {Array<Object>} assignments - Array of { index, key, value }
+   * @param {string} label - History entry label
+   */
+  setRegionTags(assignments, label) {
+    const changes = assignments.map(({ index, key, value }) =>
+      this._createAttributeChange(
+        index,
+        key.startsWith('data-') ? key : `data-${key}`,
+        value
+      )
+    )
+    this._commitChanges(label, changes)
+
+    const indices = Array.from(new Set(assignments.map((a) => a.index)))
+    this.setState({ modified: true })
+    this.extractTags()
+    this.emit('tags:added', { indices, key: null, value: null })
+
+    // Names are tags too, but region lists listen for renames
+    if (assignments.some(({ key }) => key === 'data-name' || key === 'name')) {
+      this.emit('region:updated', { indices })
+    }
+  }
+
+  /**
+   * Rename a tag key on every region, or merge it into an existing key
+   * @param {string} fromKey - Full tag key to rename
+   * @param {string} toKey - Full target tag key
+   * @param {boolean} overwrite - Replace values already set on the target key
+   * @returns {number} Number of regions changed
+   */
+  renameTagKey(fromKey, toKey, overwrite = false) {
+    if (fromKey === toKey) return 0
+
+    const merging = this._state.tags.has(toKey)
+    const assignments = []
+
+    this._state.regions.forEach((region) => {
+      const element = region.element
+      if (!element || !element.hasAttribute(fromKey)) return
+
+      const value = element.getAttribute(fromKey)
+      if (overwrite || !element.hasAttribute(toKey)) {
+        assignments.push({ index: region.index, key: toKey, value })
+      }
+      assignments.push({ index: region.index, key: fromKey, value: null })
+    })
+
+    if (assignments.length === 0) return 0
+
+    const from = fromKey.replace('data-', '')
+    const to = toKey.replace('data-', '')
+    const label = merging
+      ? `Merge tag ${from} into ${to}`
+      : `Rename tag ${from} to ${to}`
+
+    this.transaction(label, () => {
+      // Keep coloring by the tag under its new name, and by the old one on undo
+      if (this._state.currentColorTag === fromKey) {
+        this.history.execute({
+          label,
+          execute: () => this.setColorTag(toKey),
+          undo: () => this.setColorTag(fromKey),
+        })
+      }
+      this.setRegionTags(assignments, label)
+    })
+
+    return new Set(assignments.map((a) => a.index)).size
+  }
+
+  /**
+   * Remove a tag key from every region
+   * @param {string} tagKey - Full tag key
+   * @returns {number} Number of regions changed
+   */
+  deleteTagKey(tagKey) {
+    const assignments = this._state.regions
+      .filter((region) => region.element && region.element.hasAttribute(tagKey))
+      .map((region) => ({ index: region.index, key: tagKey, value: null }))
+
+    if (assignments.length > 0) {
+      this.setRegionTags(
+        assignments,
+        `Delete tag ${tagKey.replace('data-', '')} from ${
+          assignments.length
+        } region(s)`
+      )
+    }
+
+    return assignments.length
+  }
+
+  /**
+   * Replace one or more values of a tag with a single value
+   * @param {string} tagKey - Full tag key
+   * @param {Array<string>} fromValues - Values to replace
+   * @param {string} toValue - New value
+   * @returns {number} Number of regions changed
+   */
+  renameTagValues(tagKey, fromValues, toValue) {
+    const tagData = this._state.tags.get(tagKey)
+    if (!tagData) return 0
+
+    const assignments = []
+    fromValues.forEach((value) => {
+      const valueData = tagData.values.get(value)
+      if (!valueData || value === toValue) return
+      valueData.regions.forEach((index) => {
+        assignments.push({ index, key: tagKey, value: toValue })
+      })
+    })
+
+    if (assignments.length > 0) {
+      const name = tagKey.replace('data-', '')
+      this.setRegionTags(
+        assignments,
+        fromValues.length > 1
+          ? `Merge ${fromValues.length} ${name} values into "${toValue}"`
+          : `Rename ${name} "${fromValues[0]}" to "${toValue}"`
+      )
+    }
+
+    return assignments.length
+  }
+
   /**
    * Remove a tag from a region
    * @param {number} regionIndex - Region index
@@ -296,7 +572,12 @@ class Store extends EventEmitter {
   removeTagFromRegion(regionIndex, tagKey) {
     const region = this._state.regions[regionIndex]
     if (region && region.element) {
-      region.element.removeAttribute(tagKey)
+      this._commitChanges(
+        `Remove ${tagKey.replace('data-', '')} from ${
+          region.name || region.id
+        }`,
+        [this._createAttributeChange(regionIndex, tagKey, null)]
+      )
       this.setState({ modified: true })
       this.extractTags()
       this.emit('tag:removed', { index: regionIndex, key: tagKey })
@@ -312,65 +593,192 @@ class Store extends EventEmitter {
   updateRegionName(regionIndex, name, description = '') {
     const region = this._state.regions[regionIndex]
     if (region) {
-      region.name = name
-      region.description = description
+      const changes = [
+        {
+          index: regionIndex,
+          prop: 'description',
+          before: region.description,
+          after: description,
+        },
+      ]
 
       if (region.element && name) {
-        region.element.setAttribute('data-name', name)
+        changes.push(
+          this._createAttributeChange(regionIndex, 'data-name', name)
+        )
+      } else {
+        changes.push({
+          index: regionIndex,
+          prop: 'name',
+          before: region.name,
+          after: name,
+        })
       }
 
+      this._commitChanges(`Rename ${region.name || region.id}`, changes)
+
       this.setState({ modified: true })
       this.emit('region:updated', { index: regionIndex, name, description })
     }
   }
 
+  /**
+   * Update a region's description
+   * @param {number} regionIndex - Region index
+   * @param {string} description - New description, empty to remove it
+   */
+  updateRegionDescription(regionIndex, description) {
+    const region = this._state.regions[regionIndex]
+    if (!region) return
+
+    this._commitChanges(`Describe ${region.name || region.id}`, [
+      {
+        index: regionIndex,
+        prop: 'description',
+        before: region.description,
+        after: description,
+      },
+    ])
+
+    this.setState({ modified: true })
+    this.emit('region:updated', { index: regionIndex, description })
+  }
+
   // ============================================
   // Filter Methods (Viewer Mode)
   // ============================================
 
   /**
-   * Toggle a filter value
+   * Toggle a value that regions must have
    * @param {string} tagKey - Tag key
    * @param {string} value - Value to toggle
    */
   toggleFilter(tagKey, value) {
-    const filters = new Map(this._state.activeFilters)
+    const included = this._toggleFilterValue(
+      this._state.activeFilters,
+      tagKey,
+      value
+    )
+    const excluded = this._removeFilterValue(
+      this._state.excludedFilters,
+      tagKey,
+      value
+    )
+
+    this.setState({ activeFilters: included, excludedFilters: excluded })
+    this.emit('filters:changed')
+  }
 
-    if (!filters.has(tagKey)) {
-      filters.set(tagKey, new Set())
-    }
+  /**
+   * Toggle a value that hides regions having it
+   * @param {string} tagKey - Tag key
+   * @param {string} value - Value to toggle
+   */
+  toggleExclusion(tagKey, value) {
+    const excluded = this._toggleFilterValue(
+      this._state.excludedFilters,
+      tagKey,
+      value
+    )
+    const included = this._removeFilterValue(
+      this._state.activeFilters,
+      tagKey,
+      value
+    )
+
+    this.setState({ activeFilters: included, excludedFilters: excluded })
+    this.emit('filters:changed')
+  }
 
-    const values = filters.get(tagKey)
-    if (values.has(value)) {
-      values.delete(value)
+  /**
+   * Limit a numeric tag to a range
+   * @param {string} tagKey - Tag key
+   * @param {Object|null} range - { min, max } with null for an open end, or null to remove
+   */
+  setRangeFilter(tagKey, range) {
+    const ranges = new Map(this._state.rangeFilters)
+
+    if (range && (range.min !== null || range.max !== null)) {
+      ranges.set(tagKey, { min: range.min, max: range.max })
     } else {
-      values.add(value)
+      ranges.delete(tagKey)
     }
 
-    this.setState({ activeFilters: filters })
-    this.emit('filters:changed', filters)
+    this.setState({ rangeFilters: ranges })
+    this.emit('filters:changed')
   }
 
   /**
-   * Select all filters
+   * Set the text filter query
+   * @param {string} query - Query text, already checked with FilterQuery.parse
    */
-  selectAllFilters() {
-    const filters = new Map()
+  setFilterQuery(query) {
+    this.setState({ filterQuery: query })
+    this.emit('filters:changed')
+  }
 
-    this._state.tags.forEach((tagData, tagKey) => {
-      filters.set(tagKey, new Set(tagData.values.keys()))
+  /**
+   * Replace all filters (viewer mode)
+   * @param {Object} filters - { include, exclude, ranges, query } as from ProjectService.filtersFromJSON
+   */
+  setFilters({ include, exclude, ranges, query }) {
+    this.setState({
+      activeFilters: include,
+      excludedFilters: exclude,
+      rangeFilters: ranges,
+      filterQuery: query,
     })
+    this.emit('filters:changed')
+  }
 
-    this.setState({ activeFilters: filters })
-    this.emit('filters:changed', filters)
+  /**
+   * Remove all filters
+   */
+  clearFilters() {
+    this.setFilters({
+      include: new Map(),
+      exclude: new Map(),
+      ranges: new Map(),
+      query: '',
+    })
   }
 
   /**
-   * Deselect all filters
+   * Copy a filter map with a value toggled
+   * @param {Map<string, Set<string>>} filters - Filter map
+   * @param {string} tagKey - Tag key
+   * @param {string} value - Value
+   * @returns {Map<string, Set<string>>} New filter map
    */
-  deselectAllFilters() {
-    this.setState({ activeFilters: new Map() })
-    this.emit('filters:changed', new Map())
+  _toggleFilterValue(filters, tagKey, value) {
+    const result = new Map(filters)
+    const values = new Set(result.get(tagKey) || [])
+
+    if (values.has(value)) {
+      values.delete(value)
+    } else {
+      values.add(value)
+    }
+
+    result.set(tagKey, values)
+    return result
+  }
+
+  /**
+   * Copy a filter map without a value
+   * @param {Map<string, Set<string>>} filters - Filter map
+   * @param {string} tagKey - Tag key
+   * @param {string} value - Value
+   * @returns {Map<string, Set<string>>} New filter map
+   */
+  _removeFilterValue(filters, tagKey, value) {
+    if (!filters.has(tagKey) || !filters.get(tagKey).has(value)) return filters
+
+    const result = new Map(filters)
+    const values = new Set(result.get(tagKey))
+    values.delete(value)
+    result.set(tagKey, values)
+    return result
   }
 
   /**
@@ -421,25 +829,184 @@ class Store extends EventEmitter {
     const paintTag = this._state.editorPaintTag
     if (!paintTag) return false
 
-    this.addTagToRegions([regionIndex], paintTag.key, paintTag.value)
+    this.transaction(
+      `Paint ${paintTag.key.replace('data-', '')}="${paintTag.value}"`,
+      () => this.addTagToRegions([regionIndex], paintTag.key, paintTag.value)
+    )
     return true
   }
 
   /**
-   * Set region color for multiple regions
-   * @param {Array<number>} regionIndices - Array of region indices
-   * @param {string} color - Color hex value
+   * Set the color of a tag value as an undoable change
+   * @param {string} tagKey - Full tag key
+   * @param {string} value - Tag value
+   * @param {string|null} color - Color hex value, or null for the generated one
    */
-  setRegionColorForTag(regionIndices, color) {
-    regionIndices.forEach((index) => {
-      const region = this._state.regions[index]
-      if (region && region.element) {
-        region.element.setAttribute('data-region-color', color)
+  setValueColor(tagKey, value, color) {
+    const colorKey = `${tagKey}:${value}`
+    const before = this._state.customValueColors.get(colorKey) || null
+    if (before === color) return
+
+    const apply = (next) => {
+      const colors = new Map(this._state.customValueColors)
+      if (next === null) {
+        colors.delete(colorKey)
+      } else {
+        colors.set(colorKey, next)
       }
+      this.setState({ customValueColors: colors })
+    }
+
+    this.history.execute({
+      label: `Color ${tagKey.replace('data-', '')}="${value}" ${color}`,
+      execute: () => apply(color),
+      undo: () => apply(before),
     })
 
     this.setState({ modified: true })
-    this.emit('regionColors:changed')
+    this.extractTags()
+  }
+
+  // ============================================
+  // History Methods
+  // ============================================
+
+  /**
+   * Undo the last region mutation
+   */
+  undo() {
+    if (this.history.undo()) {
+      this._refreshAfterHistory()
+    }
+  }
+
+  /**
+   * Redo the last undone region mutation
+   */
+  redo() {
+    if (this.history.redo()) {
+      this._refreshAfterHistory()
+    }
+  }
+
+  /**
+   * Jump to a point in history
+   * @param {number} position - Number of applied history entries
+   */
+  goToHistory(position) {
+    if (position === this.history.getPosition()) return
+
+    this.history.goTo(position)
+    this._refreshAfterHistory()
+  }
+
+  /**
+   * Group all mutations made inside a callback into one history entry
+   * @param {string} label - History entry label
+   * @param {Function} callback - Function performing the mutations
+   */
+  transaction(label, callback) {
+    this.history.beginTransaction(label)
+    try {
+      callback()
+    } finally {
+      this.history.commitTransaction()
+    }
+  }
+
+  /**
+   * Create an attribute change record for a region
+   * @param {number} index - Region index
+   * @param {string} attr - Attribute name
+   * @param {string|null} value - New value, or null to remove the attribute
+   * @returns {Object|null} Change object or null if region has no element
+   */
+  _createAttributeChange(index, attr, value) {
+    const region = this._state.regions[index]
+    if (!region || !region.element) return null
+
+    return {
+      index,
+      attr,
+      before: region.element.getAttribute(attr),
+      after: value,
+    }
+  }
+
+  /**
+   * Execute changes as an undoable command
+   * @param {string} label - History entry label
+   * @param {Array<Object>} changes - Change objects { index, attr|prop, before, after }
+   */
+  _commitChanges(label, changes) {
+    const effective = changes.filter(
+      (change) => change && change.before !== change.after
+    )
+    if (effective.length === 0) return
+
+    this.history.execute({
+      label,
+      execute: () => this._applyChanges(effective, 'after'),
+      undo: () => this._applyChanges(effective.slice().reverse(), 'before'),
+    })
+  }
+
+  /**
+   * Apply one side of a list of changes to regions
+   * @param {Array<Object>} changes - Change objects
+   * @param {string} side - 'before' or 'after'
+   */
+  _applyChanges(changes, side) {
+    changes.forEach((change) => {
+      const region = this._state.regions[change.index]
+      if (!region) return
+
+      const value = change[side]
+
+      if (change.prop) {
+        region[change.prop] = value
+
+        // Descriptions are persisted as <desc> children of the element
+        if (change.prop === 'description' && region.element) {
+          SVGParser.setDescription(region.element, value)
+        }
+        return
+      }
+
+      if (!region.element) return
+
+      if (value === null) {
+        region.element.removeAttribute(change.attr)
+      } else {
+        region.element.setAttribute(change.attr, value)
+      }
+
+      if (change.attr === 'data-name') {
+        region.name = value || ''
+      }
+    })
+  }
+
+  /**
+   * Refresh derived state after undo/redo
+   */
+  _refreshAfterHistory() {
+    this.setState({ modified: true })
+    this.extractTags()
+    this.emit('history:applied')
+  }
+
+  // ============================================
+  // Viewport Methods
+  // ============================================
+
+  /**
+   * Set the visible area of the map
+   * @param {Object} viewBox - { x, y, width, height } in SVG coordinates
+   */
+  setViewBox(viewBox) {
+    this.setState({ viewBox })
+    this.emit('viewBox:changed', viewBox)
   }
 
   // ============================================
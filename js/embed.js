@@ -0,0 +1,93 @@
+/**
+ * MapEmbed - Single script entry point for embedding the map widget
+ * Loads the widget scripts and styles from next to this file, then mounts
+ * widgets with MapEmbed.mount(). See EMBED_DOCS.md
+ */
+
+const MapEmbed = {
+  // Widget dependencies, in load order, relative to the app root
+  SCRIPTS: [
+    'js/utils/helpers.js',
+    'js/utils/color.js',
+    'js/utils/dom.js',
+    'js/utils/filterQuery.js',
+    'js/utils/scales.js',
+    'js/core/EventEmitter.js',
+    'js/core/CommandHistory.js',
+    'js/core/Store.js',
+    'js/services/SVGParser.js',
+    'js/services/FileService.js',
+    'js/services/TagSchema.js',
+    'js/services/RegionFilter.js',
+    'js/components/Toast.js',
+    'js/components/MapViewport.js',
+    'js/components/MapRenderer.js',
+    'js/MapWidget.js',
+  ],
+
+  // Only map styles, so host page buttons and forms keep their look
+  STYLES: ['css/variables.css', 'css/map.css'],
+
+  // App root, read while this script runs since currentScript is unset later
+  baseURL:
+    typeof document !== 'undefined' && document.currentScript
+      ? new URL('..', document.currentScript.src).href
+      : '',
+
+  loading: null,
+
+  /**
+   * Load the widget scripts and styles once
+   * @returns {Promise<void>} Resolves when MapWidget is available
+   */
+  load() {
+    if (typeof MapWidget !== 'undefined') return Promise.resolve()
+
+    if (!MapEmbed.loading) {
+      MapEmbed.STYLES.forEach((href) => {
+        const link = document.createElement('link')
+        link.rel = 'stylesheet'
+        link.href = new URL(href, MapEmbed.baseURL).href
+        document.head.appendChild(link)
+      })
+
+      // Dynamic scripts with async off still run in insertion order
+      MapEmbed.loading = Promise.all(
+        MapEmbed.SCRIPTS.map(
+          (src) =>
+            new Promise((resolve, reject) => {
+              const script = document.createElement('script')
+              script.src = new URL(src, MapEmbed.baseURL).href
+              script.async = false
+              script.onload = resolve
+              script.onerror = () => reject(new Error(`Failed to load ${src}`))
+              document.head.appendChild(script)
+            })
+        )
+      ).catch((error) => {
+        MapEmbed.loading = null
+        throw error
+      })
+    }
+
+    return MapEmbed.loading
+  },
+
+  /**
+   * Mount a map widget, loading the widget code first if needed
+   * @param {HTMLElement|string} container - Element or selector to mount on
+   * @param {Object} options - See MapWidget.DEFAULTS
+   * @returns {Promise<MapWidget>} Widget once the map is shown
+   */
+  async mount(container, options) {
+    await MapEmbed.load()
+    return MapWidget.mount(container, options)
+  },
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MapEmbed
+} else {
+  window.MapEmbed = MapEmbed
+}
@@ -0,0 +1,157 @@
+/**
+ * AttributeTable
+ * Service for building and exporting the region/tag attribute table
+ */
+
+class AttributeTable {
+  // Fixed columns before the tag columns
+  static BASE_COLUMNS = ['index', 'id', 'name', 'description']
+
+  /**
+   * Export formats
+   */
+  static FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  }
+
+  /**
+   * CSV delimiters; tab-separated files get a .tsv extension
+   */
+  static DELIMITERS = {
+    comma: { label: 'Comma (,)', value: ',' },
+    semicolon: { label: 'Semicolon (;)', value: ';' },
+    tab: { label: 'Tab', value: '\t' },
+  }
+
+  /**
+   * Get all available columns
+   * data-name is already the name column, so it is not repeated as a tag
+   * @param {Map} tags - Tags from the store
+   * @returns {Array<Object>} Array of { key, label, tagKey? }
+   */
+  static getColumns(tags) {
+    const columns = AttributeTable.BASE_COLUMNS.map((key) => ({
+      key,
+      label: key,
+    }))
+
+    tags.forEach((tagData, tagKey) => {
+      if (tagKey === 'data-name') return
+      // Keep the data- prefix when the tag name clashes with a fixed column
+      const label = AttributeTable.BASE_COLUMNS.includes(tagData.name)
+        ? tagKey
+        : tagData.name
+      columns.push({ key: tagKey, label, tagKey })
+    })
+
+    return columns
+  }
+
+  /**
+   * Order columns by a saved key order; unknown columns keep their place at the end
+   * @param {Array<Object>} columns - From getColumns()
+   * @param {Array<string>} order - Column keys
+   * @returns {Array<Object>} Ordered columns
+   */
+  static orderColumns(columns, order = []) {
+    const rank = new Map(order.map((key, i) => [key, i]))
+    return columns
+      .map((column, i) => ({
+        column,
+        rank: rank.has(column.key) ? rank.get(column.key) : order.length + i,
+      }))
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ column }) => column)
+  }
+
+  /**
+   * Read one cell of a region
+   * @param {Object} region - Region object
+   * @param {Object} column - Column from getColumns()
+   * @returns {string|number|null} Value or null when missing
+   */
+  static getValue(region, column) {
+    const element = region.element
+
+    switch (column.key) {
+      case 'index':
+        return region.index
+      case 'id':
+        return (element && element.getAttribute('id')) || region.id
+      case 'name':
+        return (
+          (element && element.getAttribute('data-name')) || region.name || null
+        )
+      case 'description':
+        return (
+          (element ? SVGParser.getDescription(element) : region.description) ||
+          null
+        )
+      default: {
+        const value = element && element.getAttribute(column.tagKey)
+        return value ? value.trim() : null
+      }
+    }
+  }
+
+  /**
+   * Check whether a region has any tag besides its name
+   * @param {Object} region - Region object
+   * @returns {boolean} Has tags
+   */
+  static isTagged(region) {
+    if (!region.element) return false
+    return SVGParser.extractTags(region.element).some(
+      (tag) => tag.fullKey !== 'data-name'
+    )
+  }
+
+  /**
+   * Build the table
+   * @param {Array<Object>} regions - Regions
+   * @param {Object} options - Table options
+   * @param {Array<Object>} options.columns - Columns in output order
+   * @param {boolean} options.includeUntagged - Keep regions without tags
+   * @returns {Object} { headers, rows } where missing cells are null
+   */
+  static build(regions, { columns, includeUntagged = true }) {
+    const rows = regions
+      .filter((region) => includeUntagged || AttributeTable.isTagged(region))
+      .map((region) =>
+        columns.map((column) => AttributeTable.getValue(region, column))
+      )
+
+    return { headers: columns.map((column) => column.label), rows }
+  }
+
+  /**
+   * Serialize a table as CSV
+   * Starts with a byte order mark so spreadsheet apps detect UTF-8
+   * @param {Object} table - From build()
+   * @param {string} delimiter - Field delimiter
+   * @returns {string} CSV text
+   */
+  static toCSV(table, delimiter = ',') {
+    return '\uFEFF' + CSV.stringify([table.headers, ...table.rows], delimiter)
+  }
+
+  /**
+   * Serialize a table as a JSON array of objects
+   * @param {Object} table - From build()
+   * @returns {string} JSON text
+   */
+  static toJSON(table) {
+    const records = table.rows.map((row) =>
+      Object.fromEntries(table.headers.map((header, i) => [header, row[i]]))
+    )
+    return JSON.stringify(records, null, 2)
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AttributeTable
+} else {
+  window.AttributeTable = AttributeTable
+}
@@ -0,0 +1,142 @@
+/**
+ * AutosaveService
+ * Service for storing session snapshots in IndexedDB
+ */
+
+class AutosaveService {
+  static DB_NAME = 'svg-map-editor'
+  static DB_VERSION = 1
+  static STORE_NAME = 'snapshots'
+  static MAX_SNAPSHOTS = 10
+
+  static _dbPromise = null
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean} Is supported
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  static open() {
+    if (!AutosaveService._dbPromise) {
+      AutosaveService._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(
+          AutosaveService.DB_NAME,
+          AutosaveService.DB_VERSION
+        )
+
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(AutosaveService.STORE_NAME)) {
+            const store = db.createObjectStore(AutosaveService.STORE_NAME, {
+              keyPath: 'id',
+            })
+            store.createIndex('timestamp', 'timestamp')
+          }
+        }
+
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          AutosaveService._dbPromise = null
+          reject(new Error(`Failed to open session storage: ${request.error}`))
+        }
+      })
+    }
+
+    return AutosaveService._dbPromise
+  }
+
+  /**
+   * Run a request against the snapshot store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store, returns a request
+   * @returns {Promise<any>} Request result
+   */
+  static async _request(mode, callback) {
+    const db = await AutosaveService.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(AutosaveService.STORE_NAME, mode)
+      const request = callback(
+        transaction.objectStore(AutosaveService.STORE_NAME)
+      )
+
+      transaction.oncomplete = () => resolve(request ? request.result : null)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Save a snapshot, replacing any previous snapshot with the same id
+   * @param {Object} snapshot - Snapshot { id, timestamp, fileName, project, ... }
+   * @returns {Promise<void>}
+   */
+  static async saveSnapshot(snapshot) {
+    await AutosaveService._request('readwrite', (store) => store.put(snapshot))
+    await AutosaveService.prune()
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Promise<Array>} Snapshots
+   */
+  static async listSnapshots() {
+    const snapshots = await AutosaveService._request('readonly', (store) =>
+      store.getAll()
+    )
+    return (snapshots || []).sort((a, b) => b.timestamp - a.timestamp)
+  }
+
+  /**
+   * Get a snapshot by id
+   * @param {string} id - Snapshot id
+   * @returns {Promise<Object|undefined>} Snapshot
+   */
+  static getSnapshot(id) {
+    return AutosaveService._request('readonly', (store) => store.get(id))
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot id
+   * @returns {Promise<void>}
+   */
+  static deleteSnapshot(id) {
+    return AutosaveService._request('readwrite', (store) => store.delete(id))
+  }
+
+  /**
+   * Delete all snapshots
+   * @returns {Promise<void>}
+   */
+  static clear() {
+    return AutosaveService._request('readwrite', (store) => store.clear())
+  }
+
+  /**
+   * Remove the oldest snapshots beyond MAX_SNAPSHOTS
+   * @returns {Promise<void>}
+   */
+  static async prune() {
+    const snapshots = await AutosaveService.listSnapshots()
+    const stale = snapshots.slice(AutosaveService.MAX_SNAPSHOTS)
+
+    for (const snapshot of stale) {
+      await AutosaveService.deleteSnapshot(snapshot.id)
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutosaveService
+} else {
+  window.AutosaveService = AutosaveService
+}
@@ -0,0 +1,304 @@
+/**
+ * BoundaryTopology - Shared borders between the regions of a label map
+ * Splits region outlines into arcs that run between junctions, so the border
+ * between two regions is traced and simplified once and both regions reuse it.
+ * Neighbouring outlines then match exactly, without gaps or slivers
+ *
+ * Outlines run along pixel edges through pixel corners. Corner (x, y) is the
+ * top-left corner of pixel (x, y)
+ */
+
+class BoundaryTopology {
+  // Directions E, S, W, N; turning right is +1
+  static DX = [1, 0, -1, 0]
+  static DY = [0, 1, 0, -1]
+
+  // Pixels ahead of a corner to the right and left of each direction, as offsets from it
+  static RIGHT = [
+    [0, 0],
+    [-1, 0],
+    [-1, -1],
+    [0, -1],
+  ]
+  static LEFT = [
+    [0, -1],
+    [0, 0],
+    [-1, 0],
+    [-1, -1],
+  ]
+
+  /**
+   * Create a BoundaryTopology
+   * @param {Int32Array} map - Region index per pixel, -1 for no region
+   * @param {number} width - Map width
+   * @param {number} height - Map height
+   * @param {Function} processArc - (points, closed) => points, run once per arc,
+   *   e.g. to simplify it; arc end points must be kept. The other side reverses
+   *   the returned array, so curve control points may sit between points
+   */
+  constructor(map, width, height, processArc = (points) => points) {
+    this.map = map
+    this.width = width
+    this.height = height
+    this.processArc = processArc
+    this.arcs = new Map() // Corner and direction key -> { arc, reversed }
+    this.rings = new Map() // Top-left corner key -> { arc, label }
+    this.arcCount = 0
+    // Pixels whose top edge an outline has run along
+    this.claimed = new Uint8Array(width * height)
+  }
+
+  /**
+   * Get the region of a pixel
+   * @param {number} x - Pixel x
+   * @param {number} y - Pixel y
+   * @returns {number} Region index, -1 outside the map or any region
+   */
+  labelAt(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return -1
+    return this.map[y * this.width + x]
+  }
+
+  /**
+   * Check whether borders meet at a corner
+   * Three or more regions meet there, or two touch only diagonally. Corners
+   * of the map count too, so borders along its edge keep them
+   * @param {number} x - Corner x
+   * @param {number} y - Corner y
+   * @returns {boolean} Whether the corner is a junction
+   */
+  isNode(x, y) {
+    if ((x === 0 || x === this.width) && (y === 0 || y === this.height)) {
+      return true
+    }
+
+    const nw = this.labelAt(x - 1, y - 1)
+    const ne = this.labelAt(x, y - 1)
+    const sw = this.labelAt(x - 1, y)
+    const se = this.labelAt(x, y)
+    const distinct = new Set([nw, ne, sw, se]).size
+
+    return distinct >= 3 || (distinct === 2 && nw === se && ne === sw)
+  }
+
+  /**
+   * Get the direction to leave a corner in, keeping a region on the right
+   * @param {number} x - Corner x
+   * @param {number} y - Corner y
+   * @param {number} dir - Direction the corner was reached in
+   * @param {number} label - Region index
+   * @returns {number} Direction to leave in
+   */
+  nextDir(x, y, dir, label) {
+    const { RIGHT, LEFT } = BoundaryTopology
+    const inside = ([ox, oy]) => this.labelAt(x + ox, y + oy) === label
+
+    if (!inside(RIGHT[dir])) return (dir + 1) % 4
+    if (inside(LEFT[dir])) return (dir + 3) % 4
+    return dir
+  }
+
+  /**
+   * Trace the outlines of all regions
+   * Scanning top-down, the first outline found for a region is its outer one;
+   * any other is the outline of a hole
+   * @returns {Array<Object>} { outer, holes } by region index, each outline
+   *   { points, length } with its processed points and traced corner count
+   */
+  traceRegions() {
+    const outlines = []
+
+    for (let p = 0; p < this.map.length; p++) {
+      const label = this.map[p]
+      if (label < 0 || this.claimed[p]) continue
+
+      // Outlines are started along the top edge of a pixel, heading east
+      if (p >= this.width && this.map[p - this.width] === label) continue
+
+      const x = p % this.width
+      const outline = this.traceLoop(label, x, (p - x) / this.width)
+      if (outlines[label]) {
+        outlines[label].holes.push(outline)
+      } else {
+        outlines[label] = { outer: outline, holes: [] }
+      }
+    }
+
+    return outlines
+  }
+
+  /**
+   * Trace one outline of a region from shared arcs, keeping it on the right
+   * @param {number} label - Region index
+   * @param {number} startX - Corner x, at the top-left of a region pixel with no region pixel above
+   * @param {number} startY - Corner y
+   * @returns {Object} { points, length } processed points and the traced corner count
+   */
+  traceLoop(label, startX, startY) {
+    const { DX, DY } = BoundaryTopology
+    let x = startX
+    let y = startY
+    let dir = 0
+    let node = null
+    let top = { x, y, dir } // Topmost, then leftmost corner, where rings start
+    let guard = 4 * (this.width + 1) * (this.height + 1)
+
+    // Walk the outline once to claim its edges and find a junction on it
+    do {
+      if (!node && this.isNode(x, y)) node = { x, y, dir }
+      if (y < top.y || (y === top.y && x < top.x)) top = { x, y, dir }
+      if (dir === 0) this.claimed[y * this.width + x] = 1
+
+      x += DX[dir]
+      y += DY[dir]
+      dir = this.nextDir(x, y, dir, label)
+    } while (!(x === startX && y === startY && dir === 0) && --guard > 0)
+
+    // An outline without a junction is a single closed arc
+    if (!node) {
+      const { arc, reversed } = this.getRing(top.x, top.y, top.dir, label)
+      const points = reversed ? arc.points.slice().reverse() : arc.points
+      return { points, length: arc.length }
+    }
+
+    x = node.x
+    y = node.y
+    dir = node.dir
+    const points = []
+    let length = 0
+    guard = this.map.length
+
+    do {
+      const { arc, reversed } = this.getArc(x, y, dir, label)
+      const arcPoints = reversed ? arc.points.slice().reverse() : arc.points
+
+      // Each arc ends where the next one starts
+      for (let i = 0; i < arcPoints.length - 1; i++) points.push(arcPoints[i])
+      length += arc.length - 1
+
+      const end = reversed ? arc.start : arc.end
+      x = end.x
+      y = end.y
+      dir = this.nextDir(
+        x,
+        y,
+        reversed ? (arc.firstDir + 2) % 4 : arc.lastDir,
+        label
+      )
+    } while (!(x === node.x && y === node.y && dir === node.dir) && --guard > 0)
+
+    return { points, length }
+  }
+
+  /**
+   * Get the arc that leaves a corner in a direction, tracing it on first use
+   * @param {number} x - Corner x
+   * @param {number} y - Corner y
+   * @param {number} dir - Direction the arc leaves in
+   * @param {number} label - Region on the right of the arc
+   * @returns {Object} { arc, reversed } where reversed arcs are walked end to start
+   */
+  getArc(x, y, dir, label) {
+    const key = this.getKey(x, y, dir)
+    if (this.arcs.has(key)) return this.arcs.get(key)
+
+    const traced = this.walk(x, y, dir, label)
+    const arc = {
+      points: this.processArc(traced.points, traced.closed),
+      start: { x, y },
+      end: traced.end,
+      firstDir: dir,
+      lastDir: traced.lastDir,
+      closed: traced.closed,
+      length: traced.points.length,
+    }
+    this.arcCount++
+
+    // The region on the other side walks the arc backwards
+    const entry = { arc, reversed: false }
+    this.arcs.set(key, entry)
+    this.arcs.set(this.getKey(arc.end.x, arc.end.y, (arc.lastDir + 2) % 4), {
+      arc,
+      reversed: true,
+    })
+    return entry
+  }
+
+  /**
+   * Get a closed arc with no junction, tracing it on first use
+   * Rings start from their top-left corner, so both sides simplify the same points
+   * @param {number} x - Top-left corner x
+   * @param {number} y - Top-left corner y
+   * @param {number} dir - Direction the ring leaves the corner in for this region
+   * @param {number} label - Region tracing the ring
+   * @returns {Object} { arc, reversed } where reversed arcs are walked end to start
+   */
+  getRing(x, y, dir, label) {
+    const key = y * (this.width + 1) + x
+    if (!this.rings.has(key)) {
+      const traced = this.walk(x, y, dir, label)
+      const arc = {
+        points: this.processArc(traced.points, true),
+        length: traced.points.length,
+      }
+      this.arcCount++
+      this.rings.set(key, { arc, label })
+    }
+
+    const { arc, label: owner } = this.rings.get(key)
+    return { arc, reversed: owner !== label }
+  }
+
+  /**
+   * Follow a border from a corner to the next junction or back to the start
+   * @param {number} x - Corner x
+   * @param {number} y - Corner y
+   * @param {number} dir - Direction to leave in
+   * @param {number} label - Region on the right of the border
+   * @returns {Object} { points, end, lastDir, closed }
+   */
+  walk(x, y, dir, label) {
+    const { DX, DY } = BoundaryTopology
+    const startX = x
+    const startY = y
+    const points = [{ x, y }]
+    let guard = 4 * (this.width + 1) * (this.height + 1)
+
+    while (--guard > 0) {
+      x += DX[dir]
+      y += DY[dir]
+
+      if (this.isNode(x, y)) break
+      if (x === startX && y === startY) {
+        // Back at the start of a ring: its first corner isn't repeated
+        return { points, end: { x, y }, lastDir: dir, closed: true }
+      }
+
+      // Keep corners only; straight runs need no points in between
+      const turn = this.nextDir(x, y, dir, label)
+      if (turn !== dir) points.push({ x, y })
+      dir = turn
+    }
+
+    points.push({ x, y })
+    return { points, end: { x, y }, lastDir: dir, closed: false }
+  }
+
+  /**
+   * Key an arc by the corner it leaves and its direction
+   * @param {number} x - Corner x
+   * @param {number} y - Corner y
+   * @param {number} dir - Direction
+   * @returns {number} Key
+   */
+  getKey(x, y, dir) {
+    return (y * (this.width + 1) + x) * 4 + dir
+  }
+}
+
+// Export for module systems or attach to window; in a worker the class is already global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BoundaryTopology
+} else if (typeof window !== 'undefined') {
+  window.BoundaryTopology = BoundaryTopology
+}
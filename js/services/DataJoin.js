@@ -0,0 +1,177 @@
+/**
+ * DataJoin
+ * Service for matching table rows to regions and turning columns into tags
+ */
+
+class DataJoin {
+  // Rows scanned when guessing the join column
+  static GUESS_SAMPLE = 200
+
+  /**
+   * Get the region fields a table can be joined on
+   * @param {Map} tags - Tags from the store
+   * @returns {Array<Object>} Array of { value, label }
+   */
+  static getRegionKeys(tags) {
+    const keys = [
+      { value: 'id', label: 'Region id' },
+      { value: 'name', label: 'Region name (data-name)' },
+    ]
+
+    tags.forEach((tagData, tagKey) => {
+      if (tagKey === 'data-name') return
+      keys.push({ value: tagKey, label: `Tag: ${tagData.name}` })
+    })
+
+    return keys
+  }
+
+  /**
+   * Read the value of a join field from a region
+   * @param {Object} region - Region object
+   * @param {string} regionKey - 'id', 'name' or a full tag key
+   * @returns {string} Value or ''
+   */
+  static getRegionValue(region, regionKey) {
+    const element = region.element
+    if (regionKey === 'id') {
+      return (element && element.getAttribute('id')) || region.id || ''
+    }
+    if (!element) return regionKey === 'name' ? region.name || '' : ''
+
+    const attr = regionKey === 'name' ? 'data-name' : regionKey
+    return element.getAttribute(attr) || ''
+  }
+
+  /**
+   * Normalize a key for comparison
+   * @param {string} value - Raw value
+   * @param {boolean} caseSensitive - Keep letter case
+   * @returns {string} Comparable key
+   */
+  static normalize(value, caseSensitive) {
+    const text = String(value).trim()
+    return caseSensitive ? text : text.toLowerCase()
+  }
+
+  /**
+   * Index regions by a join field
+   * @param {Array<Object>} regions - Regions
+   * @param {string} regionKey - Join field
+   * @param {boolean} caseSensitive - Keep letter case
+   * @returns {Map<string, Array<number>>} Key → region indices
+   */
+  static indexRegions(regions, regionKey, caseSensitive) {
+    const index = new Map()
+
+    regions.forEach((region) => {
+      const value = DataJoin.getRegionValue(region, regionKey)
+      if (!value) return
+
+      const key = DataJoin.normalize(value, caseSensitive)
+      if (!index.has(key)) index.set(key, [])
+      index.get(key).push(region.index)
+    })
+
+    return index
+  }
+
+  /**
+   * Match table rows to regions
+   * When several rows share a key, the last one wins
+   * @param {Object} options - Join options
+   * @param {Array<Object>} options.regions - Regions
+   * @param {Array<Array<string>>} options.rows - Table rows
+   * @param {number} options.column - Index of the join column
+   * @param {string} options.regionKey - Join field on regions
+   * @param {boolean} options.caseSensitive - Keep letter case
+   * @returns {Object} { matches, unmatchedRows, unmatchedRegions, duplicateRows }
+   */
+  static match({ regions, rows, column, regionKey, caseSensitive = false }) {
+    const regionIndex = DataJoin.indexRegions(regions, regionKey, caseSensitive)
+    const byKey = new Map()
+    const unmatchedRows = []
+    let duplicateRows = 0
+
+    rows.forEach((row, rowIndex) => {
+      const key = DataJoin.normalize(row[column] || '', caseSensitive)
+      const indices = key ? regionIndex.get(key) : null
+
+      if (!indices) {
+        unmatchedRows.push(rowIndex)
+        return
+      }
+      if (byKey.has(key)) duplicateRows++
+      byKey.set(key, { rowIndex, regions: indices })
+    })
+
+    const matches = Array.from(byKey.values()).sort(
+      (a, b) => a.rowIndex - b.rowIndex
+    )
+    const matched = new Set(matches.flatMap((m) => m.regions))
+    const unmatchedRegions = regions
+      .filter((region) => !matched.has(region.index))
+      .map((region) => region.index)
+
+    return { matches, unmatchedRows, unmatchedRegions, duplicateRows }
+  }
+
+  /**
+   * Guess the join column and region field with the most matches
+   * @param {Array<string>} headers - Table headers
+   * @param {Array<Array<string>>} rows - Table rows
+   * @param {Array<Object>} regions - Regions
+   * @param {Array<Object>} regionKeys - From getRegionKeys()
+   * @returns {Object} { column, regionKey }
+   */
+  static guessJoin(headers, rows, regions, regionKeys) {
+    const sample = rows.slice(0, DataJoin.GUESS_SAMPLE)
+    let best = { column: 0, regionKey: 'id', count: 0 }
+
+    regionKeys.forEach(({ value: regionKey }) => {
+      const index = DataJoin.indexRegions(regions, regionKey, false)
+      if (index.size === 0) return
+
+      headers.forEach((_, column) => {
+        const count = sample.filter((row) =>
+          index.has(DataJoin.normalize(row[column] || '', false))
+        ).length
+        if (count > best.count) best = { column, regionKey, count }
+      })
+    })
+
+    return { column: best.column, regionKey: best.regionKey }
+  }
+
+  /**
+   * Turn matched rows into tag assignments
+   * Empty cells are skipped so they don't erase existing tags
+   * @param {Object} result - From match()
+   * @param {Array<Array<string>>} rows - Table rows
+   * @param {Array<Object>} columns - Array of { index, tagKey } to write
+   * @returns {Array<Object>} Array of { index, key, value }
+   */
+  static buildAssignments(result, rows, columns) {
+    const assignments = []
+
+    result.matches.forEach(({ rowIndex, regions }) => {
+      const row = rows[rowIndex]
+      columns.forEach(({ index, tagKey }) => {
+        const value = (row[index] || '').trim()
+        if (!value) return
+        regions.forEach((regionIndex) => {
+          assignments.push({ index: regionIndex, key: tagKey, value })
+        })
+      })
+    })
+
+    return assignments
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataJoin
+} else {
+  window.DataJoin = DataJoin
+}
@@ -61,6 +61,13 @@ class FileService {
       const mimeTypes = {
         svg: { 'image/svg+xml': ['.svg'] },
         json: { 'application/json': ['.json'] },
+        geojson: { 'application/geo+json': ['.geojson'] },
+        mapproj: { 'application/json': ['.mapproj'] },
+        png: { 'image/png': ['.png'] },
+        jpg: { 'image/jpeg': ['.jpg', '.jpeg'] },
+        webp: { 'image/webp': ['.webp'] },
+        csv: { 'text/csv': ['.csv'] },
+        tsv: { 'text/tab-separated-values': ['.tsv'] },
         txt: { 'text/plain': ['.txt'] },
       }
 
@@ -123,6 +130,33 @@ class FileService {
     FileService.download(svgContent, finalFilename, 'image/svg+xml')
   }
 
+  /**
+   * Download a project file
+   * @param {Object} project - Project object from ProjectService.create
+   * @param {string} filename - Filename (without extension)
+   */
+  static saveProject(project, filename) {
+    const extension = `.${ProjectService.EXTENSION}`
+    const finalFilename = filename.endsWith(extension)
+      ? filename
+      : `${filename}${extension}`
+    FileService.download(
+      ProjectService.serialize(project),
+      finalFilename,
+      'application/json'
+    )
+  }
+
+  /**
+   * Read and parse a project file
+   * @param {File} file - Project file
+   * @returns {Promise<Object>} Migrated project object
+   */
+  static async loadProject(file) {
+    const content = await FileService.readAsText(file)
+    return ProjectService.parse(content)
+  }
+
   /**
    * Prompt user to select a file
    * @param {string} accept - Accepted file types
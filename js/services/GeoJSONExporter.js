@@ -0,0 +1,380 @@
+/**
+ * GeoJSONExporter
+ * Service for converting tagged SVG regions into GeoJSON features
+ */
+
+class GeoJSONExporter {
+  static MIME_TYPE = 'application/geo+json'
+  static EXTENSION = 'geojson'
+  static CURVE_SEGMENTS = 8
+
+  // Decimal places per coordinate space
+  static PRECISION = { geographic: 6, planar: 2 }
+
+  /**
+   * Available coordinate outputs
+   */
+  static COORDINATES = {
+    svg: { label: 'SVG pixels (no transform)' },
+    projection: { label: 'Longitude/latitude (inverse projection)' },
+    affine: { label: 'Affine transform' },
+  }
+
+  /**
+   * Identity affine transform in SVG matrix order [a, b, c, d, e, f]
+   */
+  static IDENTITY = [1, 0, 0, 1, 0, 0]
+
+  /**
+   * Check whether an SVG carries projection info from a GeoJSON import
+   * @param {SVGSVGElement} svg - SVG element
+   * @returns {boolean} Can invert to longitude/latitude
+   */
+  static canInvertProjection(svg) {
+    return !!Projections.readMetadata(svg)
+  }
+
+  /**
+   * Build a FeatureCollection from regions
+   * @param {Object} options - Export options
+   * @param {SVGSVGElement} options.svg - Root SVG element
+   * @param {Array<Object>} options.regions - Regions to export
+   * @param {string} options.coordinates - 'svg', 'projection' or 'affine'
+   * @param {Array<number>} options.affine - [a, b, c, d, e, f] for 'affine'
+   * @returns {Object} { collection, skipped } where skipped counts regions without area
+   */
+  static export({
+    svg,
+    regions,
+    coordinates = 'svg',
+    affine = GeoJSONExporter.IDENTITY,
+  }) {
+    const { transform, precision } = GeoJSONExporter.createTransform(
+      svg,
+      coordinates,
+      affine
+    )
+
+    const features = []
+    let skipped = 0
+
+    regions.forEach((region) => {
+      const rings = GeoJSONExporter.getElementRings(region.element)
+      const geometry = GeoJSONExporter.buildGeometry(
+        rings,
+        transform,
+        precision
+      )
+
+      if (!geometry) {
+        skipped++
+        return
+      }
+
+      const properties = GeoJSONExporter.getProperties(region)
+      features.push({
+        type: 'Feature',
+        id: properties.id,
+        properties,
+        geometry,
+      })
+    })
+
+    return {
+      collection: { type: 'FeatureCollection', features },
+      skipped,
+    }
+  }
+
+  /**
+   * Create the function mapping SVG user coordinates to output coordinates
+   * @param {SVGSVGElement} svg - Root SVG element
+   * @param {string} coordinates - 'svg', 'projection' or 'affine'
+   * @param {Array<number>} affine - [a, b, c, d, e, f]
+   * @returns {Object} { transform(point) → [x, y], precision }
+   */
+  static createTransform(svg, coordinates, affine) {
+    if (coordinates === 'projection') {
+      const info = Projections.readMetadata(svg)
+      if (!info) {
+        throw new Error('This map has no projection info to invert')
+      }
+
+      const projection = Projections.create(info.name, info.params)
+      const [tx, ty] = info.translate
+
+      // Undo svgX = x * scale + tx, svgY = -y * scale + ty
+      return {
+        transform: ({ x, y }) =>
+          projection.invert((x - tx) / info.scale, -(y - ty) / info.scale),
+        precision: GeoJSONExporter.PRECISION.geographic,
+      }
+    }
+
+    if (coordinates === 'affine') {
+      if (!Array.isArray(affine) || affine.length !== 6) {
+        throw new Error('Affine transform needs six numbers')
+      }
+      if (!affine.every(Number.isFinite)) {
+        throw new Error('Affine transform values must be numbers')
+      }
+
+      const [a, b, c, d, e, f] = affine
+      if (a * d - b * c === 0) {
+        throw new Error('Affine transform is not invertible')
+      }
+
+      return {
+        transform: ({ x, y }) => [a * x + c * y + e, b * x + d * y + f],
+        precision: GeoJSONExporter.PRECISION.geographic,
+      }
+    }
+
+    return {
+      transform: ({ x, y }) => [x, y],
+      precision: GeoJSONExporter.PRECISION.planar,
+    }
+  }
+
+  /**
+   * Get a region's outline rings in root SVG user space
+   * @param {SVGElement} element - Region element
+   * @returns {Array<Array<Object>>} Rings of { x, y }
+   */
+  static getElementRings(element) {
+    const rings = GeoJSONExporter.getShapeRings(element)
+    const m = GeoJSONExporter.getTransformMatrix(element)
+
+    return rings.map((ring) =>
+      ring.map(({ x, y }) => ({
+        x: m.a * x + m.c * y + m.e,
+        y: m.b * x + m.d * y + m.f,
+      }))
+    )
+  }
+
+  /**
+   * Get the rings of a shape in its own coordinate system
+   * @param {SVGElement} element - path, polygon, rect, circle or ellipse
+   * @returns {Array<Array<Object>>} Rings of { x, y }
+   */
+  static getShapeRings(element) {
+    const num = (name) => parseFloat(element.getAttribute(name)) || 0
+    const segments = GeoJSONExporter.CURVE_SEGMENTS
+
+    switch (element.tagName.toLowerCase()) {
+      case 'path':
+        return PathData.toSubpaths(element.getAttribute('d'), segments)
+      case 'polygon':
+      case 'polyline':
+        return PathData.toSubpaths(`M${element.getAttribute('points')}`)
+      case 'rect': {
+        const x = num('x')
+        const y = num('y')
+        const width = num('width')
+        const height = num('height')
+        return [
+          [
+            { x, y },
+            { x: x + width, y },
+            { x: x + width, y: y + height },
+            { x, y: y + height },
+          ],
+        ]
+      }
+      case 'circle':
+      case 'ellipse': {
+        const cx = num('cx')
+        const cy = num('cy')
+        const rx = element.hasAttribute('r') ? num('r') : num('rx')
+        const ry = element.hasAttribute('r') ? num('r') : num('ry')
+        return PathData.toSubpaths(
+          `M${cx - rx},${cy}A${rx},${ry} 0 1 0 ${cx + rx},${cy}` +
+            `A${rx},${ry} 0 1 0 ${cx - rx},${cy}Z`,
+          segments * 2
+        )
+      }
+      default:
+        return []
+    }
+  }
+
+  /**
+   * Combine the transforms of an element and its ancestors up to the root SVG
+   * The root's viewBox is left out so pan and zoom don't affect the export
+   * @param {SVGElement} element - Region element
+   * @returns {Object} Matrix { a, b, c, d, e, f }
+   */
+  static getTransformMatrix(element) {
+    let m = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }
+    const root = element.ownerSVGElement
+    let node = element
+
+    while (node && node !== root && node.nodeType === 1) {
+      const list = node.transform && node.transform.baseVal
+      const t = list && list.numberOfItems > 0 ? list.consolidate() : null
+
+      if (t) {
+        const p = t.matrix
+        m = {
+          a: p.a * m.a + p.c * m.b,
+          b: p.b * m.a + p.d * m.b,
+          c: p.a * m.c + p.c * m.d,
+          d: p.b * m.c + p.d * m.d,
+          e: p.a * m.e + p.c * m.f + p.e,
+          f: p.b * m.e + p.d * m.f + p.f,
+        }
+      }
+      node = node.parentNode
+    }
+
+    return m
+  }
+
+  /**
+   * Turn flat rings into a Polygon or MultiPolygon
+   * A ring nested inside an odd number of other rings is a hole of the
+   * smallest ring around it, matching the evenodd fill rule
+   * @param {Array<Array<Object>>} rings - Rings of { x, y } in SVG space
+   * @param {Function} transform - Maps { x, y } to output [x, y]
+   * @param {number} precision - Decimal places
+   * @returns {Object|null} GeoJSON geometry or null if nothing is left
+   */
+  static buildGeometry(rings, transform, precision) {
+    const items = rings
+      .filter((ring) => ring.length >= 3)
+      .map((ring) => ({
+        ring,
+        bbox: Geometry.getBBox(ring),
+        area: Math.abs(Geometry.signedArea(ring)),
+        parent: null,
+        depth: 0,
+      }))
+      .filter((item) => item.area > 0)
+
+    const contains = (outer, inner) =>
+      outer !== inner &&
+      outer.area > inner.area &&
+      inner.bbox.x >= outer.bbox.x &&
+      inner.bbox.y >= outer.bbox.y &&
+      inner.bbox.x + inner.bbox.width <= outer.bbox.x + outer.bbox.width &&
+      inner.bbox.y + inner.bbox.height <= outer.bbox.y + outer.bbox.height &&
+      Geometry.pointInPolygon(inner.ring[0], outer.ring)
+
+    items.forEach((item) => {
+      const containers = items.filter((other) => contains(other, item))
+      item.depth = containers.length
+      containers.forEach((other) => {
+        if (!item.parent || other.area < item.parent.area) item.parent = other
+      })
+    })
+
+    const polygons = []
+    const byOuter = new Map()
+
+    items
+      .filter((item) => item.depth % 2 === 0)
+      .forEach((item) => {
+        const exterior = GeoJSONExporter.toPositions(
+          item.ring,
+          transform,
+          precision,
+          true
+        )
+        if (!exterior) return
+        const polygon = [exterior]
+        byOuter.set(item, polygon)
+        polygons.push(polygon)
+      })
+
+    items
+      .filter((item) => item.depth % 2 === 1)
+      .forEach((item) => {
+        const polygon = byOuter.get(item.parent)
+        const hole = GeoJSONExporter.toPositions(
+          item.ring,
+          transform,
+          precision,
+          false
+        )
+        if (polygon && hole) polygon.push(hole)
+      })
+
+    if (polygons.length === 0) return null
+
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons }
+  }
+
+  /**
+   * Transform, round and close a ring
+   * Exterior rings are counter-clockwise and holes clockwise (RFC 7946)
+   * @param {Array<Object>} ring - Ring of { x, y }
+   * @param {Function} transform - Maps { x, y } to output [x, y]
+   * @param {number} precision - Decimal places
+   * @param {boolean} exterior - Whether this is an exterior ring
+   * @returns {Array<Array<number>>|null} Closed positions or null if degenerate
+   */
+  static toPositions(ring, transform, precision, exterior) {
+    const factor = Math.pow(10, precision)
+    const round = (v) => Math.round(v * factor) / factor
+    const positions = []
+
+    ring.forEach((point) => {
+      const [x, y] = transform(point).map(round)
+      const last = positions[positions.length - 1]
+      if (!last || last[0] !== x || last[1] !== y) positions.push([x, y])
+    })
+
+    const first = positions[0]
+    const last = positions[positions.length - 1]
+    if (positions.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+      positions.pop()
+    }
+    if (positions.length < 3) return null
+
+    const area = Geometry.signedArea(positions.map(([x, y]) => ({ x, y })))
+    if (area === 0) return null
+    if (area > 0 !== exterior) positions.reverse()
+
+    positions.push([positions[0][0], positions[0][1]])
+    return positions
+  }
+
+  /**
+   * Build feature properties from a region's current attributes
+   * @param {Object} region - Region object
+   * @returns {Object} Tags plus id, name and description
+   */
+  static getProperties(region) {
+    const element = region.element
+    const properties = {}
+
+    SVGParser.extractTags(element).forEach((tag) => {
+      properties[tag.key] = tag.value
+    })
+
+    properties.id = element.getAttribute('id') || region.id
+    properties.name = element.getAttribute('data-name') || null
+    properties.description = SVGParser.getDescription(element) || null
+
+    return properties
+  }
+
+  /**
+   * Serialize a FeatureCollection
+   * @param {Object} collection - GeoJSON object
+   * @returns {string} JSON text
+   */
+  static stringify(collection) {
+    return JSON.stringify(collection, null, 2)
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeoJSONExporter
+} else {
+  window.GeoJSONExporter = GeoJSONExporter
+}
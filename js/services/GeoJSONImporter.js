@@ -0,0 +1,339 @@
+/**
+ * GeoJSONImporter
+ * Service for converting GeoJSON polygons into taggable SVG regions
+ */
+
+class GeoJSONImporter {
+  static SVG_NS = 'http://www.w3.org/2000/svg'
+  static EXTENSIONS = ['geojson', 'json']
+  static DEFAULT_WIDTH = 1000
+  static PADDING = 10
+  static PRECISION = 2
+  static DEFAULT_FILL = '#e5e7eb'
+  static DEFAULT_STROKE = '#333333'
+
+  // Property names tried in order when picking a region name
+  static NAME_PROPERTIES = [
+    'name',
+    'NAME',
+    'Name',
+    'name_en',
+    'NAME_EN',
+    'title',
+  ]
+  static ID_PROPERTIES = ['id', 'ID', 'code', 'CODE', 'iso_a3', 'ISO_A3']
+
+  /**
+   * Parse GeoJSON text and collect its polygon features
+   * @param {string|Object} input - GeoJSON text or object
+   * @returns {Object} { features, skipped } where skipped counts non-polygon features
+   */
+  static parse(input) {
+    let geojson = input
+
+    if (typeof input === 'string') {
+      try {
+        geojson = JSON.parse(input)
+      } catch (error) {
+        throw new Error(`Invalid GeoJSON: ${error.message}`)
+      }
+    }
+
+    if (!geojson || typeof geojson.type !== 'string') {
+      throw new Error('Invalid GeoJSON: missing "type"')
+    }
+
+    const features = []
+    let skipped = 0
+
+    const addGeometry = (geometry, properties, id) => {
+      if (!geometry) {
+        skipped++
+        return
+      }
+
+      if (geometry.type === 'GeometryCollection') {
+        const polygons = (geometry.geometries || []).filter((g) =>
+          ['Polygon', 'MultiPolygon'].includes(g && g.type)
+        )
+        if (polygons.length === 0) {
+          skipped++
+          return
+        }
+        features.push({
+          id,
+          properties,
+          polygons: polygons.flatMap((g) => GeoJSONImporter.getPolygons(g)),
+        })
+      } else if (
+        geometry.type === 'Polygon' ||
+        geometry.type === 'MultiPolygon'
+      ) {
+        features.push({
+          id,
+          properties,
+          polygons: GeoJSONImporter.getPolygons(geometry),
+        })
+      } else {
+        skipped++
+      }
+    }
+
+    if (geojson.type === 'FeatureCollection') {
+      const collection = geojson.features || []
+      collection.forEach((feature) => {
+        addGeometry(feature.geometry, feature.properties || {}, feature.id)
+      })
+    } else if (geojson.type === 'Feature') {
+      addGeometry(geojson.geometry, geojson.properties || {}, geojson.id)
+    } else {
+      addGeometry(geojson, {}, undefined)
+    }
+
+    if (features.length === 0) {
+      throw new Error('No Polygon or MultiPolygon features found')
+    }
+
+    return { features, skipped }
+  }
+
+  /**
+   * Normalize a Polygon or MultiPolygon to a list of polygons
+   * @param {Object} geometry - GeoJSON geometry
+   * @returns {Array} Array of polygons, each an array of rings
+   */
+  static getPolygons(geometry) {
+    return geometry.type === 'Polygon'
+      ? [geometry.coordinates]
+      : geometry.coordinates
+  }
+
+  /**
+   * Collect the property keys used across features
+   * @param {Array<Object>} features - Features from parse()
+   * @returns {Array<string>} Property keys in first-seen order
+   */
+  static getPropertyKeys(features) {
+    const keys = new Set()
+    features.forEach((feature) => {
+      Object.keys(feature.properties).forEach((key) => keys.add(key))
+    })
+    return Array.from(keys)
+  }
+
+  /**
+   * Guess which property holds the feature name or id
+   * @param {Array<string>} keys - Available property keys
+   * @param {Array<string>} candidates - Preferred property names
+   * @returns {string} Property key or ''
+   */
+  static guessProperty(keys, candidates) {
+    return candidates.find((key) => keys.includes(key)) || ''
+  }
+
+  /**
+   * Convert a property value into tag text
+   * @param {*} value - Property value
+   * @returns {string|null} Tag value or null to skip
+   */
+  static toTagValue(value) {
+    if (value === null || value === undefined) return null
+    if (typeof value === 'object') return JSON.stringify(value)
+    const text = String(value).trim()
+    return text || null
+  }
+
+  /**
+   * Convert parsed features into an SVG map
+   * @param {Array<Object>} features - Features from parse()
+   * @param {Object} options - Conversion options
+   * @param {string} options.projection - Projection name
+   * @param {string} options.nameProperty - Property used for data-name
+   * @param {string} options.idProperty - Property used for the element id
+   * @param {number} options.width - Output width
+   * @returns {string} SVG markup
+   */
+  static toSVG(
+    features,
+    {
+      projection = 'mercator',
+      nameProperty = '',
+      idProperty = '',
+      width = GeoJSONImporter.DEFAULT_WIDTH,
+    } = {}
+  ) {
+    const positions = []
+    features.forEach((feature) => {
+      feature.polygons.forEach((polygon) => {
+        polygon.forEach((ring) => {
+          ring.forEach((position) => positions.push(position))
+        })
+      })
+    })
+
+    const bounds = Projections.getBounds(positions)
+    const proj = Projections.create(
+      projection,
+      Projections.defaultParams(projection, bounds)
+    )
+
+    // Project everything once, then fit to the output width
+    const projected = features.map((feature) =>
+      feature.polygons.map((polygon) =>
+        polygon.map((ring) => ring.map(([lon, lat]) => proj.project(lon, lat)))
+      )
+    )
+
+    let minX = Infinity,
+      minY = Infinity
+    let maxX = -Infinity,
+      maxY = -Infinity
+    projected.forEach((polygons) =>
+      polygons.forEach((polygon) =>
+        polygon.forEach((ring) =>
+          ring.forEach(([x, y]) => {
+            minX = Math.min(minX, x)
+            minY = Math.min(minY, y)
+            maxX = Math.max(maxX, x)
+            maxY = Math.max(maxY, y)
+          })
+        )
+      )
+    )
+
+    const padding = GeoJSONImporter.PADDING
+    const spanX = maxX - minX || 1
+    const spanY = maxY - minY || 1
+    const scale = (width - padding * 2) / spanX
+    const height = Math.ceil(spanY * scale + padding * 2)
+
+    // svgX = x * scale + translate[0], svgY = -y * scale + translate[1]
+    const translate = [padding - minX * scale, padding + maxY * scale]
+    const toSVG = ([x, y]) => [
+      x * scale + translate[0],
+      -y * scale + translate[1],
+    ]
+
+    const doc = document.implementation.createDocument(
+      GeoJSONImporter.SVG_NS,
+      'svg',
+      null
+    )
+    const svg = doc.documentElement
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`)
+    svg.setAttribute('width', width)
+    svg.setAttribute('height', height)
+
+    Projections.writeMetadata(svg, {
+      name: proj.name,
+      params: proj.params,
+      scale,
+      translate,
+    })
+
+    const group = doc.createElementNS(GeoJSONImporter.SVG_NS, 'g')
+    group.setAttribute('id', 'regions')
+    svg.appendChild(group)
+
+    const usedIds = new Set()
+
+    features.forEach((feature, index) => {
+      const d = GeoJSONImporter.buildPathData(projected[index], toSVG)
+      if (!d) return
+
+      const path = doc.createElementNS(GeoJSONImporter.SVG_NS, 'path')
+      path.setAttribute('class', 'region')
+      path.setAttribute('d', d)
+      path.setAttribute('fill-rule', 'evenodd')
+      path.setAttribute('fill', GeoJSONImporter.DEFAULT_FILL)
+      path.setAttribute('stroke', GeoJSONImporter.DEFAULT_STROKE)
+      path.setAttribute('stroke-width', '0.5')
+
+      const rawId = idProperty ? feature.properties[idProperty] : feature.id
+      const id = GeoJSONImporter.uniqueId(rawId, index, usedIds)
+      path.setAttribute('id', id)
+
+      Object.entries(feature.properties).forEach(([key, value]) => {
+        const tagName = Helpers.toTagKey(key)
+        const tagValue = GeoJSONImporter.toTagValue(value)
+        if (tagName && tagValue !== null) {
+          path.setAttribute(tagName, tagValue)
+        }
+      })
+
+      if (nameProperty) {
+        const name = GeoJSONImporter.toTagValue(
+          feature.properties[nameProperty]
+        )
+        if (name !== null) path.setAttribute('data-name', name)
+      }
+
+      group.appendChild(path)
+    })
+
+    return new XMLSerializer().serializeToString(doc)
+  }
+
+  /**
+   * Build path data for a projected feature
+   * @param {Array} polygons - Projected polygons (arrays of rings)
+   * @param {Function} toSVG - Maps a projected point to SVG coordinates
+   * @returns {string} Path data
+   */
+  static buildPathData(polygons, toSVG) {
+    const factor = Math.pow(10, GeoJSONImporter.PRECISION)
+    const round = (v) => Math.round(v * factor) / factor
+    const parts = []
+
+    polygons.forEach((polygon) => {
+      polygon.forEach((ring) => {
+        const points = []
+        ring.forEach((point) => {
+          const [x, y] = toSVG(point).map(round)
+          const last = points[points.length - 1]
+          if (!last || last[0] !== x || last[1] !== y) points.push([x, y])
+        })
+
+        // GeoJSON rings repeat the first point at the end; Z closes them
+        const first = points[0]
+        const last = points[points.length - 1]
+        if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+          points.pop()
+        }
+        if (points.length < 3) return
+
+        parts.push(`M${points.map(([x, y]) => `${x},${y}`).join('L')}Z`)
+      })
+    })
+
+    return parts.join('')
+  }
+
+  /**
+   * Make a valid, unique element id
+   * @param {*} rawId - Preferred id
+   * @param {number} index - Feature index
+   * @param {Set<string>} usedIds - Ids already taken
+   * @returns {string} Element id
+   */
+  static uniqueId(rawId, index, usedIds) {
+    let base = GeoJSONImporter.toTagValue(rawId)
+    base = base ? base.replace(/\s+/g, '_') : `region-${index}`
+    if (/^[^A-Za-z_]/.test(base)) base = `r${base}`
+
+    let id = base
+    let suffix = 2
+    while (usedIds.has(id)) {
+      id = `${base}-${suffix++}`
+    }
+    usedIds.add(id)
+    return id
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeoJSONImporter
+} else {
+  window.GeoJSONImporter = GeoJSONImporter
+}
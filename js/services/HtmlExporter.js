@@ -0,0 +1,499 @@
+/**
+ * HtmlExporter
+ * Service for exporting the map as a single self-contained interactive HTML page
+ *
+ * The page holds the SVG, the region tags and colors as JSON and a small
+ * viewer runtime (filters, legend, region popup and hover tooltips)
+ */
+
+class HtmlExporter {
+  static MIME_TYPE = 'text/html'
+  static EXTENSION = 'html'
+
+  /**
+   * How filters behave in the exported page
+   */
+  static FILTER_MODES = {
+    none: { label: 'No filters' },
+    interactive: { label: 'Viewers can filter by tag value' },
+    locked: { label: 'Lock the current filters' },
+  }
+
+  // Region state classes that should not end up in the export
+  static STATE_CLASSES = ['selected', 'highlighted', 'tag-highlighted']
+
+  static STYLES = `
+    * { box-sizing: border-box; }
+    html, body { margin: 0; height: 100%; }
+    body {
+      display: flex;
+      flex-direction: column;
+      font: 14px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+      color: #333;
+      background: #f5f5f5;
+    }
+    .page-header { padding: 16px 24px; background: #fff; border-bottom: 1px solid #e0e0e0; }
+    .page-header h1 { margin: 0; font-size: 20px; }
+    .page-header p { margin: 4px 0 0; color: #666; white-space: pre-line; }
+    .page-main { flex: 1; display: flex; min-height: 0; }
+    .map-view { position: relative; flex: 1; min-width: 0; background: #fff; }
+    .map-view svg { display: block; width: 100%; height: 100%; }
+    .map-view .region { cursor: pointer; transition: fill 0.15s, fill-opacity 0.15s; }
+    .map-view .region:hover { filter: brightness(0.9); stroke: #667eea !important; stroke-width: 2 !important; }
+    .map-view .region.is-active { stroke: #333 !important; stroke-width: 3 !important; }
+    .map-view .region.is-dimmed { cursor: default; }
+    .map-sidebar { width: 260px; overflow-y: auto; padding: 16px; background: #fff; border-left: 1px solid #e0e0e0; }
+    .map-sidebar:empty { display: none; }
+    .map-sidebar h2 { margin: 0 0 8px; font-size: 13px; text-transform: uppercase; letter-spacing: 0.04em; color: #666; }
+    .map-sidebar section + section { margin-top: 20px; }
+    .map-count { margin: 0 0 8px; color: #666; }
+    .legend-item, .filter-value { display: flex; align-items: center; gap: 8px; padding: 2px 0; }
+    .swatch { flex: none; width: 14px; height: 14px; border-radius: 3px; border: 1px solid rgba(0, 0, 0, 0.15); }
+    .legend-gradient { height: 12px; border-radius: 3px; }
+    .legend-ticks { display: flex; justify-content: space-between; font-size: 12px; color: #666; }
+    .legend-note { margin: 4px 0 0; font-style: italic; color: #999; }
+    .filter-group { border-bottom: 1px solid #f0f0f0; padding: 4px 0; }
+    .filter-group summary { cursor: pointer; font-weight: 600; }
+    .filter-value { cursor: pointer; padding-left: 4px; }
+    .filter-value__label { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .filter-value__count { color: #999; font-size: 12px; }
+    .filter-clear { margin-top: 8px; padding: 4px 10px; border: 1px solid #d0d0d0; border-radius: 4px; background: #fff; cursor: pointer; }
+    .map-tooltip {
+      position: absolute;
+      pointer-events: none;
+      max-width: 240px;
+      padding: 4px 8px;
+      border-radius: 4px;
+      background: rgba(33, 33, 33, 0.9);
+      color: #fff;
+      font-size: 12px;
+      transform: translate(12px, 12px);
+    }
+    .map-tooltip span { display: block; color: #ccc; }
+    .map-popup {
+      position: absolute;
+      top: 16px;
+      left: 16px;
+      width: 280px;
+      max-height: calc(100% - 32px);
+      overflow-y: auto;
+      padding: 16px;
+      border-radius: 8px;
+      background: #fff;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+    }
+    .map-popup h3 { margin: 0 24px 4px 0; font-size: 16px; }
+    .map-popup p { margin: 0 0 8px; color: #666; white-space: pre-line; }
+    .map-popup dl { display: grid; grid-template-columns: auto 1fr; gap: 2px 12px; margin: 0; }
+    .map-popup dt { color: #666; }
+    .map-popup dd { margin: 0; word-break: break-word; }
+    .map-popup__close { position: absolute; top: 8px; right: 8px; border: none; background: none; font-size: 20px; cursor: pointer; color: #666; }
+    [hidden] { display: none !important; }
+    @media (max-width: 700px) {
+      .page-main { flex-direction: column; }
+      .map-sidebar { width: auto; max-height: 40%; border-left: none; border-top: 1px solid #e0e0e0; }
+    }
+  `
+
+  /**
+   * Viewer runtime embedded in the exported page
+   * It runs on its own, so it must not use anything from this app
+   * @param {Object} data - From buildData
+   */
+  static RUNTIME = function (data) {
+    const DIMMED_FILL = 'rgba(200, 200, 200, 0.1)'
+
+    const view = document.querySelector('.map-view')
+    const paths = Array.from(view.querySelectorAll('path.region'))
+    const tooltip = document.querySelector('.map-tooltip')
+    const popup = document.querySelector('.map-popup')
+    const sidebar = document.querySelector('.map-sidebar')
+    const include = new Map(
+      data.filters.map(([key, values]) => [key, new Set(values)])
+    )
+    const tagNames = new Map(data.tags.map((tag) => [tag.key, tag.name]))
+    let count = null
+    let activePath = null
+
+    const el = (tag, className, text) => {
+      const node = document.createElement(tag)
+      if (className) node.className = className
+      if (text !== undefined) node.textContent = text
+      return node
+    }
+
+    const swatch = (color) => {
+      const node = el('span', 'swatch')
+      node.style.background = color || '#999'
+      return node
+    }
+
+    const valueColor = (key, value) => data.colors[`${key}:${value}`] || null
+
+    const matches = (region) => {
+      if (data.locked) return region.match
+      for (const [key, values] of include) {
+        if (values.size > 0 && !values.has(region.tags[key])) return false
+      }
+      return true
+    }
+
+    // Prefer the color of the value the region was picked by
+    const regionColor = (region) => {
+      for (const [key, values] of include) {
+        const color = values.size > 0 && valueColor(key, region.tags[key])
+        if (color) return color
+      }
+      return data.colorTag
+        ? valueColor(data.colorTag, region.tags[data.colorTag])
+        : null
+    }
+
+    const update = () => {
+      let matching = 0
+      data.regions.forEach((region, i) => {
+        const path = paths[i]
+        if (!path) return
+
+        const match = matches(region)
+        const color = match ? regionColor(region) : DIMMED_FILL
+        path.classList.toggle('is-dimmed', !match)
+        path.style.fill = color || ''
+        path.style.fillOpacity = match ? (color ? '0.7' : '') : '0.1'
+        if (match) matching++
+      })
+
+      if (count) {
+        count.textContent =
+          matching === data.regions.length
+            ? `${matching} regions`
+            : `${matching} of ${data.regions.length} regions`
+      }
+    }
+
+    const renderLegend = () => {
+      const legend = data.legend
+      if (!legend) return
+
+      const section = el('section', 'map-legend')
+      section.appendChild(el('h2', null, legend.title))
+
+      if (legend.gradient) {
+        const bar = el('div', 'legend-gradient')
+        bar.style.background = `linear-gradient(to right, ${legend.gradient.stops.join(', ')})`
+        const ticks = el('div', 'legend-ticks')
+        legend.gradient.ticks.forEach((tick) =>
+          ticks.appendChild(el('span', null, tick))
+        )
+        section.append(bar, ticks)
+      }
+
+      legend.items.forEach((item) => {
+        const row = el('div', 'legend-item')
+        row.append(swatch(item.color), el('span', null, item.label))
+        section.appendChild(row)
+      })
+
+      if (legend.note) section.appendChild(el('p', 'legend-note', legend.note))
+      sidebar.appendChild(section)
+    }
+
+    const renderFilters = () => {
+      if (data.filterMode === 'none') return
+
+      const section = el('section', 'map-filters')
+      section.appendChild(el('h2', null, 'Filters'))
+      count = el('p', 'map-count')
+      section.appendChild(count)
+      sidebar.appendChild(section)
+      if (data.locked) return
+
+      const inputs = []
+      data.tags.forEach((tag) => {
+        const group = el('details', 'filter-group')
+        group.open = include.has(tag.key) && include.get(tag.key).size > 0
+        group.appendChild(el('summary', null, tag.name))
+
+        tag.values.forEach((entry) => {
+          const label = el('label', 'filter-value')
+          const input = el('input')
+          input.type = 'checkbox'
+          input.checked =
+            include.has(tag.key) && include.get(tag.key).has(entry.value)
+          input.addEventListener('change', () => {
+            if (!include.has(tag.key)) include.set(tag.key, new Set())
+            include.get(tag.key)[input.checked ? 'add' : 'delete'](entry.value)
+            update()
+          })
+          inputs.push(input)
+
+          label.append(
+            input,
+            swatch(valueColor(tag.key, entry.value)),
+            el('span', 'filter-value__label', entry.value),
+            el('span', 'filter-value__count', String(entry.count))
+          )
+          group.appendChild(label)
+        })
+
+        section.appendChild(group)
+      })
+
+      const clear = el('button', 'filter-clear', 'Clear filters')
+      clear.type = 'button'
+      clear.addEventListener('click', () => {
+        include.clear()
+        inputs.forEach((input) => (input.checked = false))
+        update()
+      })
+      section.appendChild(clear)
+    }
+
+    const closePopup = () => {
+      popup.hidden = true
+      if (activePath) activePath.classList.remove('is-active')
+      activePath = null
+    }
+
+    const showPopup = (index) => {
+      const region = data.regions[index]
+      const content = popup.querySelector('.map-popup__content')
+      content.textContent = ''
+      content.appendChild(el('h3', null, region.name || '(Unnamed)'))
+      if (region.description) {
+        content.appendChild(el('p', null, region.description))
+      }
+
+      const list = el('dl')
+      list.append(el('dt', null, 'ID'), el('dd', null, region.id))
+      Object.keys(region.tags).forEach((key) => {
+        list.append(
+          el('dt', null, tagNames.get(key) || key.replace(/^data-/, '')),
+          el('dd', null, region.tags[key])
+        )
+      })
+      content.appendChild(list)
+
+      if (activePath) activePath.classList.remove('is-active')
+      activePath = paths[index]
+      activePath.classList.add('is-active')
+      popup.hidden = false
+    }
+
+    const showTooltip = (index, e) => {
+      const region = data.regions[index]
+      tooltip.textContent = region.name || region.id
+      if (data.colorTag && region.tags[data.colorTag] !== undefined) {
+        tooltip.appendChild(
+          el(
+            'span',
+            null,
+            `${tagNames.get(data.colorTag)}: ${region.tags[data.colorTag]}`
+          )
+        )
+      }
+
+      const bounds = view.getBoundingClientRect()
+      tooltip.style.left = `${e.clientX - bounds.left}px`
+      tooltip.style.top = `${e.clientY - bounds.top}px`
+      tooltip.hidden = false
+    }
+
+    view.addEventListener('click', (e) => {
+      const index = paths.indexOf(e.target)
+      if (index === -1 || e.target.classList.contains('is-dimmed')) {
+        if (!popup.contains(e.target)) closePopup()
+        return
+      }
+      showPopup(index)
+    })
+    view.addEventListener('mousemove', (e) => {
+      const index = paths.indexOf(e.target)
+      if (index === -1 || e.target.classList.contains('is-dimmed')) {
+        tooltip.hidden = true
+        return
+      }
+      showTooltip(index, e)
+    })
+    view.addEventListener('mouseleave', () => (tooltip.hidden = true))
+    popup
+      .querySelector('.map-popup__close')
+      .addEventListener('click', closePopup)
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closePopup()
+    })
+
+    renderLegend()
+    renderFilters()
+    update()
+  }
+
+  /**
+   * Build the HTML page
+   * @param {Object} options - Export options
+   * @param {SVGSVGElement} options.svg - Displayed map SVG
+   * @param {Object} options.state - Store state
+   * @param {Object} options.viewBox - ViewBox showing the whole map
+   * @param {Object|null} options.legend - From Legend.getExportData
+   * @param {string} options.title - Page title
+   * @param {string} options.description - Text shown under the title
+   * @param {string} options.filters - Key of FILTER_MODES
+   * @returns {string} HTML document
+   */
+  static export({ svg, state, viewBox, legend, title, description, filters }) {
+    const data = HtmlExporter.buildData(state, legend, filters)
+    const markup = HtmlExporter.serializeSVG(svg, state.regions, viewBox)
+
+    const header =
+      title || description
+        ? `<header class="page-header">
+      ${title ? `<h1>${Helpers.escapeHtml(title)}</h1>` : ''}
+      ${description ? `<p>${Helpers.escapeHtml(description)}</p>` : ''}
+    </header>`
+        : ''
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${Helpers.escapeHtml(title || 'Map')}</title>
+  <style>${HtmlExporter.STYLES}</style>
+</head>
+<body>
+  ${header}
+  <main class="page-main">
+    <div class="map-view">
+      ${markup}
+      <div class="map-tooltip" hidden></div>
+      <div class="map-popup" hidden>
+        <button type="button" class="map-popup__close" title="Close">×</button>
+        <div class="map-popup__content"></div>
+      </div>
+    </div>
+    <aside class="map-sidebar"></aside>
+  </main>
+  <script>(${HtmlExporter.RUNTIME.toString()})(${HtmlExporter.toScriptJSON(
+    data
+  )})</script>
+</body>
+</html>
+`
+  }
+
+  /**
+   * Collect the region, tag and color data the runtime needs
+   * @param {Object} state - Store state
+   * @param {Object|null} legend - Legend export data
+   * @param {string} filterMode - Key of FILTER_MODES
+   * @returns {Object} Runtime data
+   */
+  static buildData(state, legend, filterMode) {
+    const locked = filterMode === 'locked'
+    const filter = locked ? RegionFilter.compile(state) : null
+
+    const regions = state.regions.map((region) => {
+      const tags = {}
+      if (region.element) {
+        SVGParser.extractTags(region.element).forEach((tag) => {
+          tags[tag.fullKey] = tag.value
+        })
+      }
+
+      const data = {
+        id: region.id,
+        name: region.name,
+        description: region.description,
+        tags,
+      }
+      if (locked) data.match = RegionFilter.matches(region, filter)
+      return data
+    })
+
+    const tags = Array.from(state.tags)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, tagData]) => ({
+        key,
+        name: tagData.name,
+        values: Array.from(tagData.values)
+          .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+          .map(([value, info]) => ({ value, count: info.count })),
+      }))
+
+    // Locked pages keep coloring by the value a region was picked by
+    const include =
+      filterMode === 'none'
+        ? []
+        : Array.from(state.activeFilters)
+            .filter(([, values]) => values.size > 0)
+            .map(([key, values]) => [key, Array.from(values)])
+
+    return {
+      regions,
+      tags,
+      colors: Object.fromEntries(state.valueColors),
+      colorTag:
+        state.currentColorTag && state.tags.has(state.currentColorTag)
+          ? state.currentColorTag
+          : null,
+      legend,
+      filterMode,
+      filters: include,
+      locked,
+    }
+  }
+
+  /**
+   * Serialize a clean copy of the displayed SVG showing the whole map
+   * Tags move to the runtime data, and scripts and editor state are dropped
+   * @param {SVGSVGElement} svg - Displayed map SVG
+   * @param {Array<Object>} regions - Regions
+   * @param {Object} viewBox - { x, y, width, height }
+   * @returns {string} SVG markup
+   */
+  static serializeSVG(svg, regions, viewBox) {
+    const clone = svg.cloneNode(true)
+
+    clone.setAttribute(
+      'viewBox',
+      `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`
+    )
+    clone.setAttribute('width', '100%')
+    clone.setAttribute('height', '100%')
+    clone.removeAttribute('style')
+
+    clone.querySelectorAll('script').forEach((el) => el.remove())
+    TagSchema.writeMetadata(clone, null)
+
+    clone.querySelectorAll('path.region').forEach((path) => {
+      path.classList.remove(...HtmlExporter.STATE_CLASSES)
+      path.style.fill = ''
+      path.style.fillOpacity = ''
+      path.removeAttribute('data-index')
+      SVGParser.extractTags(path).forEach((tag) =>
+        path.removeAttribute(tag.fullKey)
+      )
+    })
+
+    return new XMLSerializer().serializeToString(clone)
+  }
+
+  /**
+   * Stringify data for an inline script without closing the script element
+   * @param {Object} data - Runtime data
+   * @returns {string} JSON
+   */
+  static toScriptJSON(data) {
+    return JSON.stringify(data)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029')
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlExporter
+} else {
+  window.HtmlExporter = HtmlExporter
+}
@@ -4,10 +4,35 @@
  */
 
 class ImageConverter {
+  // Pipeline steps of each mode in order, for progress reporting
+  static STEPS = {
+    edges: [
+      'Grayscale',
+      'Blur',
+      'Posterize',
+      'Edges',
+      'Invert',
+      'Threshold',
+      'Contours',
+      'Simplify',
+      'SVG',
+    ],
+    colors: ['Blur', 'Quantize', 'Components', 'Trace', 'Simplify', 'SVG'],
+  }
+
+  // Most pixels sampled when clustering colors
+  static COLOR_SAMPLES = 20000
+
+  // Areas filling less of their outline than this are line networks, e.g. borders and rivers
+  static MIN_FILL_RATIO = 0.3
+
   constructor() {
-    this.canvas = document.createElement('canvas')
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true })
+    this.canvas = null
+    this.ctx = null
     this.settings = {
+      // 'edges' traces outlines, 'colors' splits flat-colored areas
+      mode: 'edges',
+
       // Edge Detection
       edgeThreshold: 50,
       edgeRadius: 2,
@@ -18,10 +43,17 @@ class ImageConverter {
       blur: 1,
       posterize: 0,
 
+      // Color Segmentation
+      colorCount: 8,
+      skipBorderRegions: true,
+      sourceColorTag: true,
+
       // Contour Settings
+      sharedBorders: true, // Trace borders once for both neighbours, so regions tile
       minRegionArea: 100,
       simplifyTolerance: 2,
       smoothing: 0.5,
+      curveFitting: false, // Fit Bezier curves instead of straight lines
 
       // Output
       strokeWidth: 1,
@@ -31,15 +63,21 @@ class ImageConverter {
 
   /**
    * Process an image file and return SVG path data
+   * Runs on the calling thread; ImageConverterWorker runs it off the main thread
+   * @param {File|string} imageFile - Image file or URL
+   * @param {Object} settings - Settings to override
+   * @param {Function} onProgress - Called with { step, index, total } before each step
+   * @returns {Promise<Object>} { svg, regions, steps, dimensions, settings }
    */
-  async processImage(imageFile, settings = {}) {
-    // Merge settings
-    this.settings = { ...this.settings, ...settings }
-
+  async processImage(imageFile, settings = {}, onProgress = null) {
     // Load image
     const img = await this.loadImage(imageFile)
 
     // Set canvas size
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas')
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true })
+    }
     this.canvas.width = img.width
     this.canvas.height = img.height
 
@@ -47,64 +85,213 @@ class ImageConverter {
     this.ctx.drawImage(img, 0, 0)
 
     // Get image data
-    let imageData = this.ctx.getImageData(
+    const imageData = this.ctx.getImageData(
       0,
       0,
       this.canvas.width,
       this.canvas.height
     )
 
+    return this.processImageData(imageData, settings, onProgress)
+  }
+
+  /**
+   * Run the pipeline on decoded pixels
+   * Uses no DOM, so it also runs in a worker
+   * @param {ImageData} imageData - Source pixels
+   * @param {Object} settings - Settings to override
+   * @param {Function} onProgress - Called with { step, index, total } before each step
+   * @returns {Object} { svg, regions, steps, dimensions, settings }
+   */
+  processImageData(imageData, settings = {}, onProgress = null) {
+    // Merge settings
+    this.settings = { ...this.settings, ...settings }
+
+    const { width, height } = imageData
+    const stepNames =
+      ImageConverter.STEPS[this.settings.mode] || ImageConverter.STEPS.edges
+    const progress = (step) => {
+      if (onProgress) {
+        onProgress({
+          step,
+          index: stepNames.indexOf(step) + 1,
+          total: stepNames.length,
+        })
+      }
+    }
+
+    const { regions, steps } =
+      this.settings.mode === 'colors'
+        ? this.runColorPipeline(imageData, progress)
+        : this.runEdgePipeline(imageData, progress)
+
+    // Generate SVG
+    progress('SVG')
+    const svg = this.generateSVG(regions, width, height)
+
+    return {
+      svg,
+      regions,
+      steps,
+      dimensions: { width, height },
+      settings: { ...this.settings },
+    }
+  }
+
+  /**
+   * Find regions from the outlines between areas
+   * @param {ImageData} imageData - Source pixels
+   * @param {Function} progress - Called with each step name
+   * @returns {Object} { regions, steps }
+   */
+  runEdgePipeline(imageData, progress) {
     // Processing pipeline
     const steps = []
 
     // Step 1: Grayscale
     if (this.settings.grayscale) {
+      progress('Grayscale')
       imageData = this.toGrayscale(imageData)
       steps.push({ name: 'Grayscale', data: this.cloneImageData(imageData) })
     }
 
     // Step 2: Optional blur
     if (this.settings.blur > 0) {
+      progress('Blur')
       imageData = this.applyBlur(imageData, this.settings.blur)
       steps.push({ name: 'Blur', data: this.cloneImageData(imageData) })
     }
 
     // Step 3: Optional posterize
     if (this.settings.posterize > 0) {
+      progress('Posterize')
       imageData = this.posterize(imageData, this.settings.posterize)
       steps.push({ name: 'Posterize', data: this.cloneImageData(imageData) })
     }
 
     // Step 4: Edge detection
+    progress('Edges')
     imageData = this.detectEdges(imageData, this.settings.edgeRadius)
     steps.push({ name: 'Edges', data: this.cloneImageData(imageData) })
 
     // Step 5: Invert (if needed for black edges on white)
     if (this.settings.invert) {
+      progress('Invert')
       imageData = this.invertImage(imageData)
       steps.push({ name: 'Invert', data: this.cloneImageData(imageData) })
     }
 
     // Step 6: Threshold
+    progress('Threshold')
     imageData = this.threshold(imageData, this.settings.edgeThreshold)
     steps.push({ name: 'Threshold', data: this.cloneImageData(imageData) })
 
     // Step 7: Find contours
+    progress('Contours')
+    if (this.settings.sharedBorders) {
+      const regionMap = this.labelAreas(imageData)
+      steps.push({ name: 'Contours', count: regionMap.count })
+
+      // Step 8: Trace and simplify shared borders
+      progress('Simplify')
+      const regions = this.regionsFromMap(
+        regionMap.map,
+        imageData.width,
+        imageData.height
+      ).sort((a, b) => b.area - a.area)
+
+      return { regions, steps }
+    }
+
     const contours = this.findContours(imageData)
     steps.push({ name: 'Contours', count: contours.length })
 
     // Step 8: Filter and simplify contours
+    progress('Simplify')
     const regions = this.processContours(contours)
 
-    // Step 9: Generate SVG
-    const svg = this.generateSVG(regions, img.width, img.height)
+    return { regions, steps }
+  }
 
-    return {
-      svg,
-      regions,
-      steps,
-      dimensions: { width: img.width, height: img.height },
+  /**
+   * Find regions as connected areas of one color, for flat-colored maps
+   * whose borders are thin or missing
+   * @param {ImageData} imageData - Source pixels
+   * @param {Function} progress - Called with each step name
+   * @returns {Object} { regions, steps }
+   */
+  runColorPipeline(imageData, progress) {
+    const { width, height } = imageData
+    const steps = []
+
+    // Step 1: Optional blur, to merge noise and dithering into flat areas
+    if (this.settings.blur > 0) {
+      progress('Blur')
+      imageData = this.applyBlur(imageData, this.settings.blur)
+      steps.push({ name: 'Blur', data: this.cloneImageData(imageData) })
     }
+
+    // Step 2: Reduce to a few colors
+    progress('Quantize')
+    const { palette, labels } = this.quantizeColors(
+      imageData,
+      this.settings.colorCount
+    )
+    steps.push({
+      name: 'Quantize',
+      data: this.paintLabels(labels, palette, width, height),
+    })
+
+    // Step 3: Split each color into connected areas
+    progress('Components')
+    const { map, components } = this.labelComponents(labels, width, height)
+    steps.push({ name: 'Components', count: components.length })
+
+    // Step 4: Trace each area large enough to keep and sort out line networks
+    progress('Trace')
+    const kept = []
+    const background = []
+    const perimeter = 2 * (width + height)
+    components.forEach((component) => {
+      if (component.pixels < this.settings.minRegionArea) return
+
+      const contour = this.traceComponent(map, component, width, height)
+      const isLine =
+        component.pixels / this.polygonArea(contour) <
+        ImageConverter.MIN_FILL_RATIO
+
+      // A frame or sea around the map runs along much of the image edge;
+      // regions of a map that fills the image only touch it
+      if (
+        this.settings.skipBorderRegions &&
+        component.borderPixels >= perimeter / 4
+      ) {
+        background.push(component)
+      } else if (!isLine) {
+        kept.push(component)
+      }
+    })
+
+    // Step 5: Simplify outlines
+    // With shared borders, line networks and specks go to their neighbours
+    progress('Simplify')
+    const { sharedBorders } = this.settings
+    const regionMap = this.assignPixels(
+      map,
+      width,
+      components.length,
+      kept,
+      background,
+      sharedBorders
+    )
+    const regions = this.regionsFromMap(regionMap, width, height, sharedBorders)
+      .map((region) => ({
+        ...region,
+        color: this.toHex(palette[kept[region.label].label]),
+      }))
+      .sort((a, b) => b.area - a.area)
+
+    return { regions, steps }
   }
 
   /**
@@ -376,43 +563,587 @@ class ImageConverter {
   }
 
   /**
-   * Process and filter contours
+   * Cluster pixel colors with k-means
+   * @param {ImageData} imageData - Source pixels
+   * @param {number} count - Number of colors
+   * @returns {Object} { palette: [[r, g, b]], labels: Uint8Array palette index per pixel }
    */
-  processContours(contours) {
-    return contours
-      .map((contour) => {
-        // Calculate area using shoelace formula
-        let area = 0
-        for (let i = 0; i < contour.length; i++) {
-          const j = (i + 1) % contour.length
-          area += contour[i].x * contour[j].y
-          area -= contour[j].x * contour[i].y
+  quantizeColors(imageData, count) {
+    const data = imageData.data
+    const pixelCount = data.length / 4
+    const distance = (a, b) =>
+      (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2
+
+    // Cluster a sample, then assign every pixel
+    const stride = Math.max(
+      1,
+      Math.floor(pixelCount / ImageConverter.COLOR_SAMPLES)
+    )
+    const samples = []
+    for (let p = 0; p < pixelCount; p += stride) {
+      samples.push([data[p * 4], data[p * 4 + 1], data[p * 4 + 2]])
+    }
+
+    // Farthest-point start: deterministic, and spreads the colors apart
+    const palette = [samples[0].slice()]
+    const nearest = samples.map((sample) => distance(sample, palette[0]))
+    while (palette.length < Math.min(count, 255)) {
+      let farthest = -1
+      let farthestDist = 0
+      nearest.forEach((dist, i) => {
+        if (dist > farthestDist) {
+          farthestDist = dist
+          farthest = i
+        }
+      })
+      // Fewer distinct colors than asked for
+      if (farthest === -1) break
+
+      const center = samples[farthest].slice()
+      palette.push(center)
+      samples.forEach((sample, i) => {
+        nearest[i] = Math.min(nearest[i], distance(sample, center))
+      })
+    }
+
+    const closest = (color) => {
+      let best = 0
+      let bestDist = Infinity
+      palette.forEach((center, i) => {
+        const dist = distance(color, center)
+        if (dist < bestDist) {
+          bestDist = dist
+          best = i
+        }
+      })
+      return best
+    }
+
+    for (let iteration = 0; iteration < 10; iteration++) {
+      const sums = palette.map(() => [0, 0, 0, 0])
+      samples.forEach((sample) => {
+        const sum = sums[closest(sample)]
+        sum[0] += sample[0]
+        sum[1] += sample[1]
+        sum[2] += sample[2]
+        sum[3]++
+      })
+
+      let moved = 0
+      sums.forEach((sum, i) => {
+        if (sum[3] === 0) return
+        const center = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]]
+        moved = Math.max(moved, distance(center, palette[i]))
+        palette[i] = center
+      })
+      if (moved < 1) break
+    }
+
+    // Flat maps have few distinct colors, so look each one up once
+    const labels = new Uint8Array(pixelCount)
+    const cache = new Map()
+    for (let p = 0; p < pixelCount; p++) {
+      const i = p * 4
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2]
+      let label = cache.get(key)
+      if (label === undefined) {
+        label = closest([data[i], data[i + 1], data[i + 2]])
+        cache.set(key, label)
+      }
+      labels[p] = label
+    }
+
+    return {
+      palette: palette.map((center) => center.map(Math.round)),
+      labels,
+    }
+  }
+
+  /**
+   * Paint palette labels as an image, for the pipeline preview
+   * @param {Uint8Array} labels - Palette index per pixel
+   * @param {Array<Array<number>>} palette - [r, g, b] colors
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {ImageData} Quantized image
+   */
+  paintLabels(labels, palette, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4)
+    for (let p = 0; p < labels.length; p++) {
+      const color = palette[labels[p]]
+      data[p * 4] = color[0]
+      data[p * 4 + 1] = color[1]
+      data[p * 4 + 2] = color[2]
+      data[p * 4 + 3] = 255
+    }
+    return new ImageData(data, width, height)
+  }
+
+  /**
+   * Label 4-connected areas of one palette color with flood fill
+   * @param {Uint8Array} labels - Palette index per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Object} { map: Int32Array component id per pixel, components }
+   *   where each component is { id, label, pixels, start, borderPixels }
+   */
+  labelComponents(labels, width, height) {
+    const map = new Int32Array(width * height).fill(-1)
+    const stack = new Int32Array(width * height)
+    const components = []
+
+    for (let start = 0; start < map.length; start++) {
+      if (map[start] !== -1) continue
+
+      const component = {
+        id: components.length,
+        label: labels[start],
+        pixels: 0,
+        start, // Topmost, then leftmost pixel, where tracing begins
+        borderPixels: 0, // Pixels on the image edge
+      }
+      components.push(component)
+
+      let top = 0
+      stack[top++] = start
+      map[start] = component.id
+
+      while (top > 0) {
+        const p = stack[--top]
+        const x = p % width
+        const y = (p - x) / width
+        component.pixels++
+
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+          component.borderPixels++
         }
-        area = Math.abs(area / 2)
-
-        // Simplify contour using Douglas-Peucker algorithm
-        const simplified = this.simplifyContour(
-          contour,
-          this.settings.simplifyTolerance
-        )
-
-        // Smooth contour
-        const smoothed =
-          this.settings.smoothing > 0
-            ? this.smoothContour(simplified, this.settings.smoothing)
-            : simplified
-
-        return {
-          points: smoothed,
-          area,
-          originalLength: contour.length,
-          simplifiedLength: smoothed.length,
+
+        const push = (n) => {
+          if (map[n] === -1 && labels[n] === component.label) {
+            map[n] = component.id
+            stack[top++] = n
+          }
+        }
+        if (x > 0) push(p - 1)
+        if (x < width - 1) push(p + 1)
+        if (y > 0) push(p - width)
+        if (y < height - 1) push(p + width)
+      }
+    }
+
+    return { map, components }
+  }
+
+  /**
+   * Trace the outer boundary of a component along pixel edges
+   * Walks clockwise with the component on the right, so the outline runs
+   * between pixels and neighbouring regions share it exactly
+   * @param {Int32Array} map - Component id per pixel
+   * @param {Object} component - Component from labelComponents()
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Array<Object>} Corner points {x, y}
+   */
+  traceComponent(map, component, width, height) {
+    const inside = (x, y) =>
+      x >= 0 &&
+      y >= 0 &&
+      x < width &&
+      y < height &&
+      map[y * width + x] === component.id
+
+    // Directions E, S, W, N; turning right is +1
+    const dx = [1, 0, -1, 0]
+    const dy = [0, 1, 0, -1]
+    // Pixels ahead of a corner to the right and left, as offsets from it
+    const right = [
+      [0, 0],
+      [-1, 0],
+      [-1, -1],
+      [0, -1],
+    ]
+    const left = [
+      [0, -1],
+      [0, 0],
+      [-1, 0],
+      [-1, -1],
+    ]
+
+    // Start at the top-left corner of the first pixel, heading east
+    const startX = component.start % width
+    const startY = (component.start - startX) / width
+    let x = startX
+    let y = startY
+    let dir = 0
+    const points = []
+    const maxSteps = 4 * (width + 1) * (height + 1)
+
+    for (let step = 0; step < maxSteps; step++) {
+      const r = inside(x + right[dir][0], y + right[dir][1])
+      const l = inside(x + left[dir][0], y + left[dir][1])
+
+      let turn = dir
+      if (!r) {
+        turn = (dir + 1) % 4
+      } else if (l) {
+        turn = (dir + 3) % 4
+      }
+
+      // Keep corners only; straight runs need no points in between
+      if (turn !== dir || step === 0) {
+        points.push({ x, y })
+      }
+      dir = turn
+      x += dx[dir]
+      y += dy[dir]
+
+      if (x === startX && y === startY) break
+    }
+
+    return points
+  }
+
+  /**
+   * Label the white areas of a thresholded image as regions
+   * Edge pixels, lines and areas too small to keep are shared out between
+   * their neighbours, so the regions tile the image
+   * @param {ImageData} imageData - Thresholded image, white areas between black edges
+   * @returns {Object} { map: Int32Array region index per pixel, count }
+   */
+  labelAreas(imageData) {
+    const { width, height, data } = imageData
+    const white = new Uint8Array(width * height)
+    for (let p = 0; p < white.length; p++) {
+      white[p] = data[p * 4] > 127 ? 1 : 0
+    }
+
+    // Thick lines leave white inside them too; those are lines, not areas
+    const { map, components } = this.labelComponents(white, width, height)
+    const isArea = (component) => {
+      if (component.label !== 1) return false
+      if (component.pixels < this.settings.minRegionArea) return false
+
+      const outline = this.traceComponent(map, component, width, height)
+      const fill = component.pixels / this.polygonArea(outline)
+      return fill >= ImageConverter.MIN_FILL_RATIO
+    }
+    const kept = components.filter(isArea)
+
+    return {
+      map: this.assignPixels(map, width, components.length, kept),
+      count: kept.length,
+    }
+  }
+
+  /**
+   * Turn a component map into a region map
+   * Kept components become regions 0..n-1 in order. Pixels of other
+   * components join the nearest region, except background ones
+   * @param {Int32Array} map - Component id per pixel
+   * @param {number} width - Map width
+   * @param {number} componentCount - Number of components
+   * @param {Array<Object>} kept - Components to keep as regions
+   * @param {Array<Object>} background - Components that belong to no region
+   * @param {boolean} grow - Whether pixels of other components join the nearest region
+   * @returns {Int32Array} Region index per pixel, -1 for none
+   */
+  assignPixels(map, width, componentCount, kept, background = [], grow = true) {
+    const OUTSIDE = -1
+    const FREE = -2
+
+    const regionOf = new Int32Array(componentCount).fill(FREE)
+    kept.forEach((component, index) => {
+      regionOf[component.id] = index
+    })
+    background.forEach((component) => {
+      regionOf[component.id] = OUTSIDE
+    })
+
+    const regions = new Int32Array(map.length)
+    const queue = new Int32Array(map.length)
+    let tail = 0
+    for (let p = 0; p < map.length; p++) {
+      regions[p] = regionOf[map[p]]
+      if (regions[p] >= 0) queue[tail++] = p
+    }
+
+    // Grow the regions a pixel at a time, so free pixels join the nearest one
+    for (let head = 0; grow && head < tail; head++) {
+      const p = queue[head]
+      const x = p % width
+      const spread = (n) => {
+        if (regions[n] === FREE) {
+          regions[n] = regions[p]
+          queue[tail++] = n
         }
+      }
+      if (x > 0) spread(p - 1)
+      if (x < width - 1) spread(p + 1)
+      if (p >= width) spread(p - width)
+      if (p + width < map.length) spread(p + width)
+    }
+
+    // Free pixels no region reaches
+    for (let p = 0; p < regions.length; p++) {
+      if (regions[p] === FREE) regions[p] = OUTSIDE
+    }
+
+    return regions
+  }
+
+  /**
+   * Trace the regions of a region map
+   * @param {Int32Array} map - Region index per pixel, -1 for none
+   * @param {number} width - Map width
+   * @param {number} height - Map height
+   * @param {boolean} shared - Simplify borders once for both sides; otherwise
+   *   each outline is simplified on its own
+   * @returns {Array<Object>} Regions { points, holes, area, originalLength, simplifiedLength, label }
+   *   in region index order
+   */
+  regionsFromMap(map, width, height, shared = true) {
+    const topology = new BoundaryTopology(
+      map,
+      width,
+      height,
+      shared ? (points, closed) => this.processArc(points, closed) : undefined
+    )
+    const toPart = ({ points, length }) =>
+      shared
+        ? {
+            points,
+            area: this.polygonArea(points),
+            originalLength: length,
+            simplifiedLength: this.countAnchors(points),
+          }
+        : this.buildRegion(points)
+
+    const regions = []
+    topology.traceRegions().forEach(({ outer, holes }, label) => {
+      if (outer.points.length < 3) return
+
+      regions.push({
+        ...this.addHoles(
+          toPart(outer),
+          holes.filter((hole) => hole.points.length >= 3).map(toPart)
+        ),
+        label,
+      })
+    })
+
+    return regions
+  }
+
+  /**
+   * Simplify and smooth a shared border, keeping its end points where
+   * the neighbouring borders meet it
+   * @param {Array<Object>} points - Points {x, y}
+   * @param {boolean} closed - Whether the border is a ring with no junction
+   * @returns {Array<Object>} Points
+   */
+  processArc(points, closed) {
+    if (this.settings.curveFitting) return this.fitCurves(points, closed)
+
+    // Arcs have points at turns only, and averaging those would cut off whole
+    // corners, so they are smoothed on evenly spaced points before simplifying
+    const smoothed =
+      this.settings.smoothing > 0
+        ? this.smoothContour(
+            Bezier.densify(points, closed),
+            this.settings.smoothing,
+            closed
+          )
+        : points
+
+    const tolerance = this.settings.simplifyTolerance
+    return closed
+      ? this.simplifyContour([...smoothed, smoothed[0]], tolerance).slice(0, -1)
+      : this.simplifyContour(smoothed, tolerance)
+  }
+
+  /**
+   * Format an [r, g, b] color as hex
+   * @param {Array<number>} color - Color
+   * @returns {string} '#rrggbb'
+   */
+  toHex(color) {
+    return `#${color.map((c) => c.toString(16).padStart(2, '0')).join('')}`
+  }
+
+  /**
+   * Process and filter contours
+   * Tracing keeps the white area on the same side, so outlines of areas run
+   * clockwise and outlines of holes in them counter-clockwise. Holes are cut
+   * out of the smallest outline around them instead of becoming regions that
+   * duplicate the area on the other side of the border
+   */
+  processContours(contours) {
+    const outlines = []
+    const holes = []
+    contours.forEach((contour) => {
+      const signedArea = Geometry.signedArea(contour)
+      const item = {
+        contour,
+        area: Math.abs(signedArea),
+        bbox: Geometry.getBBox(contour),
+        holes: [],
+      }
+      if (signedArea > 0) outlines.push(item)
+      if (signedArea < 0) holes.push(item)
+    })
+
+    holes
+      .filter((hole) => hole.area >= this.settings.minRegionArea)
+      .forEach((hole) => {
+        let parent = null
+        outlines.forEach((outline) => {
+          if (
+            this.containsContour(outline, hole) &&
+            (!parent || outline.area < parent.area)
+          ) {
+            parent = outline
+          }
+        })
+        if (parent) parent.holes.push(this.buildRegion(hole.contour))
       })
+
+    return outlines
+      .map((outline) =>
+        this.addHoles(this.buildRegion(outline.contour), outline.holes)
+      )
       .filter((region) => region.area >= this.settings.minRegionArea)
       .sort((a, b) => b.area - a.area)
   }
 
+  /**
+   * Check whether a contour lies inside another
+   * @param {Object} outer - { contour, area, bbox }
+   * @param {Object} inner - { contour, area, bbox }
+   * @returns {boolean} Whether inner is inside outer
+   */
+  containsContour(outer, inner) {
+    if (outer.area <= inner.area) return false
+
+    const a = outer.bbox
+    const b = inner.bbox
+    if (
+      b.x < a.x ||
+      b.y < a.y ||
+      b.x + b.width > a.x + a.width ||
+      b.y + b.height > a.y + a.height
+    ) {
+      return false
+    }
+
+    // A hole can touch the outline around it, so most of a few points must be inside
+    const step = Math.max(1, Math.floor(inner.contour.length / 5))
+    let inside = 0
+    let total = 0
+    for (let i = 0; i < inner.contour.length; i += step) {
+      total++
+      if (Geometry.pointInPolygon(inner.contour[i], outer.contour)) inside++
+    }
+    return inside * 2 > total
+  }
+
+  /**
+   * Cut holes out of a region
+   * @param {Object} outer - Outline, as returned by buildRegion()
+   * @param {Array<Object>} holes - Holes, as returned by buildRegion()
+   * @returns {Object} { points, holes, area, originalLength, simplifiedLength }
+   */
+  addHoles(outer, holes) {
+    return holes.reduce(
+      (region, hole) => ({
+        ...region,
+        holes: [...region.holes, hole.points],
+        area: region.area - hole.area,
+        originalLength: region.originalLength + hole.originalLength,
+        simplifiedLength: region.simplifiedLength + hole.simplifiedLength,
+      }),
+      { ...outer, holes: [] }
+    )
+  }
+
+  /**
+   * Measure, simplify and smooth one contour
+   * @param {Array<Object>} contour - Points {x, y}
+   * @returns {Object} { points, area, originalLength, simplifiedLength }
+   */
+  buildRegion(contour) {
+    const area = this.polygonArea(contour)
+
+    if (this.settings.curveFitting) {
+      const points = this.fitCurves(contour, true)
+      return {
+        points,
+        area,
+        originalLength: contour.length,
+        simplifiedLength: this.countAnchors(points),
+      }
+    }
+
+    // Simplify contour using Douglas-Peucker algorithm
+    const simplified = this.simplifyContour(
+      contour,
+      this.settings.simplifyTolerance
+    )
+
+    // Smooth contour
+    const smoothed =
+      this.settings.smoothing > 0
+        ? this.smoothContour(simplified, this.settings.smoothing)
+        : simplified
+
+    return {
+      points: smoothed,
+      area,
+      originalLength: contour.length,
+      simplifiedLength: smoothed.length,
+    }
+  }
+
+  /**
+   * Fit Bezier curves to an outline
+   * Curves replace Douglas-Peucker simplification and smoothing, so they are
+   * fitted to all traced points, with simplifyTolerance as the largest error
+   * @param {Array<Object>} points - Points {x, y}
+   * @param {boolean} closed - Whether the outline is a ring; open ones keep their end points
+   * @returns {Array<Object>} Path points with control points, see Bezier
+   */
+  fitCurves(points, closed) {
+    return Bezier.fit(points, this.settings.simplifyTolerance, closed)
+  }
+
+  /**
+   * Count the points of a path that lie on it, leaving out control points
+   * @param {Array<Object>} points - Path points
+   * @returns {number} Point count
+   */
+  countAnchors(points) {
+    return points.filter((point) => !point.control).length
+  }
+
+  /**
+   * Calculate the area of a polygon using the shoelace formula
+   * Fitted paths count the area under their curves
+   * @param {Array<Object>} points - Points {x, y}
+   * @returns {number} Area
+   */
+  polygonArea(points) {
+    if (points.some((point) => point.control)) {
+      return Math.abs(Bezier.signedArea(points))
+    }
+
+    let area = 0
+    for (let i = 0; i < points.length; i++) {
+      const j = (i + 1) % points.length
+      area += points[i].x * points[j].y
+      area -= points[j].x * points[i].y
+    }
+    return Math.abs(area / 2)
+  }
+
   /**
    * Douglas-Peucker line simplification
    */
@@ -478,8 +1209,9 @@ class ImageConverter {
 
   /**
    * Smooth contour using moving average
+   * Open contours keep their end points
    */
-  smoothContour(points, factor) {
+  smoothContour(points, factor, closed = true) {
     if (!points || points.length < 3) return points || []
 
     // Filter out any invalid points
@@ -491,13 +1223,25 @@ class ImageConverter {
     const smoothed = []
     const window = Math.max(1, Math.floor(factor * 3))
 
+    const last = validPoints.length - 1
+
     for (let i = 0; i < validPoints.length; i++) {
+      if (!closed && (i === 0 || i === last)) {
+        smoothed.push(validPoints[i])
+        continue
+      }
+
       let sumX = 0,
         sumY = 0,
         count = 0
 
       for (let j = -window; j <= window; j++) {
-        const idx = (i + j + validPoints.length) % validPoints.length
+        let idx = i + j
+        if (closed) {
+          idx = (idx + validPoints.length) % validPoints.length
+        } else if (idx < 0 || idx > last) {
+          continue
+        }
         sumX += validPoints[idx].x
         sumY += validPoints[idx].y
         count++
@@ -517,8 +1261,17 @@ class ImageConverter {
    */
   generateSVG(regions, width, height) {
     const paths = regions.map((region, index) => {
-      const d = this.pointsToPath(region.points)
-      return `    <path id="${index}" class="region" d="${d}" fill="none" stroke="#000" stroke-width="${this.settings.strokeWidth}" data-index="${index}" style="stroke: rgb(51, 51, 51); stroke-width: ${this.settings.strokeWidth}; cursor: pointer; pointer-events: auto; fill: rgba(200, 200, 200, ${this.settings.fillOpacity}); fill-opacity: ${this.settings.fillOpacity};"/>`
+      // Holes are subpaths, cut out by the evenodd fill rule
+      const holes = region.holes || []
+      const d = [region.points, ...holes]
+        .map((points) => this.pointsToPath(points))
+        .join(' ')
+      const fillRule = holes.length > 0 ? ' fill-rule="evenodd"' : ''
+      const sourceColor =
+        this.settings.sourceColorTag && region.color
+          ? ` data-source-color="${region.color}"`
+          : ''
+      return `    <path id="${index}" class="region" d="${d}" fill="none"${fillRule} stroke="#000" stroke-width="${this.settings.strokeWidth}" data-index="${index}"${sourceColor} style="stroke: rgb(51, 51, 51); stroke-width: ${this.settings.strokeWidth}; cursor: pointer; pointer-events: auto; fill: rgba(200, 200, 200, ${this.settings.fillOpacity}); fill-opacity: ${this.settings.fillOpacity};"/>`
     })
 
     return `<svg id="mapSvg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
@@ -530,14 +1283,27 @@ ${paths.join('\n')}
 
   /**
    * Convert points array to SVG path data
+   * Control points of fitted curves become C commands
    */
   pointsToPath(points) {
     if (points.length === 0) return ''
 
-    let d = `M ${points[0].x},${points[0].y}`
-
-    for (let i = 1; i < points.length; i++) {
-      d += ` L ${points[i].x},${points[i].y}`
+    // Reversed rings can start with control points; start at the first point on the path
+    const start = points.findIndex((point) => !point.control)
+    const ordered = [...points.slice(start), ...points.slice(0, start)]
+    const xy = (point) => `${point.x},${point.y}`
+
+    let d = `M ${xy(ordered[0])}`
+
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i].control) {
+        // The curve closing the ring ends at the first point
+        const end = ordered[i + 2] || ordered[0]
+        d += ` C ${xy(ordered[i])} ${xy(ordered[i + 1])} ${xy(end)}`
+        i += 2
+      } else {
+        d += ` L ${xy(ordered[i])}`
+      }
     }
 
     d += ' Z'
@@ -557,5 +1323,9 @@ ${paths.join('\n')}
   }
 }
 
-// Export for use
-window.ImageConverter = ImageConverter
+// Export for module systems or attach to window; in a worker the class is already global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageConverter
+} else if (typeof window !== 'undefined') {
+  window.ImageConverter = ImageConverter
+}
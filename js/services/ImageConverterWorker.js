@@ -0,0 +1,215 @@
+/**
+ * ImageConverterWorker
+ * Runs ImageConverter in a Web Worker so large images don't freeze the page,
+ * with progress reports and cancelling of stale runs
+ *
+ * Falls back to the main thread where workers can't start, e.g. on file:// pages
+ */
+
+class ImageConverterWorker {
+  static WORKER_URL = 'js/workers/imageConverter.worker.js'
+
+  constructor() {
+    this.worker = null
+    this.job = null // { id, file, settings, onProgress, resolve, reject }
+    this.nextId = 1
+    this.supported = typeof Worker !== 'undefined'
+    this.fallback = new ImageConverter()
+  }
+
+  /**
+   * Convert an image, cancelling any run still in progress
+   * @param {File|string} file - Image file or URL
+   * @param {Object} settings - ImageConverter settings
+   * @param {Function} onProgress - Called with { step, index, total }
+   * @returns {Promise<Object>} Result of ImageConverter.processImageData;
+   *   rejects with an AbortError when cancelled
+   */
+  process(file, settings, onProgress = null) {
+    this.cancel()
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextId++,
+        file,
+        settings,
+        onProgress,
+        resolve,
+        reject,
+      }
+      this.job = job
+      this.start(job).catch((error) => this.finish(job, error))
+    })
+  }
+
+  /**
+   * Stop the current run
+   * @returns {boolean} Whether a run was cancelled
+   */
+  cancel() {
+    const job = this.job
+    if (!job) return false
+
+    // The pipeline is synchronous, so stopping the worker is the only way to interrupt it
+    this.job = null
+    this.disposeWorker()
+    job.reject(new DOMException('Conversion cancelled', 'AbortError'))
+    return true
+  }
+
+  /**
+   * Decode the image and send it to the worker
+   * @param {Object} job - Job
+   */
+  async start(job) {
+    const worker = this.getWorker()
+    if (!worker) {
+      await this.runOnMainThread(job)
+      return
+    }
+
+    const { message, transfer } = await this.decode(job.file)
+
+    // Cancelled or replaced while decoding
+    if (this.job !== job) {
+      if (message.bitmap) message.bitmap.close()
+      return
+    }
+
+    worker.postMessage(
+      { id: job.id, settings: job.settings, ...message },
+      transfer
+    )
+  }
+
+  /**
+   * Decode an image into something the worker can take without copying
+   * @param {File|string} file - Image file or URL
+   * @returns {Promise<Object>} { message, transfer } for postMessage
+   */
+  async decode(file) {
+    if (
+      file instanceof Blob &&
+      typeof createImageBitmap !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined'
+    ) {
+      const bitmap = await createImageBitmap(file)
+      return { message: { bitmap }, transfer: [bitmap] }
+    }
+
+    // Without OffscreenCanvas the pixels are read here and their buffer moved
+    const img = await this.fallback.loadImage(file)
+    const canvas = document.createElement('canvas')
+    canvas.width = img.width
+    canvas.height = img.height
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(img, 0, 0)
+    const imageData = ctx.getImageData(0, 0, img.width, img.height)
+
+    return { message: { imageData }, transfer: [imageData.data.buffer] }
+  }
+
+  /**
+   * Run a job without a worker
+   * @param {Object} job - Job
+   */
+  async runOnMainThread(job) {
+    try {
+      const result = await this.fallback.processImage(
+        job.file,
+        job.settings,
+        job.onProgress
+      )
+      this.finish(job, null, result)
+    } catch (error) {
+      this.finish(job, error)
+    }
+  }
+
+  /**
+   * Settle a job unless it was cancelled or replaced
+   * @param {Object} job - Job
+   * @param {Error|null} error - Failure
+   * @param {Object} result - Conversion result
+   */
+  finish(job, error, result) {
+    if (this.job !== job) return
+
+    this.job = null
+    if (error) {
+      job.reject(error)
+    } else {
+      job.resolve(result)
+    }
+  }
+
+  /**
+   * Get the worker, starting it if needed
+   * @returns {Worker|null} Worker, or null when workers are unavailable
+   */
+  getWorker() {
+    if (!this.supported) return null
+
+    if (!this.worker) {
+      try {
+        this.worker = new Worker(ImageConverterWorker.WORKER_URL)
+      } catch (error) {
+        console.warn('Image converter worker unavailable:', error)
+        this.supported = false
+        return null
+      }
+
+      this.worker.onmessage = (e) => this.handleMessage(e.data)
+      this.worker.onerror = (e) => this.handleError(e)
+    }
+
+    return this.worker
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} data - { id, type, progress | result | message }
+   */
+  handleMessage(data) {
+    const job = this.job
+    if (!job || job.id !== data.id) return
+
+    if (data.type === 'progress') {
+      if (job.onProgress) job.onProgress(data.progress)
+    } else if (data.type === 'result') {
+      this.finish(job, null, data.result)
+    } else {
+      this.finish(job, new Error(data.message))
+    }
+  }
+
+  /**
+   * Handle a worker that failed to load or crashed
+   * @param {ErrorEvent} e - Error event
+   */
+  handleError(e) {
+    e.preventDefault()
+    console.warn('Image converter worker failed, using the main thread:', e)
+
+    this.disposeWorker()
+    this.supported = false
+    if (this.job) this.runOnMainThread(this.job)
+  }
+
+  /**
+   * Stop the worker; a new one starts with the next run
+   */
+  disposeWorker() {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageConverterWorker
+} else {
+  window.ImageConverterWorker = ImageConverterWorker
+}
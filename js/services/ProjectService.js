@@ -0,0 +1,192 @@
+/**
+ * ProjectService
+ * Service for creating, serializing and migrating .mapproj project files
+ */
+
+class ProjectService {
+  static FORMAT = 'svg-map-project'
+  static VERSION = 2
+  static EXTENSION = 'mapproj'
+
+  /**
+   * Migrations from one format version to the next
+   * Each entry upgrades a project of version N to version N + 1
+   */
+  static MIGRATIONS = {
+    // v1 kept only shown values and matched any of them across all keys
+    1: (project) => {
+      const { activeFilters = {}, ...rest } = project
+      const active = Object.entries(activeFilters).filter(
+        ([, values]) => values.length > 0
+      )
+      const filters = { include: {}, exclude: {}, ranges: {}, query: '' }
+
+      // Values of one key are OR'ed either way; several keys need a query
+      if (active.length === 1) {
+        filters.include = Object.fromEntries(active)
+      } else if (active.length > 1) {
+        filters.query = active
+          .flatMap(([tagKey, values]) =>
+            values.map(
+              (value) =>
+                `${FilterQuery.quote(
+                  tagKey.replace('data-', '')
+                )}=${FilterQuery.quote(value)}`
+            )
+          )
+          .join(' OR ')
+      }
+
+      return { ...rest, filters }
+    },
+  }
+
+  /**
+   * Create a project object from the current application state
+   * @param {Object} data - Project data
+   * @param {Store} data.store - Application store
+   * @param {string} data.svg - Current SVG content (with edits)
+   * @param {Object} data.converterSettings - Image converter settings
+   * @returns {Object} Project object
+   */
+  static create({ store, svg, converterSettings = {} }) {
+    const state = store.getState()
+
+    return {
+      format: ProjectService.FORMAT,
+      version: ProjectService.VERSION,
+      savedAt: new Date().toISOString(),
+      fileName: state.fileName,
+      sourceSvg: state.sourceSvgContent || state.svgContent,
+      svg,
+      regions: state.regions.map((region) => ({
+        index: region.index,
+        id: region.id,
+        name: region.name,
+        description: region.description,
+      })),
+      // Only colors picked by the user; the rest are generated on load
+      valueColors: Object.fromEntries(state.customValueColors),
+      currentColorTag: state.currentColorTag,
+      colorScales: Object.fromEntries(state.colorScales),
+      filters: ProjectService.filtersToJSON(state),
+      mode: state.mode,
+      converterSettings,
+    }
+  }
+
+  /**
+   * Serialize a project to JSON text
+   * @param {Object} project - Project object
+   * @returns {string} JSON string
+   */
+  static serialize(project) {
+    return JSON.stringify(project, null, 2)
+  }
+
+  /**
+   * Parse and migrate project JSON text
+   * @param {string} text - JSON string
+   * @returns {Object} Project object at the current version
+   */
+  static parse(text) {
+    let project
+
+    try {
+      project = JSON.parse(text)
+    } catch (error) {
+      throw new Error(`Invalid project file: ${error.message}`)
+    }
+
+    if (!project || project.format !== ProjectService.FORMAT) {
+      throw new Error('Invalid project file: unknown format')
+    }
+
+    project = ProjectService.migrate(project)
+
+    if (typeof project.svg !== 'string' || !project.svg) {
+      throw new Error('Invalid project file: missing SVG content')
+    }
+
+    return project
+  }
+
+  /**
+   * Upgrade a project to the current format version
+   * @param {Object} project - Project object
+   * @returns {Object} Migrated project
+   */
+  static migrate(project) {
+    let version = Number(project.version) || 0
+
+    if (version > ProjectService.VERSION) {
+      throw new Error(
+        `Project was saved with a newer format (v${version}); this editor supports up to v${ProjectService.VERSION}`
+      )
+    }
+
+    while (version < ProjectService.VERSION) {
+      const migration = ProjectService.MIGRATIONS[version]
+      if (!migration) {
+        throw new Error(
+          `No migration available from project format v${version}`
+        )
+      }
+      project = migration(project)
+      version++
+      project.version = version
+    }
+
+    return project
+  }
+
+  /**
+   * Convert the viewer filters of the store state to plain JSON
+   * @param {Object} state - Store state
+   * @returns {Object} { include, exclude, ranges, query }
+   */
+  static filtersToJSON(state) {
+    const valuesToJSON = (filters) => {
+      const result = {}
+      filters.forEach((values, tagKey) => {
+        if (values.size > 0) {
+          result[tagKey] = Array.from(values)
+        }
+      })
+      return result
+    }
+
+    return {
+      include: valuesToJSON(state.activeFilters),
+      exclude: valuesToJSON(state.excludedFilters),
+      ranges: Object.fromEntries(state.rangeFilters),
+      query: state.filterQuery,
+    }
+  }
+
+  /**
+   * Convert plain JSON filters back to store filter maps
+   * @param {Object} json - { include, exclude, ranges, query }
+   * @returns {Object} { include, exclude, ranges, query } for Store.setFilters
+   */
+  static filtersFromJSON(json = {}) {
+    const valuesFromJSON = (values = {}) =>
+      new Map(
+        Object.entries(values).map(([tagKey, list]) => [tagKey, new Set(list)])
+      )
+
+    return {
+      include: valuesFromJSON(json.include),
+      exclude: valuesFromJSON(json.exclude),
+      ranges: new Map(Object.entries(json.ranges || {})),
+      query: json.query || '',
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectService
+} else {
+  window.ProjectService = ProjectService
+}
@@ -0,0 +1,536 @@
+/**
+ * RasterExporter
+ * Service for rendering the map SVG to PNG, JPEG or WebP images
+ */
+
+class RasterExporter {
+  static FORMATS = {
+    png: {
+      label: 'PNG',
+      mimeType: 'image/png',
+      extension: 'png',
+      lossy: false,
+    },
+    jpeg: {
+      label: 'JPEG',
+      mimeType: 'image/jpeg',
+      extension: 'jpg',
+      lossy: true,
+    },
+    webp: {
+      label: 'WebP',
+      mimeType: 'image/webp',
+      extension: 'webp',
+      lossy: true,
+    },
+  }
+
+  static CSS_DPI = 96
+  static MAX_PIXELS = 16384 * 16384
+  static MAX_DIMENSION = 16384
+
+  /**
+   * Computed style properties copied onto the exported SVG,
+   * since stylesheet rules don't apply once the SVG is an image
+   */
+  static STYLE_PROPERTIES = [
+    'fill',
+    'fill-opacity',
+    'fill-rule',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-linejoin',
+    'stroke-linecap',
+    'stroke-dasharray',
+    'opacity',
+    'paint-order',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'font-style',
+    'text-anchor',
+    'dominant-baseline',
+    'visibility',
+    'display',
+  ]
+
+  static LEGEND = {
+    width: 220,
+    padding: 16,
+    swatch: 14,
+    lineHeight: 22,
+    gradientHeight: 12,
+    fontSize: 13,
+    titleFontSize: 14,
+    font: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+  }
+
+  /**
+   * Check if the browser can encode a format
+   * @param {string} format - Format key
+   * @returns {boolean} Is supported
+   */
+  static isFormatSupported(format) {
+    const info = RasterExporter.FORMATS[format]
+    if (!info) return false
+
+    const canvas = document.createElement('canvas')
+    canvas.width = canvas.height = 1
+    return canvas.toDataURL(info.mimeType).startsWith(`data:${info.mimeType}`)
+  }
+
+  /**
+   * Export the map to an image blob
+   * @param {Object} options - Export options
+   * @param {SVGSVGElement} options.svg - Displayed map SVG
+   * @param {Object} options.size - { viewBox, width, height } from MapViewport.getExportSize
+   * @param {string} options.format - 'png', 'jpeg' or 'webp'
+   * @param {number} options.scale - Output pixels per CSS pixel
+   * @param {number} options.dpi - Resolution written into the file metadata
+   * @param {string|null} options.background - Background color or null for transparent
+   * @param {number} options.quality - Quality for lossy formats (0-1)
+   * @param {Object|null} options.legend - Legend data from Legend.getExportData
+   * @returns {Promise<Blob>} Image blob
+   */
+  static async export({
+    svg,
+    size,
+    format = 'png',
+    scale = 1,
+    dpi = RasterExporter.CSS_DPI,
+    background = '#ffffff',
+    quality = 0.92,
+    legend = null,
+  }) {
+    const info = RasterExporter.FORMATS[format]
+    if (!info) {
+      throw new Error(`Unsupported image format: ${format}`)
+    }
+
+    // JPEG has no alpha channel; transparent areas would turn black
+    if (!background && format === 'jpeg') {
+      background = '#ffffff'
+    }
+
+    const mapWidth = Math.round(size.width * scale)
+    const mapHeight = Math.round(size.height * scale)
+    const legendWidth = legend
+      ? Math.round(RasterExporter.LEGEND.width * scale)
+      : 0
+    const legendHeight = legend
+      ? Math.round(RasterExporter.measureLegend(legend) * scale)
+      : 0
+
+    const width = mapWidth + legendWidth
+    const height = Math.max(mapHeight, legendHeight)
+    RasterExporter.checkCanvasSize(width, height)
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+
+    if (background) {
+      ctx.fillStyle = background
+      ctx.fillRect(0, 0, width, height)
+    }
+
+    const image = await RasterExporter.loadImage(
+      RasterExporter.serializeForRaster(svg, size, mapWidth, mapHeight)
+    )
+    ctx.drawImage(image, 0, 0, mapWidth, mapHeight)
+
+    if (legend) {
+      ctx.save()
+      ctx.translate(mapWidth, 0)
+      ctx.scale(scale, scale)
+      RasterExporter.drawLegend(ctx, legend)
+      ctx.restore()
+    }
+
+    const blob = await RasterExporter.canvasToBlob(
+      canvas,
+      info.mimeType,
+      quality
+    )
+    return RasterExporter.setResolution(blob, format, dpi)
+  }
+
+  /**
+   * Throw if the canvas would exceed browser limits
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  static checkCanvasSize(width, height) {
+    if (
+      width > RasterExporter.MAX_DIMENSION ||
+      height > RasterExporter.MAX_DIMENSION ||
+      width * height > RasterExporter.MAX_PIXELS
+    ) {
+      throw new Error(
+        `Image too large (${width}×${height}px); choose a smaller scale`
+      )
+    }
+  }
+
+  /**
+   * Serialize the displayed SVG with inlined styles at the export size
+   * @param {SVGSVGElement} svg - Displayed map SVG
+   * @param {Object} size - { viewBox, width, height }
+   * @param {number} width - Output width in pixels
+   * @param {number} height - Output height in pixels
+   * @returns {string} SVG markup
+   */
+  static serializeForRaster(svg, size, width, height) {
+    const container = svg.parentElement
+
+    // Render without selection and highlight styles, and without transitions
+    const stateClasses = ['selected', 'highlighted', 'tag-highlighted']
+    const restore = []
+    svg
+      .querySelectorAll(stateClasses.map((c) => `.${c}`).join(','))
+      .forEach((el) => {
+        const removed = stateClasses.filter((c) => el.classList.contains(c))
+        el.classList.remove(...removed)
+        restore.push([el, removed])
+      })
+    container.classList.add('is-exporting')
+
+    let clone
+    try {
+      clone = svg.cloneNode(true)
+      RasterExporter.inlineStyles(svg, clone)
+    } finally {
+      container.classList.remove('is-exporting')
+      restore.forEach(([el, removed]) => el.classList.add(...removed))
+    }
+
+    const { viewBox } = size
+    clone.setAttribute(
+      'viewBox',
+      `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`
+    )
+    clone.setAttribute('width', width)
+    clone.setAttribute('height', height)
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+    clone.removeAttribute('style')
+
+    return new XMLSerializer().serializeToString(clone)
+  }
+
+  /**
+   * Copy computed styles from live elements onto their clones
+   * @param {Element} source - Live element
+   * @param {Element} clone - Cloned element
+   */
+  static inlineStyles(source, clone) {
+    const sources = [source, ...source.querySelectorAll('*')]
+    const clones = [clone, ...clone.querySelectorAll('*')]
+
+    sources.forEach((el, i) => {
+      if (!(el instanceof SVGElement) || el.tagName === 'svg') return
+
+      const computed = window.getComputedStyle(el)
+      const target = clones[i]
+
+      RasterExporter.STYLE_PROPERTIES.forEach((property) => {
+        const value = computed.getPropertyValue(property)
+        if (value) target.style.setProperty(property, value)
+      })
+      target.removeAttribute('class')
+    })
+  }
+
+  /**
+   * Load SVG markup into an image
+   * @param {string} svgMarkup - SVG markup
+   * @returns {Promise<HTMLImageElement>} Loaded image
+   */
+  static loadImage(svgMarkup) {
+    return new Promise((resolve, reject) => {
+      const blob = new Blob([svgMarkup], { type: 'image/svg+xml' })
+      const url = URL.createObjectURL(blob)
+      const image = new Image()
+
+      image.onload = () => {
+        URL.revokeObjectURL(url)
+        resolve(image)
+      }
+      image.onerror = () => {
+        URL.revokeObjectURL(url)
+        reject(new Error('Failed to render the map as an image'))
+      }
+
+      image.src = url
+    })
+  }
+
+  /**
+   * Encode a canvas as an image blob
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @param {string} mimeType - Image MIME type
+   * @param {number} quality - Quality for lossy formats
+   * @returns {Promise<Blob>} Image blob
+   */
+  static canvasToBlob(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (blob) {
+            resolve(blob)
+          } else {
+            reject(new Error('Failed to encode image'))
+          }
+        },
+        mimeType,
+        quality
+      )
+    })
+  }
+
+  // ============================================
+  // Legend
+  // ============================================
+
+  /**
+   * Measure the legend height in CSS pixels
+   * @param {Object} legend - Legend data
+   * @returns {number} Height
+   */
+  static measureLegend(legend) {
+    const L = RasterExporter.LEGEND
+    let height = L.padding * 2 + L.lineHeight
+
+    if (legend.gradient) {
+      height += L.gradientHeight + L.lineHeight
+    }
+    height += legend.items.length * L.lineHeight
+    if (legend.note) height += L.lineHeight
+
+    return height
+  }
+
+  /**
+   * Draw the legend at the canvas origin in CSS pixels
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} legend - Legend data
+   */
+  static drawLegend(ctx, legend) {
+    const L = RasterExporter.LEGEND
+    const innerWidth = L.width - L.padding * 2
+    let y = L.padding
+
+    ctx.textBaseline = 'middle'
+    ctx.fillStyle = '#333333'
+    ctx.font = `600 ${L.titleFontSize}px ${L.font}`
+    ctx.fillText(
+      RasterExporter.fitText(ctx, legend.title, innerWidth),
+      L.padding,
+      y + L.lineHeight / 2
+    )
+    y += L.lineHeight
+
+    ctx.font = `${L.fontSize}px ${L.font}`
+
+    if (legend.gradient) {
+      const { stops, ticks } = legend.gradient
+      const gradient = ctx.createLinearGradient(
+        L.padding,
+        0,
+        L.padding + innerWidth,
+        0
+      )
+      stops.forEach((color, i) => {
+        gradient.addColorStop(i / (stops.length - 1), color)
+      })
+
+      ctx.fillStyle = gradient
+      ctx.fillRect(L.padding, y + 4, innerWidth, L.gradientHeight)
+      y += L.gradientHeight + 4
+
+      ctx.fillStyle = '#555555'
+      ticks.forEach((label, i) => {
+        const t = ticks.length === 1 ? 0.5 : i / (ticks.length - 1)
+        ctx.textAlign = 'center'
+        if (i === 0) ctx.textAlign = 'left'
+        if (i === ticks.length - 1) ctx.textAlign = 'right'
+        ctx.fillText(label, L.padding + innerWidth * t, y + L.lineHeight / 2)
+      })
+      ctx.textAlign = 'left'
+      y += L.lineHeight - 4
+    }
+
+    legend.items.forEach((item) => {
+      const centerY = y + L.lineHeight / 2
+
+      ctx.fillStyle = item.color
+      ctx.fillRect(L.padding, centerY - L.swatch / 2, L.swatch, L.swatch)
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)'
+      ctx.strokeRect(L.padding, centerY - L.swatch / 2, L.swatch, L.swatch)
+
+      ctx.fillStyle = '#333333'
+      ctx.fillText(
+        RasterExporter.fitText(ctx, item.label, innerWidth - L.swatch - 8),
+        L.padding + L.swatch + 8,
+        centerY
+      )
+      y += L.lineHeight
+    })
+
+    if (legend.note) {
+      ctx.fillStyle = '#888888'
+      ctx.font = `italic ${L.fontSize}px ${L.font}`
+      ctx.fillText(
+        RasterExporter.fitText(ctx, legend.note, innerWidth),
+        L.padding,
+        y + L.lineHeight / 2
+      )
+    }
+  }
+
+  /**
+   * Truncate text with an ellipsis to fit a width
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} text - Text
+   * @param {number} maxWidth - Maximum width
+   * @returns {string} Fitted text
+   */
+  static fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text
+
+    let fitted = text
+    while (
+      fitted.length > 1 &&
+      ctx.measureText(`${fitted}…`).width > maxWidth
+    ) {
+      fitted = fitted.slice(0, -1)
+    }
+    return `${fitted}…`
+  }
+
+  // ============================================
+  // Resolution Metadata
+  // ============================================
+
+  /**
+   * Write the DPI into the image metadata (PNG pHYs, JPEG JFIF)
+   * Browsers always encode at 72/96 DPI, which print tools take literally
+   * @param {Blob} blob - Encoded image
+   * @param {string} format - Format key
+   * @param {number} dpi - Dots per inch
+   * @returns {Promise<Blob>} Image blob with resolution set
+   */
+  static async setResolution(blob, format, dpi) {
+    if (format !== 'png' && format !== 'jpeg') return blob
+
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    const result =
+      format === 'png'
+        ? RasterExporter.setPNGResolution(bytes, dpi)
+        : RasterExporter.setJPEGResolution(bytes, dpi)
+
+    return new Blob([result], { type: blob.type })
+  }
+
+  /**
+   * Write a pHYs chunk, replacing an existing one or inserting it after IHDR
+   * @param {Uint8Array} bytes - PNG bytes
+   * @param {number} dpi - Dots per inch
+   * @returns {Uint8Array} PNG bytes
+   */
+  static setPNGResolution(bytes, dpi) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset)
+    const typeAt = (offset) =>
+      String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+
+    // Signature (8) + IHDR length, type, data (13) and CRC
+    const ihdrEnd = 8 + 4 + 4 + 13 + 4
+    let existing = null
+
+    // pHYs must come before the first IDAT chunk
+    for (let offset = ihdrEnd; offset < bytes.length;) {
+      const type = typeAt(offset)
+      if (type === 'IDAT' || type === 'IEND') break
+      if (type === 'pHYs') {
+        existing = offset
+        break
+      }
+      offset += 12 + view.getUint32(offset)
+    }
+
+    const pixelsPerMeter = Math.round(dpi / 0.0254)
+    const chunk = new Uint8Array(4 + 4 + 9 + 4)
+    const chunkView = new DataView(chunk.buffer)
+    chunkView.setUint32(0, 9)
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4) // 'pHYs'
+    chunkView.setUint32(8, pixelsPerMeter)
+    chunkView.setUint32(12, pixelsPerMeter)
+    chunk[16] = 1 // unit: meter
+    chunkView.setUint32(17, RasterExporter.crc32(chunk.subarray(4, 17)))
+
+    if (existing !== null) {
+      bytes.set(chunk, existing)
+      return bytes
+    }
+
+    const result = new Uint8Array(bytes.length + chunk.length)
+    result.set(bytes.subarray(0, ihdrEnd), 0)
+    result.set(chunk, ihdrEnd)
+    result.set(bytes.subarray(ihdrEnd), ihdrEnd + chunk.length)
+    return result
+  }
+
+  /**
+   * Set the density fields of a JPEG JFIF header
+   * @param {Uint8Array} bytes - JPEG bytes
+   * @param {number} dpi - Dots per inch
+   * @returns {Uint8Array} JPEG bytes
+   */
+  static setJPEGResolution(bytes, dpi) {
+    // SOI, then APP0 marker with the 'JFIF\0' identifier
+    const isJFIF =
+      bytes[2] === 0xff &&
+      bytes[3] === 0xe0 &&
+      String.fromCharCode(...bytes.subarray(6, 10)) === 'JFIF'
+    if (!isJFIF) return bytes
+
+    const value = Math.min(65535, Math.round(dpi))
+    const view = new DataView(bytes.buffer, bytes.byteOffset)
+    bytes[13] = 1 // units: dots per inch
+    view.setUint16(14, value)
+    view.setUint16(16, value)
+    return bytes
+  }
+
+  /**
+   * Compute a CRC-32 checksum as used by PNG
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Checksum
+   */
+  static crc32(bytes) {
+    if (!RasterExporter._crcTable) {
+      RasterExporter._crcTable = new Uint32Array(256)
+      for (let n = 0; n < 256; n++) {
+        let c = n
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+        }
+        RasterExporter._crcTable[n] = c >>> 0
+      }
+    }
+
+    let crc = 0xffffffff
+    for (let i = 0; i < bytes.length; i++) {
+      crc = RasterExporter._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xffffffff) >>> 0
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RasterExporter
+} else {
+  window.RasterExporter = RasterExporter
+}
@@ -0,0 +1,109 @@
+/**
+ * RegionFilter
+ * Service for matching regions against the viewer filters:
+ * values are OR'ed within a tag key and every constraint must hold (AND)
+ */
+
+class RegionFilter {
+  /**
+   * Compile the filter state of the store
+   * An invalid query is reported in error and otherwise ignored
+   * @param {Object} state - Store state
+   * @returns {Object} { include, exclude, ranges, query, error } ready for matches()
+   */
+  static compile(state) {
+    const nonEmpty = (filters) =>
+      new Map(Array.from(filters).filter(([, values]) => values.size > 0))
+
+    let query = null
+    let error = null
+    try {
+      query = FilterQuery.parse(state.filterQuery || '')
+    } catch (parseError) {
+      error = parseError.message
+    }
+
+    return {
+      include: nonEmpty(state.activeFilters),
+      exclude: nonEmpty(state.excludedFilters),
+      ranges: state.rangeFilters,
+      query,
+      error,
+    }
+  }
+
+  /**
+   * Check whether any filter is set
+   * @param {Object} filter - From compile()
+   * @returns {boolean} Has constraints
+   */
+  static isActive(filter) {
+    return (
+      filter.include.size > 0 ||
+      filter.exclude.size > 0 ||
+      filter.ranges.size > 0 ||
+      filter.query !== null
+    )
+  }
+
+  /**
+   * Read the values a filter can test
+   * @param {Object} region - Region object
+   * @returns {Map<string, string>} Lowercase field name -> value
+   */
+  static getFields(region) {
+    const fields = new Map()
+    if (region.id) fields.set('id', region.id)
+    if (region.name) fields.set('name', region.name)
+
+    SVGParser.extractTags(region.element).forEach((tag) => {
+      fields.set(tag.key.toLowerCase(), tag.value)
+    })
+
+    return fields
+  }
+
+  /**
+   * Check a region against a compiled filter
+   * @param {Object} region - Region object
+   * @param {Object} filter - From compile()
+   * @returns {boolean} Matches
+   */
+  static matches(region, filter) {
+    const element = region.element
+    if (!element) return false
+
+    for (const [tagKey, values] of filter.include) {
+      if (!values.has((element.getAttribute(tagKey) || '').trim())) {
+        return false
+      }
+    }
+
+    for (const [tagKey, values] of filter.exclude) {
+      if (values.has((element.getAttribute(tagKey) || '').trim())) {
+        return false
+      }
+    }
+
+    for (const [tagKey, range] of filter.ranges) {
+      const value = (element.getAttribute(tagKey) || '').trim()
+      if (!Scales.isNumeric(value)) return false
+
+      const number = Number(value)
+      if (range.min !== null && number < range.min) return false
+      if (range.max !== null && number > range.max) return false
+    }
+
+    return (
+      filter.query === null ||
+      FilterQuery.evaluate(filter.query, RegionFilter.getFields(region))
+    )
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegionFilter
+} else {
+  window.RegionFilter = RegionFilter
+}
@@ -0,0 +1,99 @@
+/**
+ * RegionSearch
+ * Service for finding regions by name, id or tag value
+ */
+
+class RegionSearch {
+  // Ranks, best first
+  static RANK = { exact: 0, prefix: 1, contains: 2 }
+
+  /**
+   * Get the searchable fields of a region
+   * @param {Object} region - Region object
+   * @returns {Array<Object>} Array of { field, value } where field is 'name', 'id' or a tag name
+   */
+  static getFields(region) {
+    const fields = [
+      { field: 'name', value: region.name || '' },
+      { field: 'id', value: region.id || '' },
+    ]
+
+    if (region.element) {
+      SVGParser.extractTags(region.element).forEach((tag) => {
+        if (tag.fullKey === 'data-name') return
+        fields.push({ field: tag.key, value: tag.value })
+      })
+    }
+
+    return fields.filter(({ value }) => value)
+  }
+
+  /**
+   * Search regions; every word of the query must appear in some field
+   * @param {Array<Object>} regions - Regions
+   * @param {string} query - Search text
+   * @returns {Array<Object>} Matches as { index, field, value, rank }, best first
+   */
+  static search(regions, query) {
+    const text = query.toLowerCase().trim()
+    if (!text) return []
+
+    const terms = text.split(/\s+/)
+    const results = []
+
+    regions.forEach((region) => {
+      const fields = RegionSearch.getFields(region).map((entry) => ({
+        ...entry,
+        lower: entry.value.toLowerCase(),
+      }))
+
+      const matchesAll = terms.every((term) =>
+        fields.some(({ lower }) => lower.includes(term))
+      )
+      if (!matchesAll) return
+
+      // Show the field that best matches the whole query
+      let best = null
+      fields.forEach((entry) => {
+        const rank = RegionSearch.rank(entry.lower, text, terms[0])
+        if (rank !== null && (!best || rank < best.rank)) {
+          best = { field: entry.field, value: entry.value, rank }
+        }
+      })
+
+      results.push({
+        index: region.index,
+        name: region.name || '',
+        ...best,
+      })
+    })
+
+    return results.sort(
+      (a, b) =>
+        a.rank - b.rank ||
+        a.name.localeCompare(b.name, undefined, { numeric: true }) ||
+        a.index - b.index
+    )
+  }
+
+  /**
+   * Rank how well a field matches
+   * @param {string} value - Lowercased field value
+   * @param {string} text - Lowercased query
+   * @param {string} firstTerm - First query word
+   * @returns {number|null} Rank or null when the field does not match
+   */
+  static rank(value, text, firstTerm) {
+    if (value === text) return RegionSearch.RANK.exact
+    if (value.startsWith(text)) return RegionSearch.RANK.prefix
+    if (value.includes(firstTerm)) return RegionSearch.RANK.contains
+    return null
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegionSearch
+} else {
+  window.RegionSearch = RegionSearch
+}
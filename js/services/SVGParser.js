@@ -73,7 +73,7 @@ class SVGParser {
           element: element,
           id: regionId,
           name: name,
-          description: '',
+          description: SVGParser.getDescription(element),
           tags: tags,
         })
       })
@@ -111,6 +111,45 @@ class SVGParser {
     return tags
   }
 
+  /**
+   * Get the description stored in an element's <desc> child
+   * @param {Element} element - SVG element
+   * @returns {string} Description text (may contain line breaks)
+   */
+  static getDescription(element) {
+    const desc = Array.from(element.children).find(
+      (child) => child.localName === 'desc'
+    )
+    return desc ? desc.textContent : ''
+  }
+
+  /**
+   * Store a description in an element's <desc> child
+   * An empty description removes the <desc> element
+   * @param {Element} element - SVG element
+   * @param {string} description - Description text
+   */
+  static setDescription(element, description) {
+    let desc = Array.from(element.children).find(
+      (child) => child.localName === 'desc'
+    )
+
+    if (!description) {
+      if (desc) desc.remove()
+      return
+    }
+
+    if (!desc) {
+      desc = element.ownerDocument.createElementNS(
+        'http://www.w3.org/2000/svg',
+        'desc'
+      )
+      element.insertBefore(desc, element.firstChild)
+    }
+
+    desc.textContent = description
+  }
+
   /**
    * Serialize SVG document back to string
    * @param {Document|Element} svgDocOrElement - SVG document or element
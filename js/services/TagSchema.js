@@ -0,0 +1,399 @@
+/**
+ * TagSchema
+ * Service for declaring typed tag keys and validating region tags against them
+ *
+ * A schema looks like:
+ * {
+ *   strict: false, // report tag keys the schema does not declare
+ *   keys: {
+ *     population: { type: 'integer', values: [], required: true, default: '' },
+ *   },
+ * }
+ * Keys are tag names without the data- prefix.
+ */
+
+class TagSchema {
+  static METADATA_ID = 'tag-schema'
+
+  /**
+   * Supported value types
+   */
+  static TYPES = {
+    string: { label: 'Text' },
+    integer: { label: 'Integer' },
+    number: { label: 'Number' },
+    boolean: { label: 'Boolean' },
+    enum: { label: 'Choice' },
+    date: { label: 'Date (YYYY-MM-DD)' },
+  }
+
+  static BOOLEAN_VALUES = ['true', 'false']
+
+  // Tags that never need a declaration
+  static BUILT_IN_KEYS = ['name']
+
+  // Inferred enums have at most this many distinct values
+  static ENUM_MAX_VALUES = 12
+
+  /**
+   * Check and clean a schema object
+   * @param {Object} raw - Schema object, e.g. parsed from JSON
+   * @returns {Object} Normalized schema
+   * @throws {Error} When a key or definition is invalid
+   */
+  static normalize(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.keys !== 'object') {
+      throw new Error('Tag schema must have a "keys" object')
+    }
+
+    const keys = {}
+
+    Object.entries(raw.keys).forEach(([rawName, rawDefinition]) => {
+      const fullKey = Helpers.toTagKey(rawName)
+      if (!fullKey) throw new Error(`Invalid tag key "${rawName}"`)
+
+      const name = fullKey.replace('data-', '')
+      if (keys[name]) throw new Error(`Tag key "${name}" is declared twice`)
+
+      const definition = rawDefinition || {}
+      const type = definition.type || 'string'
+      if (!TagSchema.TYPES[type]) {
+        throw new Error(`Unknown type "${type}" for tag "${name}"`)
+      }
+
+      const values = Array.from(
+        new Set(
+          (definition.values || [])
+            .map((value) => String(value).trim())
+            .filter(Boolean)
+        )
+      )
+      if (type === 'enum' && values.length === 0) {
+        throw new Error(`Choice tag "${name}" needs allowed values`)
+      }
+
+      const normalized = {
+        type,
+        values,
+        required: !!definition.required,
+        default:
+          definition.default === undefined || definition.default === null
+            ? ''
+            : String(definition.default).trim(),
+      }
+
+      values.forEach((value) => {
+        const error = TagSchema.checkValue({ ...normalized, values: [] }, value)
+        if (error) throw new Error(`Tag "${name}": allowed value ${error}`)
+      })
+
+      if (normalized.default) {
+        const error = TagSchema.checkValue(normalized, normalized.default)
+        if (error) throw new Error(`Tag "${name}": default ${error}`)
+      }
+
+      keys[name] = normalized
+    })
+
+    return { strict: !!raw.strict, keys }
+  }
+
+  /**
+   * Get the definition of a tag key
+   * @param {Object|null} schema - Normalized schema
+   * @param {string} key - Tag key with or without the data- prefix
+   * @returns {Object|null} Definition or null when not declared
+   */
+  static getDefinition(schema, key) {
+    if (!schema || !key) return null
+    const name = key.startsWith('data-') ? key.substring(5) : key
+    return schema.keys[name] || null
+  }
+
+  /**
+   * Check a value against a key definition
+   * @param {Object} definition - Key definition
+   * @param {string} value - Tag value
+   * @returns {string|null} Problem description or null when valid
+   */
+  static checkValue(definition, value) {
+    const text = String(value).trim()
+
+    switch (definition.type) {
+      case 'integer':
+        if (!/^[-+]?\d+$/.test(text)) return `"${text}" is not an integer`
+        break
+      case 'number':
+        if (!Scales.isNumeric(text)) return `"${text}" is not a number`
+        break
+      case 'boolean':
+        if (!TagSchema.BOOLEAN_VALUES.includes(text)) {
+          return `"${text}" is not true or false`
+        }
+        break
+      case 'date':
+        if (!TagSchema.isDate(text)) return `"${text}" is not a YYYY-MM-DD date`
+        break
+    }
+
+    if (definition.values.length > 0 && !definition.values.includes(text)) {
+      return `"${text}" is not one of ${definition.values.join(', ')}`
+    }
+
+    return null
+  }
+
+  /**
+   * Check a calendar date in YYYY-MM-DD form
+   * @param {string} text - Value
+   * @returns {boolean} Is a valid date
+   */
+  static isDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+    if (!match) return false
+
+    const [year, month, day] = match.slice(1).map(Number)
+    const date = new Date(Date.UTC(year, month - 1, day))
+    return (
+      date.getUTCFullYear() === year &&
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day
+    )
+  }
+
+  /**
+   * Check a tag about to be set on a region
+   * @param {Object|null} schema - Normalized schema
+   * @param {string} key - Tag key with or without the data- prefix
+   * @param {string} value - Tag value
+   * @returns {string|null} Problem description or null when allowed
+   */
+  static checkTag(schema, key, value) {
+    if (!schema) return null
+
+    const name = key.startsWith('data-') ? key.substring(5) : key
+    const definition = TagSchema.getDefinition(schema, name)
+
+    if (!definition) {
+      return schema.strict && !TagSchema.BUILT_IN_KEYS.includes(name)
+        ? `"${name}" is not a tag in the schema`
+        : null
+    }
+
+    const error = TagSchema.checkValue(definition, value)
+    return error ? `${name}: ${error}` : null
+  }
+
+  /**
+   * Suggested values for a key, for input autocompletion
+   * @param {Object|null} schema - Normalized schema
+   * @param {string} key - Tag key with or without the data- prefix
+   * @param {Map} tags - Tags from the store
+   * @returns {Array<string>} Values
+   */
+  static getSuggestions(schema, key, tags) {
+    const definition = TagSchema.getDefinition(schema, key)
+    if (definition && definition.values.length > 0) return definition.values
+    if (definition && definition.type === 'boolean') {
+      return TagSchema.BOOLEAN_VALUES
+    }
+
+    const fullKey = key.startsWith('data-') ? key : `data-${key}`
+    const tagData = tags.get(fullKey)
+    if (!tagData) return []
+
+    return Array.from(tagData.values.keys())
+      .filter(
+        (value) => !definition || !TagSchema.checkValue(definition, value)
+      )
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  }
+
+  /**
+   * Short description of a definition, e.g. for input placeholders
+   * @param {Object} definition - Key definition
+   * @returns {string} Description
+   */
+  static describe(definition) {
+    let text = TagSchema.TYPES[definition.type].label
+    if (definition.required) text += ', required'
+    if (definition.default) text += `, default ${definition.default}`
+    return text
+  }
+
+  /**
+   * Validate every region against a schema
+   * @param {Array<Object>} regions - Regions
+   * @param {Object} schema - Normalized schema
+   * @returns {Array<Object>} Issues as { index, key, value, message, missing }
+   */
+  static validate(regions, schema) {
+    const issues = []
+    const declared = Object.entries(schema.keys)
+
+    regions.forEach((region) => {
+      if (!region.element) return
+
+      const tags = SVGParser.extractTags(region.element)
+      const present = new Map(tags.map((tag) => [tag.key, tag.value]))
+
+      declared.forEach(([name, definition]) => {
+        const key = `data-${name}`
+
+        if (!present.has(name)) {
+          if (definition.required) {
+            issues.push({
+              index: region.index,
+              key,
+              value: null,
+              message: 'Missing required tag',
+              missing: true,
+            })
+          }
+          return
+        }
+
+        const error = TagSchema.checkValue(definition, present.get(name))
+        if (error) {
+          issues.push({
+            index: region.index,
+            key,
+            value: present.get(name),
+            message: error,
+            missing: false,
+          })
+        }
+      })
+
+      if (!schema.strict) return
+
+      tags.forEach((tag) => {
+        if (schema.keys[tag.key] || TagSchema.BUILT_IN_KEYS.includes(tag.key)) {
+          return
+        }
+        issues.push({
+          index: region.index,
+          key: tag.fullKey,
+          value: tag.value,
+          message: 'Tag is not in the schema',
+          missing: false,
+        })
+      })
+    })
+
+    return issues
+  }
+
+  /**
+   * Tag assignments that fill missing required tags with their defaults
+   * @param {Array<Object>} issues - From validate()
+   * @param {Object} schema - Normalized schema
+   * @returns {Array<Object>} Array of { index, key, value }
+   */
+  static getDefaultAssignments(issues, schema) {
+    return issues
+      .filter((issue) => issue.missing)
+      .map((issue) => ({
+        index: issue.index,
+        key: issue.key,
+        value: TagSchema.getDefinition(schema, issue.key).default,
+      }))
+      .filter((assignment) => assignment.value)
+  }
+
+  /**
+   * Guess a schema definition from the values a tag already has
+   * @param {Object} tagData - Tag data from the store
+   * @returns {Object} Definition
+   */
+  static infer(tagData) {
+    const values = Array.from(tagData.values.keys())
+    const definition = {
+      type: 'string',
+      values: [],
+      required: false,
+      default: '',
+    }
+
+    if (values.length === 0) return definition
+
+    if (values.every((value) => /^[-+]?\d+$/.test(value))) {
+      definition.type = 'integer'
+    } else if (values.every((value) => Scales.isNumeric(value))) {
+      definition.type = 'number'
+    } else if (
+      values.every((value) => TagSchema.BOOLEAN_VALUES.includes(value))
+    ) {
+      definition.type = 'boolean'
+    } else if (values.every((value) => TagSchema.isDate(value))) {
+      definition.type = 'date'
+    } else {
+      // Few values that repeat look like categories
+      const used = Array.from(tagData.values.values()).reduce(
+        (sum, valueData) => sum + valueData.count,
+        0
+      )
+      if (values.length <= TagSchema.ENUM_MAX_VALUES && used > values.length) {
+        definition.type = 'enum'
+        definition.values = values.sort((a, b) =>
+          a.localeCompare(b, undefined, { numeric: true })
+        )
+      }
+    }
+
+    return definition
+  }
+
+  // ============================================
+  // SVG Metadata
+  // ============================================
+
+  /**
+   * Store a schema in the SVG, or remove it when null
+   * @param {SVGSVGElement} svg - SVG element
+   * @param {Object|null} schema - Normalized schema
+   */
+  static writeMetadata(svg, schema) {
+    let metadata = svg.querySelector(`metadata#${TagSchema.METADATA_ID}`)
+
+    if (!schema) {
+      if (metadata) metadata.remove()
+      return
+    }
+
+    if (!metadata) {
+      metadata = svg.ownerDocument.createElementNS(
+        'http://www.w3.org/2000/svg',
+        'metadata'
+      )
+      metadata.setAttribute('id', TagSchema.METADATA_ID)
+      svg.insertBefore(metadata, svg.firstChild)
+    }
+
+    metadata.textContent = JSON.stringify(schema)
+  }
+
+  /**
+   * Read a schema written by writeMetadata
+   * @param {SVGSVGElement} svg - SVG element
+   * @returns {Object|null} Normalized schema or null when missing or invalid
+   */
+  static readMetadata(svg) {
+    const metadata = svg.querySelector(`metadata#${TagSchema.METADATA_ID}`)
+    if (!metadata) return null
+
+    try {
+      return TagSchema.normalize(JSON.parse(metadata.textContent))
+    } catch (error) {
+      console.warn('Ignoring invalid tag schema:', error.message)
+      return null
+    }
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TagSchema
+} else {
+  window.TagSchema = TagSchema
+}
@@ -0,0 +1,162 @@
+/**
+ * UrlState
+ * Service for reading and writing shareable viewer state in the URL hash
+ *
+ * The hash uses query-string syntax so links stay readable, e.g.
+ * #mode=viewer&color=region&include=region:north&range=pop:10000..&view=0,0,400,300
+ */
+
+class UrlState {
+  // Query parameter with the URL of the SVG to open
+  static SOURCE_PARAM = 'src'
+
+  // Decimals kept for viewBox numbers
+  static VIEW_PRECISION = 2
+
+  /**
+   * Build the hash for the current state
+   * @param {Object} state - Store state
+   * @returns {string} Hash without the leading #
+   */
+  static serialize(state) {
+    const params = new URLSearchParams()
+    const name = (tagKey) => tagKey.replace(/^data-/, '')
+
+    params.set('mode', state.mode)
+    if (state.currentColorTag) params.set('color', name(state.currentColorTag))
+
+    const addValues = (param, filters) => {
+      filters.forEach((values, tagKey) => {
+        values.forEach((value) => {
+          params.append(param, `${name(tagKey)}:${value}`)
+        })
+      })
+    }
+    addValues('include', state.activeFilters)
+    addValues('exclude', state.excludedFilters)
+
+    state.rangeFilters.forEach((range, tagKey) => {
+      const bound = (n) => (n === null ? '' : String(n))
+      params.append(
+        'range',
+        `${name(tagKey)}:${bound(range.min)}..${bound(range.max)}`
+      )
+    })
+
+    if (state.filterQuery) params.set('filter', state.filterQuery)
+    if (state.searchQuery) params.set('search', state.searchQuery)
+
+    const region =
+      state.activeRegion !== null ? state.regions[state.activeRegion] : null
+    if (region) params.set('region', region.id)
+
+    if (state.viewBox) {
+      const { x, y, width, height } = state.viewBox
+      params.set(
+        'view',
+        [x, y, width, height]
+          .map((n) => +n.toFixed(UrlState.VIEW_PRECISION))
+          .join(',')
+      )
+    }
+
+    return params.toString()
+  }
+
+  /**
+   * Read state from a hash
+   * Unknown or malformed entries are skipped
+   * @param {string} hash - Hash with or without the leading #
+   * @returns {Object} { mode, colorTag, filters, search, regionId, viewBox }
+   */
+  static parse(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''))
+    const tagKey = (name) => (name.startsWith('data-') ? name : `data-${name}`)
+
+    // "key:value" pairs; the key ends at the first colon
+    const split = (entry) => {
+      const colon = entry.indexOf(':')
+      return colon > 0
+        ? [tagKey(entry.slice(0, colon)), entry.slice(colon + 1)]
+        : null
+    }
+
+    const readValues = (param) => {
+      const filters = new Map()
+      params.getAll(param).forEach((entry) => {
+        const pair = split(entry)
+        if (!pair) return
+        if (!filters.has(pair[0])) filters.set(pair[0], new Set())
+        filters.get(pair[0]).add(pair[1])
+      })
+      return filters
+    }
+
+    const ranges = new Map()
+    params.getAll('range').forEach((entry) => {
+      const pair = split(entry)
+      const match = pair && /^(.*?)\.\.(.*)$/.exec(pair[1])
+      if (!match) return
+
+      const bound = (text) => (text === '' ? null : Number(text))
+      const range = { min: bound(match[1]), max: bound(match[2]) }
+      if (Number.isNaN(range.min) || Number.isNaN(range.max)) return
+      if (range.min === null && range.max === null) return
+      ranges.set(pair[0], range)
+    })
+
+    let viewBox = null
+    const view = (params.get('view') || '').split(',').map(Number)
+    if (
+      view.length === 4 &&
+      view.every(Number.isFinite) &&
+      view[2] > 0 &&
+      view[3] > 0
+    ) {
+      viewBox = { x: view[0], y: view[1], width: view[2], height: view[3] }
+    }
+
+    const mode = params.get('mode')
+
+    return {
+      mode: mode === 'viewer' || mode === 'editor' ? mode : null,
+      colorTag: params.has('color') ? tagKey(params.get('color')) : null,
+      filters: {
+        include: readValues('include'),
+        exclude: readValues('exclude'),
+        ranges,
+        query: params.get('filter') || '',
+      },
+      search: params.get('search') || '',
+      regionId: params.get('region'),
+      viewBox,
+    }
+  }
+
+  /**
+   * Get the SVG URL passed as ?src=
+   * @param {string} search - location.search
+   * @returns {string|null} URL or null
+   */
+  static getSource(search) {
+    return new URLSearchParams(search).get(UrlState.SOURCE_PARAM)
+  }
+
+  /**
+   * Get a file name for an SVG URL
+   * @param {string} url - SVG URL
+   * @returns {string} File name
+   */
+  static getFileName(url) {
+    const path = url.split(/[?#]/)[0]
+    const name = decodeURIComponent(path.split('/').pop() || '')
+    return name || 'map.svg'
+  }
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UrlState
+} else {
+  window.UrlState = UrlState
+}
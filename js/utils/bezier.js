@@ -0,0 +1,480 @@
+/**
+ * Bezier Utilities
+ * Fit cubic Bezier curves to traced outlines (after Philip J. Schneider,
+ * "An Algorithm for Automatically Fitting Digitized Curves", Graphics Gems 1990)
+ *
+ * Fitted paths are point arrays with the two control points of each curve
+ * between its end points, marked { x, y, control: true }. Points with no
+ * control points between them are joined by a straight line, and reversing
+ * the array reverses the path
+ */
+
+const Bezier = {
+  // Turns sharper than this, in degrees, are kept as corners
+  CORNER_ANGLE: 60,
+
+  // Distance in pixels over which the direction of an outline is measured
+  SPAN: 4,
+
+  // Largest gap in pixels between the points a curve is fitted to
+  MAX_GAP: 2,
+
+  // Points within this many pixels of a line, at most the tolerance, are drawn as one
+  LINE_TOLERANCE: 0.5,
+
+  // Newton-Raphson passes before a curve is split
+  MAX_ITERATIONS: 4,
+
+  /**
+   * Fit curves to an outline
+   * @param {Array<Object>} points - Array of { x, y }
+   * @param {number} tolerance - Largest distance in pixels between a curve and the points
+   * @param {boolean} closed - Whether the outline is a ring; open outlines keep their end points
+   * @returns {Array<Object>} Path points, see above
+   */
+  fit(points, tolerance, closed = true) {
+    const data = Bezier.densify(points, closed)
+    if (data.length < 4) return points.map((point) => Bezier.anchor(point))
+
+    const corners = Bezier.findCorners(data, closed)
+    const path = []
+
+    if (closed) {
+      // A smooth ring is cut at its first point, where the curves meet at the same tangent
+      const smooth = corners.length === 0
+      const breaks = smooth ? [0] : corners
+      path.push(Bezier.anchor(data[breaks[0]]))
+
+      breaks.forEach((start, i) => {
+        const end = breaks[(i + 1) % breaks.length]
+        const piece =
+          end > start
+            ? data.slice(start, end + 1)
+            : [...data.slice(start), ...data.slice(0, end + 1)]
+        const back = smooth ? Bezier.centerTangent(data, 0) : null
+
+        Bezier.fitPiece(
+          piece,
+          back ? Bezier.scale(back, -1) : Bezier.endTangent(piece, false),
+          back || Bezier.endTangent(piece, true),
+          tolerance,
+          path
+        )
+      })
+
+      // The last curve ends where the ring starts
+      path.pop()
+      return path
+    }
+
+    const breaks = [0, ...corners, data.length - 1]
+    path.push(Bezier.anchor(data[0]))
+    for (let i = 0; i < breaks.length - 1; i++) {
+      const piece = data.slice(breaks[i], breaks[i + 1] + 1)
+      Bezier.fitPiece(
+        piece,
+        Bezier.endTangent(piece, false),
+        Bezier.endTangent(piece, true),
+        tolerance,
+        path
+      )
+    }
+    return path
+  },
+
+  /**
+   * Fit one curve to points, splitting at the worst point until it fits
+   * Appends the control points, if any, and the end point to path
+   * @param {Array<Object>} d - Points from one end to the other
+   * @param {Object} tHat1 - Unit tangent leaving the first point
+   * @param {Object} tHat2 - Unit tangent leaving the last point backwards
+   * @param {number} tolerance - Largest distance allowed
+   * @param {Array<Object>} path - Path to append to
+   */
+  fitPiece(d, tHat1, tHat2, tolerance, path) {
+    const last = d[d.length - 1]
+    const lineTolerance = Math.min(tolerance, Bezier.LINE_TOLERANCE)
+    if (d.length <= 2 || Bezier.isStraight(d, lineTolerance)) {
+      path.push(Bezier.anchor(last))
+      return
+    }
+
+    let u = Bezier.chordLengthParameterize(d)
+    let curve = Bezier.generate(d, u, tHat1, tHat2)
+    let { error, split } = Bezier.maxError(d, curve, u)
+
+    // Close misses can often be fixed by moving the parameters
+    if (error > tolerance && error < tolerance * 4) {
+      for (let i = 0; i < Bezier.MAX_ITERATIONS && error > tolerance; i++) {
+        u = Bezier.reparameterize(d, u, curve)
+        curve = Bezier.generate(d, u, tHat1, tHat2)
+        ;({ error, split } = Bezier.maxError(d, curve, u))
+      }
+    }
+
+    if (error <= tolerance) {
+      path.push(
+        Bezier.anchor(curve[1], true),
+        Bezier.anchor(curve[2], true),
+        Bezier.anchor(last)
+      )
+      return
+    }
+
+    const center = Bezier.centerTangent(d, split)
+    Bezier.fitPiece(d.slice(0, split + 1), tHat1, center, tolerance, path)
+    Bezier.fitPiece(
+      d.slice(split),
+      Bezier.scale(center, -1),
+      tHat2,
+      tolerance,
+      path
+    )
+  },
+
+  /**
+   * Least-squares fit of the control points for fixed end tangents
+   * @param {Array<Object>} d - Points
+   * @param {Array<number>} u - Curve parameter of each point
+   * @param {Object} tHat1 - Unit tangent at the start
+   * @param {Object} tHat2 - Unit tangent at the end, pointing back
+   * @returns {Array<Object>} Four curve points
+   */
+  generate(d, u, tHat1, tHat2) {
+    const first = d[0]
+    const last = d[d.length - 1]
+    let c00 = 0
+    let c01 = 0
+    let c11 = 0
+    let x0 = 0
+    let x1 = 0
+
+    for (let i = 0; i < d.length; i++) {
+      const t = u[i]
+      const mt = 1 - t
+      const b0 = mt * mt * mt
+      const b1 = 3 * t * mt * mt
+      const b2 = 3 * t * t * mt
+      const b3 = t * t * t
+      const a1 = Bezier.scale(tHat1, b1)
+      const a2 = Bezier.scale(tHat2, b2)
+      const rest = {
+        x: d[i].x - (first.x * (b0 + b1) + last.x * (b2 + b3)),
+        y: d[i].y - (first.y * (b0 + b1) + last.y * (b2 + b3)),
+      }
+
+      c00 += Bezier.dot(a1, a1)
+      c01 += Bezier.dot(a1, a2)
+      c11 += Bezier.dot(a2, a2)
+      x0 += Bezier.dot(a1, rest)
+      x1 += Bezier.dot(a2, rest)
+    }
+
+    const det = c00 * c11 - c01 * c01
+    let alpha1 = det === 0 ? 0 : (x0 * c11 - x1 * c01) / det
+    let alpha2 = det === 0 ? 0 : (c00 * x1 - c01 * x0) / det
+
+    // Control points on or behind the end points: fall back to a third of the chord
+    const chord = Math.hypot(last.x - first.x, last.y - first.y)
+    const epsilon = 1e-6 * chord
+    if (alpha1 < epsilon || alpha2 < epsilon) {
+      alpha1 = chord / 3
+      alpha2 = chord / 3
+    }
+
+    return [
+      first,
+      Bezier.add(first, Bezier.scale(tHat1, alpha1)),
+      Bezier.add(last, Bezier.scale(tHat2, alpha2)),
+      last,
+    ]
+  },
+
+  /**
+   * Improve the curve parameter of each point with one Newton-Raphson step
+   * @param {Array<Object>} d - Points
+   * @param {Array<number>} u - Current parameters
+   * @param {Array<Object>} curve - Four curve points
+   * @returns {Array<number>} New parameters
+   */
+  reparameterize(d, u, curve) {
+    const d1 = [0, 1, 2].map((i) =>
+      Bezier.scale(Bezier.sub(curve[i + 1], curve[i]), 3)
+    )
+    const d2 = [0, 1].map((i) => Bezier.scale(Bezier.sub(d1[i + 1], d1[i]), 2))
+
+    return u.map((t, i) => {
+      const q = Bezier.evaluate(curve, t)
+      const q1 = Bezier.evaluate(d1, t)
+      const q2 = Bezier.evaluate(d2, t)
+      const diff = Bezier.sub(q, d[i])
+      const denominator = Bezier.dot(q1, q1) + Bezier.dot(diff, q2)
+      return denominator === 0 ? t : t - Bezier.dot(diff, q1) / denominator
+    })
+  },
+
+  /**
+   * Find the point farthest from a curve
+   * @param {Array<Object>} d - Points
+   * @param {Array<Object>} curve - Four curve points
+   * @param {Array<number>} u - Curve parameter of each point
+   * @returns {Object} { error, split } distance and index of the farthest inner point
+   */
+  maxError(d, curve, u) {
+    let error = 0
+    let split = Math.floor(d.length / 2)
+    for (let i = 1; i < d.length - 1; i++) {
+      const p = Bezier.evaluate(curve, u[i])
+      const dist = Math.hypot(p.x - d[i].x, p.y - d[i].y)
+      if (dist > error) {
+        error = dist
+        split = i
+      }
+    }
+    return { error, split }
+  },
+
+  /**
+   * Evaluate a Bezier curve of any degree (de Casteljau)
+   * @param {Array<Object>} curve - Curve points
+   * @param {number} t - Parameter from 0 to 1
+   * @returns {Object} { x, y }
+   */
+  evaluate(curve, t) {
+    const p = curve.map((point) => ({ x: point.x, y: point.y }))
+    for (let level = p.length - 1; level > 0; level--) {
+      for (let i = 0; i < level; i++) {
+        p[i].x += (p[i + 1].x - p[i].x) * t
+        p[i].y += (p[i + 1].y - p[i].y) * t
+      }
+    }
+    return p[0]
+  },
+
+  /**
+   * Give each point a curve parameter by its distance along the points
+   * @param {Array<Object>} d - Points
+   * @returns {Array<number>} Parameters from 0 to 1
+   */
+  chordLengthParameterize(d) {
+    const u = [0]
+    for (let i = 1; i < d.length; i++) {
+      u.push(u[i - 1] + Math.hypot(d[i].x - d[i - 1].x, d[i].y - d[i - 1].y))
+    }
+    const total = u[u.length - 1] || 1
+    return u.map((length) => length / total)
+  },
+
+  /**
+   * Check whether all points lie within a tolerance of the line between the ends
+   * @param {Array<Object>} d - Points
+   * @param {number} tolerance - Largest distance allowed
+   * @returns {boolean} Whether a straight line fits
+   */
+  isStraight(d, tolerance) {
+    const first = d[0]
+    const last = d[d.length - 1]
+    const dx = last.x - first.x
+    const dy = last.y - first.y
+    const length = Math.hypot(dx, dy)
+    if (length === 0) return false
+
+    return d.every((p) => {
+      const t = ((p.x - first.x) * dx + (p.y - first.y) * dy) / length ** 2
+      if (t < 0 || t > 1) return false
+      return (
+        Math.abs((p.x - first.x) * dy - (p.y - first.y) * dx) / length <=
+        tolerance
+      )
+    })
+  },
+
+  /**
+   * Find corners, where the outline turns sharply over a short distance
+   * @param {Array<Object>} d - Densified points
+   * @param {boolean} closed - Whether the outline is a ring
+   * @returns {Array<number>} Indices of corners, ascending; never the ends of an open outline
+   */
+  findCorners(d, closed) {
+    const n = d.length
+    const limit = Math.cos((Bezier.CORNER_ANGLE * Math.PI) / 180)
+
+    // Turn at each point, as the cosine between the directions in and out
+    const turns = d.map((point, i) => {
+      const before = Bezier.pointAtSpan(d, i, -1, closed)
+      const after = Bezier.pointAtSpan(d, i, 1, closed)
+      if (!before || !after) return 1
+
+      const a = Bezier.normalize(Bezier.sub(point, before))
+      const b = Bezier.normalize(Bezier.sub(after, point))
+      return Bezier.dot(a, b)
+    })
+
+    // Keep the sharpest point of each run of sharp points
+    const corners = []
+    const first = closed ? turns.findIndex((cos) => cos >= limit) : 0
+    if (first === -1) return corners
+
+    let best = -1
+    for (let k = 1; k <= n; k++) {
+      const i = (first + k) % n
+      if (turns[i] < limit) {
+        if (best === -1 || turns[i] < turns[best]) best = i
+      } else if (best !== -1) {
+        corners.push(best)
+        best = -1
+      }
+    }
+
+    return corners.sort((a, b) => a - b)
+  },
+
+  /**
+   * Find the nearest point at least SPAN away from a point along the outline
+   * @param {Array<Object>} d - Points
+   * @param {number} i - Index of the point
+   * @param {number} step - 1 to look ahead, -1 to look back
+   * @param {boolean} closed - Whether the outline is a ring
+   * @returns {Object|null} Point, or null past the end of an open outline
+   */
+  pointAtSpan(d, i, step, closed) {
+    const n = d.length
+    for (let k = 1; k < n / 2; k++) {
+      const j = i + k * step
+      if (!closed && (j < 0 || j >= n)) return null
+      const p = d[(j + n) % n]
+      if (Math.hypot(p.x - d[i].x, p.y - d[i].y) >= Bezier.SPAN) return p
+    }
+    return null
+  },
+
+  /**
+   * Unit tangent at the end of a piece, pointing into it
+   * @param {Array<Object>} d - Points
+   * @param {boolean} atEnd - Whether to take the last point instead of the first
+   * @returns {Object} { x, y }
+   */
+  endTangent(d, atEnd) {
+    const points = atEnd ? d.slice().reverse() : d
+    const towards =
+      Bezier.pointAtSpan(points, 0, 1, false) || points[points.length - 1]
+    return Bezier.normalize(Bezier.sub(towards, points[0]))
+  },
+
+  /**
+   * Unit tangent through a point, pointing back towards the previous points
+   * @param {Array<Object>} d - Points
+   * @param {number} i - Index of the point
+   * @returns {Object} { x, y }
+   */
+  centerTangent(d, i) {
+    const n = d.length
+    const before = d[(i - 1 + n) % n]
+    const after = d[(i + 1) % n]
+    return Bezier.normalize(Bezier.sub(before, after))
+  },
+
+  /**
+   * Add points so no gap between neighbours is larger than MAX_GAP
+   * Traced outlines have points at turns only; curves must also pass near
+   * the straight runs between them
+   * @param {Array<Object>} points - Array of { x, y }
+   * @param {boolean} closed - Whether the outline is a ring
+   * @returns {Array<Object>} Points
+   */
+  densify(points, closed) {
+    const result = []
+    const count = closed ? points.length : points.length - 1
+    for (let i = 0; i < count; i++) {
+      const a = points[i]
+      const b = points[(i + 1) % points.length]
+      const steps = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / Bezier.MAX_GAP)
+      for (let s = 0; s < steps; s++) {
+        result.push({
+          x: a.x + ((b.x - a.x) * s) / steps,
+          y: a.y + ((b.y - a.y) * s) / steps,
+        })
+      }
+    }
+    if (!closed && points.length > 0) result.push(points[points.length - 1])
+    return result
+  },
+
+  /**
+   * Signed area of a fitted path, with its curves
+   * @param {Array<Object>} path - Path points, see above
+   * @returns {number} Signed area, with the sign of Geometry.signedArea
+   */
+  signedArea(path) {
+    const start = path.findIndex((p) => !p.control)
+    if (start === -1) return 0
+
+    let area = 0
+    const n = path.length
+    for (let i = 0; i < n;) {
+      const p0 = path[(start + i) % n]
+      const next = path[(start + i + 1) % n]
+      if (next.control) {
+        const p1 = next
+        const p2 = path[(start + i + 2) % n]
+        const p3 = path[(start + i + 3) % n]
+        // Exact area under a cubic, by Green's theorem
+        area +=
+          (3 *
+            ((p3.y - p0.y) * (p1.x + p2.x) -
+              (p3.x - p0.x) * (p1.y + p2.y) +
+              p1.y * (p0.x - p2.x) -
+              p1.x * (p0.y - p2.y) +
+              p3.y * (p2.x + p0.x / 3) -
+              p3.x * (p2.y + p0.y / 3))) /
+          20
+        i += 3
+      } else {
+        area += (p0.x * next.y - next.x * p0.y) / 2
+        i += 1
+      }
+    }
+    return area
+  },
+
+  /**
+   * Copy a point for a path, rounded to a tenth of a pixel
+   * @param {Object} point - { x, y }
+   * @param {boolean} control - Whether it is a control point
+   * @returns {Object} { x, y } or { x, y, control: true }
+   */
+  anchor(point, control = false) {
+    const x = Math.round(point.x * 10) / 10
+    const y = Math.round(point.y * 10) / 10
+    return control ? { x, y, control } : { x, y }
+  },
+
+  // Vector helpers for { x, y }
+  add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y }
+  },
+
+  sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y }
+  },
+
+  scale(a, s) {
+    return { x: a.x * s, y: a.y * s }
+  },
+
+  dot(a, b) {
+    return a.x * b.x + a.y * b.y
+  },
+
+  normalize(a) {
+    const length = Math.hypot(a.x, a.y)
+    return length === 0 ? { x: 0, y: 0 } : { x: a.x / length, y: a.y / length }
+  },
+}
+
+// Export for module systems or attach to window; in a worker the object is already global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bezier
+} else if (typeof window !== 'undefined') {
+  window.Bezier = Bezier
+}
@@ -0,0 +1,144 @@
+/**
+ * CSV Utilities
+ * Parse and write delimited text (CSV/TSV) with quoted fields
+ */
+
+const CSV = {
+  DELIMITERS: [',', '\t', ';', '|'],
+
+  /**
+   * Guess the delimiter from the first line
+   * @param {string} text - Delimited text
+   * @returns {string} Delimiter
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || ''
+    let best = ','
+    let bestCount = 0
+
+    CSV.DELIMITERS.forEach((delimiter) => {
+      // Ignore delimiters inside quoted fields
+      const count = firstLine.replace(/"[^"]*"/g, '').split(delimiter).length
+      if (count > bestCount) {
+        best = delimiter
+        bestCount = count
+      }
+    })
+
+    return best
+  },
+
+  /**
+   * Parse delimited text into rows of fields
+   * @param {string} text - Delimited text
+   * @param {string} delimiter - Field delimiter (detected when omitted)
+   * @returns {Array<Array<string>>} Rows
+   */
+  parseRows(text, delimiter = CSV.detectDelimiter(text)) {
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+
+    // Strip a byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i]
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"'
+          i++
+        } else if (char === '"') {
+          quoted = false
+        } else {
+          field += char
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true
+      } else if (char === delimiter) {
+        row.push(field)
+        field = ''
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++
+        row.push(field)
+        rows.push(row)
+        row = []
+        field = ''
+      } else {
+        field += char
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field)
+      rows.push(row)
+    }
+
+    // Drop blank lines
+    return rows.filter((r) => r.length > 1 || r[0].trim() !== '')
+  },
+
+  /**
+   * Parse delimited text with a header row
+   * @param {string} text - Delimited text
+   * @param {string} delimiter - Field delimiter (detected when omitted)
+   * @returns {Object} { headers, rows, delimiter } where rows are arrays aligned to headers
+   */
+  parse(text, delimiter = CSV.detectDelimiter(text)) {
+    const [headerRow, ...body] = CSV.parseRows(text, delimiter)
+    if (!headerRow) {
+      throw new Error('The file is empty')
+    }
+
+    // Make headers unique and non-empty
+    const seen = new Map()
+    const headers = headerRow.map((header, i) => {
+      const base = header.trim() || `column${i + 1}`
+      const count = seen.get(base) || 0
+      seen.set(base, count + 1)
+      return count === 0 ? base : `${base}_${count + 1}`
+    })
+
+    const rows = body.map((row) =>
+      headers.map((_, i) => (row[i] === undefined ? '' : row[i].trim()))
+    )
+
+    return { headers, rows, delimiter }
+  },
+
+  /**
+   * Quote a field when it contains the delimiter, quotes or line breaks
+   * @param {*} value - Field value
+   * @param {string} delimiter - Field delimiter
+   * @returns {string} Field text
+   */
+  escapeField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value)
+    const needsQuotes =
+      text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text
+  },
+
+  /**
+   * Serialize rows as delimited text (RFC 4180 line endings)
+   * @param {Array<Array<*>>} rows - Rows including the header row
+   * @param {string} delimiter - Field delimiter
+   * @returns {string} Delimited text
+   */
+  stringify(rows, delimiter = ',') {
+    return rows
+      .map((row) =>
+        row.map((value) => CSV.escapeField(value, delimiter)).join(delimiter)
+      )
+      .join('\r\n')
+  },
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CSV
+} else {
+  window.CSV = CSV
+}
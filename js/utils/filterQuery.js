@@ -0,0 +1,295 @@
+/**
+ * Filter Query Utilities
+ * Parse and evaluate text filters such as `region=north AND pop>10k`
+ *
+ * Syntax:
+ *   key            region has the tag
+ *   key=value      equal (numbers compare numerically, text ignores case)
+ *   key!=value     not equal, also true when the tag is missing
+ *   key>n key>=n key<n key<=n   numeric comparison; n may end in k or m
+ *   key~text       value contains text
+ *   NOT, AND, OR and parentheses; AND binds tighter and may be left out
+ * Values with spaces or operators go in double or single quotes.
+ * `id` and `name` match the region id and name.
+ */
+
+const FilterQuery = {
+  OPERATORS: ['>=', '<=', '!=', '==', '=', '>', '<', '~'],
+
+  KEYWORDS: ['AND', 'OR', 'NOT'],
+
+  // Number suffixes accepted in query values and range inputs
+  MULTIPLIERS: { k: 1e3, m: 1e6 },
+
+  /**
+   * Split a query into tokens
+   * @param {string} text - Query text
+   * @returns {Array<Object>} Tokens as { type, value, position }
+   * @throws {Error} On an unterminated string
+   */
+  tokenize(text) {
+    const tokens = []
+    let i = 0
+
+    while (i < text.length) {
+      const char = text[i]
+
+      if (/\s/.test(char)) {
+        i++
+        continue
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char, value: char, position: i })
+        i++
+        continue
+      }
+
+      const operator = FilterQuery.OPERATORS.find((op) =>
+        text.startsWith(op, i)
+      )
+      if (operator) {
+        tokens.push({ type: 'op', value: operator, position: i })
+        i += operator.length
+        continue
+      }
+
+      if (char === '"' || char === "'") {
+        let value = ''
+        let j = i + 1
+        while (j < text.length && text[j] !== char) {
+          if (text[j] === '\\' && j + 1 < text.length) j++
+          value += text[j]
+          j++
+        }
+        if (j >= text.length) {
+          throw new Error(`Missing closing ${char} for text at ${i + 1}`)
+        }
+        tokens.push({ type: 'string', value, position: i })
+        i = j + 1
+        continue
+      }
+
+      let j = i
+      while (j < text.length && !/[\s()"'=!<>~]/.test(text[j])) j++
+      if (j === i) {
+        throw new Error(`Unexpected "${char}" at ${i + 1}`)
+      }
+
+      const word = text.slice(i, j)
+      const keyword = word.toUpperCase()
+      tokens.push(
+        FilterQuery.KEYWORDS.includes(keyword)
+          ? { type: keyword, value: word, position: i }
+          : { type: 'word', value: word, position: i }
+      )
+      i = j
+    }
+
+    return tokens
+  },
+
+  /**
+   * Parse a query into an expression tree
+   * @param {string} text - Query text
+   * @returns {Object|null} Expression or null for an empty query
+   * @throws {Error} With the position of the first syntax error
+   */
+  parse(text) {
+    const tokens = FilterQuery.tokenize(text)
+    if (tokens.length === 0) return null
+
+    let index = 0
+    const peek = () => tokens[index]
+    const describe = (token) =>
+      token ? `"${token.value}" at ${token.position + 1}` : 'end of query'
+
+    const parseOr = () => {
+      const items = [parseAnd()]
+      while (peek() && peek().type === 'OR') {
+        index++
+        items.push(parseAnd())
+      }
+      return items.length === 1 ? items[0] : { type: 'or', items }
+    }
+
+    const parseAnd = () => {
+      const items = [parseNot()]
+      // A term right after another one is an implicit AND
+      while (
+        peek() &&
+        ['AND', 'NOT', 'word', 'string', '('].includes(peek().type)
+      ) {
+        if (peek().type === 'AND') index++
+        items.push(parseNot())
+      }
+      return items.length === 1 ? items[0] : { type: 'and', items }
+    }
+
+    const parseNot = () => {
+      if (peek() && peek().type === 'NOT') {
+        index++
+        return { type: 'not', item: parseNot() }
+      }
+      return parsePrimary()
+    }
+
+    const parsePrimary = () => {
+      const token = peek()
+
+      if (token && token.type === '(') {
+        index++
+        const expression = parseOr()
+        if (!peek() || peek().type !== ')') {
+          throw new Error(`Expected ")" but found ${describe(peek())}`)
+        }
+        index++
+        return expression
+      }
+
+      if (!token || (token.type !== 'word' && token.type !== 'string')) {
+        throw new Error(`Expected a tag name but found ${describe(token)}`)
+      }
+      index++
+
+      const field = token.value.replace(/^data-/, '').toLowerCase()
+      if (!peek() || peek().type !== 'op') {
+        return { type: 'has', field }
+      }
+
+      const op = peek().value
+      index++
+
+      const valueToken = peek()
+      if (
+        !valueToken ||
+        (valueToken.type !== 'word' && valueToken.type !== 'string')
+      ) {
+        throw new Error(
+          `Expected a value after "${op}" but found ${describe(valueToken)}`
+        )
+      }
+      index++
+
+      const number = FilterQuery.parseNumber(valueToken.value)
+      if (['>', '>=', '<', '<='].includes(op) && number === null) {
+        throw new Error(
+          `"${valueToken.value}" at ${valueToken.position + 1} is not a number`
+        )
+      }
+
+      return {
+        type: 'compare',
+        field,
+        op: op === '==' ? '=' : op,
+        value: valueToken.value,
+        number,
+      }
+    }
+
+    const expression = parseOr()
+    if (index < tokens.length) {
+      throw new Error(`Unexpected ${describe(peek())}`)
+    }
+    return expression
+  },
+
+  /**
+   * Read a number, allowing k (thousand) and m (million) suffixes
+   * @param {string} text - Number text
+   * @returns {number|null} Number or null when not numeric
+   */
+  parseNumber(text) {
+    const match =
+      /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([km])?\s*$/i.exec(
+        String(text)
+      )
+    if (!match) return null
+
+    const multiplier = match[2]
+      ? FilterQuery.MULTIPLIERS[match[2].toLowerCase()]
+      : 1
+    return Number(match[1]) * multiplier
+  },
+
+  /**
+   * Evaluate an expression against a region's fields
+   * @param {Object} expression - From parse()
+   * @param {Map<string, string>} fields - Lowercase field name -> value
+   * @returns {boolean} Matches
+   */
+  evaluate(expression, fields) {
+    switch (expression.type) {
+      case 'or':
+        return expression.items.some((item) =>
+          FilterQuery.evaluate(item, fields)
+        )
+      case 'and':
+        return expression.items.every((item) =>
+          FilterQuery.evaluate(item, fields)
+        )
+      case 'not':
+        return !FilterQuery.evaluate(expression.item, fields)
+      case 'has':
+        return fields.has(expression.field)
+      case 'compare':
+        return FilterQuery.compare(expression, fields.get(expression.field))
+      default:
+        return false
+    }
+  },
+
+  /**
+   * Evaluate a single comparison
+   * @param {Object} comparison - Compare expression
+   * @param {string|undefined} actual - Region value, undefined when missing
+   * @returns {boolean} Matches
+   */
+  compare({ op, value, number }, actual) {
+    if (actual === undefined) return op === '!='
+
+    const actualNumber = Scales.isNumeric(actual) ? Number(actual) : null
+    const numeric = number !== null && actualNumber !== null
+
+    switch (op) {
+      case '=':
+        return numeric
+          ? actualNumber === number
+          : actual.toLowerCase() === value.toLowerCase()
+      case '!=':
+        return numeric
+          ? actualNumber !== number
+          : actual.toLowerCase() !== value.toLowerCase()
+      case '~':
+        return actual.toLowerCase().includes(value.toLowerCase())
+      case '>':
+        return numeric && actualNumber > number
+      case '>=':
+        return numeric && actualNumber >= number
+      case '<':
+        return numeric && actualNumber < number
+      case '<=':
+        return numeric && actualNumber <= number
+      default:
+        return false
+    }
+  },
+
+  /**
+   * Quote a key or value for use in a query when needed
+   * @param {string} text - Key or value
+   * @returns {string} Query text
+   */
+  quote(text) {
+    const keyword = FilterQuery.KEYWORDS.includes(text.toUpperCase())
+    if (text && !keyword && !/[\s()"'=!<>~\\]/.test(text)) return text
+    return `"${text.replace(/["\\]/g, '\\$&')}"`
+  },
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilterQuery
+} else {
+  window.FilterQuery = FilterQuery
+}
@@ -0,0 +1,183 @@
+/**
+ * Geometry Utilities
+ * Functions for working with points, polygons and SVG shapes
+ */
+
+const Geometry = {
+  /**
+   * Check if a point is inside a polygon (even-odd rule)
+   * @param {Object} point - { x, y }
+   * @param {Array<Object>} polygon - Array of { x, y }
+   * @returns {boolean} Is inside
+   */
+  pointInPolygon(point, polygon) {
+    let inside = false
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i]
+      const b = polygon[j]
+
+      if (
+        a.y > point.y !== b.y > point.y &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside
+      }
+    }
+
+    return inside
+  },
+
+  /**
+   * Get the bounding box of a list of points
+   * @param {Array<Object>} points - Array of { x, y }
+   * @returns {Object} { x, y, width, height }
+   */
+  getBBox(points) {
+    let minX = Infinity,
+      minY = Infinity
+    let maxX = -Infinity,
+      maxY = -Infinity
+
+    points.forEach((p) => {
+      minX = Math.min(minX, p.x)
+      minY = Math.min(minY, p.y)
+      maxX = Math.max(maxX, p.x)
+      maxY = Math.max(maxY, p.y)
+    })
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+  },
+
+  /**
+   * Check if two bounding boxes overlap
+   * @param {Object} a - { x, y, width, height }
+   * @param {Object} b - { x, y, width, height }
+   * @returns {boolean} Overlap
+   */
+  bboxesIntersect(a, b) {
+    return (
+      a.x <= b.x + b.width &&
+      b.x <= a.x + a.width &&
+      a.y <= b.y + b.height &&
+      b.y <= a.y + a.height
+    )
+  },
+
+  /**
+   * Signed area of a ring (positive when counter-clockwise in y-up space)
+   * @param {Array<Object>} ring - Array of { x, y }
+   * @returns {number} Signed area
+   */
+  signedArea(ring) {
+    let area = 0
+    for (let i = 0; i < ring.length; i++) {
+      const j = (i + 1) % ring.length
+      area += ring[i].x * ring[j].y - ring[j].x * ring[i].y
+    }
+    return area / 2
+  },
+
+  /**
+   * Create a rectangle polygon from two corner points
+   * @param {Object} a - { x, y }
+   * @param {Object} b - { x, y }
+   * @returns {Array<Object>} Four corner points
+   */
+  rectToPolygon(a, b) {
+    return [
+      { x: a.x, y: a.y },
+      { x: b.x, y: a.y },
+      { x: b.x, y: b.y },
+      { x: a.x, y: b.y },
+    ]
+  },
+
+  /**
+   * Sample points along an SVG shape's outline in client coordinates
+   * @param {SVGGeometryElement} element - Shape element
+   * @param {number} spacing - Approximate distance between samples in pixels
+   * @param {number} maxSamples - Upper bound on the number of samples
+   * @returns {Array<Object>} Array of { x, y }
+   */
+  sampleOutline(element, spacing = 2, maxSamples = 2000) {
+    const ctm = element.getScreenCTM()
+    if (!ctm || typeof element.getTotalLength !== 'function') return []
+
+    const length = element.getTotalLength()
+    const scale = Math.hypot(ctm.a, ctm.b) || 1
+    const count = Math.max(
+      4,
+      Math.min(maxSamples, Math.ceil((length * scale) / spacing))
+    )
+
+    const points = []
+    for (let i = 0; i < count; i++) {
+      const p = element.getPointAtLength((length * i) / count)
+      points.push({
+        x: ctm.a * p.x + ctm.c * p.y + ctm.e,
+        y: ctm.b * p.x + ctm.d * p.y + ctm.f,
+      })
+    }
+
+    return points
+  },
+
+  /**
+   * Check if a client-space point lies in an SVG shape's fill
+   * @param {SVGGeometryElement} element - Shape element
+   * @param {Object} point - { x, y } in client coordinates
+   * @returns {boolean} Is inside
+   */
+  isClientPointInFill(element, point) {
+    const ctm = element.getScreenCTM()
+    if (!ctm || typeof element.isPointInFill !== 'function') return false
+
+    const svg = element.ownerSVGElement
+    const local = svg.createSVGPoint()
+    local.x = point.x
+    local.y = point.y
+
+    return element.isPointInFill(local.matrixTransform(ctm.inverse()))
+  },
+
+  /**
+   * Check if an SVG shape overlaps a client-space polygon
+   * Uses the shape geometry, not just its bounding box
+   * @param {SVGGeometryElement} element - Shape element
+   * @param {Array<Object>} polygon - Array of { x, y } in client coordinates
+   * @param {Object} polygonBBox - Precomputed bounding box of the polygon
+   * @returns {boolean} Overlap
+   */
+  elementIntersectsPolygon(element, polygon, polygonBBox = null) {
+    const bbox = polygonBBox || Geometry.getBBox(polygon)
+    const rect = element.getBoundingClientRect()
+
+    if (
+      !Geometry.bboxesIntersect(bbox, {
+        x: rect.left,
+        y: rect.top,
+        width: rect.width,
+        height: rect.height,
+      })
+    ) {
+      return false
+    }
+
+    // Part of the outline lies within the selection
+    const outline = Geometry.sampleOutline(element)
+    if (outline.some((p) => Geometry.pointInPolygon(p, polygon))) {
+      return true
+    }
+
+    // Selection lies entirely within the shape
+    return polygon.some((p) => Geometry.isClientPointInFill(element, p))
+  },
+}
+
+// Export for module systems or attach to window; in a worker the object is already global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Geometry
+} else if (typeof window !== 'undefined') {
+  window.Geometry = Geometry
+}
@@ -92,6 +92,30 @@ const Helpers = {
       .toLowerCase()
   },
 
+  // data-* attributes with a special meaning in the editor
+  RESERVED_TAG_KEYS: ['data-index', 'data-label-for'],
+
+  /**
+   * Convert a column, property or user-typed name into a data-* tag key
+   * Letters and digits of any script are kept; other runs become a dash
+   * @param {string} name - Name to convert
+   * @returns {string|null} Tag key or null if nothing usable is left
+   */
+  toTagKey(name) {
+    // ª, µ and º are letters but not allowed in attribute names
+    const slug = String(name)
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/(?:[^\p{L}\p{M}\p{Nd}_.-]|[ªµº])+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+    if (!slug) return null
+
+    const tagKey = `data-${slug}`
+    return Helpers.RESERVED_TAG_KEYS.includes(tagKey)
+      ? `${tagKey}-prop`
+      : tagKey
+  },
+
   /**
    * Escape HTML entities
    * @param {string} str - String to escape
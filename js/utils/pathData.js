@@ -0,0 +1,332 @@
+/**
+ * Path Data Utilities
+ * Parse SVG path data and flatten it into polygon rings
+ */
+
+const PathData = {
+  // Parameter count per command
+  PARAMS: { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 },
+
+  /**
+   * Parse path data into absolute commands
+   * H/V become L, S becomes C and T becomes Q
+   * @param {string} d - Path data
+   * @returns {Array<Object>} Array of { type, values }
+   */
+  parse(d) {
+    const commands = []
+    const re = /([MLHVCSQTAZmlhvcsqtaz])([^MLHVCSQTAZmlhvcsqtaz]*)/g
+    let match
+
+    let x = 0,
+      y = 0
+    let startX = 0,
+      startY = 0
+    let lastControl = null // { type, x, y } for S/T reflection
+
+    while ((match = re.exec(d || ''))) {
+      const letter = match[1]
+      const type = letter.toUpperCase()
+      const relative = letter !== type
+      const args = PathData.parseNumbers(match[2], type)
+      const count = PathData.PARAMS[type]
+
+      if (type === 'Z') {
+        commands.push({ type: 'Z', values: [] })
+        x = startX
+        y = startY
+        lastControl = null
+        continue
+      }
+
+      for (let i = 0; i + count <= args.length;) {
+        const a = args.slice(i, i + count)
+        i += count
+
+        // Extra coordinate pairs after M are implicit L commands
+        const command = type === 'M' && i > count ? 'L' : type
+        const ox = relative ? x : 0
+        const oy = relative ? y : 0
+
+        switch (command) {
+          case 'M':
+            x = a[0] + ox
+            y = a[1] + oy
+            startX = x
+            startY = y
+            commands.push({ type: 'M', values: [x, y] })
+            lastControl = null
+            break
+          case 'L':
+            x = a[0] + ox
+            y = a[1] + oy
+            commands.push({ type: 'L', values: [x, y] })
+            lastControl = null
+            break
+          case 'H':
+            x = a[0] + (relative ? x : 0)
+            commands.push({ type: 'L', values: [x, y] })
+            lastControl = null
+            break
+          case 'V':
+            y = a[0] + (relative ? y : 0)
+            commands.push({ type: 'L', values: [x, y] })
+            lastControl = null
+            break
+          case 'C':
+          case 'S': {
+            let c1x, c1y, rest
+            if (command === 'C') {
+              c1x = a[0] + ox
+              c1y = a[1] + oy
+              rest = a.slice(2)
+            } else {
+              const reflect = lastControl && lastControl.type === 'C'
+              c1x = reflect ? 2 * x - lastControl.x : x
+              c1y = reflect ? 2 * y - lastControl.y : y
+              rest = a
+            }
+            const c2x = rest[0] + ox
+            const c2y = rest[1] + oy
+            x = rest[2] + ox
+            y = rest[3] + oy
+            commands.push({ type: 'C', values: [c1x, c1y, c2x, c2y, x, y] })
+            lastControl = { type: 'C', x: c2x, y: c2y }
+            break
+          }
+          case 'Q':
+          case 'T': {
+            let cx, cy
+            if (command === 'Q') {
+              cx = a[0] + ox
+              cy = a[1] + oy
+              x = a[2] + ox
+              y = a[3] + oy
+            } else {
+              const reflect = lastControl && lastControl.type === 'Q'
+              cx = reflect ? 2 * x - lastControl.x : x
+              cy = reflect ? 2 * y - lastControl.y : y
+              x = a[0] + ox
+              y = a[1] + oy
+            }
+            commands.push({ type: 'Q', values: [cx, cy, x, y] })
+            lastControl = { type: 'Q', x: cx, y: cy }
+            break
+          }
+          case 'A':
+            x = a[5] + ox
+            y = a[6] + oy
+            commands.push({
+              type: 'A',
+              values: [a[0], a[1], a[2], a[3], a[4], x, y],
+            })
+            lastControl = null
+            break
+        }
+      }
+    }
+
+    return commands
+  },
+
+  /**
+   * Parse the numbers of a command
+   * Arc flags may be written without separators ("a1 1 0 011 1")
+   * @param {string} text - Parameter text
+   * @param {string} type - Uppercase command type
+   * @returns {Array<number>} Numbers
+   */
+  parseNumbers(text, type) {
+    const numberRe = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y
+    const separatorRe = /[\s,]*/y
+    const values = []
+    let pos = 0
+
+    const skipSeparators = () => {
+      separatorRe.lastIndex = pos
+      separatorRe.exec(text)
+      pos = separatorRe.lastIndex
+    }
+
+    skipSeparators()
+    while (pos < text.length) {
+      const isFlag = type === 'A' && [3, 4].includes(values.length % 7)
+
+      if (isFlag && (text[pos] === '0' || text[pos] === '1')) {
+        values.push(Number(text[pos]))
+        pos++
+      } else {
+        numberRe.lastIndex = pos
+        const match = numberRe.exec(text)
+        if (!match) break
+        values.push(parseFloat(match[0]))
+        pos = numberRe.lastIndex
+      }
+      skipSeparators()
+    }
+
+    return values
+  },
+
+  /**
+   * Flatten path data into subpaths of points
+   * @param {string} d - Path data
+   * @param {number} segments - Line segments per curve
+   * @returns {Array<Array<Object>>} Subpaths, each an array of { x, y }
+   */
+  toSubpaths(d, segments = 8) {
+    const subpaths = []
+    let current = null
+    let x = 0,
+      y = 0
+
+    PathData.parse(d).forEach(({ type, values }) => {
+      if (type === 'M') {
+        current = [{ x: values[0], y: values[1] }]
+        subpaths.push(current)
+        x = values[0]
+        y = values[1]
+        return
+      }
+
+      if (type === 'Z') {
+        current = null
+        return
+      }
+
+      // Drawing after Z starts a new subpath at the current point
+      if (!current) {
+        current = [{ x, y }]
+        subpaths.push(current)
+      }
+
+      if (type === 'L') {
+        current.push({ x: values[0], y: values[1] })
+      } else if (type === 'C') {
+        const [c1x, c1y, c2x, c2y, ex, ey] = values
+        for (let i = 1; i <= segments; i++) {
+          const t = i / segments
+          const mt = 1 - t
+          current.push({
+            x:
+              mt * mt * mt * x +
+              3 * mt * mt * t * c1x +
+              3 * mt * t * t * c2x +
+              t * t * t * ex,
+            y:
+              mt * mt * mt * y +
+              3 * mt * mt * t * c1y +
+              3 * mt * t * t * c2y +
+              t * t * t * ey,
+          })
+        }
+      } else if (type === 'Q') {
+        const [cx, cy, ex, ey] = values
+        for (let i = 1; i <= segments; i++) {
+          const t = i / segments
+          const mt = 1 - t
+          current.push({
+            x: mt * mt * x + 2 * mt * t * cx + t * t * ex,
+            y: mt * mt * y + 2 * mt * t * cy + t * t * ey,
+          })
+        }
+      } else if (type === 'A') {
+        PathData.arcPoints(x, y, values, segments).forEach((p) =>
+          current.push(p)
+        )
+      }
+
+      const last = current[current.length - 1]
+      x = last.x
+      y = last.y
+    })
+
+    // Drop the repeated closing point
+    subpaths.forEach((points) => {
+      const first = points[0]
+      const last = points[points.length - 1]
+      if (points.length > 1 && first.x === last.x && first.y === last.y) {
+        points.pop()
+      }
+    })
+
+    return subpaths.filter((points) => points.length >= 3)
+  },
+
+  /**
+   * Sample an elliptical arc (SVG endpoint parameterization)
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {Array<number>} values - [rx, ry, rotation, largeArc, sweep, x, y]
+   * @param {number} segments - Line segments for the arc
+   * @returns {Array<Object>} Points after the start point, as { x, y }
+   */
+  arcPoints(x1, y1, values, segments) {
+    let [rx, ry, rotation, largeArc, sweep, x2, y2] = values
+    rx = Math.abs(rx)
+    ry = Math.abs(ry)
+
+    if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+      return [{ x: x2, y: y2 }]
+    }
+
+    const phi = (rotation * Math.PI) / 180
+    const cos = Math.cos(phi)
+    const sin = Math.sin(phi)
+
+    const dx = (x1 - x2) / 2
+    const dy = (y1 - y2) / 2
+    const x1p = cos * dx + sin * dy
+    const y1p = -sin * dx + cos * dy
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry)
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda)
+      ry *= Math.sqrt(lambda)
+    }
+
+    const numerator =
+      rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p
+    let factor = Math.sqrt(Math.max(0, numerator / denominator))
+    if (largeArc === sweep) factor = -factor
+
+    const cxp = (factor * rx * y1p) / ry
+    const cyp = (-factor * ry * x1p) / rx
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2
+
+    const angle = (ux, uy, vx, vy) =>
+      Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)
+
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry)
+    let delta = angle(
+      (x1p - cxp) / rx,
+      (y1p - cyp) / ry,
+      (-x1p - cxp) / rx,
+      (-y1p - cyp) / ry
+    )
+    if (!sweep && delta > 0) delta -= 2 * Math.PI
+    if (sweep && delta < 0) delta += 2 * Math.PI
+
+    const points = []
+    for (let i = 1; i <= segments; i++) {
+      const theta = theta1 + (delta * i) / segments
+      const ex = rx * Math.cos(theta)
+      const ey = ry * Math.sin(theta)
+      points.push({ x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy })
+    }
+
+    // Land exactly on the end point
+    points[points.length - 1] = { x: x2, y: y2 }
+    return points
+  },
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PathData
+} else {
+  window.PathData = PathData
+}
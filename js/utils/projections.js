@@ -0,0 +1,208 @@
+/**
+ * Projection Utilities
+ * Map projections between longitude/latitude (degrees) and planar coordinates
+ * Planar y grows northwards; callers flip it for SVG
+ */
+
+const Projections = {
+  RADIANS: Math.PI / 180,
+  MAX_MERCATOR_LATITUDE: 85.05112878,
+
+  /**
+   * Available projections
+   */
+  TYPES: {
+    equirectangular: { label: 'Equirectangular (plate carrée)' },
+    mercator: { label: 'Web Mercator' },
+    albers: { label: 'Albers equal-area conic' },
+  },
+
+  /**
+   * Get the longitude/latitude bounds of a list of positions
+   * @param {Array<Array<number>>} positions - Array of [lon, lat]
+   * @returns {Object} { minLon, minLat, maxLon, maxLat }
+   */
+  getBounds(positions) {
+    const bounds = {
+      minLon: Infinity,
+      minLat: Infinity,
+      maxLon: -Infinity,
+      maxLat: -Infinity,
+    }
+
+    positions.forEach(([lon, lat]) => {
+      bounds.minLon = Math.min(bounds.minLon, lon)
+      bounds.minLat = Math.min(bounds.minLat, lat)
+      bounds.maxLon = Math.max(bounds.maxLon, lon)
+      bounds.maxLat = Math.max(bounds.maxLat, lat)
+    })
+
+    return bounds
+  },
+
+  /**
+   * Get default parameters for a projection fitted to some bounds
+   * Albers uses standard parallels at 1/6 and 5/6 of the latitude range
+   * @param {string} name - Projection name
+   * @param {Object} bounds - { minLon, minLat, maxLon, maxLat }
+   * @returns {Object} { center: [lon, lat], parallels: [lat1, lat2] }
+   */
+  defaultParams(name, bounds) {
+    const center = [
+      (bounds.minLon + bounds.maxLon) / 2,
+      (bounds.minLat + bounds.maxLat) / 2,
+    ]
+    const range = bounds.maxLat - bounds.minLat
+
+    const params = { center }
+    if (name === 'albers') {
+      params.parallels = [bounds.minLat + range / 6, bounds.maxLat - range / 6]
+    }
+    return params
+  },
+
+  /**
+   * Create a projection
+   * @param {string} name - 'equirectangular', 'mercator' or 'albers'
+   * @param {Object} params - { center: [lon, lat], parallels: [lat1, lat2] }
+   * @returns {Object} { name, params, project(lon, lat), invert(x, y) }
+   */
+  create(name, params = {}) {
+    const factory = Projections.factories[name]
+    if (!factory) {
+      throw new Error(`Unknown projection: ${name}`)
+    }
+
+    const settings = { center: [0, 0], ...params }
+    return { name, params: settings, ...factory(settings) }
+  },
+
+  /**
+   * Projection implementations returning { project, invert }
+   */
+  factories: {
+    equirectangular({ center }) {
+      const R = Projections.RADIANS
+      const lon0 = center[0]
+      const cosLat0 = Math.cos(center[1] * R)
+
+      return {
+        project: (lon, lat) => [(lon - lon0) * R * cosLat0, lat * R],
+        invert: (x, y) => [x / cosLat0 / R + lon0, y / R],
+      }
+    },
+
+    mercator({ center }) {
+      const R = Projections.RADIANS
+      const lon0 = center[0]
+      const max = Projections.MAX_MERCATOR_LATITUDE
+
+      return {
+        project: (lon, lat) => {
+          const clamped = Math.max(-max, Math.min(max, lat))
+          return [
+            (lon - lon0) * R,
+            Math.log(Math.tan(Math.PI / 4 + (clamped * R) / 2)),
+          ]
+        },
+        invert: (x, y) => [
+          x / R + lon0,
+          (2 * Math.atan(Math.exp(y)) - Math.PI / 2) / R,
+        ],
+      }
+    },
+
+    albers({ center, parallels = [29.5, 45.5] }) {
+      const R = Projections.RADIANS
+      const lon0 = center[0]
+      const lat0 = center[1] * R
+      const lat1 = parallels[0] * R
+      const lat2 = parallels[1] * R
+      const n = (Math.sin(lat1) + Math.sin(lat2)) / 2
+
+      // Parallels symmetric about the equator: the cone becomes a cylinder
+      if (Math.abs(n) < 1e-6) {
+        const cosLat1 = Math.cos(lat1)
+        return {
+          project: (lon, lat) => [
+            (lon - lon0) * R * cosLat1,
+            Math.sin(lat * R) / cosLat1,
+          ],
+          invert: (x, y) => [
+            x / cosLat1 / R + lon0,
+            Math.asin(Math.max(-1, Math.min(1, y * cosLat1))) / R,
+          ],
+        }
+      }
+
+      const C = Math.cos(lat1) * Math.cos(lat1) + 2 * n * Math.sin(lat1)
+      const rho0 = Math.sqrt(C - 2 * n * Math.sin(lat0)) / n
+
+      return {
+        project: (lon, lat) => {
+          const rho = Math.sqrt(Math.max(0, C - 2 * n * Math.sin(lat * R))) / n
+          const theta = n * (lon - lon0) * R
+          return [rho * Math.sin(theta), rho0 - rho * Math.cos(theta)]
+        },
+        invert: (x, y) => {
+          const dy = rho0 - y
+          const rho = Math.sign(n) * Math.sqrt(x * x + dy * dy)
+          const theta = n < 0 ? Math.atan2(-x, -dy) : Math.atan2(x, dy)
+          const sinLat = (C - rho * rho * n * n) / (2 * n)
+          return [
+            theta / n / R + lon0,
+            Math.asin(Math.max(-1, Math.min(1, sinLat))) / R,
+          ]
+        },
+      }
+    },
+  },
+
+  // ============================================
+  // SVG Metadata
+  // ============================================
+
+  METADATA_ID: 'map-projection',
+
+  /**
+   * Store how an SVG was projected so it can be converted back later
+   * @param {SVGSVGElement} svg - SVG element
+   * @param {Object} info - { name, params, scale, translate: [x, y] }
+   */
+  writeMetadata(svg, info) {
+    const doc = svg.ownerDocument
+    let metadata = svg.querySelector(`metadata#${Projections.METADATA_ID}`)
+
+    if (!metadata) {
+      metadata = doc.createElementNS('http://www.w3.org/2000/svg', 'metadata')
+      metadata.setAttribute('id', Projections.METADATA_ID)
+      svg.insertBefore(metadata, svg.firstChild)
+    }
+
+    metadata.textContent = JSON.stringify(info)
+  },
+
+  /**
+   * Read projection info written by writeMetadata
+   * @param {SVGSVGElement} svg - SVG element
+   * @returns {Object|null} { name, params, scale, translate } or null
+   */
+  readMetadata(svg) {
+    const metadata = svg.querySelector(`metadata#${Projections.METADATA_ID}`)
+    if (!metadata) return null
+
+    try {
+      const info = JSON.parse(metadata.textContent)
+      return Projections.factories[info.name] ? info : null
+    } catch (error) {
+      return null
+    }
+  },
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Projections
+} else {
+  window.Projections = Projections
+}
@@ -0,0 +1,395 @@
+/**
+ * Scale Utilities
+ * Numeric color scales and classification methods for choropleth coloring
+ */
+
+const Scales = {
+  /**
+   * Available scale types
+   * Continuous scales map values onto a gradient, classed scales onto
+   * a fixed number of color steps
+   */
+  TYPES: {
+    categorical: { label: 'Categorical', kind: 'categorical' },
+    linear: { label: 'Linear', kind: 'continuous' },
+    log: { label: 'Logarithmic', kind: 'continuous' },
+    quantile: { label: 'Quantile', kind: 'classed' },
+    equal: { label: 'Equal interval', kind: 'classed' },
+    jenks: { label: 'Natural breaks (Jenks)', kind: 'classed' },
+  },
+
+  /**
+   * Color palettes as evenly spaced color stops
+   */
+  PALETTES: {
+    blues: {
+      label: 'Blues',
+      kind: 'sequential',
+      stops: ['#f7fbff', '#c6dbef', '#6baed6', '#2171b5', '#08306b'],
+    },
+    greens: {
+      label: 'Greens',
+      kind: 'sequential',
+      stops: ['#f7fcf5', '#c7e9c0', '#74c476', '#238b45', '#00441b'],
+    },
+    oranges: {
+      label: 'Oranges',
+      kind: 'sequential',
+      stops: ['#fff5eb', '#fdd0a2', '#fd8d3c', '#d94801', '#7f2704'],
+    },
+    purples: {
+      label: 'Purples',
+      kind: 'sequential',
+      stops: ['#fcfbfd', '#dadaeb', '#9e9ac8', '#6a51a3', '#3f007d'],
+    },
+    viridis: {
+      label: 'Viridis',
+      kind: 'sequential',
+      stops: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    },
+    magma: {
+      label: 'Magma',
+      kind: 'sequential',
+      stops: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf'],
+    },
+    rdbu: {
+      label: 'Red – Blue',
+      kind: 'diverging',
+      stops: ['#b2182b', '#ef8a62', '#f7f7f7', '#67a9cf', '#2166ac'],
+    },
+    piyg: {
+      label: 'Pink – Green',
+      kind: 'diverging',
+      stops: ['#c51b7d', '#e9a3c9', '#f7f7f7', '#a1d76a', '#4d9221'],
+    },
+    brbg: {
+      label: 'Brown – Teal',
+      kind: 'diverging',
+      stops: ['#8c510a', '#d8b365', '#f5f5f5', '#5ab4ac', '#01665e'],
+    },
+    spectral: {
+      label: 'Spectral',
+      kind: 'diverging',
+      stops: ['#d7191c', '#fdae61', '#ffffbf', '#abdda4', '#2b83ba'],
+    },
+  },
+
+  DEFAULT_OPTIONS: { type: 'linear', palette: 'blues', classes: 5 },
+  MIN_CLASSES: 2,
+  MAX_CLASSES: 9,
+  JENKS_MAX_SAMPLES: 1000,
+
+  /**
+   * Check if a string is a plain numeric value
+   * @param {string} value - Value to check
+   * @returns {boolean} Is numeric
+   */
+  isNumeric(value) {
+    return (
+      typeof value === 'string' &&
+      value.trim() !== '' &&
+      isFinite(Number(value))
+    )
+  },
+
+  /**
+   * Check if all values of a tag are numeric
+   * @param {Object} tagData - Tag data from Store.extractTags
+   * @returns {boolean} Is a numeric tag
+   */
+  isNumericTag(tagData) {
+    const values = Array.from(tagData.values.keys())
+    return values.length >= 2 && values.every((v) => Scales.isNumeric(v))
+  },
+
+  /**
+   * Interpolate a color along a palette
+   * @param {Array<string>} stops - Hex color stops
+   * @param {number} t - Position between 0 and 1
+   * @returns {string} Hex color
+   */
+  interpolate(stops, t) {
+    const clamped = Math.max(0, Math.min(1, t))
+    const position = clamped * (stops.length - 1)
+    const i = Math.min(Math.floor(position), stops.length - 2)
+    const local = position - i
+
+    const a = ColorUtils.hexToRgb(stops[i])
+    const b = ColorUtils.hexToRgb(stops[i + 1])
+
+    return ColorUtils.rgbToHex(
+      Math.round(a.r + (b.r - a.r) * local),
+      Math.round(a.g + (b.g - a.g) * local),
+      Math.round(a.b + (b.b - a.b) * local)
+    )
+  },
+
+  /**
+   * Compute class breaks for a classed scale
+   * @param {Array<number>} sorted - Values sorted ascending
+   * @param {string} method - 'quantile', 'equal' or 'jenks'
+   * @param {number} classes - Number of classes
+   * @returns {Array<number>} Breaks, from minimum to maximum (classes + 1)
+   */
+  computeBreaks(sorted, method, classes) {
+    const min = sorted[0]
+    const max = sorted[sorted.length - 1]
+    let breaks
+
+    if (method === 'quantile') {
+      // Each break is the largest value of its class, as classIndex puts
+      // values equal to a break in the class below it
+      breaks = [min]
+      for (let i = 1; i < classes; i++) {
+        breaks.push(sorted[Math.ceil((i * sorted.length) / classes) - 1])
+      }
+      breaks.push(max)
+    } else if (method === 'jenks') {
+      breaks = Scales.jenksBreaks(sorted, classes)
+    } else {
+      breaks = []
+      for (let i = 0; i <= classes; i++) {
+        breaks.push(min + ((max - min) * i) / classes)
+      }
+    }
+
+    // Skewed data can produce repeated breaks; collapse the empty classes
+    const unique = breaks.filter((b, i) => i === 0 || b !== breaks[i - 1])
+    return unique.length > 1 ? unique : [min, max]
+  },
+
+  /**
+   * Compute Jenks natural breaks (Fisher-Jenks optimization)
+   * @param {Array<number>} sorted - Values sorted ascending
+   * @param {number} classes - Number of classes
+   * @returns {Array<number>} Breaks, from minimum to maximum
+   */
+  jenksBreaks(sorted, classes) {
+    let data = sorted
+
+    // The algorithm is O(k * n²); sample large inputs evenly
+    if (data.length > Scales.JENKS_MAX_SAMPLES) {
+      const step = (data.length - 1) / (Scales.JENKS_MAX_SAMPLES - 1)
+      data = Array.from(
+        { length: Scales.JENKS_MAX_SAMPLES },
+        (_, i) => sorted[Math.round(i * step)]
+      )
+    }
+
+    const n = data.length
+    if (n <= classes) {
+      return [data[0], ...data]
+    }
+
+    const lower = []
+    const variance = []
+    for (let i = 0; i <= n; i++) {
+      lower.push(new Array(classes + 1).fill(0))
+      variance.push(new Array(classes + 1).fill(0))
+    }
+    for (let j = 1; j <= classes; j++) {
+      lower[1][j] = 1
+      for (let i = 2; i <= n; i++) {
+        variance[i][j] = Infinity
+      }
+    }
+
+    for (let l = 2; l <= n; l++) {
+      let sum = 0
+      let sumSquares = 0
+      let weight = 0
+      let v = 0
+
+      for (let m = 1; m <= l; m++) {
+        const lowerIndex = l - m + 1
+        const value = data[lowerIndex - 1]
+
+        weight++
+        sum += value
+        sumSquares += value * value
+        v = sumSquares - (sum * sum) / weight
+
+        const previous = lowerIndex - 1
+        if (previous !== 0) {
+          for (let j = 2; j <= classes; j++) {
+            if (variance[l][j] >= v + variance[previous][j - 1]) {
+              lower[l][j] = lowerIndex
+              variance[l][j] = v + variance[previous][j - 1]
+            }
+          }
+        }
+      }
+
+      lower[l][1] = 1
+      variance[l][1] = v
+    }
+
+    const breaks = new Array(classes + 1)
+    breaks[0] = data[0]
+    breaks[classes] = data[n - 1]
+
+    let k = n
+    for (let j = classes; j > 1; j--) {
+      breaks[j - 1] = data[lower[k][j] - 2]
+      k = lower[k][j] - 1
+    }
+
+    return breaks
+  },
+
+  /**
+   * Create a color scale for a set of numeric values
+   * @param {Array<number>} values - Values, one per region (may repeat)
+   * @param {Object} options - { type, palette, classes }
+   * @returns {Object|null} Scale or null when there is nothing to scale
+   */
+  create(values, options = {}) {
+    const settings = { ...Scales.DEFAULT_OPTIONS, ...options }
+    const finite = values.filter((v) => isFinite(v))
+    if (finite.length === 0 || settings.type === 'categorical') return null
+
+    const sorted = [...finite].sort((a, b) => a - b)
+    const palette =
+      Scales.PALETTES[settings.palette] ||
+      Scales.PALETTES[Scales.DEFAULT_OPTIONS.palette]
+    const classes = Math.max(
+      Scales.MIN_CLASSES,
+      Math.min(Scales.MAX_CLASSES, Math.round(settings.classes) || 5)
+    )
+
+    const scale = {
+      type: settings.type,
+      palette: settings.palette,
+      classes,
+      kind: (Scales.TYPES[settings.type] || Scales.TYPES.linear).kind,
+      stops: palette.stops,
+      diverging: palette.kind === 'diverging',
+      domain: [sorted[0], sorted[sorted.length - 1]],
+      warning: '',
+    }
+
+    if (scale.type === 'log' && scale.domain[0] <= 0) {
+      scale.type = 'linear'
+      scale.warning = 'Log scale needs positive values; showing linear'
+    }
+
+    if (scale.kind === 'classed') {
+      scale.breaks = Scales.computeBreaks(sorted, scale.type, classes)
+      const count = scale.breaks.length - 1
+      scale.colors = Array.from({ length: count }, (_, i) =>
+        Scales.interpolate(palette.stops, count === 1 ? 0.5 : i / (count - 1))
+      )
+    }
+
+    return scale
+  },
+
+  /**
+   * Get the position of a value along a continuous scale
+   * Diverging palettes are centered on zero when the domain spans it
+   * @param {Object} scale - Scale from Scales.create
+   * @param {number} value - Value
+   * @returns {number} Position between 0 and 1
+   */
+  position(scale, value) {
+    const [min, max] = scale.domain
+    if (max === min) return 0.5
+
+    if (scale.type === 'log') {
+      return (Math.log(value) - Math.log(min)) / (Math.log(max) - Math.log(min))
+    }
+
+    if (scale.diverging && min < 0 && max > 0) {
+      if (value < 0) return 0.5 * (1 - value / min)
+      return 0.5 + (0.5 * value) / max
+    }
+
+    return (value - min) / (max - min)
+  },
+
+  /**
+   * Get the class index of a value in a classed scale
+   * @param {Object} scale - Scale from Scales.create
+   * @param {number} value - Value
+   * @returns {number} Class index
+   */
+  classIndex(scale, value) {
+    const last = scale.breaks.length - 2
+    for (let i = 0; i < last; i++) {
+      if (value <= scale.breaks[i + 1]) return i
+    }
+    return last
+  },
+
+  /**
+   * Get the color for a value
+   * @param {Object} scale - Scale from Scales.create
+   * @param {number} value - Value
+   * @returns {string|null} Hex color or null for non-numeric values
+   */
+  colorFor(scale, value) {
+    if (!isFinite(value)) return null
+
+    if (scale.kind === 'classed') {
+      return scale.colors[Scales.classIndex(scale, value)]
+    }
+    return Scales.interpolate(scale.stops, Scales.position(scale, value))
+  },
+
+  /**
+   * Get evenly spaced tick values for a continuous scale legend
+   * @param {Object} scale - Scale from Scales.create
+   * @param {number} count - Number of ticks
+   * @returns {Array<Object>} Array of { value, position }
+   */
+  ticks(scale, count = 3) {
+    const [min, max] = scale.domain
+    const ticks = []
+
+    for (let i = 0; i < count; i++) {
+      const t = count === 1 ? 0.5 : i / (count - 1)
+      let value = min + (max - min) * t
+      if (scale.type === 'log') {
+        value = Math.exp(Math.log(min) + (Math.log(max) - Math.log(min)) * t)
+      } else if (scale.diverging && min < 0 && max > 0) {
+        value = t < 0.5 ? min * (1 - 2 * t) : max * (2 * t - 1)
+      }
+      ticks.push({ value, position: t })
+    }
+
+    return ticks
+  },
+
+  /**
+   * Build a CSS gradient for a palette
+   * @param {Array<string>} stops - Hex color stops
+   * @returns {string} CSS linear-gradient
+   */
+  toCSSGradient(stops) {
+    return `linear-gradient(to right, ${stops.join(', ')})`
+  },
+
+  /**
+   * Format a scale value for display
+   * @param {number} value - Value
+   * @returns {string} Formatted value
+   */
+  formatValue(value) {
+    const abs = Math.abs(value)
+    let digits = 0
+    if (abs < 1) digits = 3
+    else if (abs < 100) digits = 2
+    else if (abs < 10000) digits = 1
+
+    return Number(value.toFixed(digits)).toLocaleString(undefined, {
+      maximumFractionDigits: digits,
+    })
+  },
+}
+
+// Export for module systems or attach to window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Scales
+} else {
+  window.Scales = Scales
+}
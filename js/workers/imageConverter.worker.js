@@ -0,0 +1,51 @@
+/**
+ * Image converter worker
+ * Runs the ImageConverter pipeline off the main thread for ImageConverterWorker
+ *
+ * Messages in:  { id, bitmap } or { id, imageData }, plus settings
+ * Messages out: { id, type: 'progress', progress }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+importScripts(
+  '../utils/geometry.js',
+  '../utils/bezier.js',
+  '../services/BoundaryTopology.js',
+  '../services/ImageConverter.js'
+)
+
+const converter = new ImageConverter()
+
+/**
+ * Read the pixels of a transferred ImageBitmap
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @returns {ImageData} Pixels
+ */
+function readBitmap(bitmap) {
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(bitmap, 0, 0)
+  bitmap.close()
+  return ctx.getImageData(0, 0, canvas.width, canvas.height)
+}
+
+self.onmessage = (e) => {
+  const { id, bitmap, imageData, settings } = e.data
+
+  try {
+    const result = converter.processImageData(
+      bitmap ? readBitmap(bitmap) : imageData,
+      settings,
+      (progress) => self.postMessage({ id, type: 'progress', progress })
+    )
+
+    // Hand the step previews back without copying them
+    const buffers = result.steps
+      .filter((step) => step.data)
+      .map((step) => step.data.data.buffer)
+    self.postMessage({ id, type: 'result', result }, buffers)
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message })
+  }
+}